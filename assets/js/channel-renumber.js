@@ -0,0 +1,333 @@
+/**
+ * Channel Renumbering
+ * Put the selected live streams in order by dragging or sorting, give them
+ * sequential channel numbers from a start value and step, and save the whole
+ * lineup in one request after previewing clashes with the channels in use
+ */
+
+class ChannelRenumber {
+    constructor(modalId = 'renumber_modal') {
+        this.modalId = modalId;
+        this.modal = null;
+        this.streams = [];
+        this.inUse = new Map();
+        this.saving = false;
+    }
+
+    /**
+     * Open the renumbering modal for the rows selected in the DataTable
+     */
+    async openSelected() {
+        const table = window.DataTables;
+        if (table && table.selectAllMatching) {
+            this.notify('Renumbering only works on the rows on this page, clear the "all matching" selection first', 'warning');
+            return;
+        }
+
+        const ids = table ? Array.from(table.selectedIds).map(String) : [];
+
+        if (ids.length < 2) {
+            this.notify('Please select at least 2 streams to renumber', 'warning');
+            return;
+        }
+
+        let all;
+        try {
+            all = await this.request('GET', { action: 'channel_numbers' });
+        } catch (e) {
+            console.error('Error loading channel numbers:', e);
+            this.notify('Unable to load the current channel numbers', 'danger');
+            return;
+        }
+
+        const selected = new Set(ids);
+        const byId = new Map(all.map(stream => [String(stream.id), stream]));
+
+        this.streams = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+
+        // Active channels outside the selection are what the new numbers could clash with
+        this.inUse = new Map();
+        all.forEach(stream => {
+            if (selected.has(String(stream.id)) || stream.s_active != 1 || !stream.s_channel) return;
+
+            const channel = String(stream.s_channel).trim();
+            if (!this.inUse.has(channel)) {
+                this.inUse.set(channel, []);
+            }
+            this.inUse.get(channel).push(stream.s_name);
+        });
+
+        this.buildModal();
+        this.sortBy('channel');
+
+        const numbers = this.streams.map(stream => parseInt(stream.s_channel, 10)).filter(number => !isNaN(number));
+        this.modal.$el.querySelector('.renumber-start').value = numbers.length ? Math.min(...numbers) : 1;
+        this.modal.$el.querySelector('.renumber-step').value = 1;
+        this.modal.$el.querySelector('.renumber-sort').value = 'channel';
+
+        this.render();
+        this.modal.show();
+    }
+
+    // ============================================
+    // Ordering & Numbering
+    // ============================================
+
+    sortBy(key) {
+        const fields = {
+            name: 's_name',
+            provider: 'sp_name',
+            group: 's_tvg_group'
+        };
+
+        if (key === 'channel') {
+            this.streams.sort((a, b) => this.compareChannels(a.s_channel, b.s_channel));
+        } else if (fields[key]) {
+            const field = fields[key];
+            this.streams.sort((a, b) =>
+                String(a[field] || '').localeCompare(String(b[field] || ''), undefined, { numeric: true, sensitivity: 'base' }) ||
+                String(a.s_name || '').localeCompare(String(b.s_name || ''), undefined, { numeric: true, sensitivity: 'base' })
+            );
+        }
+    }
+
+    compareChannels(a, b) {
+        const x = parseFloat(a);
+        const y = parseFloat(b);
+
+        if (isNaN(x) || isNaN(y)) {
+            return isNaN(x) - isNaN(y) || String(a || '').localeCompare(String(b || ''));
+        }
+
+        return x - y;
+    }
+
+    /**
+     * The new channel number for every stream in the current order
+     */
+    getAssignments() {
+        const start = parseInt(this.modal.$el.querySelector('.renumber-start').value, 10);
+        const step = parseInt(this.modal.$el.querySelector('.renumber-step').value, 10);
+
+        if (isNaN(start) || isNaN(step) || step < 1) return null;
+
+        return this.streams.map((stream, i) => {
+            const channel = String(start + i * step);
+
+            return {
+                stream: stream,
+                channel: channel,
+                conflicts: this.inUse.get(channel) || []
+            };
+        });
+    }
+
+    /**
+     * Follow the order the rows were dragged into
+     */
+    readOrder() {
+        const byId = new Map(this.streams.map(stream => [String(stream.id), stream]));
+        const items = this.modal.$el.querySelectorAll('.renumber-list [data-id]');
+
+        this.streams = Array.from(items).map(item => byId.get(item.dataset.id));
+        this.modal.$el.querySelector('.renumber-sort').value = 'manual';
+    }
+
+    // ============================================
+    // Saving
+    // ============================================
+
+    async apply() {
+        if (this.saving) return;
+
+        const assignments = this.getAssignments();
+        if (!assignments) {
+            this.notify('Enter a start number and a step of at least 1', 'warning');
+            return;
+        }
+
+        const changed = assignments.filter(item => String(item.stream.s_channel || '') !== item.channel);
+        if (changed.length === 0) {
+            this.notify('The channel numbers are already in that order', 'warning');
+            return;
+        }
+
+        const conflicts = assignments.filter(item => item.conflicts.length > 0).length;
+        if (conflicts > 0) {
+            try {
+                await UIkit.modal.confirm(`${conflicts} of the new channel number(s) are already used by other active streams. Renumber anyway?`);
+            } catch (e) {
+                return;
+            }
+        }
+
+        this.saving = true;
+        this.modal.$el.querySelector('.renumber-apply').disabled = true;
+
+        try {
+            const updated = new Set((await this.request('POST', {
+                action: 'renumber_channels',
+                channels: JSON.stringify(changed.map(item => ({ id: item.stream.id, channel: item.channel })))
+            })).map(String));
+            const renumbered = changed.filter(item => updated.has(String(item.stream.id)));
+
+            if (renumbered.length < changed.length) {
+                this.notify(`Renumbered ${renumbered.length} of ${changed.length} stream(s), the others no longer exist or already had their number`, 'warning');
+            }
+
+            const table = window.DataTables;
+            if (table) {
+                // One undo step for the whole lineup
+                const recorded = typeof table.recordChange === 'function' && table.recordChange(renumbered.map(item => ({
+                    id: String(item.stream.id),
+                    field: 's_channel',
+                    oldValue: item.stream.s_channel || '',
+                    newValue: item.channel
+                })), 'Channels renumbered');
+
+                if (!recorded && renumbered.length === changed.length) {
+                    this.notify(`Renumbered ${changed.length} stream(s)`);
+                }
+
+                table.reload();
+            }
+
+            this.modal.hide();
+        } catch (e) {
+            console.error('Error renumbering channels:', e);
+            this.notify(e.message || 'Failed to renumber the channels', 'danger');
+        } finally {
+            this.saving = false;
+            this.modal.$el.querySelector('.renumber-apply').disabled = false;
+        }
+    }
+
+    /**
+     * Talk to the streams page, resolves to the response data
+     */
+    async request(method, params) {
+        let response;
+
+        if (method === 'GET') {
+            response = await fetch('?' + new URLSearchParams(params).toString());
+        } else {
+            const formData = new FormData();
+            Object.entries(params).forEach(([key, value]) => formData.append(key, value));
+            response = await fetch(window.location.href, { method: 'POST', body: formData });
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || 'Request failed');
+        }
+
+        return data.data;
+    }
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    buildModal() {
+        if (this.modal) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${this.modalId}" class="renumber-modal" uk-modal>
+                <div class="uk-modal-dialog uk-modal-body">
+                    <button class="uk-modal-close-default" type="button" uk-close></button>
+                    <h3 class="uk-modal-title">Renumber Channels</h3>
+                    <div class="uk-grid-small uk-flex-bottom" uk-grid>
+                        <div class="uk-width-1-3@s">
+                            <label class="uk-form-label">Start At</label>
+                            <input type="number" class="uk-input uk-form-small renumber-start" min="0">
+                        </div>
+                        <div class="uk-width-1-3@s">
+                            <label class="uk-form-label">Step</label>
+                            <input type="number" class="uk-input uk-form-small renumber-step" min="1">
+                        </div>
+                        <div class="uk-width-1-3@s">
+                            <label class="uk-form-label">Order By</label>
+                            <select class="uk-select uk-form-small renumber-sort">
+                                <option value="manual">Manual (Drag to Order)</option>
+                                <option value="channel">Current Channel</option>
+                                <option value="name">Name</option>
+                                <option value="provider">Provider</option>
+                                <option value="group">Group</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="renumber-summary uk-text-meta uk-margin-small-top"></div>
+                    <ul class="uk-list uk-list-divider renumber-list" uk-sortable="handle: .renumber-handle"></ul>
+                    <div class="uk-text-right uk-margin-top">
+                        <button class="uk-button uk-button-default uk-modal-close" type="button">Cancel</button>
+                        <button class="uk-button uk-button-primary renumber-apply" type="button">Apply Numbers</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.modal = UIkit.modal(`#${this.modalId}`, { bgClose: false });
+
+        const el = this.modal.$el;
+        const list = el.querySelector('.renumber-list');
+
+        el.querySelector('.renumber-start').addEventListener('input', () => this.render());
+        el.querySelector('.renumber-step').addEventListener('input', () => this.render());
+        el.querySelector('.renumber-sort').addEventListener('change', (e) => {
+            this.sortBy(e.target.value);
+            this.render();
+        });
+        el.querySelector('.renumber-apply').addEventListener('click', () => this.apply());
+
+        UIkit.util.on(list, 'moved', () => {
+            this.readOrder();
+            this.render();
+        });
+    }
+
+    render() {
+        const list = this.modal.$el.querySelector('.renumber-list');
+        const summary = this.modal.$el.querySelector('.renumber-summary');
+        const assignments = this.getAssignments();
+
+        if (!assignments) {
+            summary.textContent = 'Enter a start number and a step of at least 1';
+            return;
+        }
+
+        const conflicts = assignments.filter(item => item.conflicts.length > 0).length;
+        summary.innerHTML = `${assignments.length} stream(s), channels ${assignments[0].channel} to ${assignments[assignments.length - 1].channel}` +
+            (conflicts ? ` &middot; <span class="uk-text-warning">${conflicts} clash with other active streams</span>` : '');
+
+        list.innerHTML = assignments.map(item => `
+            <li class="renumber-item${item.conflicts.length ? ' renumber-conflict' : ''}" data-id="${item.stream.id}">
+                <span class="renumber-handle uk-margin-small-right" uk-icon="table" title="Drag to Reorder"></span>
+                <span class="renumber-channel">${this.escapeHtml(item.channel)}</span>
+                <span class="renumber-old uk-text-meta">${this.escapeHtml(item.stream.s_channel || '-')}</span>
+                <span class="renumber-name uk-text-truncate">${this.escapeHtml(item.stream.s_name || '')}</span>
+                <span class="uk-text-meta uk-text-truncate uk-visible@s">${this.escapeHtml([item.stream.sp_name, item.stream.s_tvg_group].filter(Boolean).join(' / '))}</span>
+                ${item.conflicts.length ? `<span class="uk-label uk-label-warning" title="${this.escapeHtml(item.conflicts.join(', '))}">In Use</span>` : ''}
+            </li>
+        `).join('');
+    }
+
+    notify(message, status = 'success') {
+        UIkit.notification({ message: message, status: status, pos: 'top-right', timeout: 3000 });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Single renumbering tool shared by the page
+const channelRenumber = new ChannelRenumber();
+
+document.addEventListener('click', function (e) {
+    if (e.target.closest('.renumber-channels')) {
+        e.preventDefault();
+        channelRenumber.openSelected();
+    }
+});
@@ -0,0 +1,358 @@
+/**
+ * EPG Grid Guide
+ * Channels down, time across, built from each provider's XMLTV guide for the
+ * user's active live streams. Only the rows and programmes in view are rendered
+ */
+
+class EpgGuide {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.epgBase = element.getAttribute('data-epg-base') || '';
+        this.pixelsPerMinute = options.pixelsPerMinute || 4;
+        this.rowHeight = options.rowHeight || 56;
+        this.channelWidth = options.channelWidth || 220;
+        this.hoursBefore = options.hoursBefore || 2;
+        this.hoursAfter = options.hoursAfter || 22;
+        this.overscan = options.overscan || 6;
+
+        try {
+            this.streams = JSON.parse(element.getAttribute('data-streams') || '[]');
+        } catch (e) {
+            console.error('Error reading the guide streams:', e);
+            this.streams = [];
+        }
+
+        // Per provider guide state: { status: 'loading' | 'loaded' | 'failed', guide }
+        this.guides = new Map();
+        this.rows = [];
+        this.renderKey = '';
+        this.provider = '';
+        this.missingOnly = false;
+        this.frame = null;
+        this.clock = null;
+
+        this.setWindow();
+    }
+
+    init() {
+        this.build();
+        this.bindControls();
+        this.applyFilters();
+        this.jumpToNow();
+
+        // Keep the now line and airing programmes current
+        this.clock = setInterval(() => {
+            if (Date.now() > this.windowStart + (this.hoursBefore + 1) * 3600000) {
+                this.setWindow();
+                this.renderRuler();
+            }
+            this.render();
+        }, 60000);
+
+        this.loadGuides();
+    }
+
+    /**
+     * The guide covers a fixed window around now, starting on the half hour
+     */
+    setWindow() {
+        const start = Date.now() - this.hoursBefore * 3600000;
+        this.windowStart = start - (start % 1800000);
+        this.windowEnd = this.windowStart + (this.hoursBefore + this.hoursAfter) * 3600000;
+        this.timelineWidth = (this.windowEnd - this.windowStart) / 60000 * this.pixelsPerMinute;
+    }
+
+    timeToX(time) {
+        return (time - this.windowStart) / 60000 * this.pixelsPerMinute;
+    }
+
+    // ============================================
+    // Guide Data
+    // ============================================
+
+    /**
+     * One provider at a time, the grid fills in as each guide arrives
+     */
+    async loadGuides() {
+        const providers = Array.from(new Set(this.streams.map(stream => String(stream.p_id))));
+
+        providers.forEach(providerId => this.guides.set(providerId, { status: 'loading', guide: null }));
+        this.render();
+
+        for (let i = 0; i < providers.length; i++) {
+            const providerId = providers[i];
+            this.setStatus(`Loading guide ${i + 1} of ${providers.length}...`);
+
+            try {
+                const guide = await EpgStore.load(this.epgBase + encodeURIComponent(providerId));
+                this.guides.set(providerId, { status: 'loaded', guide: guide });
+            } catch (e) {
+                console.error(`Error loading the guide for provider ${providerId}:`, e);
+                this.guides.set(providerId, { status: 'failed', guide: null });
+            }
+
+            this.applyFilters();
+        }
+
+        const missing = this.streams.filter(stream => this.isMissing(stream)).length;
+        this.setStatus(missing ? `${missing} of ${this.streams.length} streams have no guide data` : '');
+    }
+
+    getProgrammes(stream) {
+        const state = this.guides.get(String(stream.p_id));
+        if (!stream.s_tvg_id || !state || !state.guide) return [];
+
+        return state.guide.programmes.get(stream.s_tvg_id) || [];
+    }
+
+    /**
+     * No tvg-id at all, or a loaded guide without anything for it
+     */
+    isMissing(stream) {
+        if (!stream.s_tvg_id) return true;
+
+        const state = this.guides.get(String(stream.p_id));
+        return !!state && state.status !== 'loading' && this.getProgrammes(stream).length === 0;
+    }
+
+    applyFilters() {
+        this.rows = this.streams.filter(stream => {
+            if (this.provider && String(stream.p_id) !== this.provider) return false;
+            if (this.missingOnly && !this.isMissing(stream)) return false;
+            return true;
+        });
+
+        this.body.style.height = `${this.rows.length * this.rowHeight}px`;
+        this.empty.hidden = this.rows.length > 0;
+        this.render();
+    }
+
+    // ============================================
+    // Layout
+    // ============================================
+
+    build() {
+        this.element.innerHTML = `
+            <div class="guide-scroll">
+                <div class="guide-canvas" style="width: ${this.channelWidth + this.timelineWidth}px">
+                    <div class="guide-ruler">
+                        <div class="guide-corner" style="width: ${this.channelWidth}px"></div>
+                        <div class="guide-times"></div>
+                    </div>
+                    <div class="guide-body">
+                        <div class="guide-now-line"></div>
+                        <div class="guide-rows"></div>
+                    </div>
+                </div>
+                <div class="guide-empty uk-text-meta uk-padding-small" hidden>No streams to show</div>
+            </div>
+        `;
+
+        this.scroller = this.element.querySelector('.guide-scroll');
+        this.body = this.element.querySelector('.guide-body');
+        this.rowsLayer = this.element.querySelector('.guide-rows');
+        this.nowLine = this.element.querySelector('.guide-now-line');
+        this.empty = this.element.querySelector('.guide-empty');
+
+        this.renderRuler();
+
+        this.scroller.addEventListener('scroll', () => this.scheduleRender(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleRender());
+
+        this.rowsLayer.addEventListener('click', (e) => {
+            const row = e.target.closest('.guide-row[data-index]');
+            if (!row) return;
+
+            e.preventDefault();
+            this.play(parseInt(row.dataset.index, 10));
+        });
+    }
+
+    bindControls() {
+        const provider = document.querySelector('.guide-provider');
+        const missingOnly = document.querySelector('.guide-missing-only');
+        const now = document.querySelector('.guide-now');
+
+        if (provider) {
+            provider.addEventListener('change', () => {
+                this.provider = provider.value;
+                this.scroller.scrollTop = 0;
+                this.applyFilters();
+            });
+        }
+
+        if (missingOnly) {
+            missingOnly.addEventListener('change', () => {
+                this.missingOnly = missingOnly.checked;
+                this.scroller.scrollTop = 0;
+                this.applyFilters();
+            });
+        }
+
+        if (now) {
+            now.addEventListener('click', () => this.jumpToNow());
+        }
+    }
+
+    /**
+     * Scroll the timeline so now sits a little in from the channel column
+     */
+    jumpToNow() {
+        this.scroller.scrollLeft = Math.max(0, this.timeToX(Date.now()) - 30 * this.pixelsPerMinute);
+        this.scheduleRender();
+    }
+
+    setStatus(message) {
+        const status = document.querySelector('.guide-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    renderRuler() {
+        const times = this.element.querySelector('.guide-times');
+        const slot = 30 * this.pixelsPerMinute;
+        let html = '';
+
+        for (let time = this.windowStart; time < this.windowEnd; time += 1800000) {
+            const label = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            html += `<div class="guide-time" style="left: ${this.channelWidth + this.timeToX(time)}px; width: ${slot}px">${label}</div>`;
+        }
+
+        times.innerHTML = html;
+        this.element.querySelector('.guide-canvas').style.width = `${this.channelWidth + this.timelineWidth}px`;
+    }
+
+    scheduleRender() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render(false);
+        });
+    }
+
+    /**
+     * Draw the rows in view, and in each row only the programmes in view
+     * Positions snap to blocks so small scrolls reuse what is already drawn
+     */
+    render(force = true) {
+        if (!this.scroller) return;
+
+        const block = Math.floor(this.scroller.scrollTop / this.rowHeight / this.overscan) * this.overscan;
+        const visible = Math.ceil(this.scroller.clientHeight / this.rowHeight);
+        const first = Math.max(0, block - this.overscan);
+        const last = Math.min(this.rows.length, block + visible + this.overscan * 2);
+
+        const width = Math.max(1, this.scroller.clientWidth);
+        const page = Math.floor(this.scroller.scrollLeft / width);
+        const viewStart = this.windowStart + (page - 1) * width / this.pixelsPerMinute * 60000;
+        const viewEnd = this.windowStart + (page + 2) * width / this.pixelsPerMinute * 60000;
+
+        const key = `${first}:${last}:${page}`;
+        if (!force && key === this.renderKey) return;
+        this.renderKey = key;
+
+        const now = Date.now();
+        let html = '';
+
+        for (let i = first; i < last; i++) {
+            html += this.renderRow(this.rows[i], i, viewStart, viewEnd, now);
+        }
+
+        this.rowsLayer.innerHTML = html;
+
+        const nowX = this.timeToX(now);
+        this.nowLine.hidden = nowX < 0 || nowX > this.timelineWidth;
+        this.nowLine.style.left = `${this.channelWidth + nowX}px`;
+    }
+
+    renderRow(stream, index, viewStart, viewEnd, now) {
+        const missing = this.isMissing(stream);
+        const state = this.guides.get(String(stream.p_id));
+        const logo = stream.s_tvg_logo ? `<img class="guide-logo" src="${this.escapeHtml(stream.s_tvg_logo)}" alt="" loading="lazy">` : '';
+        const label = missing
+            ? `<span class="uk-label uk-label-warning guide-missing-label">${stream.s_tvg_id ? 'No EPG' : 'No TVG ID'}</span>`
+            : '';
+
+        let programmes = '';
+
+        this.getProgrammes(stream).forEach(programme => {
+            const stop = programme.stop || programme.start + 1800000;
+            if (stop <= viewStart || programme.start >= viewEnd) return;
+            if (stop <= this.windowStart || programme.start >= this.windowEnd) return;
+
+            const left = Math.max(0, this.timeToX(programme.start));
+            const right = Math.min(this.timelineWidth, this.timeToX(stop));
+            const airing = programme.start <= now && now < stop;
+            const title = programme.title || 'Untitled';
+            const tooltip = [title, programme.subTitle, this.formatRange(programme), programme.desc].filter(Boolean).join('\n');
+
+            programmes += `
+                <div class="guide-programme${airing ? ' guide-airing' : ''}" style="left: ${this.channelWidth + left}px; width: ${Math.max(0, right - left)}px" title="${this.escapeHtml(tooltip)}">
+                    <span class="guide-programme-title">${this.escapeHtml(title)}</span>
+                    <span class="guide-programme-time">${this.formatRange(programme)}</span>
+                </div>`;
+        });
+
+        if (!programmes && !missing && state && state.status === 'loading') {
+            programmes = `<div class="guide-programme guide-placeholder" style="left: ${this.channelWidth}px; width: ${this.timelineWidth}px"></div>`;
+        }
+
+        return `
+            <div class="guide-row${missing ? ' guide-row-missing' : ''}" data-index="${index}" style="top: ${index * this.rowHeight}px; height: ${this.rowHeight}px" title="Play ${this.escapeHtml(stream.s_name || '')}">
+                <div class="guide-channel" style="width: ${this.channelWidth}px">
+                    ${logo}
+                    <div class="guide-channel-text">
+                        <div class="guide-channel-name uk-text-truncate"><span class="guide-channel-number">${this.escapeHtml(stream.s_channel || '')}</span> ${this.escapeHtml(stream.s_name || '')}</div>
+                        <div class="uk-text-meta uk-text-truncate">${this.escapeHtml(stream.sp_name || '')} ${label}</div>
+                    </div>
+                </div>
+                ${programmes}
+            </div>`;
+    }
+
+    // ============================================
+    // Playback
+    // ============================================
+
+    /**
+     * Play a row and let the player zap through the rest of the filtered guide
+     */
+    play(index) {
+        const stream = this.rows[index];
+        if (!stream || !stream.s_stream_uri) return;
+
+        playStream(stream.s_stream_uri);
+
+        multiPlayer.zapper.setList(this.rows.map(row => ({
+            url: row.s_stream_uri,
+            name: row.s_name || '',
+            channel: row.s_channel || '',
+            tvgId: row.s_tvg_id || '',
+            epgUrl: this.epgBase + encodeURIComponent(row.p_id)
+        })), index);
+    }
+
+    formatRange(programme) {
+        const format = time => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return programme.stop ? `${format(programme.start)} - ${format(programme.stop)}` : format(programme.start);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+DOMReady(function () {
+    const element = document.getElementById('kptv-guide');
+    if (element) {
+        new EpgGuide(element).init();
+    }
+});
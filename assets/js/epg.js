@@ -0,0 +1,196 @@
+/**
+ * XMLTV Guide Store
+ * Fetches and caches provider XMLTV guides, parsing them incrementally as the
+ * response streams in so large guides don't block the page
+ */
+
+const EpgStore = {
+
+    // Parsed guides per URL, refetched after the ttl
+    cache: new Map(),
+    ttl: 60 * 60 * 1000,
+
+    // Elements we care about, everything else in the feed is skipped
+    CHANNEL_RE: /<channel\b[^>]*>[\s\S]*?<\/channel>/g,
+    PROGRAMME_RE: /<programme\b[^>]*>[\s\S]*?<\/programme>/g,
+
+    /**
+     * Load a guide, concurrent callers share the same request
+     * Resolves to { channels: Map(id => channel), programmes: Map(id => [programme]) }
+     */
+    load: function (url, onProgress = null) {
+        const cached = this.cache.get(url);
+        if (cached && Date.now() - cached.loaded < this.ttl) {
+            return cached.promise;
+        }
+
+        const promise = this.fetchGuide(url, onProgress).catch(e => {
+            // Don't keep failures around
+            this.cache.delete(url);
+            throw e;
+        });
+
+        this.cache.set(url, { loaded: Date.now(), promise: promise });
+        return promise;
+    },
+
+    fetchGuide: async function (url, onProgress) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Guide request failed with HTTP ${response.status}`);
+        }
+
+        const guide = { channels: new Map(), programmes: new Map() };
+
+        if (!response.body || !response.body.getReader) {
+            this.parseChunk(guide, await response.text(), true);
+            this.sortProgrammes(guide);
+            return guide;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let received = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+
+            if (value) {
+                received += value.length;
+                buffer = this.parseChunk(guide, buffer + decoder.decode(value, { stream: true }));
+
+                if (onProgress) {
+                    onProgress(received, guide);
+                }
+
+                // Let the page breathe between chunks
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            if (done) break;
+        }
+
+        this.parseChunk(guide, buffer + decoder.decode(), true);
+        this.sortProgrammes(guide);
+
+        return guide;
+    },
+
+    /**
+     * Parse every complete element in the buffer and return the unparsed tail
+     */
+    parseChunk: function (guide, buffer, final = false) {
+        let consumed = 0;
+
+        for (const match of buffer.matchAll(this.CHANNEL_RE)) {
+            const channel = this.parseChannel(match[0]);
+            if (channel.id) {
+                guide.channels.set(channel.id, channel);
+            }
+            consumed = Math.max(consumed, match.index + match[0].length);
+        }
+
+        for (const match of buffer.matchAll(this.PROGRAMME_RE)) {
+            const programme = this.parseProgramme(match[0]);
+            if (programme.channel && programme.start) {
+                if (!guide.programmes.has(programme.channel)) {
+                    guide.programmes.set(programme.channel, []);
+                }
+                guide.programmes.get(programme.channel).push(programme);
+            }
+            consumed = Math.max(consumed, match.index + match[0].length);
+        }
+
+        if (final) return '';
+
+        // Keep whatever may be the start of an element still arriving
+        const rest = buffer.substring(consumed);
+        const open = rest.search(/<(channel|programme)\b/);
+        return open === -1 ? rest.substring(Math.max(0, rest.length - 16)) : rest.substring(open);
+    },
+
+    parseChannel: function (xml) {
+        const names = Array.from(xml.matchAll(/<display-name\b[^>]*>([\s\S]*?)<\/display-name>/g)).map(match => this.decode(match[1]));
+
+        return {
+            id: this.decode(this.attr(xml, 'id')),
+            names: names,
+            icon: this.decode((xml.match(/<icon\b[^>]*\bsrc="([^"]*)"/) || [])[1] || '')
+        };
+    },
+
+    parseProgramme: function (xml) {
+        return {
+            channel: this.decode(this.attr(xml, 'channel')),
+            start: this.parseTime(this.attr(xml, 'start')),
+            stop: this.parseTime(this.attr(xml, 'stop')),
+            title: this.decode(this.tag(xml, 'title')),
+            subTitle: this.decode(this.tag(xml, 'sub-title')),
+            desc: this.decode(this.tag(xml, 'desc'))
+        };
+    },
+
+    attr: function (xml, name) {
+        const match = xml.match(new RegExp(`^<\\w+\\b[^>]*\\b${name}="([^"]*)"`));
+        return match ? match[1] : '';
+    },
+
+    tag: function (xml, name) {
+        const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+        return match ? match[1].trim() : '';
+    },
+
+    /**
+     * XMLTV times look like 20240101120000 +0000
+     */
+    parseTime: function (value) {
+        const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/);
+        if (!match) return null;
+
+        const [, y, mo, d, h, mi, s, zone] = match;
+        let time = Date.UTC(+y, +mo - 1, +d, +h, +mi, +(s || 0));
+
+        if (zone) {
+            const sign = zone[0] === '-' ? -1 : 1;
+            time -= sign * (parseInt(zone.substring(1, 3), 10) * 60 + parseInt(zone.substring(3, 5), 10)) * 60000;
+        }
+
+        return time;
+    },
+
+    decode: function (text) {
+        return (text || '')
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    },
+
+    sortProgrammes: function (guide) {
+        guide.programmes.forEach(list => list.sort((a, b) => a.start - b.start));
+    },
+
+    /**
+     * Current and next programme for a channel
+     */
+    nowNext: function (guide, channelId, at = Date.now()) {
+        const list = guide.programmes.get(channelId) || [];
+        const index = list.findIndex(programme => programme.start <= at && (!programme.stop || at < programme.stop));
+
+        if (index === -1) {
+            return { now: null, next: list.find(programme => programme.start > at) || null };
+        }
+
+        return { now: list[index], next: list[index + 1] || null };
+    }
+};
+
+// Allow the store to be loaded outside the browser for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EpgStore;
+}
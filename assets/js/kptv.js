@@ -234,6 +234,28 @@ const KPTV = {
             clearTimeout(timeout);
             timeout = setTimeout(later, wait);
         };
+    },
+
+    // ============================================
+    // Inline Edits
+    // ============================================
+
+    /**
+     * Save one field of a stream through the table's inline_edit action
+     * Resolves to true only when the server reports the field as saved
+     */
+    saveField: async function (id, field, value) {
+        if (!window.DataTables) {
+            return false;
+        }
+
+        try {
+            const data = await window.DataTables.postInlineEdit(id, field, value);
+            return !!(data && data.success);
+        } catch (e) {
+            console.error(`Error saving ${field}:`, e);
+            return false;
+        }
     }
 };
 
@@ -392,17 +414,17 @@ function MyInit() {
             actionInput.value = 'activate-streams';
             form.appendChild(actionInput);
 
-            const urlParams = new URLSearchParams(window.location.search);
+            const sortParams = getSortParams();
             const sortInput = document.createElement('input');
             sortInput.type = 'hidden';
             sortInput.name = 'sort';
-            sortInput.value = urlParams.get('sort') || 'sp_priority';
+            sortInput.value = sortParams.sort;
             form.appendChild(sortInput);
 
             const dirInput = document.createElement('input');
             dirInput.type = 'hidden';
             dirInput.name = 'dir';
-            dirInput.value = urlParams.get('dir') || 'asc';
+            dirInput.value = sortParams.dir;
             form.appendChild(dirInput);
 
             checkedBoxes.forEach(checkbox => {
@@ -512,17 +534,17 @@ function MyInit() {
             actionInput.value = 'delete-multiple';
             form.appendChild(actionInput);
 
-            const urlParams = new URLSearchParams(window.location.search);
+            const sortParams = getSortParams();
             const sortInput = document.createElement('input');
             sortInput.type = 'hidden';
             sortInput.name = 'sort';
-            sortInput.value = urlParams.get('sort') || 'sp_priority';
+            sortInput.value = sortParams.sort;
             form.appendChild(sortInput);
 
             const dirInput = document.createElement('input');
             dirInput.type = 'hidden';
             dirInput.name = 'dir';
-            dirInput.value = urlParams.get('dir') || 'asc';
+            dirInput.value = sortParams.dir;
             form.appendChild(dirInput);
 
             checkedBoxes.forEach(checkbox => {
@@ -550,75 +572,39 @@ function MyInit() {
         cell.classList.add('channel-cell');
     }
 
+    // The sort the bulk forms post back, the table's own when there is one
+    function getSortParams() {
+        const table = window.DataTables;
+        if (table && table.sortColumn) {
+            return { sort: table.sortColumn, dir: table.sortDirection.toLowerCase() };
+        }
+
+        const urlParams = new URLSearchParams(window.location.search);
+        return { sort: urlParams.get('sort') || 'sp_priority', dir: urlParams.get('dir') || 'asc' };
+    }
+
+    function recordUndo(streamId, field, oldValue, newValue, label) {
+        const table = window.DataTables;
+        if (!table || typeof table.recordChange !== 'function') return false;
+
+        // The cached pages still have the old value
+        if (typeof table.invalidateCache === 'function') {
+            table.invalidateCache();
+        }
+
+        return table.recordChange([{ id: streamId, field: field, oldValue: oldValue, newValue: newValue }], label);
+    }
+
     function saveNameChange(streamId, newName, cell, originalValue) {
         if (!newName || newName === originalValue) {
             revertCell(cell, originalValue);
             return;
         }
 
-        // Show loading state
-        const spinner = document.createElement('span');
-        spinner.setAttribute('uk-spinner', 'ratio: 0.5');
-        cell.textContent = '';
-        cell.appendChild(spinner);
-
-        // Prepare form data
-        const formData = new FormData();
-        formData.append('form_action', 'update-name');
-        formData.append('id', streamId);
-        formData.append('s_name', newName);
-
-        // Send AJAX request
-        fetch(window.location.href, {
-            method: 'POST',
-            body: formData,
-            headers: {
-                'Accept': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Network response was not ok');
-                }
-                return response.text();  // ← Fixed: Return the promise directly
-            })
-            .then(text => {  // ← Fixed: Handle text in separate .then()
-                return text ? JSON.parse(text) : {};
-            })
-            .then(data => {
-                if (data.success) {
-                    cell.textContent = newName;
-                    cell.classList.add('stream-name');
-                    cell.classList.add('name-cell');
-
-                    // Show success notification
-                    if (typeof UIkit !== 'undefined' && UIkit.notification) {
-                        UIkit.notification({
-                            message: 'Name updated successfully',
-                            status: 'success',
-                            pos: 'top-right',
-                            timeout: 2000
-                        });
-                    }
-                } else {
-                    throw new Error(data.message || 'Update failed');
-                }
-            })
-            .catch(error => {
-                console.error('Error:', error);
-                revertCell(cell, originalValue);
-
-                // Show error notification
-                if (typeof UIkit !== 'undefined' && UIkit.notification) {
-                    UIkit.notification({
-                        message: 'Error saving: ' + error.message,
-                        status: 'danger',
-                        pos: 'top-right',
-                        timeout: 5000
-                    });
-                }
-            });
+        saveStreamField(streamId, 's_name', newName, cell, originalValue, () => revertCell(cell, originalValue), {
+            success: 'Name updated successfully',
+            error: 'Error saving: '
+        });
     }
 
     function saveChannelChange(streamId, newChannel, cell, originalValue) {
@@ -627,63 +613,54 @@ function MyInit() {
             return;
         }
 
-        // Show loading state
-        const spinner = document.createElement('span');
-        spinner.setAttribute('uk-spinner', 'ratio: 0.5');
-        cell.textContent = '';
-        cell.appendChild(spinner);
-
-        // Prepare form data
-        const formData = new FormData();
-        formData.append('form_action', 'update-channel');
-        formData.append('id', streamId);
-        formData.append('s_channel', newChannel);
-
-        // Send AJAX request
-        fetch(window.location.href, {
-            method: 'POST',
-            body: formData,
-            headers: {
-                'Accept': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest'
-            }
+        saveStreamField(streamId, 's_channel', newChannel, cell, originalValue, () => revertChannelCell(cell, originalValue), {
+            success: 'Channel updated successfully',
+            error: 'Error saving channel: '
+        });
+    }
+
+    // Saved through the table's inline_edit action like its own inline edits: the new
+    // value shows straight away, goes back unless the server reports it saved, and
+    // only the stream's row is refreshed afterwards
+    function saveStreamField(streamId, field, value, cell, originalValue, revert, messages) {
+        const table = window.DataTables;
+        if (!table || typeof table.postInlineEdit !== 'function') {
+            revert();
+            return;
+        }
+
+        DataTablesJS.saveOptimistic({
+            apply: () => {
+                cell.textContent = value;
+            },
+            revert: revert,
+            save: () => table.postInlineEdit(streamId, field, value)
         })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Network response was not ok');
+            .then(() => {
+                if (typeof table.refreshRow === 'function') {
+                    table.refreshRow(streamId);
                 }
-                return response.text();  // ← Fixed
-            })
-            .then(text => {  // ← Fixed
-                return text ? JSON.parse(text) : {};
-            })
-            .then(data => {
-                if (data.success) {
-                    cell.textContent = newChannel;
-                    cell.classList.add('stream-channel');
-                    cell.classList.add('channel-cell');
-
-                    // Show success notification
-                    if (typeof UIkit !== 'undefined' && UIkit.notification) {
-                        UIkit.notification({
-                            message: 'Channel updated successfully',
-                            status: 'success',
-                            pos: 'top-right',
-                            timeout: 2000
-                        });
-                    }
-                } else {
-                    throw new Error(data.message || 'Update failed');
+
+                // Journal it with the table's undo history, its toast replaces ours
+                if (recordUndo(streamId, field, originalValue, value, messages.success)) return;
+
+                // Show success notification
+                if (typeof UIkit !== 'undefined' && UIkit.notification) {
+                    UIkit.notification({
+                        message: messages.success,
+                        status: 'success',
+                        pos: 'top-right',
+                        timeout: 2000
+                    });
                 }
             })
             .catch(error => {
                 console.error('Error:', error);
-                revertChannelCell(cell, originalValue);
 
                 // Show error notification
                 if (typeof UIkit !== 'undefined' && UIkit.notification) {
                     UIkit.notification({
-                        message: 'Error saving channel: ' + error.message,
+                        message: messages.error + error.message,
                         status: 'danger',
                         pos: 'top-right',
                         timeout: 5000
@@ -0,0 +1,443 @@
+/**
+ * Stream Type Detection
+ * Identifies the real container of a stream from its Content-Type and first bytes,
+ * falling back to the URL only when the response tells us nothing
+ * Types: hls, mpegts, mp4, webm, dash, unknown
+ */
+
+const StreamDetector = {
+
+    // MIME type handed to players for each detected type
+    MIME_TYPES: {
+        hls: 'application/x-mpegURL',
+        mpegts: 'video/mp2t',
+        mp4: 'video/mp4',
+        webm: 'video/webm',
+        dash: 'application/dash+xml'
+    },
+
+    // MPEG-TS packet size, every packet starts with the 0x47 sync byte
+    TS_PACKET_SIZE: 188,
+
+    // Consecutive packets that must carry the sync byte before a stream counts as MPEG-TS
+    TS_SYNC_PACKETS: 4,
+
+    // PMT stream types we can put a name to
+    TS_STREAM_TYPES: {
+        0x01: 'MPEG-1',
+        0x02: 'MPEG-2',
+        0x03: 'MP2',
+        0x04: 'MP2',
+        0x0F: 'AAC',
+        0x11: 'AAC',
+        0x1B: 'H.264',
+        0x24: 'HEVC',
+        0x81: 'AC-3',
+        0x87: 'E-AC-3'
+    },
+
+    /**
+     * Detect the stream type from a response head
+     * Returns { type, mimeType, source } where source is content, header, url or none
+     */
+    detect: function (bytes, contentType = '', url = '') {
+        const checks = [
+            ['content', () => this.fromBytes(bytes)],
+            ['header', () => this.fromContentType(contentType)],
+            ['url', () => this.fromUrl(url)]
+        ];
+
+        for (const [source, check] of checks) {
+            const type = check();
+            if (type) {
+                return { type: type, mimeType: this.mimeType(type), source: source };
+            }
+        }
+
+        return { type: 'unknown', mimeType: this.mimeType('unknown'), source: 'none' };
+    },
+
+    /**
+     * Sniff the container from the first bytes of a stream
+     */
+    fromBytes: function (bytes) {
+        if (!bytes || bytes.length === 0) return null;
+
+        // Manifests are text, skip any BOM or leading whitespace
+        const text = new TextDecoder().decode(bytes.subarray(0, 512)).replace(/^\uFEFF/, '').trimStart();
+
+        if (text.startsWith('#EXTM3U')) return 'hls';
+        if (/^(<\?xml[^>]*\?>\s*)?<MPD[\s>]/.test(text)) return 'dash';
+
+        // MP4 / MOV 'ftyp' box
+        if (bytes.length >= 8 && String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]) === 'ftyp') {
+            return 'mp4';
+        }
+
+        // WebM / Matroska EBML header
+        if (bytes.length >= 4 && bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) {
+            return 'webm';
+        }
+
+        // MPEG-TS sync byte on several consecutive packets, the stream may start mid-packet
+        const size = this.TS_PACKET_SIZE;
+        const span = (this.TS_SYNC_PACKETS - 1) * size;
+        for (let i = 0; i < size && i + span < bytes.length; i++) {
+            if (this.hasSyncBytes(bytes, i, this.TS_SYNC_PACKETS)) {
+                return 'mpegts';
+            }
+        }
+
+        // A response shorter than that has to be packet aligned from its first byte
+        if (bytes.length <= span && this.hasSyncBytes(bytes, 0, Math.ceil(bytes.length / size))) {
+            return 'mpegts';
+        }
+
+        return null;
+    },
+
+    /**
+     * Whether `count` packets in a row starting at `offset` begin with the TS sync byte
+     */
+    hasSyncBytes: function (bytes, offset, count) {
+        for (let packet = 0; packet < count; packet++) {
+            if (bytes[offset + packet * this.TS_PACKET_SIZE] !== 0x47) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Codecs from the PMT and, for H.264, the resolution from the SPS at the head of an MPEG-TS stream
+     * Returns { codec, resolution }, either is empty when the bytes don't reach that far
+     */
+    mpegTsInfo: function (bytes) {
+        const packets = this.tsPackets(bytes);
+        const info = { codec: '', resolution: '' };
+
+        // The PAT points at the first program's PMT, which lists its elementary streams
+        const pat = packets.find(packet => packet.pid === 0 && packet.start);
+        const programs = pat ? this.tsSection(pat.payload, 0x00, 8, 4) : [];
+        const program = programs.find(entry => ((entry[0] << 8) | entry[1]) !== 0);
+        if (!program) return info;
+
+        const pmtPid = ((program[2] & 0x1F) << 8) | program[3];
+        const pmt = packets.find(packet => packet.pid === pmtPid && packet.start);
+        if (!pmt) return info;
+
+        const streams = this.tsProgramStreams(pmt.payload);
+        info.codec = Array.from(new Set(streams.map(stream => this.TS_STREAM_TYPES[stream.type]).filter(Boolean))).join(', ');
+
+        const video = streams.find(stream => stream.type === 0x1B);
+        if (video) {
+            const payloads = packets.filter(packet => packet.pid === video.pid).map(packet => packet.payload);
+            info.resolution = this.h264Resolution(this.concatBytes(payloads));
+        }
+
+        return info;
+    },
+
+    /**
+     * Split a buffer into TS packets, keeping each one's PID, unit start flag and payload
+     */
+    tsPackets: function (bytes) {
+        const size = this.TS_PACKET_SIZE;
+        const packets = [];
+        if (!bytes) return packets;
+
+        let offset = 0;
+        while (offset < size && !(bytes[offset] === 0x47 && (offset + size >= bytes.length || bytes[offset + size] === 0x47))) {
+            offset++;
+        }
+
+        for (let i = offset; i + size <= bytes.length && bytes[i] === 0x47; i += size) {
+            const control = (bytes[i + 3] >> 4) & 0x03;
+            const payload = i + 4 + (control & 0x02 ? 1 + bytes[i + 4] : 0);
+
+            if ((control & 0x01) && payload < i + size) {
+                packets.push({
+                    pid: ((bytes[i + 1] & 0x1F) << 8) | bytes[i + 2],
+                    start: (bytes[i + 1] & 0x40) !== 0,
+                    payload: bytes.subarray(payload, i + size)
+                });
+            }
+        }
+
+        return packets;
+    },
+
+    /**
+     * Fixed size entries of a PSI section that starts in this payload, CRC excluded
+     */
+    tsSection: function (payload, tableId, headerLength, entryLength) {
+        const section = payload.subarray(1 + payload[0]);
+        if (section[0] !== tableId) return [];
+
+        const end = Math.min(3 + (((section[1] & 0x0F) << 8) | section[2]) - 4, section.length);
+        const entries = [];
+        for (let pos = headerLength; pos + entryLength <= end; pos += entryLength) {
+            entries.push(section.subarray(pos, pos + entryLength));
+        }
+
+        return entries;
+    },
+
+    /**
+     * Elementary stream types and PIDs from a PMT section
+     */
+    tsProgramStreams: function (payload) {
+        const section = payload.subarray(1 + payload[0]);
+        if (section[0] !== 0x02) return [];
+
+        const end = Math.min(3 + (((section[1] & 0x0F) << 8) | section[2]) - 4, section.length);
+        const streams = [];
+        let pos = 12 + (((section[10] & 0x0F) << 8) | section[11]);
+
+        while (pos + 5 <= end) {
+            streams.push({ type: section[pos], pid: ((section[pos + 1] & 0x1F) << 8) | section[pos + 2] });
+            pos += 5 + (((section[pos + 3] & 0x0F) << 8) | section[pos + 4]);
+        }
+
+        return streams;
+    },
+
+    /**
+     * Coded size from the first H.264 sequence parameter set in a run of video payloads
+     */
+    h264Resolution: function (data) {
+        for (let i = 0; i + 4 < data.length; i++) {
+            if (data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 1 || (data[i + 3] & 0x1F) !== 7) continue;
+
+            // Drop the emulation prevention bytes, 00 00 03 carries 00 00
+            const rbsp = [];
+            for (let j = i + 4; j < data.length; j++) {
+                if (data[j] === 0 && data[j + 1] === 0 && (data[j + 2] === 0 || data[j + 2] === 1)) break;
+                if (data[j] === 3 && j >= 2 && data[j - 1] === 0 && data[j - 2] === 0) continue;
+                rbsp.push(data[j]);
+            }
+
+            try {
+                return this.parseSps(rbsp);
+            } catch (e) {
+                // cut off before the size fields
+                return '';
+            }
+        }
+
+        return '';
+    },
+
+    /**
+     * Width and height from an SPS payload, cropping included
+     */
+    parseSps: function (rbsp) {
+        let pos = 0;
+        const bit = () => {
+            if (pos >= rbsp.length * 8) throw new RangeError('SPS ended early');
+            const value = (rbsp[pos >> 3] >> (7 - (pos & 7))) & 1;
+            pos++;
+            return value;
+        };
+        const bits = (count) => {
+            let value = 0;
+            for (let i = 0; i < count; i++) value = value * 2 + bit();
+            return value;
+        };
+        const ue = () => {
+            let zeros = 0;
+            while (bit() === 0) {
+                if (++zeros > 31) throw new RangeError('Bad exp-Golomb code');
+            }
+            return 2 ** zeros - 1 + bits(zeros);
+        };
+        const se = () => {
+            const value = ue();
+            return value % 2 ? (value + 1) / 2 : -value / 2;
+        };
+
+        const profile = bits(8);
+        bits(16);
+        ue();
+
+        let chromaFormat = 1;
+        if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profile)) {
+            chromaFormat = ue();
+            if (chromaFormat === 3) bit();
+            ue();
+            ue();
+            bit();
+
+            // Scaling lists only need walking past
+            if (bit()) {
+                for (let list = 0; list < (chromaFormat === 3 ? 12 : 8); list++) {
+                    if (!bit()) continue;
+                    let last = 8;
+                    let next = 8;
+                    for (let j = 0; j < (list < 6 ? 16 : 64) && next !== 0; j++) {
+                        next = (last + se() + 256) % 256;
+                        last = next === 0 ? last : next;
+                    }
+                }
+            }
+        }
+
+        ue();
+        const pocType = ue();
+        if (pocType === 0) {
+            ue();
+        } else if (pocType === 1) {
+            bit();
+            se();
+            se();
+            const cycle = ue();
+            for (let i = 0; i < cycle; i++) se();
+        }
+
+        ue();
+        bit();
+        const widthInMbs = ue() + 1;
+        const heightInMapUnits = ue() + 1;
+        const frameMbsOnly = bit();
+        if (!frameMbsOnly) bit();
+        bit();
+
+        let width = widthInMbs * 16;
+        let height = (2 - frameMbsOnly) * heightInMapUnits * 16;
+
+        if (bit()) {
+            const cropX = chromaFormat === 1 || chromaFormat === 2 ? 2 : 1;
+            const cropY = (chromaFormat === 1 ? 2 : 1) * (2 - frameMbsOnly);
+            width -= (ue() + ue()) * cropX;
+            height -= (ue() + ue()) * cropY;
+        }
+
+        return `${width}x${height}`;
+    },
+
+    /**
+     * Join byte arrays into one
+     */
+    concatBytes: function (chunks) {
+        const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return bytes;
+    },
+
+    /**
+     * Map an HTTP Content-Type header to a stream type
+     */
+    fromContentType: function (contentType) {
+        const type = (contentType || '').toLowerCase().split(';')[0].trim();
+
+        if (type.includes('mpegurl')) return 'hls';
+        if (type === 'application/dash+xml') return 'dash';
+        if (type === 'video/mp2t') return 'mpegts';
+        if (type === 'video/mp4' || type === 'video/quicktime') return 'mp4';
+        if (type === 'video/webm' || type === 'video/x-matroska') return 'webm';
+
+        return null;
+    },
+
+    /**
+     * Guess the stream type from the URL path
+     */
+    fromUrl: function (url) {
+        let path = (url || '').toLowerCase();
+
+        // Look at the real stream, not our proxy, and ignore the query string
+        try {
+            const parsed = new URL(url, 'http://localhost');
+            path = (parsed.searchParams.get('url') || parsed.pathname).toLowerCase().split('?')[0];
+        } catch (e) {
+            // keep the raw string
+        }
+
+        if (path.endsWith('.m3u8') || path.includes('/hls/')) return 'hls';
+        if (path.endsWith('.mpd')) return 'dash';
+        if (path.endsWith('.ts')) return 'mpegts';
+        if (/\.(mp4|m4v|mov)$/.test(path)) return 'mp4';
+        if (/\.(webm|mkv)$/.test(path)) return 'webm';
+
+        return null;
+    },
+
+    /**
+     * MIME type for a detected stream type
+     */
+    mimeType: function (type) {
+        return this.MIME_TYPES[type] || '';
+    },
+
+    /**
+     * Fetch the head of a stream and detect its type
+     * Returns the detection plus ok/status/timedOut so callers can fail fast on dead streams,
+     * the time to first byte in ms and the bytes read
+     */
+    probe: async function (url, options = {}) {
+        const timeout = options.timeout || 4000;
+        const length = options.length || 1024;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const started = Date.now();
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            const ttfb = Date.now() - started;
+
+            if (!response.ok) {
+                return { ok: false, status: response.status, timedOut: false, ttfb: ttfb, bytes: null, ...this.detect(null, '', options.originalUrl || url) };
+            }
+
+            const bytes = await this.readHead(response, length);
+            const detection = this.detect(bytes, response.headers.get('Content-Type'), options.originalUrl || url);
+
+            return { ok: true, status: response.status, timedOut: false, ttfb: ttfb, bytes: bytes, ...detection };
+        } catch (e) {
+            console.error('Stream probe failed:', e);
+
+            // Our own timer is the only thing that aborts before the finally below
+            const timedOut = controller.signal.aborted;
+            return { ok: false, status: 0, timedOut: timedOut, ttfb: null, bytes: null, ...this.detect(null, '', options.originalUrl || url) };
+        } finally {
+            clearTimeout(timer);
+            // Release the provider connection, live streams never end on their own
+            controller.abort();
+        }
+    },
+
+    /**
+     * Read at least the first `length` bytes of a response body
+     */
+    readHead: async function (response, length) {
+        if (!response.body || !response.body.getReader) {
+            return new Uint8Array(await response.arrayBuffer()).subarray(0, length);
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+
+        while (received < length) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+        }
+
+        reader.cancel().catch(() => { });
+
+        return this.concatBytes(chunks);
+    }
+};
+
+// Allow the detector to be loaded outside the browser for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StreamDetector;
+}
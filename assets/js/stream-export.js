@@ -0,0 +1,53 @@
+/**
+ * Stream Export
+ * Adds an #EXTM3U playlist to the DataTables export formats, written the same
+ * way as the playlist links, one entry per row with a stream url
+ */
+
+class StreamM3uExport {
+    constructor() {
+        this.label = 'M3U Playlist';
+        this.extension = 'm3u8';
+        this.mimeType = 'application/mpegurl';
+    }
+
+    header() {
+        return '#EXTM3U\n';
+    }
+
+    row(row) {
+        if (!row.s_stream_uri) return '';
+
+        const name = this.clean(row.s_name || row.s_orig_name);
+        let extinf = `#EXTINF:-1 tvg-name="${name}" tvg-chno="${this.clean(row.s_channel)}"`;
+
+        if (row.s_tvg_group) {
+            extinf += ` tvg-group="${this.clean(row.s_tvg_group)}" group-title="${this.clean(row.s_tvg_group)}"`;
+        }
+
+        if (row.s_tvg_id) {
+            extinf += ` tvg-id="${this.clean(row.s_tvg_id)}"`;
+        }
+
+        if (row.s_tvg_logo) {
+            extinf += ` tvg-logo="${this.clean(row.s_tvg_logo)}"`;
+        }
+
+        return `${extinf}, ${name}\n${String(row.s_stream_uri).trim()}\n`;
+    }
+
+    footer() {
+        return '';
+    }
+
+    /**
+     * Attribute values can't hold quotes or line breaks
+     */
+    clean(value) {
+        return String(value ?? '').replace(/"/g, '').replace(/[\r\n]+/g, ' ').trim();
+    }
+}
+
+if (typeof DataTablesJS !== 'undefined') {
+    DataTablesJS.registerExportFormat('m3u', new StreamM3uExport());
+}
@@ -0,0 +1,291 @@
+/**
+ * Stream Health Check
+ * Probes the selected streams through the proxy a few at a time and shows
+ * reachability, codec/resolution and time to first byte in a Health column
+ */
+
+class StreamHealthCheck {
+    constructor(options = {}) {
+        this.proxyUrl = '/proxy/stream';
+        this.concurrency = options.concurrency || 3;
+        this.timeout = options.timeout || 8000;
+        // Enough of a TS stream to usually reach the PMT and the first SPS
+        this.probeBytes = options.probeBytes || 65536;
+        this.results = new Map();
+        this.running = false;
+        this.observer = null;
+        this.labels = {
+            ok: ['Reachable', 'uk-label-success'],
+            dead: ['Dead', 'uk-label-danger'],
+            timeout: ['Timeout', 'uk-label-warning']
+        };
+    }
+
+    // ============================================
+    // Running
+    // ============================================
+
+    /**
+     * Check the rows selected in the DataTable
+     */
+    async runSelected() {
+        if (this.running) {
+            this.notify('A health check is already running', 'warning');
+            return;
+        }
+
+        const table = window.DataTables;
+        if (table && table.selectAllMatching) {
+            this.notify('The health check only works on the rows on this page, clear the "all matching" selection first', 'warning');
+            return;
+        }
+
+        let ids = table ? Array.from(table.selectedIds) : [];
+        if (ids.length === 0) {
+            ids = Array.from(document.querySelectorAll('.record-checkbox:checked')).map(checkbox => checkbox.value);
+        }
+
+        const streams = ids.map(id => this.streamFromRow(id)).filter(stream => stream.url);
+        if (streams.length === 0) {
+            this.notify('Please select at least one stream to check', 'warning');
+            return;
+        }
+
+        await this.run(streams);
+        this.offerDeactivate(streams);
+    }
+
+    streamFromRow(id) {
+        const row = window.DataTablesRowData ? window.DataTablesRowData[id] || {} : {};
+
+        return {
+            id: String(id),
+            url: row.s_stream_uri || '',
+            active: row.s_active == 1
+        };
+    }
+
+    /**
+     * Probe every stream with at most `concurrency` running at once
+     */
+    async run(streams) {
+        this.running = true;
+        this.watchTable();
+
+        streams.forEach(stream => this.setResult(stream.id, { state: 'checking' }));
+        this.notify(`Checking ${streams.length} stream(s)...`, 'primary');
+
+        const queue = streams.slice();
+        const worker = async () => {
+            while (queue.length > 0) {
+                const stream = queue.shift();
+                this.setResult(stream.id, await this.check(stream.url));
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(this.concurrency, streams.length) }, worker));
+        } finally {
+            this.running = false;
+        }
+
+        const dead = streams.filter(stream => this.results.get(stream.id).state !== 'ok').length;
+        this.notify(`Health check finished: ${streams.length - dead} reachable, ${dead} failed`, dead > 0 ? 'warning' : 'success');
+    }
+
+    /**
+     * Probe one stream and pull what media details we can from it
+     */
+    async check(url) {
+        const proxied = `${this.proxyUrl}?url=${encodeURIComponent(url)}`;
+        const probe = await StreamDetector.probe(proxied, {
+            timeout: this.timeout,
+            length: this.probeBytes,
+            originalUrl: url
+        });
+
+        if (!probe.ok) {
+            return { state: probe.timedOut ? 'timeout' : 'dead', status: probe.status, type: probe.type, ttfb: probe.ttfb };
+        }
+
+        // Details come from the bytes already read, the provider only sees the probe
+        let media = {};
+        if (probe.type === 'hls') {
+            media = this.parseHlsManifest(probe.bytes);
+        } else if (probe.type === 'mpegts') {
+            media = StreamDetector.mpegTsInfo(probe.bytes);
+        }
+
+        return { state: 'ok', status: probe.status, type: probe.type, ttfb: probe.ttfb, ...media };
+    }
+
+    /**
+     * Best variant's codecs and resolution from an HLS master playlist
+     */
+    parseHlsManifest(bytes) {
+        const text = new TextDecoder().decode(bytes || new Uint8Array());
+        let best = null;
+
+        text.split(/\r?\n/).forEach(line => {
+            if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+
+            const resolution = (line.match(/RESOLUTION=(\d+)x(\d+)/) || []);
+            const codecs = (line.match(/CODECS="([^"]+)"/) || [])[1] || '';
+            const height = parseInt(resolution[2] || 0, 10);
+
+            if (!best || height > best.height) {
+                best = { height: height, resolution: resolution[0] ? `${resolution[1]}x${resolution[2]}` : '', codec: codecs };
+            }
+        });
+
+        return best ? { codec: best.codec, resolution: best.resolution } : {};
+    }
+
+    // ============================================
+    // Health Column
+    // ============================================
+
+    setResult(id, result) {
+        this.results.set(String(id), result);
+
+        const row = document.querySelector(`.datatables-tbody tr[data-id="${id}"]`);
+        if (row) {
+            this.renderCell(row);
+        }
+    }
+
+    /**
+     * Keep the column in place when the table re-renders
+     */
+    watchTable() {
+        const tbody = document.querySelector('.datatables-tbody');
+        if (!tbody || this.observer) return;
+
+        this.observer = new MutationObserver(() => {
+            // The table was torn down under us
+            if (!tbody.isConnected) {
+                this.teardown();
+                return;
+            }
+            this.renderColumn();
+        });
+        this.observer.observe(tbody, { childList: true });
+        this.renderColumn();
+    }
+
+    /**
+     * Stop watching the table and take the column and results away
+     */
+    teardown() {
+        if (this.running) return;
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        document.querySelectorAll('.health-col, .health-cell').forEach(element => element.remove());
+        this.results.clear();
+    }
+
+    renderColumn() {
+        const headRow = document.querySelector('.datatables-table thead tr');
+        if (headRow && !headRow.querySelector('.health-col')) {
+            headRow.insertAdjacentHTML('beforeend', '<th class="health-col">Health <a href="#" class="uk-icon-link health-close" uk-icon="icon: close; ratio: 0.7" uk-tooltip="Clear the Health Results"></a></th>');
+        }
+
+        document.querySelectorAll('.datatables-tbody tr[data-id]').forEach(row => this.renderCell(row));
+    }
+
+    renderCell(row) {
+        let cell = row.querySelector('.health-cell');
+        if (!cell) {
+            row.insertAdjacentHTML('beforeend', '<td class="health-cell"></td>');
+            cell = row.querySelector('.health-cell');
+        }
+
+        const result = this.results.get(row.dataset.id);
+        if (!result) {
+            cell.innerHTML = '';
+            return;
+        }
+
+        if (result.state === 'checking') {
+            cell.innerHTML = '<span uk-spinner="ratio: 0.5"></span>';
+            return;
+        }
+
+        const [label, labelClass] = this.labels[result.state];
+        const details = [];
+
+        if (result.resolution) details.push(result.resolution);
+        if (result.codec) details.push(result.codec);
+        if (result.state === 'ok' && !result.codec && result.type !== 'unknown') details.push(result.type.toUpperCase());
+        if (result.ttfb !== null && result.ttfb !== undefined) details.push(`${result.ttfb} ms`);
+        if (result.state === 'dead' && result.status) details.push(`HTTP ${result.status}`);
+
+        cell.innerHTML = `
+            <span class="uk-label ${labelClass}">${label}</span>
+            <div class="uk-text-meta">${this.escapeHtml(details.join(' · '))}</div>
+        `;
+    }
+
+    // ============================================
+    // Dead Streams
+    // ============================================
+
+    /**
+     * Offer to deactivate the active streams that failed the check
+     */
+    offerDeactivate(streams) {
+        const dead = streams.filter(stream => stream.active && this.results.get(stream.id).state !== 'ok');
+        if (dead.length === 0) return;
+
+        UIkit.modal.confirm(`${dead.length} active stream(s) failed the health check. Deactivate them?`).then(
+            async () => {
+                const results = await Promise.all(dead.map(stream => KPTV.saveField(stream.id, 's_active', '0')));
+                const failed = results.filter(ok => !ok).length;
+
+                if (failed > 0) {
+                    this.notify(`Failed to deactivate ${failed} stream(s)`, 'danger');
+                } else {
+                    this.notify('Dead streams deactivated');
+                }
+
+                if (window.DataTables) {
+                    window.DataTables.reload();
+                }
+            },
+            () => {
+                // User cancelled
+            }
+        );
+    }
+
+    notify(message, status = 'success') {
+        UIkit.notification({ message: message, status: status, pos: 'top-right', timeout: 3000 });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Single runner shared by the page
+const streamHealth = new StreamHealthCheck();
+
+document.addEventListener('click', function (e) {
+    if (e.target.closest('.health-check')) {
+        e.preventDefault();
+        streamHealth.runSelected();
+    }
+
+    if (e.target.closest('.health-close')) {
+        e.preventDefault();
+        streamHealth.teardown();
+    }
+});
+
+window.addEventListener('pagehide', () => streamHealth.teardown());
@@ -0,0 +1,605 @@
+/**
+ * Stream Importer
+ * Drop an M3U playlist or a CSV file to add its streams to one of the user's
+ * providers. The file is parsed in the browser, its columns mapped to stream
+ * fields, checked for streams that already exist, then added in batches
+ */
+
+class StreamImporter {
+    constructor(modalId = 'import_modal') {
+        this.modalId = modalId;
+        this.modal = null;
+        this.previewLimit = 100;
+        this.checkSize = 500;
+        this.batchSize = 250;
+        this.columns = [];
+        this.rows = [];
+        this.statuses = [];
+        this.running = false;
+
+        // Stream fields and the column names they are guessed from
+        this.fields = [
+            { key: 's_name', label: 'Name', guesses: ['s_name', 'name', 'tvg-name', 'title', 'channel name'] },
+            { key: 's_orig_name', label: 'Original Name', guesses: ['s_orig_name', 'orig. name', 'original name', 'orig name', 'name', 'tvg-name'] },
+            { key: 's_stream_uri', label: 'Stream URL', guesses: ['s_stream_uri', 'url', 'stream url', 'stream', 'uri', 'link'] },
+            { key: 's_channel', label: 'Channel', guesses: ['s_channel', 'tvg-chno', 'ch', 'channel', 'chno', 'number'] },
+            { key: 's_tvg_id', label: 'TVG ID', guesses: ['s_tvg_id', 'tvg-id', 'tvg id', 'channel-id', 'epg id'] },
+            { key: 's_tvg_group', label: 'TVG Group', guesses: ['s_tvg_group', 'group-title', 'tvg-group', 'group', 'category'] },
+            { key: 's_tvg_logo', label: 'Logo', guesses: ['s_tvg_logo', 'tvg-logo', 'logo', 'icon'] }
+        ];
+    }
+
+    async open() {
+        this.buildModal();
+        this.reset();
+
+        try {
+            const providers = await this.request({ action: 'import_providers' });
+            const select = this.modal.$el.querySelector('.import-provider');
+
+            select.innerHTML = Object.entries(providers || {}).map(([id, name]) =>
+                `<option value="${this.escapeHtml(id)}">${this.escapeHtml(name)}</option>`
+            ).join('');
+        } catch (e) {
+            console.error('Error loading providers:', e);
+            this.notify('Unable to load your providers', 'danger');
+            return;
+        }
+
+        this.modal.show();
+    }
+
+    reset() {
+        const el = this.modal.$el;
+
+        this.columns = [];
+        this.rows = [];
+        this.statuses = [];
+
+        el.querySelector('.import-file-input').value = '';
+        el.querySelector('.import-file-name').textContent = '';
+        el.querySelector('.import-setup').hidden = true;
+        el.querySelector('.import-preview').innerHTML = '';
+        el.querySelector('.import-report').innerHTML = '';
+        el.querySelector('.import-progress').hidden = true;
+        el.querySelector('.import-run').disabled = true;
+    }
+
+    // ============================================
+    // Parsing
+    // ============================================
+
+    async readFile(file) {
+        if (!file) return;
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (e) {
+            console.error('Error reading the import file:', e);
+            this.notify('Unable to read that file', 'danger');
+            return;
+        }
+
+        text = text.replace(/^\uFEFF/, '');
+        const parsed = /^\s*#EXTM3U/i.test(text) || /\.m3u8?$/i.test(file.name) ? this.parseM3u(text) : this.parseCsv(text);
+
+        if (parsed.rows.length === 0) {
+            this.notify('No streams found in that file', 'warning');
+            return;
+        }
+
+        this.columns = parsed.columns;
+        this.rows = parsed.rows;
+        this.statuses = [];
+
+        const el = this.modal.$el;
+        el.querySelector('.import-file-name').textContent = `${file.name}: ${this.rows.length.toLocaleString()} row(s)`;
+        el.querySelector('.import-setup').hidden = false;
+        el.querySelector('.import-preview').innerHTML = '';
+        el.querySelector('.import-report').innerHTML = '';
+        el.querySelector('.import-run').disabled = true;
+
+        this.renderMapping();
+    }
+
+    /**
+     * #EXTINF attributes become columns, plus the title after the comma and the url line
+     */
+    parseM3u(text) {
+        const rows = [];
+        const columns = new Set(['name', 'url']);
+        let current = null;
+
+        text.split(/\r?\n/).forEach(line => {
+            line = line.trim();
+            if (!line) return;
+
+            if (/^#EXTINF:/i.test(line)) {
+                const info = line.substring(8);
+                let split = -1;
+                let quoted = false;
+
+                // The title starts at the first comma outside the attribute quotes
+                for (let i = 0; i < info.length; i++) {
+                    if (info[i] === '"') quoted = !quoted;
+                    if (info[i] === ',' && !quoted) {
+                        split = i;
+                        break;
+                    }
+                }
+
+                current = { name: split >= 0 ? info.substring(split + 1).trim() : '' };
+
+                const attributes = split >= 0 ? info.substring(0, split) : info;
+                attributes.replace(/([\w-]+)="([^"]*)"/g, (match, key, value) => {
+                    key = key.toLowerCase();
+                    current[key] = value.trim();
+                    columns.add(key);
+                });
+            } else if (/^#EXTGRP:/i.test(line)) {
+                if (current && !current['group-title']) {
+                    current['group-title'] = line.substring(8).trim();
+                    columns.add('group-title');
+                }
+            } else if (!line.startsWith('#')) {
+                if (current) {
+                    current.url = line;
+                    rows.push(current);
+                    current = null;
+                }
+            }
+        });
+
+        return { columns: Array.from(columns), rows: rows };
+    }
+
+    /**
+     * Quoted fields, doubled quotes and line breaks in quotes, the delimiter is
+     * whichever of comma, semicolon or tab the header row uses most
+     */
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        , ',');
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const header = (records.shift() || []).map((name, i) => name.trim() || `Column ${i + 1}`);
+        const rows = records
+            .filter(values => values.some(value => value.trim() !== ''))
+            .map(values => Object.fromEntries(header.map((name, i) => [name, (values[i] || '').trim()])));
+
+        return { columns: header, rows: rows };
+    }
+
+    // ============================================
+    // Mapping & Duplicates
+    // ============================================
+
+    renderMapping() {
+        // A column can feed more than one field, an M3U title is both names
+        this.modal.$el.querySelector('.import-mapping').innerHTML = this.fields.map(field => {
+            const guess = field.guesses
+                .map(name => this.columns.find(column => column.toLowerCase() === name))
+                .find(Boolean) || '';
+
+            return `
+                <div class="uk-width-1-2@s uk-width-1-4@m">
+                    <label class="uk-form-label">${this.escapeHtml(field.label)}</label>
+                    <select class="uk-select uk-form-small import-map" data-field="${field.key}">
+                        <option value="">Not Imported</option>
+                        ${this.columns.map(column => `<option value="${this.escapeHtml(column)}"${column === guess ? ' selected' : ''}>${this.escapeHtml(column)}</option>`).join('')}
+                    </select>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Every row as stream fields, through the chosen mapping
+     */
+    getMappedRows() {
+        const mapping = {};
+        this.modal.$el.querySelectorAll('.import-map').forEach(select => {
+            mapping[select.dataset.field] = select.value;
+        });
+
+        return this.rows.map((row, index) => {
+            const stream = { index: index };
+
+            this.fields.forEach(field => {
+                stream[field.key] = mapping[field.key] ? String(row[mapping[field.key]] ?? '').trim() : '';
+            });
+
+            // The names fall back to each other like they do when saving
+            stream.s_name = stream.s_name || stream.s_orig_name;
+            stream.s_orig_name = stream.s_orig_name || stream.s_name;
+
+            return stream;
+        });
+    }
+
+    /**
+     * The form rows in the same file are compared in, close to how the database
+     * compares: case, accents and trailing spaces are ignored. Rows that match a
+     * saved stream come back from the server, which compares for real
+     */
+    matchKey(value) {
+        return String(value || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/ +$/, '').toLowerCase();
+    }
+
+    /**
+     * Sort every row into new, invalid, already in the file or already saved
+     */
+    async preview() {
+        if (this.running || this.rows.length === 0) return;
+
+        const provider = this.modal.$el.querySelector('.import-provider').value;
+        if (!provider) {
+            this.notify('Please pick a provider to import into', 'warning');
+            return;
+        }
+
+        const streams = this.getMappedRows();
+        const seenNames = new Set();
+        const seenUris = new Set();
+
+        this.running = true;
+        this.setProgress(0, streams.length, 'Checking for duplicates...');
+
+        try {
+            // Row indexes whose name or url is already saved
+            const existingNames = new Set();
+            const existingUris = new Set();
+
+            for (let i = 0; i < streams.length; i += this.checkSize) {
+                const batch = streams.slice(i, i + this.checkSize);
+
+                // Sent whole so the indexes that come back line up with the batch
+                const existing = await this.request({
+                    action: 'import_check',
+                    provider: provider,
+                    names: JSON.stringify(batch.map(stream => stream.s_orig_name || '')),
+                    uris: JSON.stringify(batch.map(stream => stream.s_stream_uri || ''))
+                }, 'POST');
+
+                (existing.names || []).forEach(index => existingNames.add(i + index));
+                (existing.uris || []).forEach(index => existingUris.add(i + index));
+                this.setProgress(Math.min(i + this.checkSize, streams.length), streams.length, 'Checking for duplicates...');
+            }
+
+            this.statuses = streams.map((stream, index) => {
+                const nameKey = this.matchKey(stream.s_orig_name);
+                const uriKey = this.matchKey(stream.s_stream_uri);
+                let status;
+
+                if (!stream.s_name) {
+                    status = { type: 'invalid', label: 'No Name' };
+                } else if (!/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(stream.s_stream_uri)) {
+                    status = { type: 'invalid', label: 'No URL' };
+                } else if (existingUris.has(index)) {
+                    status = { type: 'duplicate', label: 'URL Exists' };
+                } else if (existingNames.has(index)) {
+                    status = { type: 'duplicate', label: 'Name Exists' };
+                } else if (seenUris.has(uriKey) || seenNames.has(nameKey)) {
+                    status = { type: 'repeat', label: 'Repeated in File' };
+                } else {
+                    status = { type: 'new', label: 'New' };
+                }
+
+                seenNames.add(nameKey);
+                seenUris.add(uriKey);
+
+                return { stream: stream, ...status };
+            });
+
+            this.renderPreview();
+        } catch (e) {
+            console.error('Error checking the import:', e);
+            this.notify(e.message || 'Unable to check for duplicates', 'danger');
+        } finally {
+            this.running = false;
+            this.modal.$el.querySelector('.import-progress').hidden = true;
+        }
+    }
+
+    renderPreview() {
+        const el = this.modal.$el;
+        const counts = { new: 0, duplicate: 0, repeat: 0, invalid: 0 };
+        this.statuses.forEach(status => counts[status.type]++);
+
+        const labels = {
+            new: 'uk-label-success',
+            duplicate: 'uk-label-warning',
+            repeat: 'uk-label-warning',
+            invalid: 'uk-label-danger'
+        };
+
+        const rows = this.statuses.slice(0, this.previewLimit).map(status => `
+            <tr class="import-row-${status.type}">
+                <td class="uk-table-shrink">${status.stream.index + 1}</td>
+                <td><span class="uk-label ${labels[status.type]}">${this.escapeHtml(status.label)}</span></td>
+                <td class="uk-text-truncate">${this.escapeHtml(status.stream.s_name)}</td>
+                <td class="uk-text-truncate uk-visible@s">${this.escapeHtml(status.stream.s_tvg_group)}</td>
+                <td class="uk-text-truncate uk-text-meta">${this.escapeHtml(status.stream.s_stream_uri)}</td>
+            </tr>
+        `).join('');
+
+        const more = this.statuses.length > this.previewLimit
+            ? `<p class="uk-text-meta">Showing the first ${this.previewLimit} of ${this.statuses.length.toLocaleString()} rows</p>`
+            : '';
+
+        el.querySelector('.import-preview').innerHTML = `
+            <p class="import-summary">
+                <strong>${counts.new.toLocaleString()}</strong> new,
+                ${(counts.duplicate + counts.repeat).toLocaleString()} duplicate(s),
+                ${counts.invalid.toLocaleString()} without a name or url
+            </p>
+            <div class="uk-overflow-auto import-preview-table">
+                <table class="uk-table uk-table-divider uk-table-small uk-table-justify">
+                    <thead><tr><th>Row</th><th>Status</th><th>Name</th><th class="uk-visible@s">Group</th><th>URL</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${more}
+        `;
+
+        el.querySelector('.import-run').disabled = this.getImportRows().length === 0;
+    }
+
+    /**
+     * New rows, and the duplicates too when they aren't being skipped
+     */
+    getImportRows() {
+        const skipDuplicates = this.modal.$el.querySelector('.import-skip-duplicates').checked;
+
+        return this.statuses
+            .filter(status => status.type === 'new' || (!skipDuplicates && status.type !== 'invalid'))
+            .map(status => status.stream);
+    }
+
+    // ============================================
+    // Importing
+    // ============================================
+
+    async run() {
+        if (this.running) return;
+
+        const el = this.modal.$el;
+        const streams = this.getImportRows();
+        if (streams.length === 0) {
+            this.notify('There is nothing new to import', 'warning');
+            return;
+        }
+
+        const provider = el.querySelector('.import-provider').value;
+        const active = el.querySelector('.import-active').checked ? '1' : '';
+        const errors = [];
+        let added = 0;
+
+        this.running = true;
+        el.querySelector('.import-run').disabled = true;
+        el.querySelector('.import-report').innerHTML = '';
+        this.setProgress(0, streams.length, 'Importing...');
+
+        for (let i = 0; i < streams.length; i += this.batchSize) {
+            const batch = streams.slice(i, i + this.batchSize);
+
+            try {
+                const result = await this.request({
+                    action: 'import_streams',
+                    provider: provider,
+                    active: active,
+                    rows: JSON.stringify(batch)
+                }, 'POST');
+
+                added += result.added || 0;
+                Object.entries(result.errors || {}).forEach(([index, message]) => {
+                    errors.push({ stream: this.statuses[index].stream, message: message });
+                });
+            } catch (e) {
+                console.error('Error importing streams:', e);
+                batch.forEach(stream => errors.push({ stream: stream, message: e.message || 'Request failed' }));
+            }
+
+            this.setProgress(Math.min(i + this.batchSize, streams.length), streams.length, 'Importing...');
+        }
+
+        this.running = false;
+        el.querySelector('.import-progress').hidden = true;
+        this.renderReport(added, streams.length, errors);
+
+        if (added > 0 && window.DataTables) {
+            window.DataTables.reload();
+        }
+    }
+
+    renderReport(added, total, errors) {
+        const list = errors.slice(0, this.previewLimit).map(error => `
+            <li><span class="uk-text-meta">Row ${error.stream.index + 1}</span> ${this.escapeHtml(error.stream.s_name || '')}: <span class="uk-text-danger">${this.escapeHtml(error.message)}</span></li>
+        `).join('');
+
+        this.modal.$el.querySelector('.import-report').innerHTML = `
+            <div class="uk-alert ${errors.length ? 'uk-alert-warning' : 'uk-alert-success'}">
+                Imported ${added.toLocaleString()} of ${total.toLocaleString()} stream(s)${errors.length ? `, ${errors.length.toLocaleString()} failed` : ''}
+            </div>
+            ${list ? `<ul class="uk-list uk-list-divider uk-text-small import-errors">${list}</ul>` : ''}
+            ${errors.length > this.previewLimit ? `<p class="uk-text-meta">and ${(errors.length - this.previewLimit).toLocaleString()} more</p>` : ''}
+        `;
+
+        this.notify(`Imported ${added} stream(s)`, errors.length ? 'warning' : 'success');
+    }
+
+    setProgress(done, total, label) {
+        const el = this.modal.$el;
+        const progress = el.querySelector('.import-progress');
+
+        progress.hidden = false;
+        progress.querySelector('progress').max = total;
+        progress.querySelector('progress').value = done;
+        progress.querySelector('.import-progress-label').textContent = `${label} ${done.toLocaleString()} of ${total.toLocaleString()}`;
+    }
+
+    /**
+     * Talk to the streams page, resolves to the response data
+     */
+    async request(params, method = 'GET') {
+        let response;
+
+        if (method === 'GET') {
+            response = await fetch('?' + new URLSearchParams(params).toString());
+        } else {
+            const formData = new FormData();
+            Object.entries(params).forEach(([key, value]) => formData.append(key, value));
+            response = await fetch(window.location.href, { method: 'POST', body: formData });
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || 'Request failed');
+        }
+
+        return data.data;
+    }
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    buildModal() {
+        if (this.modal) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${this.modalId}" class="import-modal uk-modal-container" uk-modal>
+                <div class="uk-modal-dialog uk-modal-body">
+                    <button class="uk-modal-close-default" type="button" uk-close></button>
+                    <h3 class="uk-modal-title">Import Streams</h3>
+                    <div class="uk-placeholder uk-text-center import-drop">
+                        <span uk-icon="icon: cloud-upload"></span>
+                        <span class="uk-text-middle">Drop an M3U or CSV file here or</span>
+                        <div uk-form-custom>
+                            <input type="file" class="import-file-input" accept=".m3u,.m3u8,.csv,.txt">
+                            <span class="uk-link">choose one</span>
+                        </div>
+                        <div class="import-file-name uk-text-meta uk-margin-small-top"></div>
+                    </div>
+                    <div class="import-setup" hidden>
+                        <div class="uk-grid-small uk-flex-bottom" uk-grid>
+                            <div class="uk-width-1-2@s">
+                                <label class="uk-form-label">Provider</label>
+                                <select class="uk-select uk-form-small import-provider"></select>
+                            </div>
+                            <div class="uk-width-1-4@s">
+                                <label><input type="checkbox" class="uk-checkbox import-active" checked> Active</label>
+                            </div>
+                            <div class="uk-width-1-4@s">
+                                <label><input type="checkbox" class="uk-checkbox import-skip-duplicates" checked> Skip Duplicates</label>
+                            </div>
+                        </div>
+                        <h4 class="uk-margin-small-top uk-margin-small-bottom">Columns</h4>
+                        <div class="uk-grid-small import-mapping" uk-grid></div>
+                    </div>
+                    <div class="import-progress uk-margin-small-top" hidden>
+                        <progress class="uk-progress" value="0" max="100"></progress>
+                        <div class="import-progress-label uk-text-meta"></div>
+                    </div>
+                    <div class="import-preview uk-margin-small-top"></div>
+                    <div class="import-report uk-margin-small-top"></div>
+                    <div class="uk-text-right uk-margin-top">
+                        <button class="uk-button uk-button-default uk-modal-close" type="button">Close</button>
+                        <button class="uk-button uk-button-default import-check" type="button">Preview</button>
+                        <button class="uk-button uk-button-primary import-run" type="button">Import</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.modal = UIkit.modal(`#${this.modalId}`, { bgClose: false });
+
+        const el = this.modal.$el;
+        const drop = el.querySelector('.import-drop');
+
+        el.querySelector('.import-file-input').addEventListener('change', (e) => this.readFile(e.target.files[0]));
+        el.querySelector('.import-check').addEventListener('click', () => this.preview());
+        el.querySelector('.import-run').addEventListener('click', () => this.run());
+
+        // A different mapping, provider or skip setting needs a new preview
+        el.querySelector('.import-setup').addEventListener('change', (e) => {
+            if (e.target.matches('.import-skip-duplicates') && this.statuses.length > 0) {
+                el.querySelector('.import-run').disabled = this.getImportRows().length === 0;
+            } else if (e.target.matches('.import-map, .import-provider')) {
+                this.statuses = [];
+                el.querySelector('.import-preview').innerHTML = '';
+                el.querySelector('.import-run').disabled = true;
+            }
+        });
+
+        drop.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            drop.classList.add('import-drop-over');
+        });
+        drop.addEventListener('dragleave', () => drop.classList.remove('import-drop-over'));
+        drop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            drop.classList.remove('import-drop-over');
+            this.readFile(e.dataTransfer.files[0]);
+        });
+    }
+
+    notify(message, status = 'success') {
+        UIkit.notification({ message: message, status: status, pos: 'top-right', timeout: 3000 });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Single importer shared by the page
+const streamImporter = new StreamImporter();
+
+document.addEventListener('click', function (e) {
+    if (e.target.closest('.import-streams')) {
+        e.preventDefault();
+        streamImporter.open();
+    }
+});
@@ -0,0 +1,428 @@
+/**
+ * Bulk Stream Renaming
+ * Find and replace, regex with capture groups, trimming and case changes over
+ * the names of the selected streams or every stream matching the table search,
+ * previewed before and after and saved in batches
+ */
+
+class StreamRenamer {
+    constructor(modalId = 'rename_modal') {
+        this.modalId = modalId;
+        this.modal = null;
+        this.rows = [];
+        this.previewLimit = 100;
+
+        // Streams per rename request, the server takes no more than this at once
+        this.saveSize = 500;
+        this.saving = false;
+        this.request = 0;
+    }
+
+    /**
+     * Open the dialog on the selection, or on the search results when nothing is selected
+     * or the table selected everything matching
+     */
+    open() {
+        const table = window.DataTables;
+        if (!table) return;
+
+        this.buildModal();
+
+        const el = this.modal.$el;
+        const selected = table.selectedIds.size;
+
+        el.querySelector('.rename-scope-selected-count').textContent = selected;
+        const filtered = table.filters && table.filters.length > 0;
+        el.querySelector('.rename-scope-matching-label').textContent = table.search || filtered
+            ? `All Streams Matching ${[table.search ? `"${table.search}"` : '', filtered ? 'the Filters' : ''].filter(Boolean).join(' and ')}`
+            : 'All Streams in This View';
+        el.querySelector('.rename-scope[value="selected"]').disabled = selected === 0;
+        el.querySelector(`.rename-scope[value="${selected && !table.selectAllMatching ? 'selected' : 'matching'}"]`).checked = true;
+
+        this.modal.show();
+        this.loadRows();
+    }
+
+    // ============================================
+    // Loading
+    // ============================================
+
+    async loadRows() {
+        const table = window.DataTables;
+        const request = ++this.request;
+        const scope = this.modal.$el.querySelector('.rename-scope:checked').value;
+
+        this.rows = [];
+        this.setSummary('Loading streams...');
+        this.render();
+
+        try {
+            const rows = scope === 'selected' ? await this.loadSelected(table) : await this.loadMatching(table, request);
+
+            // The scope changed while loading
+            if (request !== this.request) return;
+
+            this.rows = rows.filter(Boolean).map(row => ({
+                id: String(row['s.id'] || row.id),
+                name: row.s_name || '',
+                orig: row.s_orig_name || ''
+            }));
+            this.render();
+        } catch (e) {
+            console.error('Error loading streams to rename:', e);
+            if (request === this.request) {
+                this.setSummary('Unable to load the streams');
+            }
+        }
+    }
+
+    /**
+     * Rows on the current page are already loaded, anything else is fetched
+     */
+    loadSelected(table) {
+        const rowData = window.DataTablesRowData || {};
+
+        return table.runConcurrent(Array.from(table.selectedIds), id =>
+            rowData[id] ? Promise.resolve(Object.assign({ id: id }, rowData[id])) : table.fetchRecord(id)
+        );
+    }
+
+    /**
+     * Every row the table's current search and filters match, not only the current page,
+     * fetched in export sized chunks since a VOD or series view can run to tens of thousands
+     */
+    async loadMatching(table, request) {
+        const rows = [];
+
+        for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+            // The scope changed while loading, the rows are thrown away
+            if (request !== this.request) break;
+
+            const response = await fetch('?' + table.getPageParams(page, table.exportChunkSize).toString());
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load data');
+            }
+
+            totalPages = parseInt(data.total_pages) || 1;
+            rows.push(...(data.data || []));
+
+            if (request === this.request) {
+                this.setSummary(`Loading streams... ${rows.length.toLocaleString()} of ${(parseInt(data.total) || 0).toLocaleString()}`);
+            }
+        }
+
+        return rows;
+    }
+
+    // ============================================
+    // Renaming
+    // ============================================
+
+    /**
+     * The rename as a function of a name, or throws on a bad pattern
+     */
+    getTransform() {
+        const el = this.modal.$el;
+        const find = el.querySelector('.rename-find').value;
+        const replace = el.querySelector('.rename-replace').value;
+        const useRegex = el.querySelector('.rename-regex').checked;
+        const ignoreCase = el.querySelector('.rename-ignore-case').checked;
+        const trim = el.querySelector('.rename-trim').checked;
+        const caseMode = el.querySelector('.rename-case').value;
+
+        let pattern = null;
+        if (find) {
+            const source = useRegex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            pattern = new RegExp(source, 'gu' + (ignoreCase ? 'i' : ''));
+        }
+
+        return (name) => {
+            if (pattern) {
+                // Plain text replaces literally, regex gets $1 style capture groups
+                name = useRegex ? name.replace(pattern, replace) : name.replace(pattern, () => replace);
+            }
+
+            if (trim) {
+                name = name.replace(/\s+/g, ' ').trim();
+            }
+
+            if (caseMode === 'lower') {
+                name = name.toLowerCase();
+            } else if (caseMode === 'upper') {
+                name = name.toUpperCase();
+            } else if (caseMode === 'title') {
+                name = name.toLowerCase().replace(/(^|[\s\-(/[|])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+            }
+
+            return name;
+        };
+    }
+
+    /**
+     * Before and after for every loaded row, throws on a bad pattern
+     */
+    getResults() {
+        const transform = this.getTransform();
+        const fromOriginal = this.modal.$el.querySelector('.rename-from-original').checked;
+
+        return this.rows.map(row => {
+            const base = fromOriginal && row.orig ? row.orig : row.name;
+            const name = transform(base);
+
+            return {
+                row: row,
+                name: name,
+                changed: name !== row.name,
+                empty: name.trim() === ''
+            };
+        });
+    }
+
+    async apply() {
+        if (this.saving) return;
+
+        let results;
+        try {
+            results = this.getResults();
+        } catch (e) {
+            this.notify(`Invalid pattern: ${e.message}`, 'danger');
+            return;
+        }
+
+        const changes = results.filter(result => result.changed && !result.empty);
+        if (changes.length === 0) {
+            this.notify('None of the names would change', 'warning');
+            return;
+        }
+
+        this.saving = true;
+        this.modal.$el.querySelector('.rename-apply').disabled = true;
+
+        const table = window.DataTables;
+        const renamed = [];
+        let failure = null;
+
+        // Each batch is saved on its own, a failure keeps the batches before it
+        for (let i = 0; i < changes.length; i += this.saveSize) {
+            const batch = changes.slice(i, i + this.saveSize);
+            this.setSummary(`Renaming streams... ${i.toLocaleString()} of ${changes.length.toLocaleString()}`);
+
+            try {
+                const updated = await this.saveBatch(batch);
+                renamed.push(...batch.filter(result => updated.has(String(result.row.id))));
+            } catch (e) {
+                failure = e;
+                break;
+            }
+        }
+
+        try {
+            if (failure) {
+                if (renamed.length === 0) throw failure;
+
+                console.error('Error renaming streams:', failure);
+                this.notify(`Renamed ${renamed.length} of ${changes.length} stream(s) before an error: ${failure.message}`, 'danger');
+            } else if (renamed.length < changes.length) {
+                this.notify(`Renamed ${renamed.length} of ${changes.length} stream(s), the others no longer exist or already had the name`, 'warning');
+            }
+
+            // Journal it as one undo step unless it's too big to replay
+            const recorded = renamed.length <= table.historyBulkLimit && table.recordChange(renamed.map(result => ({
+                id: result.row.id,
+                field: 's_name',
+                oldValue: result.row.name,
+                newValue: result.name
+            })), 'Streams renamed');
+
+            if (!recorded && renamed.length === changes.length) {
+                this.notify(`Renamed ${changes.length} stream(s)`);
+            }
+
+            table.reload();
+            this.modal.hide();
+        } catch (e) {
+            console.error('Error renaming streams:', e);
+            this.notify(e.message || 'Failed to rename the streams', 'danger');
+            this.render();
+        } finally {
+            this.saving = false;
+            this.modal.$el.querySelector('.rename-apply').disabled = false;
+        }
+    }
+
+    /**
+     * Save one batch of new names, resolves to the ids the server changed
+     */
+    async saveBatch(batch) {
+        const formData = new FormData();
+        formData.append('action', 'rename_streams');
+        formData.append('names', JSON.stringify(batch.map(result => ({ id: result.row.id, name: result.name }))));
+
+        const response = await fetch(window.location.href, { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to rename the streams');
+        }
+
+        return new Set((data.data || []).map(String));
+    }
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    buildModal() {
+        if (this.modal) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${this.modalId}" class="rename-modal uk-modal-container" uk-modal>
+                <div class="uk-modal-dialog uk-modal-body">
+                    <button class="uk-modal-close-default" type="button" uk-close></button>
+                    <h3 class="uk-modal-title">Rename Streams</h3>
+                    <div class="uk-margin-small uk-grid-small uk-child-width-auto" uk-grid>
+                        <label><input class="uk-radio rename-scope" type="radio" name="rename_scope" value="selected"> Selected Streams (<span class="rename-scope-selected-count">0</span>)</label>
+                        <label><input class="uk-radio rename-scope" type="radio" name="rename_scope" value="matching"> <span class="rename-scope-matching-label"></span></label>
+                    </div>
+                    <div class="uk-grid-small" uk-grid>
+                        <div class="uk-width-1-2@s">
+                            <label class="uk-form-label">Find</label>
+                            <input type="text" class="uk-input uk-form-small rename-find" placeholder="e.g. US| or ^\\[HD\\]\\s*">
+                        </div>
+                        <div class="uk-width-1-2@s">
+                            <label class="uk-form-label">Replace With</label>
+                            <input type="text" class="uk-input uk-form-small rename-replace" placeholder="Leave empty to remove, $1 for a regex group">
+                        </div>
+                    </div>
+                    <div class="uk-margin-small uk-grid-small uk-child-width-auto uk-flex-middle" uk-grid>
+                        <label><input class="uk-checkbox rename-regex" type="checkbox"> Regex</label>
+                        <label><input class="uk-checkbox rename-ignore-case" type="checkbox" checked> Ignore Case</label>
+                        <label><input class="uk-checkbox rename-trim" type="checkbox" checked> Trim Spaces</label>
+                        <label><input class="uk-checkbox rename-from-original" type="checkbox"> Start from the Original Name</label>
+                        <div>
+                            <select class="uk-select uk-form-small rename-case">
+                                <option value="">Keep Case</option>
+                                <option value="title">Title Case</option>
+                                <option value="upper">UPPER CASE</option>
+                                <option value="lower">lower case</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="rename-summary uk-text-meta"></div>
+                    <div class="rename-preview uk-overflow-auto">
+                        <table class="uk-table uk-table-small uk-table-divider uk-margin-remove">
+                            <thead>
+                                <tr><th>Before</th><th>After</th></tr>
+                            </thead>
+                            <tbody class="rename-rows"></tbody>
+                        </table>
+                    </div>
+                    <div class="uk-text-right uk-margin-top">
+                        <button class="uk-button uk-button-default uk-modal-close" type="button">Cancel</button>
+                        <button class="uk-button uk-button-primary rename-apply" type="button">Rename</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.modal = UIkit.modal(`#${this.modalId}`, { bgClose: false });
+
+        const el = this.modal.$el;
+        const refresh = KPTV.debounce(() => this.render(), 150);
+
+        el.querySelectorAll('.rename-find, .rename-replace').forEach(input => input.addEventListener('input', refresh));
+        el.querySelectorAll('.rename-regex, .rename-ignore-case, .rename-trim, .rename-from-original, .rename-case').forEach(input => {
+            input.addEventListener('change', () => this.render());
+        });
+        el.querySelectorAll('.rename-scope').forEach(input => input.addEventListener('change', () => this.loadRows()));
+        el.querySelector('.rename-apply').addEventListener('click', () => this.apply());
+    }
+
+    render() {
+        const tbody = this.modal.$el.querySelector('.rename-rows');
+        const button = this.modal.$el.querySelector('.rename-apply');
+
+        let results;
+        try {
+            results = this.getResults();
+        } catch (e) {
+            tbody.innerHTML = '';
+            button.disabled = true;
+            this.setSummary(`Invalid pattern: ${e.message}`, true);
+            return;
+        }
+
+        const changes = results.filter(result => result.changed && !result.empty);
+        const empty = results.filter(result => result.changed && result.empty).length;
+
+        button.disabled = changes.length === 0;
+        button.textContent = changes.length ? `Rename ${changes.length} Stream(s)` : 'Rename';
+
+        if (this.rows.length) {
+            this.setSummary(`${changes.length} of ${this.rows.length} name(s) will change` +
+                (empty ? `, ${empty} would be left empty and are skipped` : '') +
+                (changes.length > this.previewLimit ? `, showing the first ${this.previewLimit}` : ''));
+        }
+
+        tbody.innerHTML = changes.slice(0, this.previewLimit).map(result => {
+            const diff = this.diff(result.row.name, result.name);
+
+            return `
+                <tr>
+                    <td class="rename-before">${diff.before}</td>
+                    <td class="rename-after">${diff.after}</td>
+                </tr>`;
+        }).join('');
+    }
+
+    /**
+     * Mark the part that differs, keeping the common start and end plain
+     */
+    diff(before, after) {
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+
+        let end = 0;
+        while (end < before.length - start && end < after.length - start && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+            end++;
+        }
+
+        const mark = (text, tag) => {
+            const middle = text.substring(start, text.length - end);
+
+            return this.escapeHtml(text.substring(0, start)) +
+                (middle ? `<${tag}>${this.escapeHtml(middle)}</${tag}>` : '') +
+                this.escapeHtml(text.substring(text.length - end));
+        };
+
+        return { before: mark(before, 'del'), after: mark(after, 'ins') };
+    }
+
+    setSummary(message, error = false) {
+        const summary = this.modal.$el.querySelector('.rename-summary');
+        summary.textContent = message;
+        summary.classList.toggle('uk-text-danger', error);
+    }
+
+    notify(message, status = 'success') {
+        UIkit.notification({ message: message, status: status, pos: 'top-right', timeout: 3000 });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Single renaming dialog shared by the page
+const streamRenamer = new StreamRenamer();
+
+document.addEventListener('click', function (e) {
+    if (e.target.closest('.rename-streams')) {
+        e.preventDefault();
+        streamRenamer.open();
+    }
+});
@@ -0,0 +1,409 @@
+/**
+ * TVG-ID Mapper
+ * Inline editor for tvg-ids that fuzzy matches the stream's names against the
+ * channel ids and display-names in its provider's XMLTV guide, plus a bulk
+ * "accept best match" for the selected rows
+ */
+
+class TvgIdMapper {
+    constructor(options = {}) {
+        this.suggestionCount = options.suggestionCount || 8;
+        this.minScore = options.minScore || 0.35;
+        this.acceptScore = options.acceptScore || 0.75;
+        this.concurrency = options.concurrency || 4;
+        this.indexes = new WeakMap();
+        this.running = false;
+
+        // Tags that say nothing about which channel it is
+        this.noise = new Set(['hd', 'fhd', 'uhd', 'sd', '4k', '8k', 'hevc', 'h264', 'h265', '1080p', '1080i', '720p', '480p', '50fps', '60fps', 'raw', 'backup', 'vip', 'tv', 'channel']);
+    }
+
+    /**
+     * Where the row's provider guide lives, the streams page sets the base
+     */
+    getGuideUrl(row) {
+        const holder = document.querySelector('[data-epg-base]');
+        const base = holder ? holder.getAttribute('data-epg-base') : '';
+
+        return base && row.p_id ? base + encodeURIComponent(row.p_id) : null;
+    }
+
+    // ============================================
+    // Matching
+    // ============================================
+
+    /**
+     * Lowercase words without country prefixes, quality tags or punctuation
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/^\s*[|[(]?\s*[a-z]{2,3}\s*[|\]):]\s*/, '')
+            .replace(/\.[a-z]{2,3}$/, '')
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .split(' ')
+            .filter(word => word && !this.noise.has(word))
+            .join(' ');
+    }
+
+    bigrams(text) {
+        const compact = text.replace(/ /g, '');
+        const grams = new Set();
+
+        for (let i = 0; i < compact.length - 1; i++) {
+            grams.add(compact.substring(i, i + 2));
+        }
+
+        return grams;
+    }
+
+    prepare(text) {
+        const normalized = this.normalize(text);
+
+        return {
+            text: normalized,
+            compact: normalized.replace(/ /g, ''),
+            words: new Set(normalized.split(' ').filter(Boolean)),
+            grams: this.bigrams(normalized)
+        };
+    }
+
+    /**
+     * 0..1, mostly character bigram overlap with a nudge for whole words
+     */
+    similarity(a, b) {
+        if (!a.compact || !b.compact) return 0;
+        if (a.compact === b.compact) return 1;
+
+        let shared = 0;
+        a.grams.forEach(gram => {
+            if (b.grams.has(gram)) shared++;
+        });
+        const dice = a.grams.size + b.grams.size > 0 ? 2 * shared / (a.grams.size + b.grams.size) : 0;
+
+        let common = 0;
+        a.words.forEach(word => {
+            if (b.words.has(word)) common++;
+        });
+        const words = common / Math.max(a.words.size, b.words.size, 1);
+
+        return dice * 0.7 + words * 0.3;
+    }
+
+    /**
+     * Prepared channel keys, built once per loaded guide
+     */
+    getIndex(guide) {
+        if (!this.indexes.has(guide)) {
+            const index = [];
+
+            guide.channels.forEach(channel => {
+                index.push({
+                    channel: channel,
+                    keys: [channel.id].concat(channel.names).map(name => this.prepare(name)).filter(key => key.compact)
+                });
+            });
+
+            this.indexes.set(guide, index);
+        }
+
+        return this.indexes.get(guide);
+    }
+
+    /**
+     * Best scoring channels for any of the given names
+     */
+    rank(guide, names, limit = this.suggestionCount) {
+        const queries = names.filter(Boolean).map(name => this.prepare(name)).filter(query => query.compact);
+        if (queries.length === 0) return [];
+
+        const matches = [];
+
+        this.getIndex(guide).forEach(entry => {
+            let score = 0;
+
+            queries.forEach(query => {
+                entry.keys.forEach(key => {
+                    score = Math.max(score, this.similarity(query, key));
+                });
+            });
+
+            if (score >= this.minScore) {
+                matches.push({ channel: entry.channel, score: score });
+            }
+        });
+
+        return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    namesForRow(row) {
+        return Array.from(new Set([row.s_name, row.s_orig_name].filter(Boolean)));
+    }
+
+    // ============================================
+    // Inline Editor
+    // ============================================
+
+    /**
+     * DataTables inline editor for the tvgid column type
+     */
+    start(context) {
+        const element = context.element;
+        const guideUrl = this.getGuideUrl(context.row);
+        let suggestions = [];
+        let active = -1;
+        let guide = null;
+        let finished = false;
+
+        element.innerHTML = `
+            <div class="tvg-editor">
+                <input type="text" class="uk-input uk-form-small tvg-editor-input" placeholder="Type to search the guide">
+                <div class="tvg-editor-status uk-text-meta"></div>
+                <ul class="uk-list uk-list-divider tvg-editor-list"></ul>
+            </div>
+        `;
+
+        const input = element.querySelector('.tvg-editor-input');
+        const status = element.querySelector('.tvg-editor-status');
+        const list = element.querySelector('.tvg-editor-list');
+
+        input.value = context.value;
+
+        const finish = (value) => {
+            if (finished) return;
+            finished = true;
+
+            if (value === null) {
+                context.cancel();
+            } else {
+                context.save(value.trim());
+            }
+        };
+
+        const render = () => {
+            list.innerHTML = suggestions.map((match, i) => `
+                <li class="tvg-suggestion${i === active ? ' tvg-suggestion-active' : ''}" data-index="${i}">
+                    ${match.channel.icon ? `<img class="tvg-suggestion-logo" src="${this.escapeHtml(match.channel.icon)}" alt="" loading="lazy">` : '<span class="tvg-suggestion-logo"></span>'}
+                    <span class="tvg-suggestion-text">
+                        <span class="tvg-suggestion-id">${this.escapeHtml(match.channel.id)}</span>
+                        <span class="uk-text-meta">${this.escapeHtml(match.channel.names.join(' / '))}</span>
+                    </span>
+                    <span class="uk-label tvg-suggestion-score">${Math.round(match.score * 100)}%</span>
+                </li>
+            `).join('');
+        };
+
+        const suggest = () => {
+            if (!guide) return;
+
+            // Search for what was typed, otherwise for the stream's own names
+            const typed = input.value.trim();
+            const names = typed && typed !== context.value ? [typed] : this.namesForRow(context.row);
+
+            suggestions = this.rank(guide, names);
+            active = -1;
+            status.textContent = suggestions.length ? '' : 'No matching guide channels';
+            render();
+        };
+
+        // Keep the input focused while picking a suggestion
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.tvg-suggestion');
+            if (!item) return;
+
+            e.stopPropagation();
+            finish(suggestions[parseInt(item.dataset.index, 10)].channel.id);
+        });
+
+        input.addEventListener('input', KPTV.debounce(suggest, 200));
+        input.addEventListener('blur', () => finish(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (suggestions.length === 0) return;
+
+                active = (active + (e.key === 'ArrowDown' ? 1 : -1) + suggestions.length) % suggestions.length;
+                render();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(active >= 0 ? suggestions[active].channel.id : input.value);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(null);
+            }
+        });
+
+        input.focus();
+        input.select();
+
+        if (!guideUrl) {
+            status.textContent = 'No guide available for this provider';
+            return;
+        }
+
+        status.textContent = 'Loading guide...';
+
+        EpgStore.load(guideUrl).then(loaded => {
+            if (finished) return;
+
+            guide = loaded;
+            suggest();
+        }).catch(e => {
+            console.error('Error loading guide:', e);
+            if (!finished) {
+                status.textContent = 'Guide unavailable';
+            }
+        });
+    }
+
+    // ============================================
+    // Bulk Matching
+    // ============================================
+
+    /**
+     * Match the selected rows and offer to apply every confident best match
+     */
+    async acceptSelected() {
+        if (this.running) return;
+
+        const table = window.DataTables;
+        if (table && table.selectAllMatching) {
+            this.notify('Guide matching only works on the rows on this page, clear the "all matching" selection first', 'warning');
+            return;
+        }
+
+        const ids = table ? Array.from(table.selectedIds) : [];
+        if (ids.length === 0) {
+            this.notify('Please select at least one stream to match', 'warning');
+            return;
+        }
+
+        this.running = true;
+        this.notify(`Matching ${ids.length} stream(s) against the guide...`, 'primary');
+
+        let matches;
+        try {
+            matches = await this.findBestMatches(ids);
+        } finally {
+            this.running = false;
+        }
+
+        if (matches.length === 0) {
+            this.notify(`No confident matches found for the ${ids.length} selected stream(s)`, 'warning');
+            return;
+        }
+
+        const preview = matches.slice(0, 10).map(match =>
+            `<li>${this.escapeHtml(match.name)} &rarr; <strong>${this.escapeHtml(match.tvgId)}</strong> <span class="uk-text-meta">(${Math.round(match.score * 100)}%)</span></li>`
+        ).join('');
+        const more = matches.length > 10 ? `<p class="uk-text-meta">and ${matches.length - 10} more</p>` : '';
+
+        UIkit.modal.confirm(`
+            <p>Set the TVG ID for ${matches.length} of ${ids.length} selected stream(s)?</p>
+            <ul class="uk-list uk-list-divider uk-text-small">${preview}</ul>
+            ${more}
+        `).then(
+            () => this.apply(matches),
+            () => { }
+        );
+    }
+
+    async findBestMatches(ids) {
+        const matches = [];
+        const guides = new Map();
+
+        for (let i = 0; i < ids.length; i++) {
+            const id = ids[i];
+            const row = (window.DataTablesRowData || {})[id];
+            const url = row ? this.getGuideUrl(row) : null;
+            if (!url) continue;
+
+            if (!guides.has(url)) {
+                guides.set(url, await EpgStore.load(url).catch(e => {
+                    console.error('Error loading guide:', e);
+                    return null;
+                }));
+            }
+
+            const guide = guides.get(url);
+            if (!guide) continue;
+
+            const best = this.rank(guide, this.namesForRow(row), 1)[0];
+            if (best && best.score >= this.acceptScore && best.channel.id !== row.s_tvg_id) {
+                matches.push({ id: id, name: row.s_name || row.s_orig_name || '', tvgId: best.channel.id, oldTvgId: row.s_tvg_id || '', score: best.score });
+            }
+
+            // Let the page breathe on large selections
+            if (i % 20 === 19) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return matches;
+    }
+
+    async apply(matches) {
+        const table = window.DataTables;
+        const queue = matches.slice();
+        const saved = [];
+        let failed = 0;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const match = queue.shift();
+
+                try {
+                    const data = await table.postInlineEdit(match.id, 's_tvg_id', match.tvgId);
+                    if (data.success) {
+                        saved.push(match);
+                    } else {
+                        failed++;
+                    }
+                } catch (e) {
+                    console.error('Error saving tvg-id:', e);
+                    failed++;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, matches.length) }, worker));
+
+        // One undo step for the whole batch
+        table.recordChange(saved.map(match => ({ id: match.id, field: 's_tvg_id', oldValue: match.oldTvgId, newValue: match.tvgId })), 'TVG IDs matched');
+
+        if (failed > 0) {
+            this.notify(`Failed to update ${failed} of ${matches.length} stream(s)`, 'danger');
+        }
+
+        table.reload();
+    }
+
+    notify(message, status = 'success') {
+        UIkit.notification({ message: message, status: status, pos: 'top-right', timeout: 3000 });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Single mapper shared by the page
+const tvgMapper = new TvgIdMapper();
+
+// Older DataTables builds have no editor hook, the column then edits as plain text
+if (typeof DataTablesJS !== 'undefined' && typeof DataTablesJS.registerFieldEditor === 'function') {
+    DataTablesJS.registerFieldEditor('tvgid', tvgMapper);
+}
+
+document.addEventListener('click', function (e) {
+    if (e.target.closest('.tvg-match')) {
+        e.preventDefault();
+        tvgMapper.acceptSelected();
+    }
+});
@@ -0,0 +1,187 @@
+/**
+ * Mini Player
+ * Docks the playing stream into a small corner player, or native Picture-in-Picture,
+ * so it keeps playing while the player modal is closed and the table is edited
+ */
+
+class MiniPlayer {
+    constructor(player, dockId = 'vid_dock') {
+        this.player = player;
+        this.dockId = dockId;
+        this.docked = false;
+        this.dock = null;
+        this.placeholder = null;
+        this.container = null;
+
+        // Closing PiP with the modal already gone ends the session
+        document.addEventListener('leavepictureinpicture', () => {
+            if (!this.docked && !this.player.modal.isToggled()) {
+                this.player.cleanup();
+            }
+        });
+    }
+
+    /**
+     * Whatever wraps the picture, Video.js keeps its own wrapper around the element
+     */
+    getElement() {
+        if (this.player.videoJsPlayer && this.player.currentPlayer === 'videojs') {
+            return this.player.videoJsPlayer.el();
+        }
+
+        return this.player.videoElement;
+    }
+
+    /**
+     * True while the session must outlive the modal
+     */
+    keepsAlive() {
+        const pipElement = document.pictureInPictureElement;
+        return this.docked || (!!pipElement && pipElement === this.player.getMediaElement());
+    }
+
+    // ============================================
+    // Docking
+    // ============================================
+
+    /**
+     * Move the picture into the corner dock and close the modal
+     */
+    dockPlayer() {
+        if (this.docked) return;
+
+        const element = this.getElement();
+        if (!element) return;
+
+        this.buildDock();
+
+        // Moving within the same task keeps the media element playing
+        this.placeholder = document.createComment('vid-dock-placeholder');
+        element.parentNode.insertBefore(this.placeholder, element);
+        this.dock.querySelector('.vid-dock-media').appendChild(element);
+
+        this.docked = true;
+        this.dock.querySelector('.vid-dock-title').textContent = this.getTitle();
+        this.dock.hidden = false;
+
+        this.player.modal.hide();
+    }
+
+    /**
+     * Put the picture back in the modal, optionally reopening it
+     */
+    undock(show = true) {
+        if (!this.docked) return;
+
+        const element = this.getElement();
+        if (element && this.placeholder && this.placeholder.parentNode) {
+            this.placeholder.parentNode.replaceChild(element, this.placeholder);
+        }
+
+        this.placeholder = null;
+        this.docked = false;
+        this.dock.hidden = true;
+
+        if (show) {
+            this.player.modal.show();
+        }
+    }
+
+    close() {
+        this.undock(false);
+        this.player.cleanup();
+    }
+
+    getTitle() {
+        const item = this.player.zapper ? this.player.zapper.current() : null;
+        if (item) {
+            return [item.channel, item.name].filter(Boolean).join(' ');
+        }
+
+        return this.player.originalUrl || '';
+    }
+
+    buildDock() {
+        if (this.dock) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${this.dockId}" class="vid-dock uk-card uk-card-default uk-card-small" hidden>
+                <div class="vid-dock-header uk-flex uk-flex-middle uk-flex-between">
+                    <span class="vid-dock-title uk-text-small uk-text-truncate"></span>
+                    <span class="uk-flex uk-flex-none">
+                        <a href="#" class="uk-icon-link vid-dock-pip uk-margin-small-right" uk-icon="tv" title="Picture-in-Picture"></a>
+                        <a href="#" class="uk-icon-link vid-dock-expand uk-margin-small-right" uk-icon="expand" title="Back to Full Player"></a>
+                        <a href="#" class="uk-icon-link vid-dock-close" uk-icon="close" title="Stop Playback"></a>
+                    </span>
+                </div>
+                <div class="vid-dock-media"></div>
+            </div>
+        `);
+
+        this.dock = document.getElementById(this.dockId);
+        this.dock.querySelector('.vid-dock-pip').hidden = !this.pipSupported();
+
+        this.dock.addEventListener('click', (e) => {
+            const link = e.target.closest('a');
+            if (!link) return;
+
+            e.preventDefault();
+
+            if (link.classList.contains('vid-dock-expand')) {
+                this.undock();
+            } else if (link.classList.contains('vid-dock-close')) {
+                this.close();
+            } else if (link.classList.contains('vid-dock-pip')) {
+                this.togglePip();
+            }
+        });
+    }
+
+    // ============================================
+    // Picture-in-Picture
+    // ============================================
+
+    pipSupported() {
+        return !!document.pictureInPictureEnabled;
+    }
+
+    togglePip() {
+        if (document.pictureInPictureElement) {
+            document.exitPictureInPicture().catch(e => console.error('Error leaving Picture-in-Picture:', e));
+            return;
+        }
+
+        const media = this.player.getMediaElement();
+        if (!media || typeof media.requestPictureInPicture !== 'function') return;
+
+        media.requestPictureInPicture().catch(e => {
+            console.error('Error entering Picture-in-Picture:', e);
+            UIkit.notification({ message: 'Picture-in-Picture is not available for this stream', status: 'warning', pos: 'top-center', timeout: 3000 });
+        });
+    }
+
+    // ============================================
+    // Modal Controls
+    // ============================================
+
+    /**
+     * Add the dock and PiP buttons to the player modal
+     */
+    mount() {
+        if (this.container) return;
+
+        const dialog = this.player.modal.$el.querySelector('.uk-modal-dialog');
+        if (!dialog) return;
+
+        dialog.insertAdjacentHTML('beforeend', `
+            <div class="vid-dock-controls">
+                <button type="button" class="uk-icon-button vid-dock-pip" uk-icon="tv" title="Picture-in-Picture"${this.pipSupported() ? '' : ' hidden'}></button>
+                <button type="button" class="uk-icon-button vid-dock-button" uk-icon="shrink" title="Keep Playing in a Mini Player"></button>
+            </div>
+        `);
+
+        this.container = dialog.querySelector('.vid-dock-controls');
+        this.container.querySelector('.vid-dock-button').addEventListener('click', () => this.dockPlayer());
+        this.container.querySelector('.vid-dock-pip').addEventListener('click', () => this.togglePip());
+    }
+}
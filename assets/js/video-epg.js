@@ -0,0 +1,159 @@
+/**
+ * Now / Next Overlay
+ * Shows the current and next programme for the playing stream's tvg-id
+ * from its provider's XMLTV guide
+ */
+
+class StreamNowNext {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.refreshInterval = options.refreshInterval || 30000;
+        this.container = null;
+        this.timer = null;
+        this.guide = null;
+        this.tvgId = null;
+        this.request = 0;
+    }
+
+    /**
+     * Load the guide for a stream and start showing what's on
+     */
+    async show(item) {
+        this.stop();
+
+        const request = ++this.request;
+
+        if (!item || !item.tvgId || !item.epgUrl) {
+            this.setVisible(false);
+            return;
+        }
+
+        this.mount();
+        this.tvgId = item.tvgId;
+        this.setMessage('Loading guide...');
+
+        try {
+            const guide = await EpgStore.load(item.epgUrl);
+
+            // A newer stream started while the guide was loading
+            if (request !== this.request) return;
+
+            this.guide = guide;
+            this.render();
+            this.timer = setInterval(() => this.render(), this.refreshInterval);
+        } catch (e) {
+            console.error('Error loading guide:', e);
+            if (request === this.request) {
+                this.setMessage('Guide unavailable');
+            }
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.guide = null;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Add the guide strip under the video
+     */
+    mount() {
+        if (this.container) return;
+
+        const dialog = this.player.modal.$el.querySelector('.uk-modal-dialog');
+        if (!dialog) return;
+
+        dialog.insertAdjacentHTML('beforeend', `
+            <div class="vid-epg uk-margin-small-top" hidden>
+                <div class="vid-epg-message uk-text-meta"></div>
+                <div class="vid-epg-now">
+                    <span class="vid-epg-title uk-text-bold"></span>
+                    <span class="vid-epg-times uk-text-meta uk-margin-small-left"></span>
+                </div>
+                <progress class="uk-progress uk-margin-remove vid-epg-progress" value="0" max="100"></progress>
+                <div class="vid-epg-next uk-text-small">
+                    <span class="uk-text-muted">Next:</span>
+                    <span class="vid-epg-next-title"></span>
+                    <span class="vid-epg-next-times uk-text-meta"></span>
+                </div>
+            </div>
+        `);
+
+        this.container = dialog.querySelector('.vid-epg');
+
+        UIkit.util.on(this.player.modal.$el, 'hidden', () => {
+            if (!this.player.miniPlayer || !this.player.miniPlayer.keepsAlive()) {
+                this.stop();
+            }
+        });
+    }
+
+    render() {
+        if (!this.guide || !this.container) return;
+
+        const { now, next } = EpgStore.nowNext(this.guide, this.tvgId);
+
+        if (!now && !next) {
+            this.setMessage('No guide data for this channel');
+            return;
+        }
+
+        this.setMessage('');
+
+        const nowRow = this.container.querySelector('.vid-epg-now');
+        const progress = this.container.querySelector('.vid-epg-progress');
+        const nextRow = this.container.querySelector('.vid-epg-next');
+
+        nowRow.hidden = !now;
+        progress.hidden = !now || !now.stop;
+        nextRow.hidden = !next;
+
+        if (now) {
+            nowRow.querySelector('.vid-epg-title').textContent = now.title || 'Untitled';
+            nowRow.querySelector('.vid-epg-times').textContent = this.formatRange(now);
+            nowRow.title = now.desc || '';
+
+            if (now.stop) {
+                progress.value = Math.min(100, Math.max(0, (Date.now() - now.start) / (now.stop - now.start) * 100));
+            }
+        }
+
+        if (next) {
+            nextRow.querySelector('.vid-epg-next-title').textContent = next.title || 'Untitled';
+            nextRow.querySelector('.vid-epg-next-times').textContent = this.formatRange(next);
+        }
+    }
+
+    /**
+     * A plain message replaces the programme rows
+     */
+    setMessage(message) {
+        if (!this.container) return;
+
+        const messageRow = this.container.querySelector('.vid-epg-message');
+        messageRow.textContent = message;
+        messageRow.hidden = !message;
+
+        ['.vid-epg-now', '.vid-epg-progress', '.vid-epg-next'].forEach(selector => {
+            this.container.querySelector(selector).hidden = !!message;
+        });
+
+        this.setVisible(true);
+    }
+
+    setVisible(visible) {
+        if (this.container) {
+            this.container.hidden = !visible;
+        }
+    }
+
+    formatRange(programme) {
+        const format = time => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return programme.stop ? `${format(programme.start)} - ${format(programme.stop)}` : format(programme.start);
+    }
+}
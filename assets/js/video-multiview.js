@@ -0,0 +1,252 @@
+/**
+ * Multi-View Player
+ * Plays 2-4 selected streams side by side, each in its own MultiFormatPlayer,
+ * so duplicate channels from different providers can be compared
+ */
+
+class MultiViewPlayer {
+    constructor(modalId = 'multiview_modal', maxTiles = 4) {
+        this.modalId = modalId;
+        this.maxTiles = maxTiles;
+        this.modal = null;
+        this.tiles = [];
+        this.focused = 0;
+    }
+
+    // ============================================
+    // Stream Selection
+    // ============================================
+
+    /**
+     * Open the grid for the rows selected in the DataTable
+     */
+    openSelected() {
+        const table = window.DataTables;
+        if (table && table.selectAllMatching) {
+            this.notify('Multi-view only works on the rows on this page, clear the "all matching" selection first', 'warning');
+            return;
+        }
+
+        const ids = table ? Array.from(table.selectedIds) : [];
+
+        if (ids.length < 2 || ids.length > this.maxTiles) {
+            this.notify(`Select 2 to ${this.maxTiles} streams to compare`, 'warning');
+            return;
+        }
+
+        this.open(ids.map(id => this.streamFromRow(id)).filter(stream => stream.url));
+    }
+
+    streamFromRow(id) {
+        const row = window.DataTablesRowData ? window.DataTablesRowData[id] || {} : {};
+
+        return {
+            id: id,
+            url: row.s_stream_uri || '',
+            name: row.s_name || row.s_orig_name || '',
+            provider: row['p.sp_name'] || row.sp_name || '',
+            active: row.s_active == 1
+        };
+    }
+
+    // ============================================
+    // Grid
+    // ============================================
+
+    open(streams) {
+        this.close();
+        this.buildModal();
+
+        const grid = this.modal.$el.querySelector('.multiview-grid');
+        grid.innerHTML = streams.map((stream, i) => this.renderTile(stream, i)).join('');
+
+        this.focused = 0;
+        this.tiles = streams.map((stream, i) => {
+            const video = document.getElementById(`${this.modalId}_video_${i}`);
+            video.muted = i !== this.focused;
+
+            return {
+                stream: stream,
+                player: new MultiFormatPlayer(video.id, null),
+                element: grid.querySelector(`[data-tile="${i}"]`)
+            };
+        });
+
+        this.updateFocus();
+        this.modal.show();
+
+        this.tiles.forEach(tile => this.playTile(tile));
+    }
+
+    async playTile(tile) {
+        const status = tile.element.querySelector('.multiview-status');
+        status.textContent = 'Loading...';
+
+        const success = await tile.player.play(tile.stream.url);
+
+        // Video.js swaps in its own media element, keep it muted like the rest
+        this.setMuted(tile, this.tiles.indexOf(tile) !== this.focused);
+        status.textContent = success ? '' : 'Unable to play stream';
+    }
+
+    renderTile(stream, index) {
+        return `
+            <div>
+                <div class="multiview-tile uk-card uk-card-default uk-card-small" data-tile="${index}">
+                    <div class="uk-card-header uk-flex uk-flex-between uk-flex-middle">
+                        <span class="uk-label">${this.escapeHtml(stream.provider || 'Unknown Provider')}</span>
+                        <span class="uk-text-small uk-text-truncate uk-margin-small-left">${this.escapeHtml(stream.name)}</span>
+                    </div>
+                    <div class="multiview-media">
+                        <video id="${this.modalId}_video_${index}" class="video-js vjs-default-skin" controls playsinline preload="auto"></video>
+                        <div class="multiview-status"></div>
+                    </div>
+                    <div class="uk-card-footer uk-flex uk-flex-between">
+                        <button type="button" class="uk-button uk-button-default uk-button-small multiview-focus" data-index="${index}">Listen</button>
+                        <button type="button" class="uk-button uk-button-primary uk-button-small multiview-keep" data-index="${index}">Keep This One</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the grid modal once, tiles are rebuilt on every open
+     */
+    buildModal() {
+        if (this.modal) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${this.modalId}" class="uk-modal-full multiview-modal" uk-modal>
+                <div class="uk-modal-dialog uk-modal-body">
+                    <button class="uk-modal-close-full uk-close-large" type="button" uk-close></button>
+                    <h3 class="uk-modal-title">Multi-View</h3>
+                    <div class="multiview-grid uk-grid-small uk-child-width-1-2@m" uk-grid></div>
+                </div>
+            </div>
+        `);
+
+        this.modal = UIkit.modal(`#${this.modalId}`, { bgClose: false });
+
+        UIkit.util.on(this.modal.$el, 'hidden', () => this.close());
+
+        this.modal.$el.addEventListener('click', (e) => {
+            const focusButton = e.target.closest('.multiview-focus');
+            const keepButton = e.target.closest('.multiview-keep');
+
+            if (focusButton) {
+                this.focus(parseInt(focusButton.dataset.index, 10));
+            } else if (keepButton) {
+                this.keep(parseInt(keepButton.dataset.index, 10));
+            }
+        });
+    }
+
+    /**
+     * Stop and tear down every tile player
+     */
+    close() {
+        this.tiles.forEach(tile => tile.player.destroy());
+        this.tiles = [];
+
+        if (this.modal) {
+            this.modal.$el.querySelector('.multiview-grid').innerHTML = '';
+        }
+    }
+
+    // ============================================
+    // Audio Focus
+    // ============================================
+
+    /**
+     * Only the focused tile is heard
+     */
+    focus(index) {
+        this.focused = index;
+        this.updateFocus();
+    }
+
+    updateFocus() {
+        this.tiles.forEach((tile, i) => {
+            const focused = i === this.focused;
+
+            this.setMuted(tile, !focused);
+            tile.element.classList.toggle('multiview-focused', focused);
+
+            const button = tile.element.querySelector('.multiview-focus');
+            button.textContent = focused ? 'Listening' : 'Listen';
+            button.disabled = focused;
+        });
+    }
+
+    setMuted(tile, muted) {
+        const player = tile.player;
+
+        if (player.videoJsPlayer && player.currentPlayer === 'videojs') {
+            player.videoJsPlayer.muted(muted);
+        } else if (player.videoElement) {
+            player.videoElement.muted = muted;
+        }
+    }
+
+    // ============================================
+    // Keep One
+    // ============================================
+
+    /**
+     * Keep one stream active and deactivate the other active ones
+     */
+    keep(index) {
+        const kept = this.tiles[index];
+        if (!kept) return;
+
+        const others = this.tiles.filter((tile, i) => i !== index && tile.stream.active).map(tile => tile.stream);
+
+        if (others.length === 0) {
+            this.notify('The other streams are already inactive', 'warning');
+            return;
+        }
+
+        UIkit.modal.confirm(`Keep ${this.escapeHtml(kept.stream.provider || kept.stream.name)} and deactivate ${others.length} other stream(s)?`, { stack: true }).then(
+            async () => {
+                const results = await Promise.all(others.map(stream => KPTV.saveField(stream.id, 's_active', '0')));
+                const failed = results.filter(ok => !ok).length;
+
+                if (failed > 0) {
+                    this.notify(`Failed to deactivate ${failed} stream(s)`, 'danger');
+                } else {
+                    this.notify('Streams deactivated');
+                }
+
+                this.modal.hide();
+
+                if (window.DataTables) {
+                    window.DataTables.reload();
+                }
+            },
+            () => {
+                // User cancelled
+            }
+        );
+    }
+
+    notify(message, status = 'success') {
+        UIkit.notification({ message: message, status: status, pos: 'top-right', timeout: 3000 });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Single grid shared by the page
+const multiView = new MultiViewPlayer();
+
+document.addEventListener('click', function (e) {
+    if (e.target.closest('.multi-view')) {
+        e.preventDefault();
+        multiView.openSelected();
+    }
+});
@@ -0,0 +1,272 @@
+/**
+ * Playback Supervisor
+ * Watches a started stream for stalls and fatal errors, retries the backend's own
+ * recovery with exponential backoff and finally falls back to the next backend
+ */
+
+class PlaybackSupervisor {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 8000;
+        this.stallTimeout = options.stallTimeout || 8000;
+        this.stableTime = options.stableTime || 15000;
+
+        this.active = false;
+        this.recovering = false;
+        this.attempts = 0;
+        this.media = null;
+        this.lastTime = 0;
+        this.lastProgress = 0;
+        this.watchdog = null;
+        this.retryTimer = null;
+        this.stableTimer = null;
+        this.overlay = null;
+
+        // The play() a fallback started, its reconnecting message stays up through it
+        this.fallbackGeneration = null;
+
+        // The play() that started this watch, a fallback only replays that one
+        this.generation = 0;
+
+        // What to replay with if the backend can't be saved
+        this.url = null;
+        this.useProxy = true;
+        this.exclude = [];
+
+        this.onPlaying = () => this.handlePlaying();
+        this.onMediaError = () => {
+            // hls.js, mpegts.js, dash.js and Video.js report their own fatal errors
+            if (this.player.currentPlayer === 'native') {
+                const error = this.media.error;
+                this.handleFailure('error', error ? `${error.code}: ${error.message}` : null);
+            }
+        };
+    }
+
+    // ============================================
+    // Lifecycle
+    // ============================================
+
+    /**
+     * Start watching once a backend is playing
+     */
+    start(url, useProxy = true, exclude = []) {
+        this.stop();
+
+        this.url = url;
+        this.generation = this.player.playGeneration;
+        this.useProxy = useProxy;
+        this.exclude = exclude.slice();
+        this.attempts = 0;
+        this.active = true;
+
+        this.media = this.player.getMediaElement();
+        if (!this.media) return;
+
+        this.lastTime = this.media.currentTime;
+        this.lastProgress = Date.now();
+
+        this.media.addEventListener('playing', this.onPlaying);
+        this.media.addEventListener('error', this.onMediaError);
+        this.watchdog = setInterval(() => this.checkProgress(), 1000);
+    }
+
+    stop() {
+        this.active = false;
+        this.recovering = false;
+
+        clearInterval(this.watchdog);
+        clearTimeout(this.retryTimer);
+        clearTimeout(this.stableTimer);
+        this.watchdog = null;
+
+        if (this.media) {
+            this.media.removeEventListener('playing', this.onPlaying);
+            this.media.removeEventListener('error', this.onMediaError);
+            this.media = null;
+        }
+
+        // A fallback replays through stop(), keep its message up meanwhile
+        if (this.fallbackGeneration === null || this.player.isSuperseded(this.fallbackGeneration)) {
+            this.fallbackGeneration = null;
+            this.setStatus('');
+        }
+    }
+
+    // ============================================
+    // Detection
+    // ============================================
+
+    /**
+     * A playing stream whose clock stops moving has stalled
+     */
+    checkProgress() {
+        const media = this.media;
+        if (!this.active || this.recovering || !media) return;
+
+        if (media.paused || media.currentTime !== this.lastTime) {
+            this.lastTime = media.currentTime;
+            this.lastProgress = Date.now();
+            return;
+        }
+
+        if (Date.now() - this.lastProgress >= this.stallTimeout) {
+            this.handleFailure('stall');
+        }
+    }
+
+    handlePlaying() {
+        if (this.attempts === 0) return;
+
+        this.setStatus('');
+
+        // Only forget the failures once the stream has stayed up for a while
+        clearTimeout(this.stableTimer);
+        this.stableTimer = setTimeout(() => {
+            this.attempts = 0;
+        }, this.stableTime);
+    }
+
+    /**
+     * Called for stalls and for fatal backend errors after playback started
+     */
+    handleFailure(reason, detail = null) {
+        if (!this.active || this.recovering) return;
+
+        const backend = this.player.currentPlayer;
+
+        this.recovering = true;
+        this.attempts++;
+        clearTimeout(this.stableTimer);
+
+        console.warn(`Playback ${reason} on ${backend}, attempt ${this.attempts} of ${this.maxAttempts}`, detail);
+        this.player.stats.recordError(backend, `Recovering from ${reason} (attempt ${this.attempts})`);
+
+        if (this.attempts > this.maxAttempts) {
+            this.fallback();
+            return;
+        }
+
+        const delay = Math.min(this.baseDelay * Math.pow(2, this.attempts - 1), this.maxDelay);
+        this.setStatus(`Reconnecting... (attempt ${this.attempts} of ${this.maxAttempts})`);
+
+        this.retryTimer = setTimeout(() => {
+            try {
+                this.recover(backend, detail);
+            } catch (e) {
+                console.error('Recovery failed:', e);
+            }
+
+            // Give the backend a full stall period to come back
+            this.recovering = false;
+            this.lastProgress = Date.now();
+        }, delay);
+    }
+
+    // ============================================
+    // Recovery
+    // ============================================
+
+    /**
+     * Backend specific recovery, the backend instance stays in place
+     */
+    recover(backend, detail) {
+        const players = this.player.players;
+        const media = this.media;
+
+        switch (backend) {
+            case 'hls': {
+                const hls = players.hls;
+                const mediaError = detail && detail.type === Hls.ErrorTypes.MEDIA_ERROR;
+
+                if (mediaError || this.attempts > 1) {
+                    hls.recoverMediaError();
+                } else {
+                    hls.startLoad();
+                }
+                break;
+            }
+
+            case 'mpegts': {
+                const player = players.mpegts;
+                player.unload();
+                player.load();
+                break;
+            }
+
+            case 'dash': {
+                const dash = players.dash;
+                dash.attachSource(dash.getSource());
+                break;
+            }
+
+            case 'videojs': {
+                const vjs = this.player.videoJsPlayer;
+                vjs.src(vjs.currentSource());
+                vjs.play().catch(e => console.error('Video.js: Replay failed', e));
+                return;
+            }
+
+            case 'native':
+                media.load();
+                break;
+        }
+
+        media.play().catch(e => console.error('Replay failed', e));
+    }
+
+    /**
+     * Out of retries, start over with the next backend for this stream type
+     */
+    async fallback() {
+        // Someone switched streams since this one started, the newer play owns the player
+        if (this.player.isSuperseded(this.generation)) return;
+
+        const exclude = this.exclude.concat(this.player.backend);
+        const url = this.url;
+
+        this.setStatus('Reconnecting with another player...');
+
+        // The replay takes the next generation, its cleanup calls stop() straight away
+        this.fallbackGeneration = this.player.playGeneration + 1;
+        const success = await this.player.play(url, { inline: true, useProxy: this.useProxy, exclude: exclude });
+
+        // Someone may have switched streams meanwhile
+        if (this.player.isSuperseded(this.fallbackGeneration)) return;
+
+        this.fallbackGeneration = null;
+        this.setStatus(success ? '' : 'Stream lost, unable to reconnect', false);
+    }
+
+    // ============================================
+    // Status
+    // ============================================
+
+    /**
+     * Show or clear the reconnecting state in the player modal
+     */
+    setStatus(message, busy = true) {
+        if (!this.player.modal) return;
+
+        if (!this.overlay) {
+            if (!message) return;
+
+            const dialog = this.player.modal.$el.querySelector('.uk-modal-dialog');
+            if (!dialog) return;
+
+            dialog.insertAdjacentHTML('beforeend', `
+                <div class="vid-reconnect" hidden>
+                    <span class="vid-reconnect-spinner" uk-spinner="ratio: 0.7"></span>
+                    <span class="vid-reconnect-message"></span>
+                </div>
+            `);
+            this.overlay = dialog.querySelector('.vid-reconnect');
+        }
+
+        this.overlay.querySelector('.vid-reconnect-message').textContent = message;
+        this.overlay.querySelector('.vid-reconnect-spinner').hidden = !busy;
+        this.overlay.hidden = !message;
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Stream Diagnostics
+ * Toggleable stats overlay for MultiFormatPlayer: backend, bitrate, resolution,
+ * dropped frames, buffer, live latency and recent errors, copyable as JSON
+ */
+
+class StreamDiagnostics {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.maxErrors = options.maxErrors || 20;
+        this.refreshInterval = options.refreshInterval || 1000;
+        this.errors = [];
+        this.container = null;
+        this.panel = null;
+        this.timer = null;
+    }
+
+    // ============================================
+    // Errors
+    // ============================================
+
+    /**
+     * Keep the most recent backend errors for the overlay and the JSON report
+     */
+    recordError(backend, message, fatal = false) {
+        this.errors.push({
+            time: new Date().toISOString(),
+            backend: backend,
+            message: String(message),
+            fatal: !!fatal
+        });
+
+        if (this.errors.length > this.maxErrors) {
+            this.errors.shift();
+        }
+    }
+
+    reset() {
+        this.errors = [];
+    }
+
+    // ============================================
+    // Stats
+    // ============================================
+
+    /**
+     * Snapshot of the current playback state
+     */
+    collect() {
+        const media = this.player.getMediaElement();
+        const stats = {
+            backend: this.player.currentPlayer,
+            bitrate: null,
+            resolution: null,
+            droppedFrames: null,
+            totalFrames: null,
+            buffer: null,
+            latency: null
+        };
+
+        if (media) {
+            if (media.videoWidth) {
+                stats.resolution = `${media.videoWidth}x${media.videoHeight}`;
+            }
+
+            if (typeof media.getVideoPlaybackQuality === 'function') {
+                const quality = media.getVideoPlaybackQuality();
+                stats.droppedFrames = quality.droppedVideoFrames;
+                stats.totalFrames = quality.totalVideoFrames;
+            }
+
+            stats.buffer = this.getBufferLength(media);
+        }
+
+        try {
+            Object.assign(stats, this.getBackendStats(media));
+        } catch (e) {
+            console.error('Error reading playback stats:', e);
+        }
+
+        return stats;
+    }
+
+    /**
+     * Bitrate in bits/s and latency in seconds from whichever backend is playing
+     */
+    getBackendStats(media) {
+        const players = this.player.players;
+
+        switch (this.player.currentPlayer) {
+            case 'hls': {
+                const hls = players.hls;
+                const level = hls.levels[hls.currentLevel];
+                return {
+                    bitrate: level ? level.bitrate : null,
+                    latency: Number.isFinite(hls.latency) ? hls.latency : this.getEdgeLatency(media)
+                };
+            }
+
+            case 'dash': {
+                const dash = players.dash;
+                const info = dash.getBitrateInfoListFor('video')[dash.getQualityFor('video')];
+                const latency = dash.getCurrentLiveLatency();
+                return {
+                    bitrate: info ? info.bitrate : null,
+                    latency: Number.isFinite(latency) ? latency : this.getEdgeLatency(media)
+                };
+            }
+
+            case 'mpegts': {
+                const info = this.player.mediaInfo;
+                const speed = players.mpegts && players.mpegts.statisticsInfo ? players.mpegts.statisticsInfo.speed : null;
+                const rate = info ? (info.videoDataRate || 0) + (info.audioDataRate || 0) : 0;
+                return {
+                    // Media data rate is kbps, download speed is KB/s
+                    bitrate: rate ? rate * 1000 : (speed ? speed * 8000 : null),
+                    latency: this.getEdgeLatency(media)
+                };
+            }
+
+            case 'videojs': {
+                const vjs = this.player.videoJsPlayer;
+                const tech = vjs.tech({ IWillNotUseThisInPlaceOfPlayerTechMethods: true });
+                const playlist = tech && tech.vhs ? tech.vhs.playlists.media() : null;
+                const liveTracker = vjs.liveTracker;
+                return {
+                    bitrate: playlist && playlist.attributes ? playlist.attributes.BANDWIDTH || null : null,
+                    latency: liveTracker && liveTracker.isLive() ? liveTracker.liveCurrentTime() - vjs.currentTime() : null
+                };
+            }
+
+            default:
+                return { latency: this.getEdgeLatency(media) };
+        }
+    }
+
+    getBufferLength(media) {
+        const buffered = media.buffered;
+
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= media.currentTime && media.currentTime <= buffered.end(i)) {
+                return buffered.end(i) - media.currentTime;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Distance from the playhead to the newest media we could seek to
+     */
+    getEdgeLatency(media) {
+        if (!media) return null;
+
+        const ranges = media.seekable && media.seekable.length ? media.seekable : media.buffered;
+        if (!ranges || ranges.length === 0) return null;
+
+        return Math.max(0, ranges.end(ranges.length - 1) - media.currentTime);
+    }
+
+    /**
+     * Everything worth attaching to a provider complaint
+     */
+    report() {
+        const detection = this.player.detection || {};
+
+        return {
+            time: new Date().toISOString(),
+            url: this.player.originalUrl,
+            detected: { type: detection.type, source: detection.source, status: detection.status },
+            stats: this.collect(),
+            errors: this.errors.slice(),
+            userAgent: navigator.userAgent
+        };
+    }
+
+    // ============================================
+    // Overlay
+    // ============================================
+
+    /**
+     * Add the stats toggle and panel to the player modal
+     */
+    mount() {
+        if (this.container) return;
+
+        const dialog = this.player.modal.$el.querySelector('.uk-modal-dialog');
+        if (!dialog) return;
+
+        dialog.insertAdjacentHTML('beforeend', `
+            <div class="vid-stats">
+                <button type="button" class="uk-icon-button vid-stats-toggle" uk-icon="info" title="Playback Diagnostics"></button>
+                <div class="vid-stats-panel" hidden>
+                    <table class="uk-table uk-table-small uk-table-justify uk-margin-remove"><tbody></tbody></table>
+                    <div class="vid-stats-errors"></div>
+                    <button type="button" class="uk-button uk-button-default uk-button-small uk-margin-small-top vid-stats-copy">Copy Diagnostics</button>
+                </div>
+            </div>
+        `);
+
+        this.container = dialog.querySelector('.vid-stats');
+        this.panel = this.container.querySelector('.vid-stats-panel');
+
+        this.container.querySelector('.vid-stats-toggle').addEventListener('click', () => this.toggle());
+        this.container.querySelector('.vid-stats-copy').addEventListener('click', () => this.copy());
+
+        UIkit.util.on(this.player.modal.$el, 'hidden', () => this.hide());
+    }
+
+    toggle() {
+        if (this.panel.hidden) {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    show() {
+        this.panel.hidden = false;
+        this.render();
+
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.render(), this.refreshInterval);
+    }
+
+    hide() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.panel) {
+            this.panel.hidden = true;
+        }
+    }
+
+    render() {
+        const stats = this.collect();
+        const rows = {
+            'Backend': stats.backend || '-',
+            'Bitrate': stats.bitrate ? `${(stats.bitrate / 1000000).toFixed(2)} Mbps` : '-',
+            'Resolution': stats.resolution || '-',
+            'Dropped Frames': stats.droppedFrames !== null ? `${stats.droppedFrames} / ${stats.totalFrames}` : '-',
+            'Buffer': stats.buffer !== null ? `${stats.buffer.toFixed(1)} s` : '-',
+            'Live Latency': stats.latency !== null && stats.latency !== undefined ? `${stats.latency.toFixed(1)} s` : '-'
+        };
+
+        this.panel.querySelector('tbody').innerHTML = Object.entries(rows)
+            .map(([label, value]) => `<tr><td>${label}</td><td>${this.escapeHtml(value)}</td></tr>`)
+            .join('');
+
+        this.panel.querySelector('.vid-stats-errors').innerHTML = this.errors.length === 0
+            ? '<span class="uk-text-meta">No errors</span>'
+            : this.errors.slice(-5).reverse().map(error => `
+                <div class="uk-text-small${error.fatal ? ' uk-text-danger' : ' uk-text-warning'}">
+                    ${error.time.substring(11, 19)} ${this.escapeHtml(error.backend)}: ${this.escapeHtml(error.message)}
+                </div>
+            `).join('');
+    }
+
+    copy() {
+        const json = JSON.stringify(this.report(), null, 2);
+
+        if (!navigator.clipboard) {
+            UIkit.notification({ message: 'Clipboard is not available', status: 'danger', pos: 'top-center', timeout: 5000 });
+            return;
+        }
+
+        navigator.clipboard.writeText(json).then(function () {
+            UIkit.notification({ message: 'Diagnostics copied to your clipboard!', status: 'success', pos: 'top-center', timeout: 5000 });
+        }).catch(function (err) {
+            UIkit.notification({ message: 'Failed to copy: ' + err, status: 'danger', pos: 'top-center', timeout: 5000 });
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
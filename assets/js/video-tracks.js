@@ -0,0 +1,393 @@
+/**
+ * Stream Track Selector
+ * Unified quality, audio and subtitle menu for whichever MultiFormatPlayer backend won,
+ * remembering the last choice per provider
+ */
+
+class StreamTrackSelector {
+    constructor(player, storageKey = 'kptv_track_prefs') {
+        this.player = player;
+        this.storageKey = storageKey;
+        this.container = null;
+        this.labels = { levels: 'Quality', audio: 'Audio', subtitles: 'Subtitles' };
+    }
+
+    // ============================================
+    // Track Discovery
+    // ============================================
+
+    /**
+     * Normalized tracks for the active backend
+     * Each kind is { items: [{ id, label, key }], current, auto }, id -1 means auto/off
+     */
+    getTracks() {
+        const empty = { items: [], current: -1, auto: false };
+        let tracks = {};
+
+        try {
+            switch (this.player.currentPlayer) {
+                case 'hls':
+                    tracks = this.getHlsTracks(this.player.players.hls);
+                    break;
+                case 'dash':
+                    tracks = this.getDashTracks(this.player.players.dash);
+                    break;
+                case 'mpegts':
+                    tracks = this.getMpegTsTracks(this.player.mediaInfo);
+                    break;
+                case 'videojs':
+                    tracks = this.getVideoJsTracks(this.player.videoJsPlayer);
+                    break;
+                case 'native':
+                    tracks = this.getNativeTracks(this.player.videoElement);
+                    break;
+            }
+        } catch (e) {
+            console.error('Error reading tracks:', e);
+        }
+
+        return {
+            levels: tracks.levels || empty,
+            audio: tracks.audio || empty,
+            subtitles: tracks.subtitles || empty
+        };
+    }
+
+    getHlsTracks(hls) {
+        if (!hls) return {};
+
+        return {
+            levels: {
+                items: hls.levels.map((level, i) => this.levelItem(i, level.height, level.bitrate)),
+                current: hls.autoLevelEnabled ? -1 : hls.currentLevel,
+                auto: true
+            },
+            audio: {
+                items: hls.audioTracks.map((track, i) => this.trackItem(i, track.name, track.lang)),
+                current: hls.audioTrack,
+                auto: false
+            },
+            subtitles: {
+                items: hls.subtitleTracks.map((track, i) => this.trackItem(i, track.name, track.lang)),
+                current: hls.subtitleTrack,
+                auto: true
+            }
+        };
+    }
+
+    getDashTracks(dash) {
+        if (!dash) return {};
+
+        const autoSwitch = dash.getSettings().streaming.abr.autoSwitchBitrate.video;
+        const audio = dash.getTracksFor('audio');
+        const currentAudio = dash.getCurrentTrackFor('audio');
+        const text = dash.getTracksFor('text');
+
+        return {
+            levels: {
+                items: dash.getBitrateInfoListFor('video').map(info => this.levelItem(info.qualityIndex, info.height, info.bitrate)),
+                current: autoSwitch ? -1 : dash.getQualityFor('video'),
+                auto: true
+            },
+            audio: {
+                items: audio.map((track, i) => this.trackItem(i, track.labels?.[0]?.text, track.lang)),
+                current: audio.indexOf(currentAudio),
+                auto: false
+            },
+            subtitles: {
+                items: text.map((track, i) => this.trackItem(i, track.labels?.[0]?.text, track.lang)),
+                current: dash.isTextEnabled() ? dash.getCurrentTextTrackIndex() : -1,
+                auto: true
+            }
+        };
+    }
+
+    getMpegTsTracks(mediaInfo) {
+        if (!mediaInfo || !mediaInfo.height) return {};
+
+        // mpegts.js can't switch tracks, so just report what is playing
+        const bitrate = ((mediaInfo.videoDataRate || 0) + (mediaInfo.audioDataRate || 0)) * 1000;
+
+        return {
+            levels: { items: [this.levelItem(0, mediaInfo.height, bitrate)], current: 0, auto: false }
+        };
+    }
+
+    getVideoJsTracks(vjs) {
+        if (!vjs) return {};
+
+        const tracks = this.getMediaTracks(vjs.audioTracks(), vjs.textTracks());
+
+        if (typeof vjs.qualityLevels === 'function') {
+            const levels = Array.from(vjs.qualityLevels());
+            const enabled = levels.filter(level => level.enabled);
+
+            tracks.levels = {
+                items: levels.map((level, i) => this.levelItem(i, level.height, level.bitrate)),
+                current: enabled.length === 1 && levels.length > 1 ? levels.indexOf(enabled[0]) : -1,
+                auto: true
+            };
+        }
+
+        return tracks;
+    }
+
+    getNativeTracks(video) {
+        return this.getMediaTracks(video.audioTracks, video.textTracks);
+    }
+
+    /**
+     * Audio and subtitle tracks from standard AudioTrackList / TextTrackList objects
+     */
+    getMediaTracks(audioList, textList) {
+        const audio = Array.from(audioList || []);
+        const text = Array.from(textList || []).filter(track => ['subtitles', 'captions'].includes(track.kind));
+
+        return {
+            audio: {
+                items: audio.map((track, i) => this.trackItem(i, track.label, track.language)),
+                current: audio.findIndex(track => track.enabled),
+                auto: false
+            },
+            subtitles: {
+                items: text.map((track, i) => this.trackItem(i, track.label, track.language)),
+                current: text.findIndex(track => track.mode === 'showing'),
+                auto: true
+            }
+        };
+    }
+
+    levelItem(id, height, bitrate) {
+        const parts = [];
+        if (height) parts.push(`${height}p`);
+        if (bitrate) parts.push(`${(bitrate / 1000000).toFixed(1)} Mbps`);
+
+        return { id: id, label: parts.join(' - ') || `Level ${id + 1}`, key: height ? String(height) : null };
+    }
+
+    trackItem(id, label, lang) {
+        return { id: id, label: label || lang || `Track ${id + 1}`, key: lang || label || null };
+    }
+
+    // ============================================
+    // Track Switching
+    // ============================================
+
+    /**
+     * Switch a track on the active backend, -1 selects auto/off
+     */
+    setTrack(kind, id) {
+        id = parseInt(id, 10);
+
+        try {
+            switch (this.player.currentPlayer) {
+                case 'hls':
+                    this.setHlsTrack(this.player.players.hls, kind, id);
+                    break;
+                case 'dash':
+                    this.setDashTrack(this.player.players.dash, kind, id);
+                    break;
+                case 'videojs':
+                    this.setVideoJsTrack(this.player.videoJsPlayer, kind, id);
+                    break;
+                case 'native':
+                    this.setMediaTrack(this.player.videoElement.audioTracks, this.player.videoElement.textTracks, kind, id);
+                    break;
+            }
+        } catch (e) {
+            console.error(`Error switching ${kind} track:`, e);
+        }
+    }
+
+    setHlsTrack(hls, kind, id) {
+        if (kind === 'levels') {
+            hls.currentLevel = id;
+        } else if (kind === 'audio') {
+            hls.audioTrack = id;
+        } else if (kind === 'subtitles') {
+            hls.subtitleTrack = id;
+            hls.subtitleDisplay = id !== -1;
+        }
+    }
+
+    setDashTrack(dash, kind, id) {
+        if (kind === 'levels') {
+            dash.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: id === -1 } } } });
+            if (id !== -1) {
+                dash.setQualityFor('video', id, true);
+            }
+        } else if (kind === 'audio') {
+            dash.setCurrentTrack(dash.getTracksFor('audio')[id]);
+        } else if (kind === 'subtitles') {
+            dash.enableText(id !== -1);
+            dash.setTextTrack(id);
+        }
+    }
+
+    setVideoJsTrack(vjs, kind, id) {
+        if (kind === 'levels') {
+            Array.from(vjs.qualityLevels()).forEach((level, i) => {
+                level.enabled = id === -1 || i === id;
+            });
+        } else {
+            this.setMediaTrack(vjs.audioTracks(), vjs.textTracks(), kind, id);
+        }
+    }
+
+    setMediaTrack(audioList, textList, kind, id) {
+        if (kind === 'audio') {
+            Array.from(audioList || []).forEach((track, i) => {
+                track.enabled = i === id;
+            });
+        } else if (kind === 'subtitles') {
+            Array.from(textList || [])
+                .filter(track => ['subtitles', 'captions'].includes(track.kind))
+                .forEach((track, i) => {
+                    track.mode = i === id ? 'showing' : 'disabled';
+                });
+        }
+    }
+
+    // ============================================
+    // Per Provider Preferences
+    // ============================================
+
+    /**
+     * Providers are keyed by the stream host
+     */
+    getProviderKey() {
+        try {
+            return new URL(this.player.originalUrl).host;
+        } catch (e) {
+            return 'default';
+        }
+    }
+
+    loadPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    savePreference(kind, id) {
+        const tracks = this.getTracks()[kind];
+        const item = tracks.items.find(track => track.id === id);
+        const prefs = this.loadPreferences();
+        const provider = this.getProviderKey();
+
+        prefs[provider] = prefs[provider] || {};
+        prefs[provider][kind] = item ? item.key : 'auto';
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(prefs));
+        } catch (e) {
+            console.error('Error saving track preference:', e);
+        }
+    }
+
+    /**
+     * Re-apply the remembered tracks for this provider once playback starts
+     */
+    applyPreferences() {
+        const prefs = this.loadPreferences()[this.getProviderKey()];
+        if (!prefs) return;
+
+        const tracks = this.getTracks();
+
+        Object.keys(this.labels).forEach(kind => {
+            if (prefs[kind] === undefined) return;
+
+            if (prefs[kind] === 'auto') {
+                if (tracks[kind].auto && tracks[kind].current !== -1) {
+                    this.setTrack(kind, -1);
+                }
+                return;
+            }
+
+            const item = tracks[kind].items.find(track => track.key === prefs[kind]);
+            if (item && item.id !== tracks[kind].current) {
+                console.log(`Applying saved ${kind} preference: ${item.label}`);
+                this.setTrack(kind, item.id);
+            }
+        });
+    }
+
+    // ============================================
+    // Menu
+    // ============================================
+
+    /**
+     * Add the track menu button to the player modal
+     */
+    mount() {
+        if (this.container) return;
+
+        const dialog = this.player.modal.$el.querySelector('.uk-modal-dialog');
+        if (!dialog) return;
+
+        dialog.insertAdjacentHTML('beforeend', `
+            <div class="vid-tracks">
+                <button type="button" class="uk-icon-button" uk-icon="settings" title="Quality, Audio & Subtitles"></button>
+                <div class="vid-tracks-menu" uk-dropdown="mode: click; pos: bottom-right">
+                    <div class="vid-tracks-list"></div>
+                </div>
+            </div>
+        `);
+
+        this.container = dialog.querySelector('.vid-tracks');
+        const dropdown = this.container.querySelector('.vid-tracks-menu');
+
+        // Tracks can appear after start, so always build the list fresh
+        UIkit.util.on(dropdown, 'beforeshow', () => this.render());
+
+        this.container.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-kind]');
+            if (!select) return;
+
+            const kind = select.dataset.kind;
+            const id = parseInt(select.value, 10);
+
+            this.setTrack(kind, id);
+            this.savePreference(kind, id);
+        });
+    }
+
+    render() {
+        const list = this.container.querySelector('.vid-tracks-list');
+        const tracks = this.getTracks();
+        let html = '';
+
+        Object.entries(this.labels).forEach(([kind, label]) => {
+            const group = tracks[kind];
+            if (group.items.length === 0) return;
+
+            const readOnly = group.items.length === 1 && !group.auto;
+            let options = '';
+
+            if (group.auto) {
+                options += `<option value="-1"${group.current === -1 ? ' selected' : ''}>${kind === 'subtitles' ? 'Off' : 'Auto'}</option>`;
+            }
+
+            group.items.forEach(item => {
+                options += `<option value="${item.id}"${item.id === group.current ? ' selected' : ''}>${this.escapeHtml(item.label)}</option>`;
+            });
+
+            html += `
+                <div class="uk-margin-small">
+                    <label class="uk-form-label">${label}</label>
+                    <select class="uk-select uk-form-small" data-kind="${kind}"${readOnly ? ' disabled' : ''}>${options}</select>
+                </div>
+            `;
+        });
+
+        list.innerHTML = html || '<p class="uk-text-muted uk-margin-remove">No alternate tracks available</p>';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Stream Zapper
+ * Next / previous channel switching inside the player modal, walking the
+ * play links on the current DataTables page and optionally paging onwards
+ */
+
+class StreamZapper {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.items = [];
+        this.index = -1;
+        this.acrossPages = options.acrossPages !== false;
+        this.overlayDuration = options.overlayDuration || 3000;
+        this.fromTable = false;
+        this.switching = false;
+        this.container = null;
+        this.overlay = null;
+        this.overlayTimer = null;
+
+        this.bindKeys();
+    }
+
+    // ============================================
+    // Channel List
+    // ============================================
+
+    /**
+     * Build the channel list from the play links on the current table page
+     */
+    loadFromPage(current = null) {
+        const links = Array.from(document.querySelectorAll('.datatables-tbody .play-stream[data-stream-url]'));
+
+        this.items = links.map(link => this.itemFromLink(link));
+        this.index = current ? links.indexOf(current) : -1;
+        this.fromTable = !current || this.index !== -1;
+
+        // Played from outside the table, there is nothing to zap through
+        if (!this.fromTable) {
+            this.items = [this.itemFromLink(current)];
+            this.index = 0;
+        }
+    }
+
+    itemFromLink(link) {
+        const row = link.closest('tr[data-id]');
+        const rowData = row && window.DataTablesRowData ? window.DataTablesRowData[row.dataset.id] || {} : {};
+
+        return {
+            url: link.getAttribute('data-stream-url'),
+            name: link.getAttribute('data-stream-name') || rowData.s_name || '',
+            channel: rowData.s_channel || '',
+            tvgId: link.getAttribute('data-tvg-id') || rowData.s_tvg_id || '',
+            epgUrl: link.getAttribute('data-epg-url') || ''
+        };
+    }
+
+    /**
+     * Zap through a list built elsewhere, like the guide page
+     */
+    setList(items, index = 0) {
+        this.items = items.slice();
+        this.index = index;
+        this.fromTable = false;
+    }
+
+    clear() {
+        this.items = [];
+        this.index = -1;
+        this.fromTable = false;
+    }
+
+    current() {
+        return this.items[this.index] || null;
+    }
+
+    // ============================================
+    // Switching
+    // ============================================
+
+    next() {
+        return this.step(1);
+    }
+
+    previous() {
+        return this.step(-1);
+    }
+
+    async step(direction) {
+        if (this.switching || this.items.length === 0) return;
+
+        this.switching = true;
+
+        try {
+            const target = this.index + direction;
+
+            if (target >= 0 && target < this.items.length) {
+                this.index = target;
+            } else if (!(await this.loadAdjacentPage(direction))) {
+                this.showOverlay(direction > 0 ? 'End of list' : 'Start of list');
+                return;
+            }
+
+            await this.playCurrent();
+        } finally {
+            this.switching = false;
+        }
+    }
+
+    async playCurrent() {
+        const item = this.current();
+        if (!item) return;
+
+        this.showOverlay('Loading...', false);
+
+        const playing = this.player.play(item.url, { inline: true });
+        const generation = this.player.playGeneration;
+        const success = await playing;
+
+        // A row or guide click started another stream meanwhile, it reports for itself
+        if (this.player.isSuperseded(generation)) return;
+
+        this.showOverlay(success ? '' : 'Unable to play stream');
+    }
+
+    /**
+     * Move the table to the next or previous page and continue from its first or last stream
+     */
+    async loadAdjacentPage(direction) {
+        const table = window.DataTables;
+        if (!this.acrossPages || !this.fromTable || !table || typeof table.goToPage !== 'function') return false;
+
+        const page = table.currentPage + direction;
+        if (page < 1 || (direction > 0 && !this.hasNextPage())) return false;
+
+        const rendered = this.waitForRender();
+        table.goToPage(page);
+
+        if (!(await rendered)) return false;
+
+        this.loadFromPage();
+        if (this.items.length === 0) return false;
+
+        this.index = direction > 0 ? 0 : this.items.length - 1;
+        return true;
+    }
+
+    /**
+     * The pager only links the next page when there is one
+     */
+    hasNextPage() {
+        const link = document.querySelector('.datatables-pagination [title="Next Page"]');
+        return !!(link && link.hasAttribute('onclick'));
+    }
+
+    waitForRender(timeout = 10000) {
+        return new Promise(resolve => {
+            const tbody = document.querySelector('.datatables-tbody');
+            if (!tbody) return resolve(false);
+
+            const observer = new MutationObserver(() => {
+                clearTimeout(timer);
+                observer.disconnect();
+                resolve(true);
+            });
+            const timer = setTimeout(() => {
+                observer.disconnect();
+                resolve(false);
+            }, timeout);
+
+            observer.observe(tbody, { childList: true });
+        });
+    }
+
+    // ============================================
+    // Keyboard
+    // ============================================
+
+    bindKeys() {
+        const keys = { PageDown: 1, ArrowDown: 1, PageUp: -1, ArrowUp: -1 };
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.key in keys) || e.altKey || e.ctrlKey || e.metaKey) return;
+            if (!this.player.modal || !this.player.modal.isToggled()) return;
+            if (e.target.closest('input, select, textarea, [contenteditable]')) return;
+
+            e.preventDefault();
+            this.step(keys[e.key]);
+        });
+    }
+
+    // ============================================
+    // Controls & Overlay
+    // ============================================
+
+    /**
+     * Add the previous / next buttons and the channel overlay to the player modal
+     */
+    mount() {
+        if (!this.container) {
+            const dialog = this.player.modal.$el.querySelector('.uk-modal-dialog');
+            if (!dialog) return;
+
+            dialog.insertAdjacentHTML('beforeend', `
+                <div class="vid-zap-overlay" hidden>
+                    <span class="vid-zap-channel"></span>
+                    <span class="vid-zap-name"></span>
+                    <div class="vid-zap-status"></div>
+                </div>
+                <div class="vid-zap">
+                    <button type="button" class="uk-icon-button vid-zap-prev" uk-icon="chevron-up" title="Previous Stream (Page Up)"></button>
+                    <button type="button" class="uk-icon-button vid-zap-next" uk-icon="chevron-down" title="Next Stream (Page Down)"></button>
+                </div>
+            `);
+
+            this.container = dialog.querySelector('.vid-zap');
+            this.overlay = dialog.querySelector('.vid-zap-overlay');
+
+            this.container.querySelector('.vid-zap-prev').addEventListener('click', () => this.previous());
+            this.container.querySelector('.vid-zap-next').addEventListener('click', () => this.next());
+        }
+
+        this.container.hidden = this.items.length < 2 && !(this.fromTable && this.acrossPages);
+    }
+
+    /**
+     * Flash the channel number and name, an empty status clears it
+     * Sticky overlays stay up until the next call
+     */
+    showOverlay(status = '', autoHide = true) {
+        if (!this.overlay) return;
+
+        const item = this.current();
+        this.overlay.querySelector('.vid-zap-channel').textContent = item && item.channel ? item.channel : '';
+        this.overlay.querySelector('.vid-zap-name').textContent = item ? item.name : '';
+        this.overlay.querySelector('.vid-zap-status').textContent = status;
+        this.overlay.hidden = false;
+
+        clearTimeout(this.overlayTimer);
+        if (autoHide) {
+            this.overlayTimer = setTimeout(() => {
+                this.overlay.hidden = true;
+            }, this.overlayDuration);
+        }
+    }
+}
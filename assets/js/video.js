@@ -1,12 +1,13 @@
 /**
  * Multi-Format Video Player with Fallback Support - FIXED VERSION
- * Supports: HLS (.m3u8), MPEG-TS (.ts), MP4, WebM, and other HTML5 video formats
+ * Supports: HLS (.m3u8), MPEG-TS (.ts), MPEG-DASH (.mpd), MP4, WebM, and other HTML5 video formats
  */
 
 class MultiFormatPlayer {
-    constructor(videoElementId = 'the_streamer', modalId = 'vid_modal') {
+    constructor(videoElementId = 'the_streamer', modalId = 'vid_modal', options = {}) {
         this.videoElement = document.getElementById(videoElementId);
-        this.modal = UIkit.modal(`#${modalId}`);
+        // Multi-view tiles play without a modal of their own
+        this.modal = modalId ? UIkit.modal(`#${modalId}`) : null;
         this.currentPlayer = null;
         this.playerType = null;
         this.proxyUrl = '/proxy/stream';
@@ -14,114 +15,252 @@ class MultiFormatPlayer {
         this.loadingModal = null; // Track loading modal
 
         this.videoJsPlayer = null;
+        this.detection = null;
+        this.mediaInfo = null;
+
+        // Bumped by every play(), an older play still waiting on the probe or a
+        // backend finds out it was replaced and leaves the player alone
+        this.playGeneration = 0;
+
+        // Overall time allowed to get a stream playing, probe included
+        this.budget = options.budget || 10000;
+        this.probeTimeout = options.probeTimeout || 4000;
+        this.probeBytes = 1024;
+
+        // Backend preference per detected type, first available one wins
+        this.backendOrder = {
+            hls: ['hls', 'videojs', 'native'],
+            mpegts: ['mpegts', 'm3u8', 'videojs'],
+            mp4: ['native', 'videojs'],
+            webm: ['native', 'videojs'],
+            dash: ['dash', 'videojs'],
+            unknown: ['videojs', 'native']
+        };
+
+        // Walked in order when the type only comes from the URL or the probe failed
+        this.fallbackOrder = ['hls', 'mpegts', 'm3u8', 'videojs', 'native'];
+        this.attemptTimeout = options.attemptTimeout || 5000;
 
         // Player states
         this.players = {
             hls: null,
             mpegts: null,
+            dash: null,
             videojs: null,
             native: null
         };
+
+        // Quality / audio / subtitle menu
+        this.tracks = new StreamTrackSelector(this);
+
+        // Next / previous stream from the current table page
+        this.zapper = this.modal ? new StreamZapper(this, { acrossPages: options.zapAcrossPages }) : null;
+
+        // Playback stats and recent errors
+        this.stats = new StreamDiagnostics(this);
+
+        // Keeps a started stream alive through stalls and fatal errors
+        this.backend = null;
+        this.supervisor = new PlaybackSupervisor(this, options.recovery || {});
+
+        // Docked mini player / Picture-in-Picture that outlives the modal
+        this.miniPlayer = this.modal ? new MiniPlayer(this) : null;
+
+        // What's on now / next from the provider's guide
+        this.nowNext = this.modal ? new StreamNowNext(this) : null;
     }
 
     /**
      * Main entry point to play a stream
+     * Inline plays switch streams inside the already open modal, resolves to true on success
+     * and to false when it fails or a newer play() replaces it
      */
     async play(url, options = {}) {
         console.log('Play method called with URL:', url);
 
+        const generation = ++this.playGeneration;
         this.originalUrl = url;
         const useProxy = options.useProxy !== false;
         const streamUrl = useProxy ? this.getProxiedUrl(url) : url;
+        const deadline = Date.now() + (options.budget || this.budget);
+        const inline = options.inline === true || !this.modal;
 
-        // Show loading modal
-        this.showLoadingModal();
+        // Show loading modal, inline plays (zapping, multi-view tiles) report their own progress
+        if (!inline) {
+            if (this.miniPlayer) {
+                this.miniPlayer.undock(false);
+            }
+            this.showLoadingModal();
+        }
 
         this.cleanup();
+        this.stats.reset();
+
+        // A URL that names its container is taken at its word, only ambiguous ones are probed
+        // so the provider doesn't see an extra connection ahead of playback
+        let detection = StreamDetector.detect(null, '', url);
+        if (detection.source !== 'url') {
+            detection = await StreamDetector.probe(this.getProxiedUrl(url), {
+                timeout: Math.min(this.probeTimeout, this.remainingBudget(deadline)),
+                length: this.probeBytes,
+                originalUrl: url
+            });
 
-        const streamType = this.detectStreamType(url);
+            if (this.isSuperseded(generation)) {
+                return false;
+            }
+        }
+        this.detection = detection;
         console.log(`Attempting to play: ${url}`);
-        console.log(`Detected type: ${streamType}`);
+        console.log(`Detected type: ${detection.type} (from ${detection.source})`);
+
+        // Sniffed content settles on a single backend, anything less certain walks the fallback chain
+        const exclude = options.exclude || [];
+        const confirmed = detection.ok === true && (detection.source === 'content' || detection.source === 'header');
+        const backends = confirmed
+            ? [this.pickBackend(detection.type, url, exclude)].filter(Boolean)
+            : this.fallbackBackends(detection.type, url, exclude);
+
+        if (!confirmed) {
+            console.log(`No confirmed type, trying: ${backends.join(', ')}`);
+        }
 
         let success = false;
 
-        switch (streamType) {
-            case 'hls':
-                success = await this.tryHLS(streamUrl) ||
-                    await this.tryVideoJS(streamUrl) ||
-                    await this.tryNative(streamUrl);
+        for (const backend of backends) {
+            const remaining = this.remainingBudget(deadline);
+            if (remaining <= 0) {
                 break;
+            }
 
-            case 'mpegts':
-                // For MPEG-TS, try mpegts.js first, then try .m3u8 equivalent, then other players
-                // Sequential with delays to reduce server load
-                success = await this.tryMpegTS(streamUrl);
-                if (!success) {
-                    await this.delay(300);
-                    console.log('mpegts.js failed, trying .m3u8 fallback...');
-                    success = await this.tryTsToM3u8Fallback(url, useProxy);
-                }
-                if (!success) {
-                    await this.delay(300);
-                    console.log('.m3u8 fallback failed, trying remaining players...');
-                    success = await this.tryVideoJS(streamUrl);
-                }
-                break;
+            console.log(`Selected backend: ${backend}`);
+            this.backend = backend;
 
-            case 'video':
-                success = await this.tryNative(streamUrl) ||
-                    await this.tryVideoJS(streamUrl);
-                break;
+            success = await this.tryBackend(backend, url, streamUrl, useProxy, confirmed ? remaining : Math.min(this.attemptTimeout, remaining));
 
-            default:
-                // Try players sequentially with delays to reduce server load
-                success = await this.tryHLS(streamUrl);
-                if (!success) {
-                    await this.delay(300);
-                    success = await this.tryMpegTS(streamUrl);
-                }
-                if (!success && url.toLowerCase().includes('.ts')) {
-                    await this.delay(300);
-                    console.log('Trying .ts to .m3u8 fallback for unknown type...');
-                    success = await this.tryTsToM3u8Fallback(url, useProxy);
-                }
-                if (!success) {
-                    await this.delay(300);
-                    success = await this.tryVideoJS(streamUrl);
-                }
-                if (!success) {
-                    await this.delay(300);
-                    success = await this.tryNative(streamUrl);
-                }
+            // The newer play owns the video element, the modals and the supervisor now
+            if (this.isSuperseded(generation)) {
+                console.log(`Play of ${url} replaced by a newer one`);
+                return false;
+            }
+
+            if (success) {
                 break;
+            }
         }
 
         if (!success) {
-            // Hide loading modal on failure
-            this.hideLoadingModal();
-            this.showFallbackModal();
+            if (!inline) {
+                // Hide loading modal on failure
+                this.hideLoadingModal();
+                this.showFallbackModal();
+            }
         } else {
-            // Hide loading modal and show video modal
-            this.hideLoadingModal();
-            this.modal.show();
+            if (!inline) {
+                // Hide loading modal and show video modal
+                this.hideLoadingModal();
+                this.modal.show();
+            }
+
+            if (this.modal) {
+                this.tracks.mount();
+                this.stats.mount();
+                this.miniPlayer.mount();
+                this.zapper.mount();
+                this.zapper.showOverlay();
+                this.nowNext.show(this.zapper.current());
+            }
+
+            this.tracks.applyPreferences();
+            this.supervisor.start(url, useProxy, options.exclude || []);
         }
+
+        return success;
+    }
+
+    /**
+     * Whether a newer play() started after the one with this generation
+     */
+    isSuperseded(generation) {
+        return generation !== this.playGeneration;
+    }
+
+    /**
+     * Pick the single backend to use for a detected stream type, skipping any excluded ones
+     */
+    pickBackend(streamType, url, exclude = []) {
+        const order = this.backendOrder[streamType] || this.backendOrder.unknown;
+        return order.find(backend => !exclude.includes(backend) && this.backendAvailable(backend, streamType, url)) || null;
+    }
+
+    /**
+     * Every usable backend for a type guessed from the URL, in the order they should be tried
+     */
+    fallbackBackends(streamType, url, exclude = []) {
+        const order = streamType !== 'unknown' && this.backendOrder[streamType] ? this.backendOrder[streamType] : this.fallbackOrder;
+        return order.filter(backend => !exclude.includes(backend) && this.backendAvailable(backend, streamType, url));
+    }
+
+    /**
+     * Whether a backend's library is loaded and able to handle the stream type
+     */
+    backendAvailable(backend, streamType, url) {
+        switch (backend) {
+            case 'hls':
+                return !!(window.Hls && Hls.isSupported());
+            case 'mpegts':
+                return !!(window.mpegts && mpegts.isSupported());
+            case 'dash':
+                return !!(window.dashjs && dashjs.supportsMediaSource());
+            case 'm3u8':
+                return !!(window.Hls && Hls.isSupported()) && url.toLowerCase().includes('.ts');
+            case 'videojs':
+                return !!window.videojs;
+            case 'native':
+                return streamType === 'unknown' || this.videoElement.canPlayType(StreamDetector.mimeType(streamType)) !== '';
+        }
+
+        return false;
     }
 
     /**
-     * Detect stream type from URL
+     * Start a single backend, resolves to true once it is playing
      */
-    detectStreamType(url) {
-        const lower = url.toLowerCase();
-
-        if (lower.includes('.m3u8') || lower.includes('/hls/')) {
-            return 'hls';
-        } else if (lower.includes('.ts') && !lower.includes('.m3u8')) {
-            return 'mpegts';
-        } else if (lower.match(/\.(mp4|webm|ogg|mov)$/)) {
-            return 'video';
+    tryBackend(backend, url, streamUrl, useProxy, timeout) {
+        switch (backend) {
+            case 'hls':
+                return this.tryHLS(streamUrl, timeout);
+            case 'mpegts':
+                return this.tryMpegTS(streamUrl, timeout);
+            case 'dash':
+                return this.tryDash(url, useProxy, timeout);
+            case 'm3u8':
+                return this.tryTsToM3u8Fallback(url, useProxy, timeout);
+            case 'videojs':
+                return this.tryVideoJS(streamUrl, timeout);
+            case 'native':
+                return this.tryNative(streamUrl, timeout);
         }
 
-        return 'unknown';
+        return Promise.resolve(false);
+    }
+
+    /**
+     * The element actually decoding, Video.js plays into its own tech element
+     */
+    getMediaElement() {
+        if (this.currentPlayer === 'videojs' && this.videoJsPlayer) {
+            return this.videoJsPlayer.el().querySelector('video');
+        }
+
+        return this.videoElement;
+    }
+
+    /**
+     * Time left in the overall playback budget
+     */
+    remainingBudget(deadline) {
+        return Math.max(0, deadline - Date.now());
     }
 
     /**
@@ -166,17 +305,10 @@ class MultiFormatPlayer {
         }
     }
 
-    /**
-     * Add small delay between player attempts to reduce server load
-     */
-    async delay(ms = 500) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Try .ts to .m3u8 fallback for streams that might have HLS equivalents
      */
-    async tryTsToM3u8Fallback(originalUrl, useProxy) {
+    async tryTsToM3u8Fallback(originalUrl, useProxy, timeout = 5000) {
         // Only try this for .ts URLs
         if (!originalUrl.toLowerCase().includes('.ts')) {
             return false;
@@ -199,13 +331,13 @@ class MultiFormatPlayer {
         console.log(`Trying HLS equivalent: ${m3u8Url}`);
 
         // Try HLS.js with the .m3u8 equivalent
-        return await this.tryHLS(streamUrl);
+        return await this.tryHLS(streamUrl, timeout);
     }
 
     /**
      * Try HLS.js player
      */
-    async tryHLS(url) {
+    async tryHLS(url, timeout = 5000) {
         if (!window.Hls || !Hls.isSupported()) {
             console.log('HLS.js not supported');
             return false;
@@ -238,7 +370,10 @@ class MultiFormatPlayer {
 
             hls.on(Hls.Events.ERROR, (event, data) => {
                 console.error('HLS.js error:', data);
-                if (data.fatal) {
+                this.stats.recordError('hls', `${data.type}: ${data.details}`, data.fatal);
+                if (data.fatal && this.currentPlayer === 'hls') {
+                    this.supervisor.handleFailure('error', data);
+                } else if (data.fatal) {
                     this.safeDestroyHLS();
                     resolve(false);
                 }
@@ -252,14 +387,14 @@ class MultiFormatPlayer {
                     this.safeDestroyHLS();
                     resolve(false);
                 }
-            }, 5000);
+            }, timeout);
         });
     }
 
     /**
      * Try mpegts.js player - FIXED VERSION
      */
-    async tryMpegTS(url) {
+    async tryMpegTS(url, timeout = 5000) {
         if (!window.mpegts || !mpegts.isSupported()) {
             console.log('mpegts.js not supported');
             return false;
@@ -285,8 +420,13 @@ class MultiFormatPlayer {
 
                 this.players.mpegts = player;
 
-                player.on(mpegts.Events.ERROR, (e) => {
-                    console.error('mpegts.js error:', e);
+                player.on(mpegts.Events.ERROR, (type, detail) => {
+                    console.error('mpegts.js error:', type, detail);
+                    this.stats.recordError('mpegts', `${type}: ${detail}`, true);
+                    if (this.currentPlayer === 'mpegts') {
+                        this.supervisor.handleFailure('error', detail);
+                        return;
+                    }
                     this.safePauseMpegTS(); // Use safe cleanup
                     this.players.mpegts = null; // Clear reference
                     resolve(false);
@@ -294,6 +434,7 @@ class MultiFormatPlayer {
 
                 player.on(mpegts.Events.MEDIA_INFO, (mediaInfo) => {
                     console.log('mpegts.js: Media info received', mediaInfo);
+                    this.mediaInfo = mediaInfo;
                 });
 
                 player.on(mpegts.Events.LOADSTART, () => {
@@ -320,7 +461,7 @@ class MultiFormatPlayer {
                         this.players.mpegts = null;
                         resolve(false);
                     }
-                }, 5000);
+                }, timeout);
 
             } catch (error) {
                 console.error('mpegts.js initialization failed:', error);
@@ -330,10 +471,78 @@ class MultiFormatPlayer {
         });
     }
 
+    /**
+     * Try dash.js player
+     * Loads the original manifest URL so segment paths resolve against the origin,
+     * then routes every request through the proxy when enabled
+     */
+    async tryDash(originalUrl, useProxy, timeout = 5000) {
+        if (!window.dashjs || !dashjs.supportsMediaSource()) {
+            console.log('dash.js not supported');
+            return false;
+        }
+
+        return new Promise((resolve) => {
+            console.log('Trying dash.js...');
+
+            try {
+                const player = dashjs.MediaPlayer().create();
+                const events = dashjs.MediaPlayer.events;
+
+                this.players.dash = player;
+
+                if (useProxy) {
+                    player.extend('RequestModifier', () => ({
+                        modifyRequestHeader: (xhr) => xhr,
+                        modifyRequestURL: (url) => url.includes(this.proxyUrl) ? url : this.getProxiedUrl(url)
+                    }), true);
+                }
+
+                player.on(events.STREAM_INITIALIZED, () => {
+                    console.log('dash.js: Stream initialized');
+                    this.videoElement.play().then(() => {
+                        this.currentPlayer = 'dash';
+                        this.hideLoadingModal(); // Hide loading when video actually starts
+                        resolve(true);
+                    }).catch(e => {
+                        console.error('dash.js: Play failed', e);
+                        this.safeResetDash();
+                        resolve(false);
+                    });
+                });
+
+                player.on(events.ERROR, (e) => {
+                    console.error('dash.js error:', e);
+                    this.stats.recordError('dash', e.error ? e.error.message || e.error.code : e.type, true);
+                    if (this.currentPlayer === 'dash') {
+                        this.supervisor.handleFailure('error', e.error);
+                        return;
+                    }
+                    this.safeResetDash();
+                    resolve(false);
+                });
+
+                player.initialize(this.videoElement, originalUrl, false);
+
+                setTimeout(() => {
+                    if (!this.currentPlayer) {
+                        this.safeResetDash();
+                        resolve(false);
+                    }
+                }, timeout);
+
+            } catch (error) {
+                console.error('dash.js initialization failed:', error);
+                this.players.dash = null;
+                resolve(false);
+            }
+        });
+    }
+
     /**
      * Try Video.js player
      */
-    async tryVideoJS(url) {
+    async tryVideoJS(url, timeout = 5000) {
         if (!window.videojs) {
             console.log('Video.js not available');
             return false;
@@ -358,6 +567,14 @@ class MultiFormatPlayer {
                             }
                         }
                     });
+
+                    this.videoJsPlayer.on('error', () => {
+                        const error = this.videoJsPlayer.error();
+                        this.stats.recordError('videojs', error ? `${error.code}: ${error.message}` : 'Unknown error', true);
+                        if (this.currentPlayer === 'videojs') {
+                            this.supervisor.handleFailure('error', error);
+                        }
+                    });
                 }
 
                 this.players.videojs = this.videoJsPlayer;
@@ -365,7 +582,7 @@ class MultiFormatPlayer {
                 this.videoJsPlayer.ready(() => {
                     this.videoJsPlayer.src({
                         src: url,
-                        type: this.getVideoJsType(url)
+                        type: this.getVideoJsType()
                     });
 
                     this.videoJsPlayer.one('loadedmetadata', () => {
@@ -389,7 +606,7 @@ class MultiFormatPlayer {
                         if (!this.currentPlayer) {
                             resolve(false);
                         }
-                    }, 5000);
+                    }, timeout);
                 });
 
             } catch (error) {
@@ -402,12 +619,12 @@ class MultiFormatPlayer {
     /**
      * Try native HTML5 video
      */
-    async tryNative(url) {
+    async tryNative(url, timeout = 5000) {
         return new Promise((resolve) => {
             console.log('Trying native HTML5 video...');
 
             // Don't try native for MPEG-TS files
-            if (this.detectStreamType(url) === 'mpegts') {
+            if (this.detection && this.detection.type === 'mpegts') {
                 console.log('Skipping native player for MPEG-TS format');
                 resolve(false);
                 return;
@@ -454,6 +671,8 @@ class MultiFormatPlayer {
 
                 const errorHandler = () => {
                     console.error('Native player: Error');
+                    const error = this.videoElement.error;
+                    this.stats.recordError('native', error ? `${error.code}: ${error.message}` : 'Unknown error', true);
                     cleanup();
                     resolve(false);
                 };
@@ -473,7 +692,7 @@ class MultiFormatPlayer {
                         cleanup();
                         resolve(false);
                     }
-                }, 5000);
+                }, timeout);
 
             } catch (error) {
                 console.error('Native player initialization failed:', error);
@@ -483,20 +702,17 @@ class MultiFormatPlayer {
     }
 
     /**
-     * Get Video.js type from URL - IMPROVED VERSION
+     * Get Video.js source type from the detected stream type
      */
-    getVideoJsType(url) {
-        const lower = url.toLowerCase();
+    getVideoJsType(detection = this.detection) {
+        const type = detection ? detection.type : 'unknown';
 
-        if (lower.includes('.m3u8')) return 'application/x-mpegURL';
-        if (lower.includes('.mp4')) return 'video/mp4';
-        if (lower.includes('.webm')) return 'video/webm';
-        if (lower.includes('.ogg')) return 'video/ogg';
-
-        // For .ts files, try HLS type first - Video.js can sometimes handle them
-        if (lower.includes('.ts')) return 'application/x-mpegURL';
+        // Video.js has no raw MPEG-TS support, its HLS tech is the closest match
+        if (type === 'mpegts' || type === 'unknown') {
+            return StreamDetector.mimeType('hls');
+        }
 
-        return 'application/x-mpegURL'; // Default to HLS
+        return StreamDetector.mimeType(type);
     }
 
     /**
@@ -538,13 +754,27 @@ class MultiFormatPlayer {
         }
     }
 
+    /**
+     * Safe cleanup for dash.js
+     */
+    safeResetDash() {
+        if (this.players.dash) {
+            try {
+                this.players.dash.reset();
+            } catch (e) {
+                console.error('Error resetting dash.js player:', e);
+            }
+            this.players.dash = null;
+        }
+    }
+
     /**
      * Show fallback modal with VLC option
      */
     showFallbackModal() {
         console.error('All players failed');
 
-        const streamType = this.detectStreamType(this.originalUrl);
+        const streamType = this.detection ? this.detection.type : 'unknown';
         let additionalInfo = '';
 
         if (streamType === 'mpegts') {
@@ -572,6 +802,8 @@ class MultiFormatPlayer {
     cleanup() {
         console.log('Cleaning up players...');
 
+        this.supervisor.stop();
+
         // DON'T hide loading modal here - let it stay until success/failure
 
         // Clean HLS.js
@@ -581,6 +813,9 @@ class MultiFormatPlayer {
         this.safePauseMpegTS();
         this.players.mpegts = null;
 
+        // Clean dash.js
+        this.safeResetDash();
+
         // Clean Video.js
         if (this.videoJsPlayer) {
             try {
@@ -602,6 +837,7 @@ class MultiFormatPlayer {
         }
 
         this.currentPlayer = null;
+        this.mediaInfo = null;
     }
 
     /**
@@ -610,7 +846,26 @@ class MultiFormatPlayer {
     stop() {
         this.cleanup();
         this.hideLoadingModal();
-        this.modal.hide();
+        if (this.modal) {
+            this.modal.hide();
+        }
+    }
+
+    /**
+     * Stop playback and release the Video.js instance for good
+     */
+    destroy() {
+        this.cleanup();
+
+        if (this.videoJsPlayer) {
+            try {
+                this.videoJsPlayer.dispose();
+            } catch (e) {
+                console.error('Error disposing Video.js:', e);
+            }
+            this.videoJsPlayer = null;
+            this.players.videojs = null;
+        }
     }
 }
 
@@ -621,7 +876,8 @@ document.addEventListener('DOMContentLoaded', function () {
     multiPlayer = new MultiFormatPlayer('the_streamer', 'vid_modal');
 
     UIkit.util.on('#vid_modal', 'hidden', function () {
-        if (multiPlayer) {
+        // Docked and Picture-in-Picture sessions keep playing without the modal
+        if (multiPlayer && !multiPlayer.miniPlayer.keepsAlive()) {
             multiPlayer.cleanup();
         }
     });
@@ -632,6 +888,7 @@ function playStream(url, useProxy = true) {
         multiPlayer = new MultiFormatPlayer('the_streamer', 'vid_modal');
     }
 
+    multiPlayer.zapper.clear();
     multiPlayer.play(url, { useProxy: useProxy });
 }
 
@@ -644,6 +901,9 @@ document.addEventListener('click', function (e) {
 
         if (url) {
             playStream(url);
+
+            // Let the player zap through the rest of the table page
+            multiPlayer.zapper.loadFromPage(streamElement);
         } else {
             console.error('No data-stream-url attribute found on element');
         }
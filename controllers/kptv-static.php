@@ -314,6 +314,42 @@ if (! class_exists('KPTV_Static')) {
                 'streams' => [
                     'bulk' => [
                         'live' => [
+                            'healthcheck' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link health-check" data-selection="page" uk-icon="pulse" uk-tooltip="Check the Health of the Selected Streams"></a>'
+                                ],
+                            ],
+                            'multiview' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link multi-view" data-selection="page" uk-icon="thumbnails" uk-tooltip="Watch the Selected Streams Side by Side"></a>'
+                                ],
+                            ],
+                            'tvgmatch' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link tvg-match" data-selection="page" uk-icon="bolt" uk-tooltip="Set the TVG ID of the Selected Streams to their Best Guide Match"></a>'
+                                ],
+                            ],
+                            'renumber' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link renumber-channels" data-selection="page" uk-icon="hashtag" uk-tooltip="Renumber the Channels of the Selected Streams"></a>'
+                                ],
+                            ],
+                            'rename' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link rename-streams" uk-icon="pencil" uk-tooltip="Find and Replace in the Names of the Selected or Matching Streams"></a>'
+                                ],
+                            ],
+                            'import' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link import-streams" uk-icon="upload" uk-tooltip="Import Streams from an M3U or CSV File"></a>'
+                                ],
+                            ],
                             'livestreamact' => [
                                 'label' => '(De)Activate Streams',
                                 'icon' => 'crosshairs',
@@ -329,7 +365,7 @@ if (! class_exists('KPTV_Static')) {
                                     // return the execution
                                     return $database->query($sql)
                                         ->bind($selectedIds)
-                                        ->execute() !== false;
+                                        ->execute();
                                 },
                                 'confirm' => 'Are you sure you want to (de)activate these streams?',
                                 'success_message' => 'Records (de)activated',
@@ -357,7 +393,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
 
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                     } catch (\Exception $e) {
                                         $database->rollback();
                                         return false;
@@ -388,7 +424,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
                                         
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                         
                                     } catch (\Exception $e) {
                                         $database->rollback();
@@ -416,7 +452,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
 
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                     } catch (\Exception $e) {
                                         $database->rollback();
                                         return false;
@@ -427,6 +463,24 @@ if (! class_exists('KPTV_Static')) {
                             ],
                         ],
                         'series' => [
+                            'healthcheck' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link health-check" data-selection="page" uk-icon="pulse" uk-tooltip="Check the Health of the Selected Streams"></a>'
+                                ],
+                            ],
+                            'rename' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link rename-streams" uk-icon="pencil" uk-tooltip="Find and Replace in the Names of the Selected or Matching Streams"></a>'
+                                ],
+                            ],
+                            'import' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link import-streams" uk-icon="upload" uk-tooltip="Import Streams from an M3U or CSV File"></a>'
+                                ],
+                            ],
                             'seriesstreamact' => [
                                 'label' => '(De)Activate Streams',
                                 'icon' => 'crosshairs',
@@ -442,7 +496,7 @@ if (! class_exists('KPTV_Static')) {
                                     // return the execution
                                     return $database->query($sql)
                                         ->bind($selectedIds)
-                                        ->execute() !== false;
+                                        ->execute();
                                 },
                                 'confirm' => 'Are you sure you want to (de)activate these streams?',
                                 'success_message' => 'Records (de)activated',
@@ -468,7 +522,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
 
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                     } catch (\Exception $e) {
                                         $database->rollback();
                                         return false;
@@ -497,7 +551,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
                                         
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                         
                                     } catch (\Exception $e) {
                                         $database->rollback();
@@ -525,7 +579,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
 
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                     } catch (\Exception $e) {
                                         $database->rollback();
                                         return false;
@@ -557,7 +611,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
                                         
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                         
                                     } catch (\Exception $e) {
                                         $database->rollback();
@@ -587,7 +641,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
                                         
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                     
                                     } catch (\Exception $e) {
                                         $database->rollback();
@@ -615,7 +669,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
                                         
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                         
                                     } catch (\Exception $e) {
                                         $database->rollback();
@@ -627,6 +681,24 @@ if (! class_exists('KPTV_Static')) {
                             ],
                         ],*/
                         'other' => [
+                            'healthcheck' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link health-check" data-selection="page" uk-icon="pulse" uk-tooltip="Check the Health of the Selected Streams"></a>'
+                                ],
+                            ],
+                            'rename' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link rename-streams" uk-icon="pencil" uk-tooltip="Find and Replace in the Names of the Selected or Matching Streams"></a>'
+                                ],
+                            ],
+                            'import' => [
+                                'html' => [
+                                    'location' => 'before',
+                                    'content' => '<a href="#" class="uk-icon-link import-streams" uk-icon="upload" uk-tooltip="Import Streams from an M3U or CSV File"></a>'
+                                ],
+                            ],
                             'movetolive' => [
                                 'label' => 'Move to Live Streams',
                                 'icon' => 'tv',
@@ -647,7 +719,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
 
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                     } catch (\Exception $e) {
                                         $database->rollback();
                                         return false;
@@ -675,7 +747,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
 
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                     } catch (\Exception $e) {
                                         $database->rollback();
                                         return false;
@@ -703,7 +775,7 @@ if (! class_exists('KPTV_Static')) {
                                         }
                                         var_dump($successCount);exit;
                                         // return
-                                        return $successCount > 0;
+                                        return $successCount > 0 ? $successCount : false;
                                         
                                     } catch (\Exception $e) {
                                         $database->rollback();
@@ -1003,7 +1075,7 @@ if (! class_exists('KPTV_Static')) {
                                 // return the execution
                                 return $db->query("DELETE FROM {$tableName} WHERE id IN ({$placeholders})")
                                     ->bind($selectedIds)
-                                    ->execute() !== false;
+                                    ->execute();
                             },
                             'success_message' => 'Records deleted',
                             'error_message' => 'Failed to delete the records'
@@ -1022,7 +1094,7 @@ if (! class_exists('KPTV_Static')) {
                                 // return the execution
                                 return $db->query("DELETE FROM {$tableName} WHERE id IN ({$placeholders})")
                                     ->bind($selectedIds)
-                                    ->execute() !== false;
+                                    ->execute();
                             },
                             'success_message' => 'Records deleted',
                             'error_message' => 'Failed to delete the records'
@@ -2445,6 +2517,278 @@ if (! class_exists('KPTV_Static')) {
             }
         }
 
+        /**
+         * Get the channel numbers in use by a user's streams of a type
+         *
+         * @param int $userId The user
+         * @param int $typeId The stream type
+         *
+         * @return array The streams id, active flag, channel, name, group and provider
+         *
+         */
+        public static function getChannelNumbers(int $userId, int $typeId = 0): array
+        {
+
+            // fire up the database class
+            $db = new \KPT\Database(self::get_setting('database'));
+
+            // pull the streams
+            $streams = $db->query('SELECT s.`id`, s.`s_active`, s.`s_channel`, s.`s_name`, s.`s_tvg_group`, p.`sp_name`
+                FROM `kptv_streams` s
+                LEFT OUTER JOIN `kptv_stream_providers` p ON p.`id` = s.`p_id`
+                WHERE s.`u_id` = ? AND s.`s_type_id` = ?')
+                ->bind([$userId, $typeId])
+                ->fetch();
+
+            // clean up
+            unset($db);
+
+            // return
+            return $streams ?: [];
+        }
+
+        /**
+         * Set the channel numbers of a batch of a user's streams in one transaction
+         *
+         * @param int $userId The user
+         * @param array $channels Stream id => channel number
+         *
+         * @return array|false The ids of the streams that changed, false if nothing was saved
+         *
+         */
+        public static function renumberChannels(int $userId, array $channels): array|false
+        {
+
+            // return the update
+            return self::updateStreamColumn($userId, 's_channel', $channels);
+        }
+
+        /**
+         * Rename a batch of a user's streams in one transaction
+         *
+         * @param int $userId The user
+         * @param array $names Stream id => new name
+         *
+         * @return array|false The ids of the streams that changed, false if nothing was saved
+         *
+         */
+        public static function renameStreams(int $userId, array $names): array|false
+        {
+
+            // return the update
+            return self::updateStreamColumn($userId, 's_name', $names);
+        }
+
+        /**
+         * Set one column on a batch of a user's streams in one transaction
+         *
+         * @param int $userId The user
+         * @param string $column The column to set, only the ones the batch tools edit
+         * @param array $values Stream id => new value
+         *
+         * @return array|false The ids of the streams that changed, false if nothing was saved
+         *
+         */
+        private static function updateStreamColumn(int $userId, string $column, array $values): array|false
+        {
+
+            // make sure we have something to do, and a column we allow
+            if (empty($values) || !in_array($column, ['s_channel', 's_name'], true)) return false;
+
+            // fire up the database class
+            $db = new \KPT\Database(self::get_setting('database'));
+
+            // all or nothing
+            $db->transaction();
+            try {
+
+                // update each stream, scoped to the user
+                $updated = [];
+                foreach ($values as $id => $value) {
+                    $result = $db
+                        ->query("UPDATE `kptv_streams` SET `{$column}` = ? WHERE `id` = ? AND `u_id` = ?")
+                        ->bind([(string) $value, (int) $id, $userId])
+                        ->execute();
+
+                    // Check if operation failed
+                    if ($result === false) {
+                        $db->rollback();
+                        return false;
+                    }
+
+                    // someone else's stream, or one that already had the value, changes nothing
+                    if ($result > 0) {
+                        $updated[] = (int) $id;
+                    }
+                }
+
+                // Commit if all successful
+                $db->commit();
+                return $updated;
+            } catch (\Exception $e) {
+                // Rollback on error
+                $db->rollback();
+                return false;
+            }
+        }
+
+        /**
+         * Find which of the given names and stream urls a user already has
+         *
+         * Matches are reported by their index in what was sent, the database compares
+         * with the column's collation so callers never have to repeat its rules
+         *
+         * @param int $userId The user
+         * @param int $providerId The provider the original names are checked against
+         * @param array $names Original names to check
+         * @param array $uris Stream urls to check, against all of the user's streams
+         *
+         * @return array The indexes that exist, as ['names' => [...], 'uris' => [...]]
+         *
+         */
+        public static function findExistingStreams(int $userId, int $providerId, array $names, array $uris): array
+        {
+
+            // fire up the database class
+            $db = new \KPT\Database(self::get_setting('database'));
+
+            // names only clash within the same provider, a url is the same stream whichever provider it is under
+            $ret = [
+                'names' => self::findMatchingIndexes($db, 's_orig_name', $names, '`s`.`u_id` = ? AND `s`.`p_id` = ?', [$userId, $providerId]),
+                'uris' => self::findMatchingIndexes($db, 's_stream_uri', $uris, '`s`.`u_id` = ?', [$userId]),
+            ];
+
+            // clean up
+            unset($db);
+
+            // return
+            return $ret;
+        }
+
+        /**
+         * The indexes of the values that match a stored stream column
+         *
+         * @param \KPT\Database $db The open connection
+         * @param string $column The kptv_streams column to match against
+         * @param array $values Index => value, empty values never match
+         * @param string $where Conditions on the stored streams, aliased as s
+         * @param array $params Parameters for the conditions
+         *
+         * @return array The matching indexes
+         *
+         */
+        private static function findMatchingIndexes(\KPT\Database $db, string $column, array $values, string $where, array $params): array
+        {
+
+            // index and value pairs to join against
+            $values = array_filter(array_map('strval', $values), 'strlen');
+            if (empty($values)) {
+                return [];
+            }
+
+            $pairs = [];
+            $bind = [];
+            foreach ($values as $index => $value) {
+                $pairs[] = empty($pairs) ? 'SELECT ? AS `idx`, ? AS `val`' : 'SELECT ?, ?';
+                array_push($bind, (int) $index, $value);
+            }
+
+            // the column's collation wins over the bound values, so this compares the way a lookup does
+            $rs = $db->query('SELECT DISTINCT `v`.`idx` FROM (' . implode(' UNION ALL ', $pairs) . ") AS `v`
+                    INNER JOIN `kptv_streams` AS `s` ON `s`.`{$column}` = `v`.`val`
+                    WHERE {$where}")
+                ->bind(array_merge($bind, $params))
+                ->fetch();
+
+            // return
+            return array_map(fn($rec) => (int) $rec->idx, $rs ?: []);
+        }
+
+        /**
+         * Add a batch of imported streams to one of a user's providers
+         *
+         * Every row is added on its own so one bad row doesn't stop the rest
+         *
+         * @param int $userId The user
+         * @param int $providerId The provider, has to be one of the user's
+         * @param int $typeId The stream type
+         * @param bool $active Whether the new streams are active
+         * @param array $rows Row number => stream fields
+         *
+         * @return array Row number => why it wasn't added, for the rows that failed
+         *
+         */
+        public static function importStreams(int $userId, int $providerId, int $typeId, bool $active, array $rows): array
+        {
+
+            // setup the return
+            $errors = [];
+
+            // make sure the provider is theirs
+            if (! array_key_exists($providerId, self::getProviders($userId))) {
+                return array_fill_keys(array_keys($rows), 'Unknown provider');
+            }
+
+            // fire up the database class
+            $db = new \KPT\Database(self::get_setting('database'));
+
+            // loop the rows
+            foreach ($rows as $index => $row) {
+
+                // the names fall back to each other, and the url can be any scheme the players understand
+                $name = trim((string) ($row['s_name'] ?? ''));
+                $origName = trim((string) ($row['s_orig_name'] ?? ''));
+                $name = $name !== '' ? $name : $origName;
+                $origName = $origName !== '' ? $origName : $name;
+                $uri = trim((string) ($row['s_stream_uri'] ?? ''));
+
+                if ($name === '') {
+                    $errors[$index] = 'Missing a name';
+                    continue;
+                }
+
+                if (! preg_match('#^[a-z][a-z0-9+.-]*://\S+$#i', $uri)) {
+                    $errors[$index] = 'Missing or invalid stream url';
+                    continue;
+                }
+
+                // optional fields are null when empty
+                $optional = fn($key, $max) => trim((string) ($row[$key] ?? '')) !== '' ? mb_substr(trim((string) $row[$key]), 0, $max) : null;
+
+                try {
+                    $result = $db
+                        ->query('INSERT INTO `kptv_streams` (`u_id`, `p_id`, `s_type_id`, `s_active`, `s_channel`, `s_name`, `s_orig_name`, `s_stream_uri`, `s_tvg_id`, `s_tvg_group`, `s_tvg_logo`)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
+                        ->bind([
+                            $userId,
+                            $providerId,
+                            $typeId,
+                            $active ? 1 : 0,
+                            $optional('s_channel', 32) ?? '0',
+                            mb_substr($name, 0, 1024),
+                            mb_substr($origName, 0, 1024),
+                            mb_substr($uri, 0, 2048),
+                            $optional('s_tvg_id', 1024),
+                            $optional('s_tvg_group', 1024),
+                            $optional('s_tvg_logo', 2048),
+                        ])
+                        ->execute();
+
+                    if ($result === false) {
+                        $errors[$index] = 'Failed to save';
+                    }
+                } catch (\Exception $e) {
+                    $errors[$index] = 'Failed to save';
+                }
+            }
+
+            // clean up
+            unset($db);
+
+            // return
+            return $errors;
+        }
+
         public static function getProviders(int $userId): array
         {
 
@@ -0,0 +1,3886 @@
+/**
+ * DataTables JavaScript - External File
+ * 
+ * Complete JavaScript functionality for DataTables including
+ * AJAX operations, table rendering, pagination, search, 
+ * bulk actions, and theme management.
+ * 
+ * @since   1.0.0
+ * @author  Kevin Pirnie <me@kpirnie.com>
+ * @package KPT/DataTables
+ */
+
+class DataTablesJS {
+    constructor(config = {}) {
+        // Configuration
+        this.tableName = config.tableName || '';
+        this.primaryKey = config.primaryKey || 'id';
+        this.inlineEditableColumns = config.inlineEditableColumns || [];
+        this.perPage = config.perPage || 25;
+        this.bulkActionsEnabled = config.bulkActionsEnabled || false;
+        this.bulkActions = config.bulkActions || {};
+        this.actionConfig = config.actionConfig || {};
+        this.columns = config.columns || {};
+        this.cssClasses = config.cssClasses || {};
+        this.theme = config.theme || 'uikit';
+        this.footerAggregations = config.footerAggregations || {};
+        this.spreadsheetMode = config.spreadsheetMode || false;
+        this.filterBuilder = config.filterBuilder || false;
+        this.urlState = config.urlState !== false;
+        this.exportEnabled = config.export || false;
+        this.exportChunkSize = config.exportChunkSize || 500;
+        this.virtualScroll = config.virtualScroll || false;
+        this.virtualHeight = config.virtualHeight || '70vh';
+        this.virtualRowHeight = config.virtualRowHeight || 41;
+        this.virtualOverscan = config.virtualOverscan || 10;
+        this.virtualKeepPages = config.virtualKeepPages || 10;
+        this.cacheSize = config.cacheSize ?? 20;
+        this.cacheMaxAge = config.cacheMaxAge ?? 60000;
+
+        // State
+        this.currentPage = 1;
+        this.sortColumn = config.defaultSortColumn || '';
+        this.sortDirection = config.defaultSortDirection || 'ASC';
+        this.search = '';
+        this.deleteId = null;
+
+        // What the URL state leaves out when it's unchanged
+        this.defaultPerPage = this.perPage;
+        this.defaultSortColumn = this.sortColumn;
+        this.defaultSortDirection = this.sortDirection;
+        this.urlStateMode = 'push';
+        this.selectedIds = new Set();
+        this.totalPages = 1;
+
+        // Every record matching the search and filters is selected, not just the checked rows
+        this.selectAllMatching = false;
+        this.matchingTotal = 0;
+        this.matchingCriteria = '';
+
+        // Spreadsheet mode cell cursor, kept by row id and column so it survives re-renders
+        this.cursor = null;
+        this.gridActive = false;
+        this.selectionAnchor = null;
+        this.rangeIds = new Set();
+
+        // Undo / redo journal of saved changes
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = config.historyLimit || 50;
+        this.historyBulkLimit = config.historyBulkLimit || 250;
+        this.historyBusy = false;
+
+        // Filter builder conditions sent with every data request, { column, operator, value }
+        this.filters = [];
+        this.filterDraft = [];
+        this.filterPreset = '';
+
+        // Rows of the page on screen, and the export in progress
+        this.pageData = [];
+        this.exporting = false;
+        this.exportCancelled = false;
+
+        // Virtual scroll, pages of rows by page number around the scroll position
+        this.virtualPages = new Map();
+        this.virtualStale = new Set();
+        this.virtualPending = new Map();
+        this.virtualGeneration = 0;
+        this.virtualKey = '';
+        this.virtualWindow = '';
+        this.virtualMeasured = false;
+        this.virtualFrame = null;
+        this.virtualUrlTimer = null;
+        this.virtualScroller = null;
+        this.tableSchema = null;
+
+        // Page and aggregation responses by request with when they arrived, least recently
+        // used first, and the request in flight that the next loadData() aborts
+        this.responseCache = new Map();
+        this.cacheGeneration = 0;
+        this.loadController = null;
+
+        // Initialize
+        this.init();
+    }
+
+    init() {
+        // Restore a shared or reloaded view before anything renders
+        if (this.urlState) {
+            this.readUrlState();
+            this.urlStateMode = 'replace';
+            this.bindUrlStateEvents();
+        }
+
+        this.bindEvents();
+        this.bindTableEvents();
+        if (this.virtualScroll) {
+            this.bindVirtualEvents();
+        }
+        if (this.spreadsheetMode) {
+            this.bindSpreadsheetEvents();
+        }
+        this.bindHistoryEvents();
+        if (this.filterBuilder) {
+            this.bindFilterEvents();
+        }
+        if (this.exportEnabled) {
+            this.bindExportEvents();
+        }
+        this.loadData();
+        if (this.urlState) {
+            this.syncStateControls();
+        }
+
+        // Expose methods globally
+        window.DataTables = this;
+    }
+
+    // === THEME HELPERS ===
+    getThemeClass(type) {
+        const classes = {
+            uikit: {
+                table: { shrink: 'uk-table-shrink', center: 'uk-text-center', muted: 'uk-text-muted' },
+                checkbox: 'uk-checkbox',
+                input: 'uk-input uk-width-1-1',
+                select: 'uk-select uk-width-1-1',
+                textarea: 'uk-textarea uk-width-1-1',
+                range: 'uk-range',
+                button: { default: 'uk-button uk-button-default', primary: 'uk-button uk-button-primary', small: 'uk-button-small' },
+                icon: { link: 'uk-icon-link', success: 'uk-text-success', danger: 'uk-text-danger' },
+                pagination: { disabled: 'uk-disabled', active: 'uk-active' },
+                flex: { right: 'uk-flex uk-flex-right', between: 'uk-flex-between' },
+                margin: { smallRight: 'uk-margin-small-right', smallBottom: 'uk-margin-small-bottom', smallTop: 'uk-margin-small-top' },
+                border: { rounded: 'uk-border-rounded' },
+                display: { block: 'uk-display-block' }
+            },
+            bootstrap: {
+                table: { shrink: '', center: 'text-center', muted: 'text-muted' },
+                checkbox: 'form-check-input',
+                input: 'form-control',
+                select: 'form-select',
+                textarea: 'form-control',
+                range: 'form-range',
+                button: { default: 'btn btn-secondary', primary: 'btn btn-primary', small: 'btn-sm' },
+                icon: { link: '', success: 'text-success', danger: 'text-danger' },
+                pagination: { disabled: 'disabled', active: 'active' },
+                flex: { right: 'd-flex justify-content-end', between: 'justify-content-between' },
+                margin: { smallRight: 'me-2', smallBottom: 'mb-2', smallTop: 'mt-2' },
+                border: { rounded: 'rounded' },
+                display: { block: 'd-block' }
+            },
+            plain: {
+                table: { shrink: 'kp-dt-table-shrink', center: 'kp-dt-text-center', muted: 'kp-dt-text-muted' },
+                checkbox: 'kp-dt-checkbox',
+                input: 'kp-dt-input kp-dt-width-1-1',
+                select: 'kp-dt-select kp-dt-width-1-1',
+                textarea: 'kp-dt-textarea kp-dt-width-1-1',
+                range: 'kp-dt-range',
+                button: { default: 'kp-dt-button', primary: 'kp-dt-button kp-dt-button-primary', small: 'kp-dt-button-small' },
+                icon: { link: 'kp-dt-icon-link', success: 'kp-dt-text-success', danger: 'kp-dt-text-danger' },
+                pagination: { disabled: 'kp-dt-disabled', active: 'kp-dt-active' },
+                flex: { right: 'kp-dt-flex kp-dt-flex-right', between: 'kp-dt-flex-between' },
+                margin: { smallRight: 'kp-dt-margin-small-right', smallBottom: 'kp-dt-margin-small-bottom', smallTop: 'kp-dt-margin-small-top' },
+                border: { rounded: 'kp-dt-border-rounded' },
+                display: { block: 'kp-dt-display-block' }
+            },
+            tailwind: {
+                table: { shrink: 'w-px whitespace-nowrap', center: 'text-center', muted: 'text-gray-500' },
+                checkbox: 'h-4 w-4 rounded border-gray-300',
+                input: 'block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500',
+                select: 'block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500',
+                textarea: 'block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500',
+                range: 'w-full',
+                button: { default: 'inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50', primary: 'inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700', small: 'px-2 py-1 text-xs' },
+                icon: { link: 'text-gray-400 hover:text-gray-600', success: 'text-green-500', danger: 'text-red-500' },
+                pagination: { disabled: 'opacity-50 cursor-not-allowed', active: 'font-bold text-blue-600' },
+                flex: { right: 'flex justify-end', between: 'justify-between' },
+                margin: { smallRight: 'mr-2', smallBottom: 'mb-2', smallTop: 'mt-2' },
+                border: { rounded: 'rounded' },
+                display: { block: 'block' }
+            }
+        };
+
+        const themeClasses = classes[this.theme] || classes.uikit;
+        const parts = type.split('.');
+        let result = themeClasses;
+        for (const part of parts) {
+            result = result?.[part];
+        }
+        return result || '';
+    }
+
+    // Theme-aware notification
+    showNotification(message, status = 'success') {
+        if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
+            UIkit.notification(message, { status: status });
+        } else if (this.theme === 'bootstrap' && typeof KPDataTablesBootstrap !== 'undefined') {
+            KPDataTablesBootstrap.notification(message, status);
+        } else if (typeof KPDataTablesPlain !== 'undefined') {
+            KPDataTablesPlain.notification(message, status);
+        } else {
+            alert(message);
+        }
+    }
+
+    // Theme-aware modal show
+    showModal(modalId) {
+        if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
+            UIkit.modal(`#${modalId}`).show();
+        } else if (this.theme === 'bootstrap' && typeof bootstrap !== 'undefined') {
+            const modal = new bootstrap.Modal(document.getElementById(modalId));
+            modal.show();
+        } else if (typeof KPDataTablesPlain !== 'undefined') {
+            KPDataTablesPlain.showModal(modalId);
+        }
+    }
+
+    // Theme-aware modal hide
+    hideModal(modalId) {
+        if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
+            UIkit.modal(`#${modalId}`).hide();
+        } else if (this.theme === 'bootstrap' && typeof bootstrap !== 'undefined') {
+            const modalEl = document.getElementById(modalId);
+            const modal = bootstrap.Modal.getInstance(modalEl);
+            if (modal) modal.hide();
+        } else if (typeof KPDataTablesPlain !== 'undefined') {
+            KPDataTablesPlain.hideModal(modalId);
+        }
+        // Cleanup any open select2 dropdowns
+        document.querySelectorAll('.kp-select2-dropdown').forEach(dd => {
+            dd.style.display = 'none';
+        });
+    }
+
+    // Theme-aware confirm dialog
+    showConfirm(message) {
+        return new Promise((resolve, reject) => {
+            if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
+                UIkit.modal.confirm(message).then(resolve, reject);
+            } else if (this.theme === 'bootstrap' && typeof KPDataTablesBootstrap !== 'undefined') {
+                KPDataTablesBootstrap.confirm(message).then(resolve, reject);
+            } else if (typeof KPDataTablesPlain !== 'undefined') {
+                KPDataTablesPlain.confirm(message).then(resolve, reject);
+            } else {
+                if (confirm(message)) {
+                    resolve();
+                } else {
+                    reject();
+                }
+            }
+        });
+    }
+
+    // Theme-aware prompt dialog, rejects when cancelled
+    showPrompt(message, value = '') {
+        return new Promise((resolve, reject) => {
+            if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
+                UIkit.modal.prompt(message, value).then(result => result === null ? reject() : resolve(result));
+            } else {
+                const result = prompt(message, value);
+                if (result === null) {
+                    reject();
+                } else {
+                    resolve(result);
+                }
+            }
+        });
+    }
+
+    // Theme-aware icon rendering
+    renderIcon(iconName, extraClass = '') {
+        if (this.theme === 'uikit') {
+            return `<span uk-icon="${iconName}" class="${extraClass}"></span>`;
+        } else if (this.theme === 'bootstrap') {
+            const iconMap = {
+                'check': 'bi-check-lg',
+                'close': 'bi-x-lg',
+                'pencil': 'bi-pencil',
+                'trash': 'bi-trash',
+                'plus': 'bi-plus',
+                'search': 'bi-search',
+                'refresh': 'bi-arrow-clockwise',
+                'triangle-up': 'bi-caret-up-fill',
+                'triangle-down': 'bi-caret-down-fill',
+                'chevron-double-left': 'bi-chevron-double-left',
+                'chevron-double-right': 'bi-chevron-double-right'
+            };
+            return `<i class="bi ${iconMap[iconName] || 'bi-link'} ${extraClass}"></i>`;
+        } else {
+            // Plain/Tailwind - use SVG icons
+            const icons = {
+                'check': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.1" points="4,10 8,15 17,4"></polyline></svg>',
+                'close': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" stroke-width="1.4" x1="1" y1="1" x2="19" y2="19"></line><line fill="none" stroke="currentColor" stroke-width="1.4" x1="19" y1="1" x2="1" y2="19"></line></svg>',
+                'pencil': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" d="M17.25,6.01 L7.12,16.1 L3.82,17.2 L5.02,13.9 L15.12,3.88 C15.71,3.29 16.66,3.29 17.25,3.88 C17.84,4.47 17.84,5.42 17.25,6.01"></path></svg>',
+                'trash': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" points="6.5 3 6.5 1.5 13.5 1.5 13.5 3"></polyline><polyline fill="none" stroke="currentColor" points="3.5 4 16.5 4 15.5 18.5 4.5 18.5 3.5 4"></polyline></svg>',
+                'plus': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" x1="10" y1="1" x2="10" y2="19"></line><line fill="none" stroke="currentColor" x1="1" y1="10" x2="19" y2="10"></line></svg>',
+                'search': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><circle fill="none" stroke="currentColor" stroke-width="1.1" cx="9" cy="9" r="7"></circle><path fill="none" stroke="currentColor" stroke-width="1.1" d="M14,14 L18,18 L14,14 Z"></path></svg>',
+                'refresh': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" stroke-width="1.1" d="M17.08,11.15 C17.09,11.31 17.1,11.47 17.1,11.64 C17.1,15.53 13.94,18.69 10.05,18.69 C6.16,18.68 3,15.53 3,11.63 C3,7.74 6.16,4.58 10.05,4.58 C10.9,4.58 11.71,4.73 12.46,5"></path><polyline fill="none" stroke="currentColor" points="9.9 2 12.79 4.89 9.79 7.9"></polyline></svg>',
+                'triangle-up': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,5 15,14 5,14"></polygon></svg>',
+                'triangle-down': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,15 15,6 5,6"></polygon></svg>',
+                'chevron-double-left': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 6,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="14,14 10,10 14,6"></polyline></svg>',
+                'chevron-double-right': '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 14,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="6,14 10,10 6,6"></polyline></svg>'
+            };
+            return `<span class="${extraClass}">${icons[iconName] || ''}</span>`;
+        }
+    }
+
+    // === EVENT BINDING ===
+    bindEvents() {
+        // Search input
+        document.querySelectorAll('.datatables-search').forEach(searchInput => {
+            let searchTimeout;
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => {
+                    this.search = e.target.value;
+                    this.currentPage = 1;
+                    this.loadData();
+                }, 300);
+            });
+        });
+
+        // Page size selector
+        document.querySelectorAll('.datatables-page-size').forEach(pageSizeSelect => {
+            pageSizeSelect.addEventListener('change', (e) => {
+                this.perPage = parseInt(e.target.value);
+                this.currentPage = 1;
+
+                // Sync all page size selectors to the same value
+                document.querySelectorAll('.datatables-page-size').forEach(select => {
+                    select.value = e.target.value;
+                });
+
+                this.loadData();
+            });
+        });
+
+        // Bulk actions
+        if (this.bulkActionsEnabled) {
+            document.querySelectorAll('.datatables-bulk-action').forEach(bulkSelect => {
+                bulkSelect.addEventListener('change', (e) => {
+                    document.querySelectorAll('.datatables-bulk-execute').forEach(executeBtn => {
+                        executeBtn.disabled = !e.target.value || this.selectedIds.size === 0;
+                    });
+                });
+            });
+
+            // Select all matching / clear selection links in the notice above the table
+            document.addEventListener('click', (e) => {
+                if (e.target.closest('.datatables-select-matching-all')) {
+                    e.preventDefault();
+                    this.selectMatching();
+                } else if (e.target.closest('.datatables-select-matching-clear')) {
+                    e.preventDefault();
+                    this.clearSelection();
+                }
+            });
+        }
+
+        // Sortable headers
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.sortable-header')) {
+                const header = e.target.closest('th[data-sort]');
+                if (header) {
+                    const column = header.getAttribute('data-sort');
+                    if (this.sortColumn === column) {
+                        this.sortDirection = this.sortDirection === 'ASC' ? 'DESC' : 'ASC';
+                    } else {
+                        this.sortColumn = column;
+                        this.sortDirection = 'ASC';
+                    }
+                    this.currentPage = 1;
+                    this.loadData();
+                    this.updateSortIcons();
+                }
+            }
+        });
+    }
+
+    // === DATA LOADING ===
+    loadData() {
+        this.writeUrlState();
+
+        // A different search or filter set is a different "all matching"
+        if (this.selectAllMatching && this.getMatchingCriteria() !== this.matchingCriteria) {
+            this.clearSelection();
+        }
+
+        // Whatever is still on its way is for a view that's gone, it must not render over this one
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        this.loadController = new AbortController();
+        const signal = this.loadController.signal;
+
+        // Rows come in a page at a time around the scroll position instead
+        if (this.virtualScroll) {
+            this.loadVirtualData(signal);
+            return;
+        }
+
+        this.setLoading(true);
+
+        this.fetchPage(this.currentPage, this.perPage, signal)
+            .then(
+                data => {
+                    if (data.success) {
+                        this.totalPages = parseInt(data.total_pages) || 1;
+                        this.matchingTotal = parseInt(data.total) || 0;
+                        this.pageData = data.data || [];
+                        this.renderTable(data.data);
+                        this.renderPagination(data);
+                        this.renderInfo(data);
+                        this.syncMatchingSelection();
+                        this.loadAggregations(signal);
+                    } else {
+                        console.error('Failed to load data:', data.message);
+                        this.showNotification(data.message || 'Failed to load data', 'danger');
+                    }
+                }
+            )
+            .catch(
+                error => {
+                    if (error.name === 'AbortError') { return; }
+                    console.error('Error loading data:', error);
+                    this.showNotification('Error loading data', 'danger');
+                }
+            )
+            .finally(() => {
+                if (!signal.aborted) {
+                    this.setLoading(false);
+                }
+            });
+    }
+
+    /**
+     * Load the current page again past the cache, for after the records changed
+     */
+    reload() {
+        this.invalidateCache();
+        this.loadData();
+    }
+
+    /**
+     * Dim the table and mark it busy while its rows are on the way
+     */
+    setLoading(loading) {
+        document.querySelectorAll('.datatables-table').forEach(table => {
+            table.classList.toggle('datatables-loading', loading);
+            table.setAttribute('aria-busy', loading ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * One page of rows for the current search, sort and filters, resolves to the server's JSON response
+     */
+    fetchPage(page, perPage = this.perPage, signal = null) {
+        return this.fetchCached(this.getPageParams(page, perPage), signal);
+    }
+
+    getPageParams(page, perPage = this.perPage) {
+        const params = new URLSearchParams(
+            {
+                action: 'fetch_data',
+                table: this.tableName,
+                page: page,
+                per_page: perPage,
+                search: this.search,
+                sort_column: this.sortColumn,
+                sort_direction: this.sortDirection
+            }
+        );
+
+        if (this.filters.length > 0) {
+            params.set('filters', JSON.stringify(this.getServerFilters()));
+        }
+
+        return params;
+    }
+
+    /**
+     * GET a response from the cache if the same request was answered since the
+     * last change and within cacheMaxAge, otherwise from the server, keeping it if
+     * it succeeded
+     */
+    fetchCached(params, signal = null) {
+        const key = params.toString();
+
+        if (this.responseCache.has(key)) {
+            const cached = this.responseCache.get(key);
+            this.responseCache.delete(key);
+
+            // Other people's changes don't invalidate it, so old answers are dropped
+            if (Date.now() - cached.time <= this.cacheMaxAge) {
+                // Back to the most recently used end
+                this.responseCache.set(key, cached);
+                return Promise.resolve(cached.data);
+            }
+        }
+
+        const generation = this.cacheGeneration;
+
+        return fetch('?' + key, { signal: signal })
+            .then(response => response.json())
+            .then(data => {
+                // Sent before the records last changed, use it once but don't keep it
+                if (data.success && this.cacheSize > 0 && generation === this.cacheGeneration) {
+                    this.responseCache.set(key, { data: data, time: Date.now() });
+                    while (this.responseCache.size > this.cacheSize) {
+                        this.responseCache.delete(this.responseCache.keys().next().value);
+                    }
+                }
+                return data;
+            });
+    }
+
+    /**
+     * Forget every cached response, anything that saves a change calls this
+     */
+    invalidateCache() {
+        this.responseCache.clear();
+        this.cacheGeneration++;
+    }
+
+    // === AGGREGATION ===
+    loadAggregations(signal = null) {
+        if (!this.footerAggregations || Object.keys(this.footerAggregations).length === 0) {
+            return;
+        }
+
+        const params = new URLSearchParams({
+            action: 'fetch_aggregations',
+            table: this.tableName,
+            search: this.search
+        });
+
+        if (this.filters.length > 0) {
+            params.set('filters', JSON.stringify(this.getServerFilters()));
+        }
+
+        this.fetchCached(params, signal)
+            .then(data => {
+                if (data.success && data.aggregations) {
+                    this.renderAggregations(data.aggregations);
+                }
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') { return; }
+                console.error('Error loading aggregations:', error);
+            });
+    }
+
+    renderAggregations(serverAggregations) {
+        // Update "all" scope cells from server data
+        document.querySelectorAll('.datatables-agg-cell[data-agg-scope="all"]').forEach(cell => {
+            const column = cell.getAttribute('data-agg-column');
+            const type = cell.getAttribute('data-agg-type');
+            if (serverAggregations[column] && serverAggregations[column][type] !== undefined) {
+                cell.textContent = this.formatAggValue(serverAggregations[column][type]);
+            }
+        });
+    }
+
+    calculatePageAggregations(data) {
+        if (!this.footerAggregations || Object.keys(this.footerAggregations).length === 0) {
+            return;
+        }
+
+        if (!data || data.length === 0) {
+            document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(cell => {
+                cell.textContent = '—';
+            });
+            return;
+        }
+
+        document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(cell => {
+            const column = cell.getAttribute('data-agg-column');
+            const type = cell.getAttribute('data-agg-type');
+
+            let values = data.map(row => {
+                let val = row[column];
+                if (val === null || val === undefined || val === '') {
+                    return 0;
+                }
+                return parseFloat(val) || 0;
+            });
+
+            let result = 0;
+            if (type === 'sum') {
+                result = values.reduce((a, b) => a + b, 0);
+            } else if (type === 'avg') {
+                const sum = values.reduce((a, b) => a + b, 0);
+                result = values.length > 0 ? sum / values.length : 0;
+            }
+
+            cell.textContent = this.formatAggValue(result);
+        });
+    }
+
+    formatAggValue(value) {
+        if (Number.isInteger(value)) {
+            return value.toLocaleString();
+        }
+        return parseFloat(value.toFixed(2)).toLocaleString(undefined, {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 2
+        });
+    }
+
+    // === TABLE RENDERING ===
+    renderTable(data) {
+        const tbody = document.querySelector('.datatables-tbody');
+        if (!tbody) { return; }
+
+        if (!data || data.length === 0) {
+            tbody.innerHTML = this.renderEmptyRow();
+            return;
+        }
+
+        const tableSchema = this.getTableSchema();
+        tbody.innerHTML = data.map(row => this.renderRow(row, tableSchema)).join('');
+        this.updateBulkActionButtons();
+        this.calculatePageAggregations(data);
+        this.restoreCursor();
+    }
+
+    renderEmptyRow() {
+        const centerClass = this.getThemeClass('table.center');
+        const mutedClass = this.getThemeClass('table.muted');
+
+        return `<tr><td colspan="${this.getColumnCount()}" class="${centerClass} ${mutedClass}">No records found</td></tr>`;
+    }
+
+    /**
+     * Field type information for the columns, from the table's data-columns attribute
+     */
+    getTableSchema() {
+        if (this.tableSchema === null) {
+            const tableElement = document.querySelector('.datatables-table');
+            this.tableSchema = tableElement ? JSON.parse(tableElement.dataset.columns || '{}') : {};
+        }
+        return this.tableSchema;
+    }
+
+    /**
+     * The <tr> for one record, rows of the current selection come in checked
+     */
+    renderRow(row, tableSchema) {
+        const shrinkClass = this.getThemeClass('table.shrink');
+        const checkboxClass = this.getThemeClass('checkbox');
+
+        const rowId = this.getRowId(row);
+        const rowClass = this.getRowClass(rowId);
+        let html = `<tr${rowClass ? ` class="${rowClass} row-select"` : ''} data-id="${rowId}">`;
+
+        // Bulk selection checkbox
+        if (this.bulkActionsEnabled) {
+            html += `<td class="${shrinkClass} row-check">`;
+            html += `<label><input type="checkbox" class="${checkboxClass} row-checkbox" value="${rowId}"${this.selectedIds.has(String(rowId)) ? ' checked' : ''} onchange="DataTables.toggleRowSelection(this)"></label>`;
+            html += '</td>';
+        }
+
+        // Action column at start
+        if (this.actionConfig.position === 'start') {
+            html += `<td class="${shrinkClass} row-action">`;
+            html += this.renderActionButtons(rowId, row);
+            html += '</td>';
+        }
+
+        // Regular columns - simplified structure where key=column, value=label
+        Object.keys(this.columns).forEach(
+            column => {
+                // Check for CSS classes using both full column key and alias name
+                let columnClass = this.cssClasses?.columns?.[column] || '';
+                if (!columnClass && column.toLowerCase().includes(' as ')) {
+                    const parts = column.split(/\s+as\s+/i);
+                    if (parts.length === 2) {
+                        const aliasName = parts[1].replace(/[`'"]/g, '');
+                        columnClass = this.cssClasses?.columns?.[aliasName] || '';
+                    }
+                }
+                const isEditable = this.inlineEditableColumns.includes(column);
+
+                const dataKey = this.getDataKey(column);
+
+                let cellContent = row[dataKey] ?? '';
+                const tdClass = isEditable ? ' cell-edit' : '';
+
+                // Get field type from schema
+                const fieldType = tableSchema[column]?.override_type || tableSchema[column]?.type || 'text';
+
+                // Handle boolean display with icons
+                if (fieldType === 'boolean') {
+                    const isActive = cellContent == '1' || cellContent === 'true' || cellContent === true;
+                    const iconName = isActive ? 'check' : 'close';
+                    const iconClass = isActive ? this.getThemeClass('icon.success') : this.getThemeClass('icon.danger');
+
+                    // Store the raw value for form population
+                    const rawValue = cellContent; // Keep original value
+
+                    if (isEditable) {
+                        cellContent = `<span class="inline-editable boolean-toggle" data-field="${column}" data-id="${rowId}" data-type="boolean" data-value="${rawValue}" style="cursor: pointer;">`;
+                        cellContent += this.renderIcon(iconName, iconClass);
+                        cellContent += '</span>';
+                    } else {
+                        cellContent = `<span data-value="${rawValue}">${this.renderIcon(iconName, iconClass)}</span>`;
+                    }
+
+                    // Handle select display with labels
+                } else if (fieldType === 'select') {
+                    const selectOptions = tableSchema[column]?.form_options || {};
+                    // Convert cellContent to string to ensure proper key lookup
+                    const cellContentStr = String(cellContent);
+                    // Use nullish coalescing or check if key exists to handle '0' value correctly
+                    const displayLabel = cellContentStr in selectOptions ? selectOptions[cellContentStr] : cellContent;
+
+                    if (isEditable) {
+                        cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="${cellContent}" style="cursor: pointer;">${displayLabel}</span>`;
+                    } else {
+                        cellContent = displayLabel;
+                    }
+
+                    // Handle select2 display with fetched labels
+                } else if (fieldType === 'select2') {
+                    const labelKey = dataKey + '_label';
+                    const displayValue = row[labelKey] || cellContent;
+
+                    if (isEditable) {
+                        cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="${cellContent}" style="cursor: pointer;">${displayValue}</span>`;
+                    } else {
+                        cellContent = displayValue;
+                    }
+
+                    // Handle image display with thumbnails
+                } else if (fieldType === 'image') {
+                    const roundedClass = this.getThemeClass('border.rounded');
+                    if (cellContent && cellContent.trim()) {
+                        const imageSrc = cellContent.startsWith('http') ? cellContent : `/uploads/${cellContent}`;
+
+                        if (isEditable) {
+                            cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="${cellContent}" style="cursor: pointer;">`;
+                            cellContent += `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                            cellContent += '</span>';
+                        } else {
+                            cellContent = `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                        }
+                    } else {
+                        cellContent = isEditable ?
+                            `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="" style="cursor: pointer;">No image</span>` :
+                            'No image';
+                    }
+
+                } else if (isEditable) {
+
+                    // Add inline-editable class and attributes for non-boolean editable fields
+                    cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" style="cursor: pointer;">${cellContent}</span>`;
+                }
+
+                const classNames = [columnClass, tdClass].filter(c => c).join(' ');
+                html += `<td${classNames ? ` class="${classNames}"` : ''} data-column="${column}">${cellContent}</td>`;
+            }
+        );
+
+        // Action column at end
+        if (this.actionConfig.position === 'end') {
+            html += `<td class="${shrinkClass} row-action">`;
+            html += this.renderActionButtons(rowId, row);
+            html += '</td>';
+        }
+
+        html += '</tr>';
+        return html;
+    }
+
+    getRowId(row) {
+        // Find the ID value regardless of key format
+        return row['s.id'] || row['id'] || row[this.primaryKey] || Object.values(row)[0];
+    }
+
+    getDataKey(column) {
+        // Handle aliases - if column contains " AS ", use the alias name to access row data
+        if (column.toLowerCase().includes(' as ')) {
+            const parts = column.split(/\s+as\s+/i);
+            if (parts.length === 2) {
+                return parts[1].replace(/[`'"]/g, ''); // Remove any quotes/backticks
+            }
+        }
+        return column;
+    }
+
+    renderActionButtons(rowId, rowData = {}) {
+        let html = '';
+        const iconLinkClass = this.getThemeClass('icon.link');
+        const marginSmallRightClass = this.getThemeClass('margin.smallRight');
+
+        // Store row data for callback use
+        if (!window.DataTablesRowData) {
+            window.DataTablesRowData = {};
+        }
+        window.DataTablesRowData[rowId] = rowData;
+
+        // Helper function to replace all placeholders in a string
+        const replacePlaceholders = (str) => {
+            if (typeof str !== 'string') return str;
+
+            let result = str.replace('{id}', rowId);
+            for (const [column, value] of Object.entries(rowData)) {
+                const placeholder = '{' + column + '}';
+                result = result.replace(new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value || '');
+            }
+            return result;
+        };
+
+        // Check if we have action groups configured
+        if (this.actionConfig.groups && this.actionConfig.groups.length > 0) {
+
+            this.actionConfig.groups.forEach(group => {
+
+                if (Array.isArray(group)) {
+                    // Array of built-in actions like ['edit', 'delete']
+                    group.forEach(actionItem => {
+                        switch (actionItem) {
+                            case 'edit':
+                                if (this.theme === 'uikit') {
+                                    html += '<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>';
+                                } else {
+                                    html += `<a href="#" class="${iconLinkClass} btn-edit" title="Edit Record">${this.renderIcon('pencil')}</a>`;
+                                }
+                                break;
+                            case 'delete':
+                                if (this.theme === 'uikit') {
+                                    html += '<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>';
+                                } else {
+                                    html += `<a href="#" class="${iconLinkClass} btn-delete" title="Delete Record">${this.renderIcon('trash')}</a>`;
+                                }
+                                break;
+                        }
+                    });
+                } else if (typeof group === 'object' && group !== null) {
+
+                    // Handle all html* keys with location 'before' first
+                    Object.keys(group).filter(key => key.startsWith('html')).forEach(htmlKey => {
+                        const htmlConfig = group[htmlKey];
+                        if (typeof htmlConfig === 'object' && htmlConfig.location && htmlConfig.content) {
+                            if (htmlConfig.location === 'before' || htmlConfig.location === 'both') {
+                                html += replacePlaceholders(htmlConfig.content);
+                            }
+                        } else if (typeof htmlConfig === 'string') {
+                            html += replacePlaceholders(htmlConfig);
+                        }
+                    });
+
+                    // Get action keys (excluding 'html')
+                    const actionKeys = Object.keys(group).filter(key => !key.startsWith('html'));
+
+                    actionKeys.forEach(actionKey => {
+                        const actionConfig = group[actionKey];
+
+                        if (!actionConfig || typeof actionConfig !== 'object') return;
+
+                        // Check for action-level html before
+                        if (actionConfig.html) {
+                            if (typeof actionConfig.html === 'object' && actionConfig.html.location && actionConfig.html.content) {
+                                if (actionConfig.html.location === 'before' || actionConfig.html.location === 'both') {
+                                    html += replacePlaceholders(actionConfig.html.content);
+                                }
+                            } else if (typeof actionConfig.html === 'string' && !actionConfig.hasCallback && actionConfig.href === undefined && actionConfig.icon === undefined) {
+                                // Only skip if this is PURELY an html entry with no action
+                                html += replacePlaceholders(actionConfig.html);
+                                return;
+                            }
+                        }
+
+                        if (actionConfig.hasCallback) {
+                            // Handle callback action (callback was stripped but hasCallback flag remains)
+                            const icon = actionConfig.icon || 'link';
+                            const title = actionConfig.title || '';
+                            const className = actionConfig.class || 'btn-custom';
+                            const confirm = actionConfig.confirm || '';
+
+                            if (this.theme === 'uikit') {
+                                html += '<a href="#" class="uk-icon-link ' + className + '" uk-icon="' + icon + '" title="' + title + '" uk-tooltip="' + title + '"';
+                            } else {
+                                html += '<a href="#" class="' + iconLinkClass + ' ' + className + '" title="' + title + '"';
+                            }
+                            html += ' data-action="' + actionKey + '"';
+                            html += ' data-id="' + rowId + '"';
+                            html += ' data-confirm="' + confirm + '"';
+                            html += ' onclick="DataTables.executeActionCallback(\'' + actionKey + '\', ' + rowId + ', event)"';
+                            html += '>';
+                            if (this.theme !== 'uikit') {
+                                html += this.renderIcon(icon);
+                            }
+                            html += '</a>';
+                        } else if (actionConfig.href !== undefined || actionConfig.icon !== undefined) {
+                            // Handle link-based action
+                            const icon = replacePlaceholders(actionConfig.icon || 'link');
+                            const title = replacePlaceholders(actionConfig.title || '');
+                            const className = replacePlaceholders(actionConfig.class || 'btn-custom');
+                            const href = replacePlaceholders(actionConfig.href || '#');
+                            const onclick = replacePlaceholders(actionConfig.onclick || '');
+                            const attributes = actionConfig.attributes || {};
+
+                            if (this.theme === 'uikit') {
+                                html += '<a href="' + href + '" class="uk-icon-link ' + className + '" uk-icon="' + icon + '" title="' + title + '" uk-tooltip="' + title + '"';
+                            } else {
+                                html += '<a href="' + href + '" class="' + iconLinkClass + ' ' + className + '" title="' + title + '"';
+                            }
+                            if (onclick) {
+                                html += ' onclick="' + onclick + '"';
+                            }
+
+                            // Add custom attributes
+                            for (const [attrName, attrValue] of Object.entries(attributes)) {
+                                const processedValue = replacePlaceholders(String(attrValue));
+                                html += ' ' + attrName + '="' + processedValue + '"';
+                            }
+
+                            html += '>';
+                            if (this.theme !== 'uikit') {
+                                html += this.renderIcon(icon);
+                            }
+                            html += '</a>';
+                        }
+
+                        // Check for action-level html after
+                        if (actionConfig.html && typeof actionConfig.html === 'object' && actionConfig.html.location && actionConfig.html.content) {
+                            if (actionConfig.html.location === 'after' || actionConfig.html.location === 'both') {
+                                html += replacePlaceholders(actionConfig.html.content);
+                            }
+                        }
+                    });
+
+                    // Handle all html* keys with location 'after' last
+                    Object.keys(group).filter(key => key.startsWith('html')).forEach(htmlKey => {
+                        const htmlConfig = group[htmlKey];
+                        if (typeof htmlConfig === 'object' && htmlConfig.location && htmlConfig.content) {
+                            if (htmlConfig.location === 'after' || htmlConfig.location === 'both') {
+                                html += replacePlaceholders(htmlConfig.content);
+                            }
+                        }
+                    });
+                }
+            });
+        } else {
+            // Fallback to default buttons if no groups configured
+            if (this.actionConfig.show_edit !== false) {
+                if (this.theme === 'uikit') {
+                    html += '<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>';
+                } else {
+                    html += `<a href="#" class="${iconLinkClass} btn-edit" title="Edit Record">${this.renderIcon('pencil')}</a>`;
+                }
+            }
+            if (this.actionConfig.show_delete !== false) {
+                if (this.theme === 'uikit') {
+                    html += '<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>';
+                } else {
+                    html += `<a href="#" class="${iconLinkClass} btn-delete" title="Delete Record">${this.renderIcon('trash')}</a>`;
+                }
+            }
+        }
+
+        return html;
+    }
+
+    // === PAGINATION ===
+    renderInfo(data) {
+        const start = (data.page - 1) * data.per_page + 1;
+        const end = Math.min(start + data.per_page - 1, data.total);
+        const infoText = `Showing ${start} to ${end} of ${data.total} records`;
+
+        document.querySelectorAll('.datatables-info').forEach(info => {
+            info.textContent = infoText;
+        });
+    }
+
+    renderPagination(data) {
+        if (data.total_pages <= 1) {
+            document.querySelectorAll('.datatables-pagination').forEach(pagination => {
+                pagination.innerHTML = '';
+            });
+            return;
+        }
+
+        let html = '';
+        const currentPage = parseInt(data.page);
+        const totalPages = parseInt(data.total_pages);
+        const disabledClass = this.getThemeClass('pagination.disabled');
+        const activeClass = this.getThemeClass('pagination.active');
+
+        if (this.theme === 'bootstrap') {
+            // Bootstrap pagination structure
+            html += `<li class="page-item${currentPage === 1 ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(1)"`} title="First Page">&laquo;&laquo;</a></li>`;
+
+            html += `<li class="page-item${currentPage === 1 ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(${currentPage - 1})"`} title="Previous Page">&laquo;</a></li>`;
+
+            if (currentPage > 2) {
+                html += '<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(1)">1</a></li>';
+                if (currentPage > 3) {
+                    html += '<li class="page-item disabled"><span class="page-link">...</span></li>';
+                }
+            }
+
+            const start = Math.max(1, currentPage - 1);
+            const end = Math.min(totalPages, currentPage + 1);
+            for (let i = start; i <= end; i++) {
+                html += `<li class="page-item${i === currentPage ? ' active' : ''}">`;
+                html += `<a class="page-link" ${i === currentPage ? '' : `onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;
+            }
+
+            if (currentPage < totalPages - 1) {
+                if (currentPage < totalPages - 2) {
+                    html += '<li class="page-item disabled"><span class="page-link">...</span></li>';
+                }
+                html += `<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(${totalPages})">${totalPages}</a></li>`;
+            }
+
+            html += `<li class="page-item${currentPage === totalPages ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${currentPage + 1})"`} title="Next Page">&raquo;</a></li>`;
+
+            html += `<li class="page-item${currentPage === totalPages ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${totalPages})"`} title="Last Page">&raquo;&raquo;</a></li>`;
+
+        } else if (this.theme === 'uikit') {
+            // UIKit pagination structure
+            html += `<li${currentPage === 1 ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : ` onclick="DataTables.goToPage(1)"`} title="First Page">`;
+            html += '<span uk-icon="chevron-double-left"></span></a></li>';
+
+            html += `<li${currentPage === 1 ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : ` onclick="DataTables.goToPage(${currentPage - 1})"`} title="Previous Page">`;
+            html += '<span uk-pagination-previous></span></a></li>';
+
+            if (currentPage > 2) {
+                html += '<li><a onclick="DataTables.goToPage(1)">1</a></li>';
+                if (currentPage > 3) {
+                    html += '<li class="uk-disabled"><span>...</span></li>';
+                }
+            }
+
+            const start = Math.max(1, currentPage - 1);
+            const end = Math.min(totalPages, currentPage + 1);
+            for (let i = start; i <= end; i++) {
+                html += `<li${i === currentPage ? ' class="uk-active"' : ''}>`;
+                html += `<a ${i === currentPage ? '' : ` onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;
+            }
+
+            if (currentPage < totalPages - 1) {
+                if (currentPage < totalPages - 2) {
+                    html += '<li class="uk-disabled"><span>...</span></li>';
+                }
+                html += `<li><a onclick="DataTables.goToPage(${totalPages})">${totalPages}</a></li>`;
+            }
+
+            html += `<li${currentPage === totalPages ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : ` onclick="DataTables.goToPage(${currentPage + 1})"`} title="Next Page">`;
+            html += '<span uk-pagination-next></span></a></li>';
+
+            html += `<li${currentPage === totalPages ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : ` onclick="DataTables.goToPage(${totalPages})"`} title="Last Page">`;
+            html += '<span uk-icon="chevron-double-right"></span></a></li>';
+
+        } else {
+            // Plain/Tailwind pagination structure
+            html += `<li${currentPage === 1 ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(1)"`} title="First Page">${this.renderIcon('chevron-double-left')}</a></li>`;
+
+            html += `<li${currentPage === 1 ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(${currentPage - 1})"`} title="Previous Page">&laquo;</a></li>`;
+
+            if (currentPage > 2) {
+                html += '<li><a onclick="DataTables.goToPage(1)">1</a></li>';
+                if (currentPage > 3) {
+                    html += `<li class="${disabledClass}"><span>...</span></li>`;
+                }
+            }
+
+            const start = Math.max(1, currentPage - 1);
+            const end = Math.min(totalPages, currentPage + 1);
+            for (let i = start; i <= end; i++) {
+                html += `<li${i === currentPage ? ` class="${activeClass}"` : ''}>`;
+                html += `<a ${i === currentPage ? '' : `onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;
+            }
+
+            if (currentPage < totalPages - 1) {
+                if (currentPage < totalPages - 2) {
+                    html += `<li class="${disabledClass}"><span>...</span></li>`;
+                }
+                html += `<li><a onclick="DataTables.goToPage(${totalPages})">${totalPages}</a></li>`;
+            }
+
+            html += `<li${currentPage === totalPages ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${currentPage + 1})"`} title="Next Page">&raquo;</a></li>`;
+
+            html += `<li${currentPage === totalPages ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${totalPages})"`} title="Last Page">${this.renderIcon('chevron-double-right')}</a></li>`;
+        }
+
+        document.querySelectorAll('.datatables-pagination').forEach(pagination => {
+            pagination.innerHTML = html;
+        });
+    }
+
+    goToPage(page) {
+        this.currentPage = page;
+
+        // The rows are already on a scroll, just move it there
+        if (this.virtualScroll) {
+            this.writeUrlState();
+            this.scrollToVirtualPage(page);
+            return;
+        }
+
+        this.loadData();
+    }
+
+    updateSortIcons() {
+        document.querySelectorAll('.sort-icon').forEach(
+            icon => {
+                if (this.theme === 'uikit') {
+                    icon.setAttribute('uk-icon', 'triangle-up');
+                } else {
+                    icon.innerHTML = this.renderIcon('triangle-up');
+                }
+            }
+        );
+
+        const currentSortHeaders = document.querySelectorAll(`th[data-sort="${this.sortColumn}"] .sort-icon`);
+        currentSortHeaders.forEach(sortIcon => {
+            if (sortIcon) {
+                const iconName = this.sortDirection === 'ASC' ? 'triangle-up' : 'triangle-down';
+                if (this.theme === 'uikit') {
+                    sortIcon.setAttribute('uk-icon', iconName);
+                } else {
+                    sortIcon.innerHTML = this.renderIcon(iconName);
+                }
+            }
+        });
+    }
+
+    // === BULK ACTIONS ===
+    toggleSelectAll(checkbox) {
+        const rowCheckboxes = document.querySelectorAll('.row-checkbox');
+        rowCheckboxes.forEach(
+            cb => {
+                cb.checked = checkbox.checked;
+                this.toggleRowSelection(cb);
+            }
+        );
+    }
+
+    toggleRowSelection(checkbox) {
+        const rowId = checkbox.value;
+        if (checkbox.checked) {
+            this.selectedIds.add(rowId);
+        } else {
+            this.selectedIds.delete(rowId);
+            this.selectAllMatching = false;
+            // Uncheck "select all" if not all rows are selected
+            const selectAllCheckbox = document.querySelector('.datatables-select-all');
+            if (selectAllCheckbox) {
+                selectAllCheckbox.checked = false;
+            }
+        }
+        this.updateBulkActionButtons();
+    }
+
+    updateBulkActionButtons() {
+        const hasSelection = this.selectedIds.size > 0 || this.selectAllMatching;
+
+        // Update all bulk action buttons
+        document.querySelectorAll('.datatables-bulk-action-btn').forEach(btn => {
+            btn.disabled = !hasSelection;
+        });
+
+        // Custom controls that only work on the loaded rows sit out an "all matching" selection
+        const disabledClass = this.getThemeClass('pagination.disabled');
+        document.querySelectorAll('[data-selection="page"]').forEach(control => {
+            disabledClass.split(' ').forEach(cls => control.classList.toggle(cls, this.selectAllMatching));
+            control.setAttribute('aria-disabled', this.selectAllMatching ? 'true' : 'false');
+        });
+
+        this.renderMatchingNotice();
+    }
+
+    /**
+     * The search and filters the "all matching" selection was made under
+     */
+    getMatchingCriteria() {
+        return JSON.stringify([this.search, this.filters]);
+    }
+
+    /**
+     * Go from every row on this page to every record matching the search and filters
+     */
+    selectMatching() {
+        this.selectAllMatching = true;
+        this.matchingCriteria = this.getMatchingCriteria();
+        this.syncMatchingSelection();
+    }
+
+    clearSelection() {
+        this.selectAllMatching = false;
+        this.selectedIds.clear();
+
+        document.querySelectorAll('.row-checkbox, .datatables-select-all').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+
+        this.updateBulkActionButtons();
+    }
+
+    /**
+     * Pages loaded while everything matching is selected come in checked
+     */
+    syncMatchingSelection() {
+        const rowCheckboxes = Array.from(document.querySelectorAll('.row-checkbox'));
+
+        if (this.selectAllMatching) {
+            rowCheckboxes.forEach(checkbox => {
+                checkbox.checked = true;
+                this.selectedIds.add(checkbox.value);
+            });
+        }
+
+        // "Select all" only stays checked while every row on the page is
+        const selectAll = document.querySelector('.datatables-select-all');
+        if (selectAll) {
+            selectAll.checked = rowCheckboxes.length > 0 && rowCheckboxes.every(checkbox => checkbox.checked);
+        }
+
+        this.updateBulkActionButtons();
+    }
+
+    /**
+     * Offer to extend a full page selection to every matching record, or show that it has been
+     */
+    renderMatchingNotice() {
+        const notice = document.querySelector('.datatables-select-matching');
+        if (!notice) { return; }
+
+        const selectAll = document.querySelector('.datatables-select-all');
+        const pageCount = document.querySelectorAll('.row-checkbox').length;
+        const total = this.matchingTotal.toLocaleString();
+
+        if (this.selectAllMatching) {
+            notice.innerHTML = `All <strong>${total}</strong> records matching the current search and filters are selected. <a href="#" class="datatables-select-matching-clear">Clear selection</a>`;
+        } else if (selectAll && selectAll.checked && pageCount > 0 && this.matchingTotal > pageCount) {
+            notice.innerHTML = `All <strong>${pageCount.toLocaleString()}</strong> records on this page are selected. <a href="#" class="datatables-select-matching-all">Select all ${total} matching records</a>`;
+        } else {
+            notice.hidden = true;
+            notice.innerHTML = '';
+            return;
+        }
+
+        notice.hidden = false;
+    }
+
+    /**
+     * The confirmation for a bulk action, acting on every matching record always asks
+     * and says how many records that is
+     */
+    getBulkConfirmMessage(action, confirmMessage) {
+        const parts = confirmMessage ? [confirmMessage] : [];
+
+        if (this.selectAllMatching) {
+            const label = this.bulkActions[action]?.label || action;
+            parts.push(`Apply "${this.escapeHtml(label)}" to all ${this.matchingTotal.toLocaleString()} records matching the current search and filters?`);
+        }
+
+        // Only worth saying when the user is being asked anyway
+        const undoNote = this.getBulkUndoNote(action);
+        if (undoNote && parts.length > 0) {
+            parts.push(undoNote);
+        }
+
+        return parts.join('<br><br>');
+    }
+
+    /**
+     * Why a bulk action on the current selection won't go in the undo history, empty when it will
+     */
+    getBulkUndoNote(action) {
+        if (action === 'delete') {
+            return 'Deleted records can\'t be brought back with undo.';
+        }
+
+        const count = this.selectAllMatching ? this.matchingTotal : this.selectedIds.size;
+        if (count > this.historyBulkLimit) {
+            return `Actions on more than ${this.historyBulkLimit.toLocaleString()} records can't be undone.`;
+        }
+
+        return '';
+    }
+
+    executeBulkActionDirect(action, event) {
+
+
+        if (event) {
+            event.preventDefault();
+        }
+        const selectedIds = Array.from(this.selectedIds);
+
+        if (selectedIds.length === 0) {
+            this.showNotification('No records selected', 'warning');
+            return;
+        }
+
+        // Check if action requires confirmation
+        const actionButton = document.querySelector(`[data-action="${action}"]`);
+        const confirmMessage = this.getBulkConfirmMessage(action, actionButton ? actionButton.getAttribute('data-confirm') : '');
+
+        if (confirmMessage) {
+            this.showConfirm(confirmMessage).then(
+                () => {
+                    this.performBulkAction(action, selectedIds);
+                },
+                () => {
+                    // User cancelled
+                }
+            );
+        } else {
+            this.performBulkAction(action, selectedIds);
+        }
+    }
+
+    executeActionCallback(action, rowId, event) {
+        if (event) {
+            event.preventDefault();
+        }
+
+        // Get row data
+        const rowData = window.DataTablesRowData ? window.DataTablesRowData[rowId] : {};
+
+        // Find the action configuration
+        let actionConfig = null;
+        if (this.actionConfig.groups) {
+            for (const group of this.actionConfig.groups) {
+                if (typeof group === 'object' && !Array.isArray(group)) {
+                    if (group[action] && group[action].hasCallback) {
+                        actionConfig = group[action];
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (!actionConfig) {
+            return;
+        }
+
+        // Check if confirmation is required
+        if (actionConfig.confirm) {
+            this.showConfirm(actionConfig.confirm).then(
+                () => {
+                    this.performActionCallback(action, rowId, rowData, actionConfig);
+                },
+                () => {
+                    // User cancelled
+                }
+            );
+        } else {
+            this.performActionCallback(action, rowId, rowData, actionConfig);
+        }
+    }
+
+    performActionCallback(action, rowId, rowData, actionConfig) {
+        const formData = new FormData();
+        formData.append('action', 'action_callback');
+        formData.append('action_name', action);
+        formData.append('row_id', rowId);
+        formData.append('row_data', JSON.stringify(rowData));
+
+        fetch(
+            window.location.href, {
+            method: 'POST',
+            body: formData
+        }
+        )
+            .then(response => response.json())
+            .then(
+                data => {
+                    if (data.success) {
+                        this.reload();
+                        this.showNotification(data.message || actionConfig.success_message || 'Action completed', 'success');
+                    } else {
+                        this.showNotification(data.message || actionConfig.error_message || 'Action failed', 'danger');
+                    }
+                }
+            )
+            .catch(
+                error => {
+                    console.error('Error:', error);
+                    this.showNotification('An error occurred', 'danger');
+                }
+            );
+    }
+
+    /**
+     * Reset search functionality
+     */
+    resetSearch() {
+        // Clear search input
+        document.querySelectorAll('.datatables-search').forEach(searchInput => {
+            searchInput.value = '';
+        });
+
+        // Reset search state and reload data
+        this.search = '';
+        this.currentPage = 1;
+        this.reload();
+    }
+
+    executeBulkAction() {
+        const bulkSelect = document.querySelector('.datatables-bulk-action');
+        if (!bulkSelect || !bulkSelect.value) {
+            return;
+        }
+
+        const action = bulkSelect.value;
+        const selectedIds = Array.from(this.selectedIds);
+
+        if (selectedIds.length === 0) {
+            this.showNotification('No records selected', 'warning');
+            return;
+        }
+
+        // Check if action requires confirmation
+        const actionConfig = this.bulkActions[action];
+        const confirmMessage = this.getBulkConfirmMessage(action, actionConfig ? actionConfig.confirm : '');
+        if (confirmMessage) {
+            this.showConfirm(confirmMessage).then(
+                () => {
+                    this.performBulkAction(action, selectedIds);
+                },
+                () => {
+                    // User cancelled
+                }
+            );
+        } else {
+            this.performBulkAction(action, selectedIds);
+        }
+    }
+
+    performBulkAction(action, selectedIds) {
+        const formData = new FormData();
+        formData.append('action', 'bulk_action');
+        formData.append('bulk_action', action);
+
+        // All matching records go as the criteria plus the count the user confirmed, the server checks it
+        const matching = this.selectAllMatching;
+        if (matching) {
+            formData.append('select_all', '1');
+            formData.append('search', this.search);
+            formData.append('filters', JSON.stringify(this.getServerFilters()));
+            formData.append('expected_count', this.matchingTotal);
+        } else {
+            formData.append('selected_ids', JSON.stringify(selectedIds));
+        }
+
+        // The server sends back what the action changed so it can be undone as one step
+        const undoNote = this.getBulkUndoNote(action);
+        if (!undoNote) {
+            formData.append('journal', '1');
+        }
+
+        fetch(
+            window.location.href, {
+            method: 'POST',
+            body: formData
+        }
+        )
+            .then(response => response.json())
+            .then(
+                data => {
+                    if (data.success) {
+                        this.selectedIds.clear();
+                        this.selectAllMatching = false;
+                        this.reload();
+
+                        const message = data.message || 'Bulk action completed';
+                        if (undoNote) {
+                            this.showNotification(`${message}. ${undoNote}`, 'success');
+                        } else {
+                            this.showNotification(message, 'success');
+                            this.recordChange(data.changes || [], this.bulkActions[action]?.label || action);
+                        }
+
+                        // Reset bulk action controls
+                        const bulkSelect = document.querySelector('.datatables-bulk-action');
+                        if (bulkSelect) {
+                            bulkSelect.value = '';
+                        }
+
+                        const selectAll = document.querySelector('.datatables-select-all');
+                        if (selectAll) {
+                            selectAll.checked = false;
+                        }
+
+                        this.updateBulkActionButtons();
+                    } else if (matching && data.matching_count !== undefined) {
+                        // The matching set changed since it was confirmed, show the new count to confirm again
+                        this.matchingTotal = parseInt(data.matching_count) || 0;
+                        this.renderMatchingNotice();
+                        this.showNotification(data.message || 'The matching records changed', 'warning');
+                    } else {
+                        // Batches before the failure were applied
+                        if (data.affected_count > 0) {
+                            this.reload();
+                        }
+                        this.showNotification(data.message || 'Bulk action failed', 'danger');
+                    }
+                }
+            )
+            .catch(
+                error => {
+                    console.error('Error:', error);
+                    this.showNotification('An error occurred', 'danger');
+                }
+            );
+    }
+
+    // === FORM MODALS ===
+    showAddModal(event) {
+        if (event) {
+            event.preventDefault();
+        }
+        this.showModal('add-modal');
+    }
+
+    showEditModal(id) {
+        this.loadRecordForEdit(id);
+        this.showModal('edit-modal');
+    }
+
+    showDeleteModal(id) {
+        this.deleteId = id;
+        this.showModal('delete-modal');
+    }
+
+    loadRecordForEdit(id) {
+        // Fetch complete record data via AJAX instead of parsing table cells
+        const params = new URLSearchParams({
+            action: 'fetch_record',
+            id: id
+        });
+
+        fetch('?' + params.toString())
+            .then(response => response.json())
+            .then(data => {
+                if (data.success && data.data) {
+                    // Populate all form fields with the fetched data
+                    this.populateEditForm(data.data);
+                } else {
+                    console.error('Failed to fetch record:', data.message);
+                    this.showNotification(data.message || 'Failed to fetch record data', 'danger');
+                }
+            })
+            .catch(error => {
+                console.error('Error fetching record:', error);
+                this.showNotification('Error fetching record data', 'danger');
+            });
+    }
+
+    populateEditForm(recordData) {
+        // Get unqualified primary key name
+        let unqualifiedPK = this.primaryKey;
+        if (this.primaryKey.includes('.')) {
+            unqualifiedPK = this.primaryKey.split('.')[1];
+        }
+
+        // Set the primary key field - try both qualified and unqualified
+        let pkValue = recordData[this.primaryKey] || recordData[unqualifiedPK] || recordData['s.id'] || recordData['id'] || '';
+
+        const pkField = document.getElementById(`edit-${unqualifiedPK}`);
+        if (pkField) {
+            pkField.value = pkValue;
+        }
+
+        // Get all form fields in the edit form
+        const editForm = document.getElementById('edit-form');
+        if (!editForm) return;
+
+        // Find all form inputs, selects, and textareas
+        const formElements = editForm.querySelectorAll('input, select, textarea');
+
+        formElements.forEach(element => {
+            const fieldName = element.name;
+
+            // Skip if no field name or if it's the primary key (already handled)
+            if (!fieldName || fieldName === unqualifiedPK) return;
+
+            // Get value from record data
+            const value = recordData[fieldName];
+
+            if (value !== undefined && value !== null) {
+                if (element.type === 'checkbox') {
+                    element.checked = value == '1' || value === 'true' || value === true;
+                } else if (element.type === 'radio') {
+                    element.checked = element.value === String(value);
+                } else {
+                    // For select2 fields, add the option before setting value
+                    if (element.hasAttribute('data-select2')) {
+                        element.innerHTML = `<option value="${value}" selected>${value}</option>`;
+                    }
+                    element.value = value;
+                }
+            } else {
+                // Clear field if no value found
+                if (element.type === 'checkbox' || element.type === 'radio') {
+                    element.checked = false;
+                } else {
+                    element.value = '';
+                }
+            }
+        });
+
+        // Update Select2 fields with record data for query parameter substitution
+        const select2Fields = editForm.querySelectorAll('select[data-select2]');
+        if (select2Fields.length > 0) {
+            const recordDataJson = JSON.stringify(recordData);
+            select2Fields.forEach(field => {
+                field.setAttribute('data-record-data', recordDataJson);
+
+                // Re-initialize Select2 with new record data if already initialized
+                const existingInstance = field.kptSelect2Instance;
+                if (existingInstance && field.value) {
+                    existingInstance.config.recordData = recordData;
+                    existingInstance.selectedValue = field.value;
+                    existingInstance.loadInitialValue();
+                }
+            });
+        }
+    }
+
+    submitAddForm(event) {
+        event.preventDefault();
+        const form = event.target;
+        const formData = new FormData(form);
+        formData.append('action', 'add_record');
+
+        this.submitForm(formData, form, 'add-modal', 'Record added successfully');
+        return false;
+    }
+
+    submitEditForm(event) {
+        event.preventDefault();
+        const form = event.target;
+        const formData = new FormData(form);
+        formData.append('action', 'edit_record');
+
+        this.submitForm(formData, null, 'edit-modal', 'Record updated successfully');
+        return false;
+    }
+
+    submitForm(formData, form, modalId, successMessage) {
+        formData.append('table', this.tableName);
+
+        fetch(
+            window.location.href, {
+            method: 'POST',
+            body: formData
+        }
+        )
+            .then(response => response.json())
+            .then(
+                data => {
+                    if (data.success) {
+                        this.hideModal(modalId);
+                        if (form) {
+                            form.reset();
+                        }
+                        this.reload();
+                        this.showNotification(successMessage, 'success');
+                    } else {
+                        this.showNotification(data.message || 'Operation failed', 'danger');
+                    }
+                }
+            )
+            .catch(
+                error => {
+                    console.error('Error:', error);
+                    this.showNotification('An error occurred', 'danger');
+                }
+            );
+    }
+
+    confirmDelete() {
+        if (!this.deleteId) {
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('action', 'delete_record');
+        formData.append('id', this.deleteId);
+
+        fetch(
+            window.location.href, {
+            method: 'POST',
+            body: formData
+        }
+        )
+            .then(response => response.json())
+            .then(
+                data => {
+                    if (data.success) {
+                        this.hideModal('delete-modal');
+                        this.reload();
+                        this.showNotification('Record deleted successfully', 'success');
+                    } else {
+                        this.showNotification(data.message || 'Failed to delete record', 'danger');
+                    }
+                }
+            )
+            .catch(
+                error => {
+                    console.error('Error:', error);
+                    this.showNotification('An error occurred', 'danger');
+                }
+            );
+
+        this.deleteId = null;
+    }
+
+    /**
+     * Row events are delegated from the tbody, so how many rows there are
+     * doesn't change what a render costs
+     */
+    bindTableEvents() {
+        const tbody = document.querySelector('.datatables-tbody');
+        if (!tbody) { return; }
+
+        tbody.addEventListener('click', (e) => {
+            // Edit and delete buttons
+            const editButton = e.target.closest('.btn-edit');
+            if (editButton) {
+                e.preventDefault();
+                this.showEditModal(editButton.closest('tr').getAttribute('data-id'));
+                return;
+            }
+
+            const deleteButton = e.target.closest('.btn-delete');
+            if (deleteButton) {
+                e.preventDefault();
+                this.showDeleteModal(deleteButton.closest('tr').getAttribute('data-id'));
+                return;
+            }
+
+            // Boolean toggle for boolean fields
+            const toggle = e.target.closest('td .boolean-toggle');
+            if (toggle) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleBoolean(toggle);
+                return;
+            }
+
+            // Inline edit for regular fields, for image fields the target might be the img element
+            const editable = e.target.closest('td .inline-editable');
+            if (editable) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.startInlineEdit(editable);
+                return;
+            }
+
+            // Clickable rows
+            const row = e.target.closest('tr.row-select');
+            const clickedTd = e.target.closest('td');
+            if (row && clickedTd && !clickedTd.classList.contains('row-check') &&
+                !clickedTd.classList.contains('row-action') &&
+                !clickedTd.classList.contains('cell-edit')) {
+
+                const checkbox = row.querySelector('.row-checkbox');
+                if (checkbox) {
+                    checkbox.checked = !checkbox.checked;
+                    this.toggleRowSelection(checkbox);
+                }
+            }
+        });
+    }
+
+    startInlineEdit(element) {
+        // Prevent multiple edits on the same cell
+        if (element.querySelector('input, select, textarea')) {
+            return;
+        }
+
+        const field = element.getAttribute('data-field');
+        const id = element.getAttribute('data-id');
+        const fieldType = element.getAttribute('data-type') || 'text';
+        // Get current value - check for stored data-value first, then fallback to text content
+        const currentValue = element.getAttribute('data-value') || element.textContent;
+
+        if (!this.inlineEditableColumns.includes(field)) { return; }
+
+        // Field types registered by the page bring their own editor
+        const customEditor = DataTablesJS.fieldEditors[fieldType];
+        if (customEditor) {
+            customEditor.start({
+                table: this,
+                element: element,
+                id: id,
+                field: field,
+                value: currentValue,
+                row: (window.DataTablesRowData || {})[id] || {},
+                save: (newValue) => {
+                    if (newValue !== currentValue) {
+                        this.saveInlineEdit(id, field, newValue, element, currentValue);
+                    } else {
+                        element.textContent = currentValue;
+                    }
+                },
+                cancel: () => {
+                    element.textContent = currentValue;
+                }
+            });
+            return;
+        }
+
+        const inputClass = this.getThemeClass('input');
+        const selectClass = this.getThemeClass('select');
+        const textareaClass = this.getThemeClass('textarea');
+        const buttonPrimaryClass = this.getThemeClass('button.primary');
+        const buttonDefaultClass = this.getThemeClass('button.default');
+        const buttonSmallClass = this.getThemeClass('button.small');
+        const flexRightClass = this.getThemeClass('flex.right');
+        const marginSmallTopClass = this.getThemeClass('margin.smallTop');
+        const marginSmallRightClass = this.getThemeClass('margin.smallRight');
+        const marginSmallBottomClass = this.getThemeClass('margin.smallBottom');
+        const roundedClass = this.getThemeClass('border.rounded');
+        const displayBlockClass = this.getThemeClass('display.block');
+
+        // Get schema information for options
+        const tableElement = document.querySelector('.datatables-table');
+        const tableSchema = tableElement ? JSON.parse(tableElement.dataset.columns || '{}') : {};
+
+
+        let inputElement;
+
+        // Create appropriate input based on field type
+        switch (fieldType) {
+            case 'select':
+                const options = tableSchema[field]?.form_options || {};
+
+                inputElement = document.createElement('select');
+                inputElement.className = selectClass;
+
+                // Add options
+                for (const [value, label] of Object.entries(options)) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    if (value === currentValue) {
+                        option.selected = true;
+                    }
+                    inputElement.appendChild(option);
+                }
+                break;
+
+            case 'select2':
+                const query = tableSchema[field]?.select2_query || '';
+                const minChars = 0;
+                const maxResults = tableSchema[field]?.select2_max_results || 50;
+                let originalLabel = currentValue;
+
+                if (!query) {
+                    console.error('No query configured for select2 field:', field);
+                    element.textContent = currentValue;
+                    return;
+                }
+
+                const selectEl = document.createElement('select');
+                selectEl.className = selectClass;
+                selectEl.setAttribute('data-select2', 'true');
+                selectEl.setAttribute('data-query', query);
+                selectEl.setAttribute('data-placeholder', 'Select...');
+                selectEl.setAttribute('data-min-search-chars', minChars);
+                selectEl.setAttribute('data-max-results', maxResults);
+                selectEl.setAttribute('data-theme', this.theme);
+                selectEl.innerHTML = `<option value="${currentValue}" selected>Loading...</option>`;
+                selectEl.value = currentValue;
+
+                element.innerHTML = '';
+                element.appendChild(selectEl);
+
+                setTimeout(() => {
+
+                    if (typeof window.KPTSelect2 === 'function') {
+                        const config = {
+                            placeholder: selectEl.getAttribute('data-placeholder') || 'Select...',
+                            query: selectEl.getAttribute('data-query') || '',
+                            minSearchChars: selectEl.getAttribute('data-min-search-chars') || 0,
+                            maxResults: selectEl.getAttribute('data-max-results') || 50,
+                            theme: selectEl.getAttribute('data-theme') || 'uikit',
+                            recordData: {}
+                        };
+
+                        new KPTSelect2(selectEl, config);
+
+                        // Add change listener AFTER instance is created
+                        selectEl.addEventListener('change', () => {
+                            const newValue = selectEl.value;
+                            if (newValue !== currentValue) {
+                                this.saveInlineEdit(id, field, newValue, element, currentValue);
+                            } else {
+                                if (selectEl.kptSelect2Instance) {
+                                    element.textContent = selectEl.kptSelect2Instance.selectedLabel || currentValue;
+                                } else {
+                                    element.textContent = currentValue;
+                                }
+                            }
+                        });
+
+                        // Override close method to restore if no change
+                        const instance = selectEl.kptSelect2Instance;
+                        const originalClose = instance.close.bind(instance);
+                        instance.close = function () {
+                            const valueChanged = selectEl.value !== currentValue;
+                            originalClose();
+
+                            if (!valueChanged) {
+                                // Restore original cell content
+                                element.textContent = originalLabel;
+                            }
+                        };
+                    } else {
+                        console.error('KPTSelect2 class not found!');
+                    }
+
+                    setTimeout(() => {
+                        if (selectEl.kptSelect2Instance) {
+                            selectEl.kptSelect2Instance.selectedValue = currentValue;
+                            selectEl.kptSelect2Instance.loadInitialValue();
+
+                            // Store the label once loaded
+                            setTimeout(() => {
+                                originalLabel = selectEl.kptSelect2Instance.selectedLabel || currentValue;
+                            }, 25);
+
+                            setTimeout(() => {
+                                selectEl.kptSelect2Instance.open();
+                            }, 50);
+                        } else {
+                            console.error('NO INSTANCE CREATED');
+                        }
+                    }, 100);
+                }, 150);
+
+                return;
+
+            case 'textarea':
+                inputElement = document.createElement('textarea');
+                inputElement.className = textareaClass;
+                inputElement.value = currentValue;
+                break;
+
+            case 'number':
+                inputElement = document.createElement('input');
+                inputElement.type = 'number';
+                inputElement.className = inputClass;
+                inputElement.value = currentValue;
+                break;
+
+            case 'date':
+                inputElement = document.createElement('input');
+                inputElement.type = 'date';
+                inputElement.className = inputClass;
+                inputElement.value = currentValue;
+                break;
+
+            case 'datetime-local':
+                inputElement = document.createElement('input');
+                inputElement.type = 'datetime-local';
+                inputElement.className = inputClass;
+                inputElement.value = currentValue;
+                break;
+
+            case 'image':
+                // Create container for image editing
+                const container = document.createElement('div');
+                container.style.minWidth = '200px';
+
+                // Current image preview
+                if (currentValue && currentValue.trim()) {
+                    const imageSrc = currentValue.startsWith('http') ? currentValue : `/uploads/${currentValue}`;
+                    const preview = document.createElement('img');
+                    preview.src = imageSrc;
+                    preview.style.maxWidth = '100px';
+                    preview.style.maxHeight = '100px';
+                    preview.style.objectFit = 'cover';
+                    preview.className = `${roundedClass} ${marginSmallBottomClass} ${displayBlockClass}`;
+                    container.appendChild(preview);
+                }
+
+                // URL input
+                const urlInput = document.createElement('input');
+                urlInput.type = 'url';
+                urlInput.className = `${inputClass} ${marginSmallBottomClass}`;
+                urlInput.placeholder = 'Enter image URL or upload file';
+                urlInput.value = currentValue.startsWith('http') ? currentValue : '';
+
+                // File input container
+                const fileContainer = document.createElement('div');
+                fileContainer.className = marginSmallBottomClass;
+
+                const fileInput = document.createElement('input');
+                fileInput.type = 'file';
+                fileInput.className = inputClass;
+                fileInput.accept = 'image/*';
+
+                // Action buttons
+                const buttonContainer = document.createElement('div');
+                buttonContainer.className = `${flexRightClass} ${marginSmallTopClass}`;
+
+                const saveBtn = document.createElement('button');
+                saveBtn.className = `${buttonPrimaryClass} ${buttonSmallClass} ${marginSmallRightClass}`;
+                saveBtn.textContent = 'Save';
+                saveBtn.type = 'button';
+
+                const cancelBtn = document.createElement('button');
+                cancelBtn.className = `${buttonDefaultClass} ${buttonSmallClass}`;
+                cancelBtn.textContent = 'Cancel';
+                cancelBtn.type = 'button';
+
+                fileContainer.appendChild(fileInput);
+                buttonContainer.appendChild(saveBtn);
+                buttonContainer.appendChild(cancelBtn);
+
+                container.appendChild(urlInput);
+                container.appendChild(fileContainer);
+                container.appendChild(buttonContainer);
+
+                // Save function
+                const saveImageEdit = () => {
+                    const urlValue = urlInput.value.trim();
+                    const fileValue = fileInput.files[0];
+
+                    if (fileValue) {
+                        // Upload file
+                        const formData = new FormData();
+                        formData.append('action', 'upload_file');
+                        formData.append('file', fileValue);
+                        formData.append('prepend', element.getAttribute('data-prepend') || '');
+
+                        fetch(window.location.href, {
+                            method: 'POST',
+                            body: formData
+                        })
+                            .then(response => response.json())
+                            .then(data => {
+                                if (data.success) {
+                                    this.saveInlineEdit(id, field, data.file_name, element, currentValue);
+                                } else {
+                                    cancelImageEdit();
+                                    this.showNotification(data.message || 'Upload failed', 'danger');
+                                }
+                            })
+                            .catch(error => {
+                                cancelImageEdit();
+                                this.showNotification('Upload error', 'danger');
+                            });
+                    } else if (urlValue !== currentValue) {
+                        this.saveInlineEdit(id, field, urlValue, element, currentValue);
+                    } else {
+                        cancelImageEdit();
+                    }
+                };
+
+                const cancelImageEdit = () => {
+                    if (currentValue && currentValue.trim()) {
+                        const imageSrc = currentValue.startsWith('http') ? currentValue : `/uploads/${currentValue}`;
+                        element.innerHTML = `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                    } else {
+                        element.innerHTML = 'No image';
+                    }
+                };
+
+                // Event listeners
+                saveBtn.addEventListener('click', saveImageEdit);
+                cancelBtn.addEventListener('click', cancelImageEdit);
+
+                urlInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        saveImageEdit();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        cancelImageEdit();
+                    }
+                });
+
+                // Replace content and focus
+                element.innerHTML = '';
+                element.appendChild(container);
+                urlInput.focus();
+                return; // Exit early since we handle everything custom
+
+            default: // text, email, etc.
+                inputElement = document.createElement('input');
+                inputElement.type = fieldType === 'email' ? 'email' : 'text';
+                inputElement.className = inputClass;
+                inputElement.value = currentValue;
+        }
+
+        const saveEdit = () => {
+            const newValue = inputElement.value;
+            if (newValue !== currentValue) {
+                this.saveInlineEdit(id, field, newValue, element, currentValue);
+            } else {
+                element.textContent = currentValue;
+            }
+        };
+
+        const cancelEdit = () => {
+            element.textContent = currentValue;
+        };
+
+        inputElement.addEventListener('blur', saveEdit);
+        inputElement.addEventListener(
+            'keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    saveEdit();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    cancelEdit();
+                }
+            }
+        );
+
+        element.textContent = '';
+        element.appendChild(inputElement);
+        inputElement.focus();
+        if (inputElement.select) {
+            inputElement.select();
+        }
+    }
+
+    toggleBoolean(element) {
+        const field = element.getAttribute('data-field');
+        const id = element.getAttribute('data-id');
+
+        // Get current value from the data attribute
+        const currentValue = element.getAttribute('data-value');
+        const isCurrentlyActive = currentValue == '1' || currentValue === 'true' || currentValue === true;
+        const newValue = isCurrentlyActive ? '0' : '1';
+
+        this.saveInlineEdit(id, field, newValue, element, currentValue);
+    }
+
+    /**
+     * Post a single field update, resolves to the server's JSON response
+     */
+    postInlineEdit(id, field, value) {
+        const formData = new FormData();
+        formData.append('action', 'inline_edit');
+        formData.append('id', id);
+        formData.append('field', field);
+        formData.append('value', value);
+
+        return fetch(
+            window.location.href, {
+            method: 'POST',
+            body: formData
+        }
+        )
+            .then(response => response.json());
+    }
+
+    /**
+     * Save an inline edit optimistically: the cell and the row data change straight
+     * away, go back to the original value if the save fails, and once it's saved
+     * only this row is refreshed from the server
+     */
+    saveInlineEdit(id, field, value, element, oldValue = null) {
+        const original = oldValue ?? element.getAttribute('data-value') ?? element.textContent;
+        element.setAttribute('data-original', original);
+
+        // A select2 cell shows the label, the picker still has it
+        const dataKey = this.getDataKey(field);
+        const labelKey = `${dataKey}_label`;
+        const row = this.findRow(id);
+        const isSelect2 = element.getAttribute('data-type') === 'select2';
+        const label = isSelect2 ? element.querySelector('select')?.kptSelect2Instance?.selectedLabel ?? null : null;
+        const originalLabel = isSelect2 && row ? row[labelKey] ?? null : null;
+
+        const patch = (newValue, newLabel) => {
+            const values = { [dataKey]: newValue };
+            if (isSelect2 && newLabel !== null) {
+                values[labelKey] = newLabel;
+            }
+            this.patchRow(id, values);
+        };
+
+        DataTablesJS.saveOptimistic({
+            apply: () => {
+                this.renderCellValue(element, value, label);
+                patch(value, label);
+            },
+            revert: () => {
+                this.renderCellValue(element, element.getAttribute('data-original') ?? '', originalLabel);
+                element.removeAttribute('data-original');
+                patch(original, originalLabel);
+                this.calculatePageAggregations(this.pageData);
+            },
+            save: () => this.postInlineEdit(id, field, value)
+        })
+            .then(
+                () => {
+                    element.removeAttribute('data-original');
+
+                    // Other pages may sort or filter differently now, this one only needs the row
+                    this.invalidateCache();
+                    this.refreshRow(id);
+                    this.loadAggregations();
+
+                    // Update edit form if it's open and has this field
+                    const editForm = document.getElementById(`edit-${field}`);
+                    if (editForm) {
+                        if (editForm.type === 'checkbox') {
+                            editForm.checked = value === '1' || value === 'true' || value === true;
+                        } else {
+                            editForm.value = value;
+                        }
+                    }
+
+                    // Journal the change, its undo toast doubles as the success message
+                    const recorded = oldValue !== null && this.recordChange([{ id: id, field: field, oldValue: oldValue, newValue: value }], 'Field updated successfully');
+                    if (!recorded) {
+                        this.showNotification('Field updated successfully', 'success');
+                    }
+                }
+            )
+            .catch(
+                error => {
+                    console.error('Error:', error);
+                    this.showNotification(error.response ? error.response.message || 'Failed to update field' : 'An error occurred', 'danger');
+                }
+            );
+    }
+
+    /**
+     * Show a value in an inline-editable cell the way renderRow() does
+     */
+    renderCellValue(element, value, label = null) {
+        const type = element.getAttribute('data-type');
+
+        // Handle image fields differently
+        if (type === 'image') {
+            const roundedClass = this.getThemeClass('border.rounded');
+            if (value && value.trim()) {
+                const imageSrc = value.startsWith('http') ? value : `/uploads/${value}`;
+                element.innerHTML = `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                element.setAttribute('data-value', value);
+            } else {
+                element.innerHTML = 'No image';
+                element.setAttribute('data-value', '');
+            }
+        } else if (element.classList.contains('boolean-toggle')) {
+            const isActive = value == '1' || value === 'true' || value === true;
+            const iconClass = isActive ? this.getThemeClass('icon.success') : this.getThemeClass('icon.danger');
+
+            element.innerHTML = this.renderIcon(isActive ? 'check' : 'close', iconClass);
+            element.setAttribute('data-value', value);
+        } else if (type === 'select') {
+
+            // Handle select fields - show label but store value
+            const selectOptions = this.getTableSchema()[element.getAttribute('data-field')]?.form_options || {};
+            const valueStr = String(value);
+            const displayLabel = valueStr in selectOptions ? selectOptions[valueStr] : value;
+
+            element.setAttribute('data-value', value);
+            element.textContent = displayLabel;
+        } else if (type === 'select2') {
+            element.setAttribute('data-value', value);
+            element.textContent = label ?? value;
+        } else {
+            element.textContent = value;
+        }
+    }
+
+    /**
+     * The loaded copy of a row, from the page on screen or the virtual scroll pages
+     */
+    findRow(id) {
+        const matches = row => String(this.getRowId(row)) === String(id);
+        let row = this.pageData.find(matches);
+
+        if (!row && this.virtualScroll) {
+            for (const rows of this.virtualPages.values()) {
+                row = rows.find(matches);
+                if (row) { break; }
+            }
+        }
+
+        return row || null;
+    }
+
+    patchRow(id, values) {
+        const row = this.findRow(id);
+        if (row) {
+            Object.assign(row, values);
+        }
+        return row;
+    }
+
+    /**
+     * Bring one row up to date from fetch_record instead of reloading the whole page.
+     * The record only has the base table's columns, joined ones keep their values
+     */
+    refreshRow(id) {
+        return this.fetchRecord(id).then(record => {
+            const row = record ? this.findRow(id) : null;
+            if (!row) { return; }
+
+            const tableParts = this.tableName.trim().split(/\s+/);
+            const baseAlias = tableParts[tableParts.length - 1];
+
+            Object.keys(row).forEach(key => {
+                const dot = key.indexOf('.');
+                const qualifier = dot === -1 ? null : key.substring(0, dot);
+                const column = dot === -1 ? key : key.substring(dot + 1);
+
+                if ((qualifier === null || qualifier === baseAlias) && column in record) {
+                    row[key] = record[column];
+                }
+            });
+
+            this.renderRowInPlace(row);
+            this.calculatePageAggregations(this.pageData);
+        });
+    }
+
+    /**
+     * Swap one rendered row for a fresh render of its data, unless one of its cells is being edited
+     */
+    renderRowInPlace(row) {
+        const id = String(this.getRowId(row));
+        const tr = document.querySelector(`.datatables-tbody tr[data-id="${CSS.escape(id)}"]`);
+        if (!tr || tr.querySelector('input:not(.row-checkbox), select, textarea')) { return; }
+
+        tr.insertAdjacentHTML('afterend', this.renderRow(row, this.getTableSchema()));
+        const fresh = tr.nextElementSibling;
+        tr.remove();
+
+        if (this.virtualScroll) {
+            fresh.style.height = `${this.virtualRowHeight}px`;
+        }
+
+        if (this.cursor && this.cursor.rowId === id) {
+            this.restoreCursor();
+        }
+    }
+
+    // === UNDO / REDO ===
+    bindHistoryEvents() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) { return; }
+
+            // Inputs keep their own text undo
+            if (e.target.closest('input, select, textarea, [contenteditable]')) { return; }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.datatables-undo')) {
+                e.preventDefault();
+                this.undo();
+            }
+        });
+    }
+
+    /**
+     * Journal a successful save, changes are { id, field, oldValue, newValue }
+     * and a bulk action is recorded as a single entry. Returns whether anything was recorded
+     */
+    recordChange(changes, label = 'Change saved') {
+        changes = changes.filter(change => String(change.oldValue ?? '') !== String(change.newValue ?? ''));
+        if (changes.length === 0) { return false; }
+
+        this.undoStack.push({ label: label, changes: changes });
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.showUndoToast(changes.length > 1 ? `${label} (${changes.length} changes)` : label);
+        return true;
+    }
+
+    async undo() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry || this.historyBusy) { return; }
+
+        if (await this.replayChanges(entry, 'oldValue')) {
+            this.redoStack.push(this.undoStack.pop());
+            this.showNotification(`Undone: ${entry.label}`, 'success');
+        }
+    }
+
+    async redo() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        if (!entry || this.historyBusy) { return; }
+
+        if (await this.replayChanges(entry, 'newValue')) {
+            this.undoStack.push(this.redoStack.pop());
+            this.showNotification(`Redone: ${entry.label}`, 'success');
+        }
+    }
+
+    /**
+     * Write one side of a journal entry back through inline_edit
+     */
+    async replayChanges(entry, side) {
+        this.historyBusy = true;
+
+        try {
+            const results = await this.runConcurrent(entry.changes, change =>
+                this.postInlineEdit(change.id, change.field, change[side] ?? '')
+                    .then(data => data.success)
+                    .catch(() => false)
+            );
+            const failed = results.filter(ok => !ok).length;
+
+            this.reload();
+
+            if (failed > 0) {
+                this.showNotification(`${failed} of ${entry.changes.length} change(s) could not be reverted`, 'danger');
+                return false;
+            }
+
+            return true;
+        } finally {
+            this.historyBusy = false;
+        }
+    }
+
+    showUndoToast(message) {
+        if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
+            UIkit.notification(`${message} <a href="#" class="datatables-undo">Undo</a>`, { status: 'success' });
+        } else {
+            this.showNotification(`${message} - press Ctrl+Z to undo`, 'success');
+        }
+    }
+
+    fetchRecord(id) {
+        const params = new URLSearchParams({
+            action: 'fetch_record',
+            id: id
+        });
+
+        return fetch('?' + params.toString())
+            .then(response => response.json())
+            .then(data => data.success ? data.data : null)
+            .catch(() => null);
+    }
+
+    /**
+     * Run a promise returning task over items with a few in flight at once
+     */
+    async runConcurrent(items, task, limit = 4) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await task(items[index]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+
+    // === SPREADSHEET MODE ===
+    bindSpreadsheetEvents() {
+        // Clicking a cell puts the cursor there, clicking anywhere else leaves the grid
+        document.addEventListener('mousedown', (e) => {
+            const cell = e.target.closest('.datatables-tbody td[data-column]');
+            if (cell) {
+                this.gridActive = true;
+                this.setCursor(cell, false);
+            } else if (!e.target.closest('.datatables-tbody')) {
+                this.gridActive = false;
+                this.clearCursor();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => this.handleGridKey(e));
+    }
+
+    handleGridKey(e) {
+        if (!this.gridActive || !this.cursor || e.altKey || e.ctrlKey || e.metaKey) { return; }
+
+        // Keys inside an open inline editor belong to the editor, except Tab
+        const editor = e.target.closest('input, select, textarea, [contenteditable]');
+        if (editor) {
+            if (!editor.closest('.datatables-tbody')) { return; }
+
+            if (e.key === 'Tab') {
+                // Move first so the re-render after the save lands on the next cell
+                e.preventDefault();
+                this.moveCursor(0, e.shiftKey ? -1 : 1);
+                editor.blur();
+                this.focusCursor();
+            } else if (e.key === 'Enter' || e.key === 'Escape') {
+                // The editor handles the save or cancel, then focus comes back to the grid
+                setTimeout(() => this.focusCursor(), 0);
+            }
+            return;
+        }
+
+        // Leave modals and the rest of the page alone
+        if (!e.target.closest('.datatables-tbody') && e.target !== document.body) { return; }
+        if (document.querySelector('.uk-modal.uk-open, .modal.show')) { return; }
+
+        const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            const [rows, columns] = moves[e.key];
+
+            if (e.shiftKey && rows !== 0) {
+                this.extendSelection(rows);
+            } else {
+                this.selectionAnchor = null;
+                this.rangeIds.clear();
+                this.moveCursor(rows, columns);
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'Tab':
+                e.preventDefault();
+                this.moveCursor(0, e.shiftKey ? -1 : 1);
+                break;
+
+            case 'Enter':
+            case 'F2':
+                e.preventDefault();
+                this.editCursorCell();
+                break;
+
+            case ' ': {
+                const toggle = this.getCursorCell()?.querySelector('.boolean-toggle');
+                if (toggle) {
+                    e.preventDefault();
+                    this.toggleBoolean(toggle);
+                }
+                break;
+            }
+
+            case 'j':
+            case 'k': {
+                const page = this.currentPage + (e.key === 'j' ? 1 : -1);
+                if (page >= 1 && page <= this.totalPages) {
+                    e.preventDefault();
+                    this.goToPage(page);
+                }
+                break;
+            }
+
+            case 'Escape':
+                this.gridActive = false;
+                this.clearCursor();
+                break;
+        }
+    }
+
+    getGridRows() {
+        return Array.from(document.querySelectorAll('.datatables-tbody tr[data-id]'));
+    }
+
+    /**
+     * Navigable cells of a row, hidden columns are skipped
+     */
+    getGridCells(row) {
+        return Array.from(row.querySelectorAll('td[data-column]')).filter(cell => cell.offsetParent !== null);
+    }
+
+    getCursorCell() {
+        if (!this.cursor) { return null; }
+
+        const row = document.querySelector(`.datatables-tbody tr[data-id="${CSS.escape(this.cursor.rowId)}"]`);
+        return row ? row.querySelector(`td[data-column="${CSS.escape(this.cursor.column)}"]`) : null;
+    }
+
+    setCursor(cell, focus = true) {
+        const row = cell.closest('tr[data-id]');
+        if (!row) { return; }
+
+        this.clearCursor(false);
+        this.cursor = {
+            rowId: row.getAttribute('data-id'),
+            rowIndex: this.getGridRows().indexOf(row),
+            column: cell.getAttribute('data-column')
+        };
+
+        cell.classList.add('datatables-cell-cursor');
+        cell.setAttribute('tabindex', '-1');
+
+        if (focus) {
+            this.focusCursor();
+        }
+    }
+
+    clearCursor(forget = true) {
+        document.querySelectorAll('.datatables-cell-cursor').forEach(cell => {
+            cell.classList.remove('datatables-cell-cursor');
+            cell.removeAttribute('tabindex');
+        });
+
+        if (forget) {
+            this.cursor = null;
+            this.selectionAnchor = null;
+            this.rangeIds.clear();
+        }
+    }
+
+    /**
+     * Focus the cursor cell unless something else on the page took focus meanwhile
+     */
+    focusCursor() {
+        const cell = this.getCursorCell();
+        if (!cell || !this.gridActive) { return; }
+
+        const active = document.activeElement;
+        if (active && active !== document.body && active !== cell && !cell.contains(active) && active.closest('.datatables-tbody') === null) { return; }
+        if (cell.querySelector('input, select, textarea')) { return; }
+
+        cell.focus({ preventScroll: true });
+        cell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    /**
+     * Put the cursor back after loadData() re-rendered the rows
+     */
+    restoreCursor() {
+        if (!this.cursor) { return; }
+
+        let cell = this.getCursorCell();
+
+        // The row is gone (new page, deleted, filtered out), stay at the same position
+        if (!cell) {
+            const rows = this.getGridRows();
+            if (rows.length === 0) { return; }
+
+            const row = rows[Math.min(this.cursor.rowIndex, rows.length - 1)];
+            cell = row.querySelector(`td[data-column="${CSS.escape(this.cursor.column)}"]`) || this.getGridCells(row)[0];
+            if (!cell) { return; }
+        }
+
+        this.setCursor(cell, this.gridActive);
+    }
+
+    moveCursor(rowStep, columnStep) {
+        const current = this.getCursorCell();
+        if (!current) { return; }
+
+        const rows = this.getGridRows();
+        const rowIndex = rows.indexOf(current.closest('tr'));
+        const targetRow = rows[Math.max(0, Math.min(rows.length - 1, rowIndex + rowStep))];
+
+        const cells = this.getGridCells(targetRow);
+        const columnIndex = this.getGridCells(current.closest('tr')).indexOf(current);
+        const target = cells[Math.max(0, Math.min(cells.length - 1, columnIndex + columnStep))];
+
+        if (target) {
+            this.setCursor(target);
+        }
+    }
+
+    /**
+     * Shift + up / down selects every row between the anchor and the cursor
+     */
+    extendSelection(rowStep) {
+        const current = this.getCursorCell();
+        if (!current) { return; }
+
+        const rows = this.getGridRows();
+        if (this.selectionAnchor === null) {
+            this.selectionAnchor = rows.indexOf(current.closest('tr'));
+        }
+
+        this.moveCursor(rowStep, 0);
+
+        const cursorIndex = rows.indexOf(this.getCursorCell().closest('tr'));
+        const from = Math.min(this.selectionAnchor, cursorIndex);
+        const to = Math.max(this.selectionAnchor, cursorIndex);
+        const range = new Set(rows.slice(from, to + 1).map(row => row.getAttribute('data-id')));
+
+        rows.forEach(row => {
+            const checkbox = row.querySelector('.row-checkbox');
+            const id = row.getAttribute('data-id');
+            if (!checkbox) { return; }
+
+            // Only undo what this range selected, earlier selections stay
+            if (range.has(id) !== checkbox.checked && (range.has(id) || this.rangeIds.has(id))) {
+                checkbox.checked = range.has(id);
+                this.toggleRowSelection(checkbox);
+            }
+        });
+
+        this.rangeIds = range;
+    }
+
+    editCursorCell() {
+        const cell = this.getCursorCell();
+        if (!cell) { return; }
+
+        const toggle = cell.querySelector('.boolean-toggle');
+        if (toggle) {
+            this.toggleBoolean(toggle);
+            return;
+        }
+
+        const editable = cell.querySelector('.inline-editable');
+        if (editable) {
+            this.startInlineEdit(editable);
+        }
+    }
+
+    // === FILTER BUILDER ===
+    bindFilterEvents() {
+        this.renderFilterChips();
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.datatables-filter-toggle')) {
+                e.preventDefault();
+                this.toggleFilterPanel();
+                return;
+            }
+
+            const chipRemove = e.target.closest('.datatables-filter-chip-remove');
+            if (chipRemove) {
+                e.preventDefault();
+                this.setFilters(this.filters.filter((filter, index) => index !== parseInt(chipRemove.dataset.index, 10)));
+                return;
+            }
+
+            const action = e.target.closest('.datatables-filter-panel [data-filter-action]');
+            if (!action) { return; }
+
+            e.preventDefault();
+            this.filterDraft = this.readFilterPanel();
+
+            switch (action.dataset.filterAction) {
+                case 'add':
+                    this.filterDraft.push(this.newFilter());
+                    this.renderFilterPanel();
+                    break;
+                case 'remove':
+                    this.filterDraft.splice(parseInt(action.closest('.datatables-filter-row').dataset.index, 10), 1);
+                    this.renderFilterPanel();
+                    break;
+                case 'apply':
+                    this.setFilters(this.filterDraft);
+                    break;
+                case 'clear':
+                    this.setFilters([]);
+                    break;
+                case 'save-preset':
+                    this.saveFilterPreset();
+                    break;
+                case 'delete-preset':
+                    this.deleteFilterPreset();
+                    break;
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (!e.target.closest('.datatables-filter-panel')) { return; }
+
+            if (e.target.matches('.datatables-filter-preset')) {
+                // Load the preset's conditions to review, Apply uses them
+                const presets = this.loadFilterPresets();
+                this.filterPreset = e.target.value;
+                this.filterDraft = presets[this.filterPreset] ? JSON.parse(JSON.stringify(presets[this.filterPreset])) : this.readFilterPanel();
+                this.renderFilterPanel();
+            } else if (e.target.matches('.datatables-filter-column, .datatables-filter-operator')) {
+                // A different column or operator needs a different value input
+                this.filterDraft = this.readFilterPanel();
+                if (e.target.matches('.datatables-filter-column')) {
+                    this.filterDraft[parseInt(e.target.closest('.datatables-filter-row').dataset.index, 10)].value = '';
+                }
+                this.renderFilterPanel();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!e.target.closest('.datatables-filter-panel')) { return; }
+
+            if (e.key === 'Enter' && e.target.matches('input.datatables-filter-value')) {
+                e.preventDefault();
+                this.setFilters(this.readFilterPanel());
+            } else if (e.key === 'Escape') {
+                this.hideFilterPanel();
+            }
+        });
+    }
+
+    /**
+     * Filterable columns with their type, aliased expressions can't be filtered
+     */
+    getFilterColumns() {
+        const tableElement = document.querySelector('.datatables-table');
+        const tableSchema = tableElement ? JSON.parse(tableElement.dataset.columns || '{}') : {};
+
+        return Object.keys(this.columns).filter(column => !/\s+as\s+/i.test(column)).map(column => {
+            const key = column.includes('.') ? column.split('.')[1] : column;
+            const info = tableSchema[key] || {};
+            let type = info.override_type || info.type || 'text';
+
+            if (type === 'checkbox') { type = 'boolean'; }
+            if (type === 'select' && !info.form_options) { type = 'text'; }
+            if (!DataTablesJS.filterTypeOperators[type]) { type = 'text'; }
+
+            return { column: column, label: this.columns[column], type: type, options: info.form_options || {} };
+        });
+    }
+
+    newFilter() {
+        const columns = this.getFilterColumns();
+        const column = columns.find(item => item.column !== this.primaryKey) || columns[0];
+
+        return { column: column ? column.column : '', operator: '', value: '' };
+    }
+
+    isCompleteFilter(filter) {
+        const operator = DataTablesJS.filterOperators[filter.operator];
+        if (!filter.column || !operator) { return false; }
+
+        return Array.isArray(filter.value) ? filter.value.length > 0 : String(filter.value ?? '') !== '';
+    }
+
+    setFilters(filters) {
+        this.filters = filters.filter(filter => this.isCompleteFilter(filter));
+        this.currentPage = 1;
+        this.hideFilterPanel();
+        this.renderFilterChips();
+        this.loadData();
+    }
+
+    /**
+     * The filters as column / comparison / value for fetch_data
+     */
+    getServerFilters() {
+        return this.filters.map(filter => {
+            const operator = DataTablesJS.filterOperators[filter.operator];
+            let value = filter.value;
+
+            if (operator.like) {
+                value = operator.like.replace('{value}', String(value).replace(/[\\%_]/g, '\\$&'));
+            }
+
+            return { column: filter.column, comparison: operator.comparison, value: value };
+        });
+    }
+
+    toggleFilterPanel() {
+        const panel = document.querySelector('.datatables-filter-panel');
+        if (!panel) { return; }
+
+        if (!panel.hidden) {
+            this.hideFilterPanel();
+            return;
+        }
+
+        this.filterDraft = JSON.parse(JSON.stringify(this.filters));
+        if (this.filterDraft.length === 0) {
+            this.filterDraft.push(this.newFilter());
+        }
+
+        this.renderFilterPanel();
+        panel.hidden = false;
+
+        const firstValue = panel.querySelector('.datatables-filter-value');
+        if (firstValue) { firstValue.focus(); }
+    }
+
+    hideFilterPanel() {
+        document.querySelectorAll('.datatables-filter-panel').forEach(panel => {
+            panel.hidden = true;
+        });
+    }
+
+    renderFilterPanel() {
+        const panel = document.querySelector('.datatables-filter-panel');
+        if (!panel) { return; }
+
+        const columns = this.getFilterColumns();
+        const selectClass = this.getThemeClass('select');
+        const buttonClass = `${this.getThemeClass('button.default')} ${this.getThemeClass('button.small')}`;
+        const primaryClass = `${this.getThemeClass('button.primary')} ${this.getThemeClass('button.small')}`;
+        const presets = Object.keys(this.loadFilterPresets());
+
+        const rows = this.filterDraft.map((filter, index) => {
+            const column = columns.find(item => item.column === filter.column) || columns[0];
+            const operators = DataTablesJS.filterTypeOperators[column.type];
+
+            // Keep the draft in step with what the row shows
+            filter.column = column.column;
+            if (!operators.includes(filter.operator)) {
+                filter.operator = operators[0];
+            }
+
+            return `
+                <div class="datatables-filter-row" data-index="${index}">
+                    <select class="${selectClass} datatables-filter-column">
+                        ${columns.map(item => `<option value="${this.escapeHtml(item.column)}"${item.column === column.column ? ' selected' : ''}>${this.escapeHtml(item.label)}</option>`).join('')}
+                    </select>
+                    <select class="${selectClass} datatables-filter-operator">
+                        ${operators.map(key => `<option value="${key}"${key === filter.operator ? ' selected' : ''}>${this.escapeHtml(DataTablesJS.filterOperators[key].label)}</option>`).join('')}
+                    </select>
+                    ${this.renderFilterValue(column, filter.operator, filter.value)}
+                    <a href="#" class="${this.getThemeClass('icon.link')} datatables-filter-remove" data-filter-action="remove" title="Remove Condition">${this.renderIcon('close')}</a>
+                </div>`;
+        }).join('');
+
+        panel.innerHTML = `
+            <div class="datatables-filter-rows">${rows}</div>
+            <div class="datatables-filter-actions">
+                <button type="button" class="${buttonClass}" data-filter-action="add">Add Condition</button>
+                <button type="button" class="${primaryClass}" data-filter-action="apply">Apply</button>
+                <button type="button" class="${buttonClass}" data-filter-action="clear">Clear All</button>
+                <select class="${selectClass} datatables-filter-preset">
+                    <option value="">Presets...</option>
+                    ${presets.map(name => `<option value="${this.escapeHtml(name)}"${name === this.filterPreset ? ' selected' : ''}>${this.escapeHtml(name)}</option>`).join('')}
+                </select>
+                <button type="button" class="${buttonClass}" data-filter-action="save-preset">Save as Preset</button>
+                <button type="button" class="${buttonClass}" data-filter-action="delete-preset"${this.filterPreset ? '' : ' disabled'}>Delete Preset</button>
+            </div>`;
+    }
+
+    renderFilterValue(column, operator, value) {
+        const list = DataTablesJS.filterOperators[operator].list;
+        const values = Array.isArray(value) ? value.map(String) : (String(value ?? '') === '' ? [] : [String(value)]);
+        const selectClass = this.getThemeClass('select');
+
+        if (column.type === 'boolean') {
+            return `<select class="${selectClass} datatables-filter-value">
+                <option value="1"${values[0] !== '0' ? ' selected' : ''}>Yes</option>
+                <option value="0"${values[0] === '0' ? ' selected' : ''}>No</option>
+            </select>`;
+        }
+
+        if (column.type === 'select') {
+            return `<select class="${selectClass} datatables-filter-value"${list ? ' multiple' : ''}>
+                ${Object.entries(column.options).map(([key, label]) => `<option value="${this.escapeHtml(key)}"${values.includes(String(key)) ? ' selected' : ''}>${this.escapeHtml(label)}</option>`).join('')}
+            </select>`;
+        }
+
+        const inputType = !list && ['number', 'date', 'datetime-local', 'time'].includes(column.type) ? column.type : 'text';
+        const placeholder = list ? 'Comma separated values' : (DataTablesJS.filterOperators[operator].comparison.includes('REGEXP') ? 'e.g. ^UK' : 'Value');
+
+        return `<input type="${inputType}" class="${this.getThemeClass('input')} datatables-filter-value" value="${this.escapeHtml(values.join(', '))}" placeholder="${placeholder}">`;
+    }
+
+    readFilterPanel() {
+        const panel = document.querySelector('.datatables-filter-panel');
+        if (!panel) { return []; }
+
+        return Array.from(panel.querySelectorAll('.datatables-filter-row')).map(row => {
+            const operator = row.querySelector('.datatables-filter-operator').value;
+            const input = row.querySelector('.datatables-filter-value');
+            let value;
+
+            if (input.multiple) {
+                value = Array.from(input.selectedOptions).map(option => option.value);
+            } else if (DataTablesJS.filterOperators[operator]?.list) {
+                value = input.value.split(',').map(item => item.trim()).filter(item => item !== '');
+            } else {
+                value = input.value.trim();
+            }
+
+            return { column: row.querySelector('.datatables-filter-column').value, operator: operator, value: value };
+        });
+    }
+
+    renderFilterChips() {
+        const columns = this.getFilterColumns();
+
+        document.querySelectorAll('.datatables-filter-chips').forEach(container => {
+            container.innerHTML = this.filters.map((filter, index) => `
+                <span class="datatables-filter-chip">
+                    ${this.escapeHtml(this.describeFilter(filter, columns))}
+                    <a href="#" class="datatables-filter-chip-remove" data-index="${index}" title="Remove Filter">&times;</a>
+                </span>`).join('');
+            container.hidden = this.filters.length === 0;
+        });
+
+        document.querySelectorAll('.datatables-filter-count').forEach(count => {
+            count.textContent = this.filters.length ? ` ${this.filters.length}` : '';
+        });
+    }
+
+    describeFilter(filter, columns) {
+        const column = columns.find(item => item.column === filter.column) || { label: filter.column, type: 'text', options: {} };
+        const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+
+        const text = values.map(value => {
+            if (column.type === 'boolean') { return String(value) === '1' ? 'Yes' : 'No'; }
+            if (column.type === 'select') { return column.options[value] ?? value; }
+            return value;
+        }).join(', ');
+
+        return `${column.label} ${DataTablesJS.filterOperators[filter.operator].label} ${text}`;
+    }
+
+    /**
+     * Named presets are kept in the browser per table
+     */
+    loadFilterPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(`datatables-filter-presets-${this.tableName}`) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    storeFilterPresets(presets) {
+        try {
+            localStorage.setItem(`datatables-filter-presets-${this.tableName}`, JSON.stringify(presets));
+        } catch (e) {
+            console.error('Error saving filter presets:', e);
+        }
+    }
+
+    async saveFilterPreset() {
+        const filters = this.filterDraft.filter(filter => this.isCompleteFilter(filter));
+        if (filters.length === 0) {
+            this.showNotification('Add at least one complete condition to save a preset', 'warning');
+            return;
+        }
+
+        let name;
+        try {
+            name = (await this.showPrompt('Name this filter preset:')).trim();
+        } catch (e) {
+            return;
+        }
+        if (!name) { return; }
+
+        const presets = this.loadFilterPresets();
+        presets[name] = filters;
+        this.storeFilterPresets(presets);
+
+        this.filterPreset = name;
+        this.renderFilterPanel();
+        this.showNotification(`Filter preset "${name}" saved`, 'success');
+    }
+
+    deleteFilterPreset() {
+        const name = this.filterPreset;
+        if (!name) {
+            this.showNotification('Choose a preset to delete first', 'warning');
+            return;
+        }
+
+        const presets = this.loadFilterPresets();
+        delete presets[name];
+        this.storeFilterPresets(presets);
+
+        this.filterPreset = '';
+        this.renderFilterPanel();
+        this.showNotification(`Filter preset "${name}" deleted`, 'success');
+    }
+
+    // === VIRTUAL SCROLL ===
+    bindVirtualEvents() {
+        const table = document.querySelector('.datatables-table');
+        this.virtualScroller = table ? table.parentElement : null;
+
+        // Nothing to scroll, fall back to pages
+        if (!this.virtualScroller) {
+            this.virtualScroll = false;
+            return;
+        }
+
+        this.virtualScroller.classList.add('datatables-virtual');
+        this.virtualScroller.style.maxHeight = this.virtualHeight;
+        this.virtualScroller.style.overflowY = 'auto';
+
+        // One window render per frame however fast the scroll events come
+        const schedule = () => {
+            if (this.virtualFrame !== null) { return; }
+            this.virtualFrame = requestAnimationFrame(() => {
+                this.virtualFrame = null;
+                this.renderVirtualWindow();
+            });
+        };
+
+        this.virtualScroller.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule);
+
+        // The position slider that stands in for the pagination
+        document.addEventListener('input', (e) => {
+            const range = e.target.closest('.datatables-virtual-range');
+            if (range) {
+                this.urlStateMode = 'replace';
+                this.goToPage(parseInt(range.value, 10) || 1);
+            }
+        });
+    }
+
+    /**
+     * loadData() in virtual mode. A new search, sort, filter set or page size starts
+     * over, a reload of the same view keeps the rows on screen until their pages are
+     * back. Either way the scroll moves to the current page if it's somewhere else
+     */
+    loadVirtualData(signal = null) {
+        const key = JSON.stringify([this.search, this.filters, this.sortColumn, this.sortDirection, this.perPage]);
+
+        if (key !== this.virtualKey) {
+            this.virtualKey = key;
+            this.virtualPages.clear();
+            this.virtualMeasured = false;
+        }
+
+        this.virtualStale = new Set(this.virtualPages.keys());
+        this.virtualPending.clear();
+        this.virtualGeneration++;
+
+        const page = this.currentPage;
+        this.setLoading(true);
+
+        this.fetchVirtualPage(page).then(loaded => {
+            if (signal && signal.aborted) { return; }
+            this.setLoading(false);
+            if (!loaded) { return; }
+
+            // Size the scroll for the new total first so moving it isn't cut short
+            if (this.getVirtualPageAt(this.getVirtualTopIndex()) !== page) {
+                const tbody = document.querySelector('.datatables-tbody');
+                if (tbody) {
+                    tbody.innerHTML = this.renderVirtualSpacer(this.matchingTotal * this.virtualRowHeight);
+                }
+                this.scrollToVirtualPage(page);
+            }
+
+            this.renderVirtualWindow(true);
+            this.loadAggregations(signal);
+        });
+    }
+
+    /**
+     * Fetch a page into the cache, resolves to whether it arrived for the current view
+     */
+    fetchVirtualPage(page) {
+        if (this.virtualPending.has(page)) {
+            return this.virtualPending.get(page);
+        }
+
+        const generation = this.virtualGeneration;
+        const current = () => generation === this.virtualGeneration;
+
+        const request = this.fetchPage(page, this.perPage, this.loadController ? this.loadController.signal : null)
+            .then(
+                data => {
+                    if (!current()) { return false; }
+                    this.virtualPending.delete(page);
+
+                    if (!data.success) {
+                        console.error('Failed to load data:', data.message);
+                        this.showNotification(data.message || 'Failed to load data', 'danger');
+                        return false;
+                    }
+
+                    this.totalPages = parseInt(data.total_pages) || 1;
+                    this.matchingTotal = parseInt(data.total) || 0;
+                    this.virtualPages.set(page, data.data || []);
+                    this.virtualStale.delete(page);
+                    this.trimVirtualPages();
+                    return true;
+                }
+            )
+            .catch(
+                error => {
+                    if (current() && error.name !== 'AbortError') {
+                        this.virtualPending.delete(page);
+                        console.error('Error loading data:', error);
+                        this.showNotification('Error loading data', 'danger');
+                    }
+                    return false;
+                }
+            );
+
+        this.virtualPending.set(page, request);
+        return request;
+    }
+
+    /**
+     * Only the pages near the scroll position are kept, the rest are fetched again if scrolled back to
+     */
+    trimVirtualPages() {
+        this.virtualPages.forEach((rows, page) => {
+            if (Math.abs(page - this.currentPage) > this.virtualKeepPages) {
+                this.virtualPages.delete(page);
+                this.virtualStale.delete(page);
+            }
+        });
+    }
+
+    getVirtualPageAt(index) {
+        return this.perPage > 0 ? Math.floor(index / this.perPage) + 1 : 1;
+    }
+
+    getVirtualRow(index) {
+        const rows = this.virtualPages.get(this.getVirtualPageAt(index));
+        return rows ? rows[this.perPage > 0 ? index % this.perPage : index] : undefined;
+    }
+
+    getVirtualTopIndex() {
+        return this.virtualScroller ? Math.floor(this.virtualScroller.scrollTop / this.virtualRowHeight) : 0;
+    }
+
+    scrollToVirtualPage(page) {
+        if (!this.virtualScroller) { return; }
+
+        const index = this.perPage > 0 ? (page - 1) * this.perPage : 0;
+        this.virtualScroller.scrollTop = index * this.virtualRowHeight;
+    }
+
+    /**
+     * Render the rows in view plus an overscan either side between two spacers
+     * standing in for the rest, and fetch the pages the window is missing or
+     * about to reach
+     */
+    renderVirtualWindow(force = false) {
+        const tbody = document.querySelector('.datatables-tbody');
+        if (!tbody || !this.virtualScroller) { return; }
+
+        const total = this.matchingTotal;
+        const rowHeight = this.virtualRowHeight;
+        const topIndex = Math.min(this.getVirtualTopIndex(), Math.max(0, total - 1));
+        const visible = Math.ceil(this.virtualScroller.clientHeight / rowHeight) || 1;
+        const first = Math.max(0, topIndex - this.virtualOverscan);
+        const last = Math.min(total, topIndex + visible + this.virtualOverscan);
+
+        this.trackVirtualPage(this.getVirtualPageAt(topIndex));
+        this.renderVirtualPosition(topIndex, Math.min(total, topIndex + visible));
+
+        const windowKey = `${first}:${last}:${total}`;
+        if (!force && windowKey === this.virtualWindow) { return; }
+        this.virtualWindow = windowKey;
+
+        if (total === 0) {
+            tbody.innerHTML = this.renderEmptyRow();
+            this.pageData = [];
+            this.calculatePageAggregations([]);
+            this.syncMatchingSelection();
+            return;
+        }
+
+        const tableSchema = this.getTableSchema();
+        const columnCount = this.getColumnCount();
+        const mutedClass = this.getThemeClass('table.muted');
+        const rows = [];
+        const wanted = new Set();
+
+        let html = this.renderVirtualSpacer(first * rowHeight);
+        for (let i = first; i < last; i++) {
+            const row = this.getVirtualRow(i);
+            if (row) {
+                html += this.renderRow(row, tableSchema);
+                rows.push(row);
+            } else {
+                html += `<tr class="datatables-virtual-placeholder"><td colspan="${columnCount}" class="${mutedClass}">Loading...</td></tr>`;
+            }
+            wanted.add(this.getVirtualPageAt(i));
+        }
+        html += this.renderVirtualSpacer((total - last) * rowHeight);
+
+        tbody.innerHTML = html;
+        tbody.querySelectorAll('tr[data-id], tr.datatables-virtual-placeholder').forEach(tr => {
+            tr.style.height = `${rowHeight}px`;
+        });
+
+        this.pageData = rows;
+        this.syncMatchingSelection();
+        this.calculatePageAggregations(rows);
+
+        // Scrolling moves the rows under the cursor, only put it back on its own row
+        const cell = this.getCursorCell();
+        if (cell) {
+            this.setCursor(cell, false);
+        }
+
+        if (this.measureVirtualRows(tbody)) {
+            this.renderVirtualWindow(true);
+            return;
+        }
+
+        // Prefetch the pages either side of the window
+        const firstPage = this.getVirtualPageAt(first);
+        const lastPage = this.getVirtualPageAt(Math.max(first, last - 1));
+        wanted.add(firstPage - 1);
+        wanted.add(lastPage + 1);
+
+        wanted.forEach(page => {
+            if (page < 1 || page > this.totalPages) { return; }
+            if (this.virtualPages.has(page) && !this.virtualStale.has(page)) { return; }
+
+            this.fetchVirtualPage(page).then(loaded => {
+                if (loaded) {
+                    this.renderVirtualWindow(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * An empty row standing in for the height of the rows that aren't rendered
+     */
+    renderVirtualSpacer(height) {
+        if (height <= 0) { return ''; }
+
+        return `<tr class="datatables-virtual-spacer" aria-hidden="true"><td colspan="${this.getColumnCount()}" style="height: ${height}px; padding: 0; border: 0;"></td></tr>`;
+    }
+
+    /**
+     * Spacers and scroll offsets assume a fixed row height, take it from the tallest
+     * of the first rows rendered and hold every row to it
+     */
+    measureVirtualRows(tbody) {
+        if (this.virtualMeasured) { return false; }
+
+        const rendered = Array.from(tbody.querySelectorAll('tr[data-id]'));
+        if (rendered.length === 0) { return false; }
+        this.virtualMeasured = true;
+
+        rendered.forEach(tr => {
+            tr.style.height = '';
+        });
+
+        const height = Math.ceil(Math.max(...rendered.map(tr => tr.getBoundingClientRect().height)));
+        if (!height || height === this.virtualRowHeight) {
+            rendered.forEach(tr => {
+                tr.style.height = `${this.virtualRowHeight}px`;
+            });
+            return false;
+        }
+
+        // Stay on the same row while the offsets change
+        const topIndex = this.getVirtualTopIndex();
+        this.virtualRowHeight = height;
+        this.virtualScroller.scrollTop = topIndex * height;
+        return true;
+    }
+
+    /**
+     * The page at the top of the view is the current page, kept in the URL without adding history
+     */
+    trackVirtualPage(page) {
+        if (page === this.currentPage) { return; }
+
+        this.currentPage = page;
+        clearTimeout(this.virtualUrlTimer);
+        this.virtualUrlTimer = setTimeout(() => {
+            this.urlStateMode = 'replace';
+            this.writeUrlState();
+        }, 250);
+    }
+
+    /**
+     * Where the view is in the records, in place of the info text and the pagination
+     */
+    renderVirtualPosition(top, bottom) {
+        const total = this.matchingTotal;
+        const infoText = total > 0 ? `Showing ${top + 1} to ${bottom} of ${total} records` : 'Showing 0 to 0 of 0 records';
+
+        document.querySelectorAll('.datatables-info').forEach(info => {
+            info.textContent = infoText;
+        });
+
+        document.querySelectorAll('.datatables-pagination').forEach(pagination => {
+            if (this.totalPages <= 1) {
+                pagination.innerHTML = '';
+                return;
+            }
+
+            let range = pagination.querySelector('.datatables-virtual-range');
+            if (!range) {
+                pagination.innerHTML = `<li class="datatables-virtual-position"><input type="range" class="${this.getThemeClass('range')} datatables-virtual-range" min="1" step="1" title="Scroll Position" aria-label="Scroll Position"> <span class="datatables-virtual-page"></span></li>`;
+                range = pagination.querySelector('.datatables-virtual-range');
+            }
+
+            range.max = this.totalPages;
+
+            // Leave the slider alone while it's being dragged
+            if (document.activeElement !== range) {
+                range.value = this.currentPage;
+            }
+            pagination.querySelector('.datatables-virtual-page').textContent = `Page ${this.currentPage} of ${this.totalPages}`;
+        });
+    }
+
+    // === EXPORT ===
+    bindExportEvents() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.datatables-export-toggle')) {
+                e.preventDefault();
+                this.toggleExportPanel();
+                return;
+            }
+
+            const action = e.target.closest('.datatables-export-panel [data-export-action]');
+            if (!action) { return; }
+
+            e.preventDefault();
+            if (action.dataset.exportAction === 'start') {
+                const panel = action.closest('.datatables-export-panel');
+                this.exportView(panel.querySelector('.datatables-export-format').value, panel.querySelector('.datatables-export-scope').value);
+            } else if (action.dataset.exportAction === 'cancel') {
+                this.exportCancelled = true;
+            }
+        });
+    }
+
+    toggleExportPanel() {
+        const panel = document.querySelector('.datatables-export-panel');
+        if (!panel) { return; }
+
+        if (panel.hidden) {
+            this.renderExportPanel();
+        }
+        panel.hidden = !panel.hidden;
+    }
+
+    renderExportPanel(status = '') {
+        const panel = document.querySelector('.datatables-export-panel');
+        if (!panel) { return; }
+
+        const selectClass = this.getThemeClass('select');
+        const buttonClass = `${this.getThemeClass('button.default')} ${this.getThemeClass('button.small')}`;
+        const primaryClass = `${this.getThemeClass('button.primary')} ${this.getThemeClass('button.small')}`;
+        const scope = panel.querySelector('.datatables-export-scope')?.value || 'page';
+        const format = panel.querySelector('.datatables-export-format')?.value || 'csv';
+        const formats = Object.entries(DataTablesJS.exportFormats);
+
+        panel.innerHTML = `
+            <div class="datatables-export-actions">
+                <select class="${selectClass} datatables-export-scope"${this.exporting ? ' disabled' : ''}>
+                    <option value="page"${scope === 'page' ? ' selected' : ''}>This Page (${this.pageData.length.toLocaleString()})</option>
+                    <option value="all"${scope === 'all' ? ' selected' : ''}>All Matching Records (${this.matchingTotal.toLocaleString()})</option>
+                </select>
+                <select class="${selectClass} datatables-export-format"${this.exporting ? ' disabled' : ''}>
+                    ${formats.map(([key, item]) => `<option value="${this.escapeHtml(key)}"${key === format ? ' selected' : ''}>${this.escapeHtml(item.label)}</option>`).join('')}
+                </select>
+                ${this.exporting
+                    ? `<button type="button" class="${buttonClass}" data-export-action="cancel">Cancel</button>`
+                    : `<button type="button" class="${primaryClass}" data-export-action="start">Export</button>`}
+                <span class="datatables-export-status">${this.escapeHtml(status)}</span>
+            </div>`;
+    }
+
+    /**
+     * Configured columns with the key each one has in the row data
+     */
+    getExportColumns() {
+        return Object.keys(this.columns).map(column => {
+            const parts = column.split(/\s+as\s+/i);
+            const key = parts.length === 2 ? parts[1].replace(/[`'"]/g, '') : column;
+
+            return { column: column, key: key, label: this.columns[column] };
+        });
+    }
+
+    /**
+     * Download the page on screen, or every record matching the search, filters
+     * and sort fetched a chunk at a time, written out as each chunk arrives
+     */
+    async exportView(formatKey, scope = 'page') {
+        const format = DataTablesJS.exportFormats[formatKey];
+        if (!format || this.exporting) { return; }
+
+        const columns = this.getExportColumns();
+        const filename = `${this.tableName.split(' ')[0]}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+        // Asked for straight away, saving to a file needs the click that started it
+        const writer = await this.openExportWriter(filename, format.mimeType, scope === 'all');
+        if (!writer) { return; }
+
+        this.exporting = true;
+        this.exportCancelled = false;
+        this.renderExportPanel('Starting export...');
+
+        let count = 0;
+        const writeRows = rows => {
+            let text = '';
+            rows.forEach(row => {
+                text += format.row(row, columns, count++);
+            });
+            return writer.write(text);
+        };
+
+        try {
+            await writer.write(format.header(columns));
+
+            if (scope === 'all') {
+                for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+                    if (this.exportCancelled) { throw new Error('cancelled'); }
+
+                    const data = await this.fetchExportChunk(page);
+                    totalPages = parseInt(data.total_pages) || 1;
+
+                    await writeRows(data.data || []);
+                    this.renderExportPanel(`Exported ${count.toLocaleString()} of ${(parseInt(data.total) || 0).toLocaleString()} records...`);
+                }
+            } else {
+                await writeRows(this.pageData);
+            }
+
+            await writer.write(format.footer(columns));
+            await writer.close();
+
+            this.exporting = false;
+            this.renderExportPanel(`Exported ${count.toLocaleString()} records`);
+        } catch (error) {
+            await writer.abort();
+            this.exporting = false;
+
+            if (this.exportCancelled) {
+                this.renderExportPanel('Export cancelled');
+            } else {
+                console.error('Error exporting:', error);
+                this.renderExportPanel('');
+                this.showNotification(error.message || 'Export failed', 'danger');
+            }
+        }
+    }
+
+    fetchExportChunk(page) {
+        // Straight from the server, export chunks would only push the pages out of the cache
+        return fetch('?' + this.getPageParams(page, this.exportChunkSize).toString())
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to load records to export');
+                }
+                return data;
+            });
+    }
+
+    /**
+     * Where the export is written a chunk at a time: a file picked up front where
+     * the browser supports it, otherwise a Blob put together from the chunks, so
+     * the whole export is never one string
+     */
+    async openExportWriter(filename, mimeType, toFile = false) {
+        if (toFile && typeof window.showSaveFilePicker === 'function') {
+            try {
+                const handle = await window.showSaveFilePicker({ suggestedName: filename });
+                const writable = await handle.createWritable();
+
+                return {
+                    write: text => writable.write(text),
+                    close: () => writable.close(),
+                    abort: () => writable.abort()
+                };
+            } catch (error) {
+                if (error.name === 'AbortError') { return null; }
+                // Not allowed here, fall back to a download
+            }
+        }
+
+        let parts = [];
+
+        return {
+            write: async text => {
+                if (text) { parts.push(new Blob([text])); }
+            },
+            close: async () => {
+                const url = URL.createObjectURL(new Blob(parts, { type: mimeType }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                parts = [];
+                setTimeout(() => URL.revokeObjectURL(url), 60000);
+            },
+            abort: async () => {
+                parts = [];
+            }
+        };
+    }
+
+    // === URL STATE ===
+    bindUrlStateEvents() {
+        // Back / forward restore the view without adding another entry
+        window.addEventListener('popstate', () => {
+            this.readUrlState();
+            this.syncStateControls();
+            this.urlStateMode = 'skip';
+            this.loadData();
+        });
+    }
+
+    /**
+     * Page, page size, sort, search and filters from the query string, sort / dir
+     * are the same parameters the legacy bulk forms post back
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+
+        this.currentPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+
+        const perPage = parseInt(params.get('per_page'), 10);
+        this.perPage = isNaN(perPage) || perPage < 0 ? this.defaultPerPage : perPage;
+
+        this.sortColumn = params.get('sort') || this.defaultSortColumn;
+        this.sortDirection = (params.get('dir') || this.defaultSortDirection).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        this.search = params.get('search') || '';
+
+        let filters = [];
+        try {
+            filters = JSON.parse(params.get('filters') || '[]');
+        } catch (e) {
+            filters = [];
+        }
+        this.filters = this.filterBuilder && Array.isArray(filters) ? filters.filter(filter => filter && this.isCompleteFilter(filter)) : [];
+    }
+
+    /**
+     * Mirror the state into the query string, leaving defaults out. Typing a
+     * search replaces the current entry, anything else adds one
+     */
+    writeUrlState() {
+        const mode = this.urlStateMode;
+        this.urlStateMode = 'push';
+        if (!this.urlState || mode === 'skip') { return; }
+
+        const previous = new URLSearchParams(window.location.search);
+        const params = new URLSearchParams(window.location.search);
+        const sorted = this.sortColumn !== this.defaultSortColumn || this.sortDirection !== this.defaultSortDirection;
+
+        const set = (key, value, keep) => {
+            if (keep) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        };
+
+        set('page', this.currentPage, this.currentPage > 1);
+        set('per_page', this.perPage, this.perPage !== this.defaultPerPage);
+        set('sort', this.sortColumn, sorted && this.sortColumn);
+        set('dir', this.sortDirection.toLowerCase(), sorted);
+        set('search', this.search, this.search !== '');
+        set('filters', JSON.stringify(this.filters), this.filters.length > 0);
+
+        const query = params.toString();
+        if (query === previous.toString()) { return; }
+
+        const keys = new Set([...previous.keys(), ...params.keys()]);
+        const searchOnly = Array.from(keys).every(key => key === 'search' || previous.get(key) === params.get(key));
+        const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+
+        if (mode === 'replace' || searchOnly) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Put the restored state back into the search, page size, sort and filter controls
+     */
+    syncStateControls() {
+        document.querySelectorAll('.datatables-search').forEach(searchInput => {
+            searchInput.value = this.search;
+        });
+
+        this.syncPageSizeControls();
+        this.updateSortIcons();
+
+        if (this.filterBuilder) {
+            this.renderFilterChips();
+        }
+    }
+
+    // === UTILITY METHODS ===
+    getColumnCount() {
+        // Calculate total columns including actions and bulk selection
+        let count = Object.keys(this.columns).length || 1;
+        count++; // Actions column
+        if (this.bulkActionsEnabled) {
+            count++; // Bulk selection column
+        }
+        return count;
+    }
+
+    changePageSize(newSize, event) {
+
+        if (event) {
+            event.preventDefault();
+        }
+
+        this.perPage = parseInt(newSize);
+        this.currentPage = 1;
+        this.syncPageSizeControls();
+        this.loadData();
+    }
+
+    syncPageSizeControls() {
+        const primaryClass = this.getThemeClass('button.primary');
+        const defaultClass = this.getThemeClass('button.default');
+
+        // Update button group active states
+        document.querySelectorAll('.datatables-page-size-btn').forEach(btn => {
+            const btnSize = parseInt(btn.getAttribute('data-size'));
+            if (btnSize === this.perPage) {
+                btn.className = btn.className.replace(defaultClass, primaryClass);
+            } else {
+                btn.className = btn.className.replace(primaryClass, defaultClass);
+            }
+        });
+
+        // Also sync select dropdowns if present
+        document.querySelectorAll('.datatables-page-size').forEach(select => {
+            select.value = this.perPage;
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    getRowClass(rowId) {
+        // Use configured row class base or default
+        const baseClass = this.cssClasses?.tr || 'datatables-row';
+        return baseClass ? `${baseClass}-${rowId}` : '';
+    }
+
+    // === CUSTOM FIELD EDITORS ===
+
+    /**
+     * Register an inline editor for a column type
+     *
+     * The editor's start(context) receives the cell element, record id, field,
+     * current value, the row data and save(value) / cancel() callbacks
+     */
+    static registerFieldEditor(type, editor) {
+        DataTablesJS.fieldEditors[type] = editor;
+    }
+
+    /**
+     * Register an export format
+     *
+     * The format has a label, extension and mimeType, and header(columns),
+     * row(row, columns, index) and footer(columns) that return the text to write.
+     * Columns are { column, key, label } where key is the row data key
+     */
+    static registerExportFormat(key, format) {
+        DataTablesJS.exportFormats[key] = format;
+    }
+
+    /**
+     * Show a change before the server has it
+     *
+     * apply() puts the change on screen, save() resolves to the server's JSON
+     * response and revert() takes the change back off when the save fails.
+     * Resolves to the response, or rejects after reverting with the error, the
+     * response is on error.response when the server turned the change down
+     */
+    static saveOptimistic({ apply, save, revert }) {
+        apply();
+
+        return Promise.resolve()
+            .then(save)
+            .then(data => {
+                if (!data || !data.success) {
+                    const error = new Error(data?.message || 'Update failed');
+                    error.response = data || {};
+                    throw error;
+                }
+                return data;
+            })
+            .catch(error => {
+                revert();
+                throw error;
+            });
+    }
+
+    /**
+     * One CSV line, quoting values that need it
+     */
+    static toCsvLine(values) {
+        return values.map(value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',') + '\r\n';
+    }
+}
+
+// Inline editors keyed by column type
+DataTablesJS.fieldEditors = {};
+
+// Export formats keyed by name, more can be added with registerExportFormat()
+DataTablesJS.exportFormats = {
+    csv: {
+        label: 'CSV',
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8',
+        // Byte order mark so spreadsheets read it as UTF-8
+        header: columns => '\ufeff' + DataTablesJS.toCsvLine(columns.map(column => column.label)),
+        row: (row, columns) => DataTablesJS.toCsvLine(columns.map(column => row[column.key])),
+        footer: () => ''
+    },
+    json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        header: () => '[\n',
+        row: (row, columns, index) => (index > 0 ? ',\n' : '') + JSON.stringify(Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null]))),
+        footer: () => '\n]\n'
+    }
+};
+
+// Filter builder operators, like wraps the escaped value for LIKE comparisons
+DataTablesJS.filterOperators = {
+    contains: { label: 'contains', comparison: 'LIKE', like: '%{value}%' },
+    not_contains: { label: 'does not contain', comparison: 'NOT LIKE', like: '%{value}%' },
+    starts: { label: 'starts with', comparison: 'LIKE', like: '{value}%' },
+    ends: { label: 'ends with', comparison: 'LIKE', like: '%{value}' },
+    is: { label: 'is', comparison: '=' },
+    is_not: { label: 'is not', comparison: '!=' },
+    gt: { label: 'is more than', comparison: '>' },
+    gte: { label: 'is at least', comparison: '>=' },
+    lt: { label: 'is less than', comparison: '<' },
+    lte: { label: 'is at most', comparison: '<=' },
+    regex: { label: 'matches regex', comparison: 'REGEXP' },
+    not_regex: { label: 'does not match regex', comparison: 'NOT REGEXP' },
+    any: { label: 'is any of', comparison: 'IN', list: true },
+    none: { label: 'is none of', comparison: 'NOT IN', list: true }
+};
+
+// Operators offered for each column type, anything else is treated as text
+DataTablesJS.filterTypeOperators = {
+    boolean: ['is'],
+    select: ['is', 'is_not', 'any', 'none'],
+    number: ['is', 'is_not', 'gt', 'gte', 'lt', 'lte', 'any', 'none'],
+    date: ['is', 'gt', 'lt'],
+    'datetime-local': ['gt', 'lt'],
+    time: ['is', 'gt', 'lt'],
+    text: ['contains', 'not_contains', 'is', 'is_not', 'starts', 'ends', 'regex', 'not_regex', 'any', 'none']
+};
+
+// Make DataTables available globally
+window.DataTablesJS = DataTablesJS;
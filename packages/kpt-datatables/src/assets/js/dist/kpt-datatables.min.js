@@ -0,0 +1,2 @@
+/*! KPT DataTables | MIT License | Kevin Pirnie */
+const KPDataTablesPlain={showModal:function(t){const e=document.getElementById(t);e&&(e.classList.add("kp-dt-open"),e.classList.add("kp-dt-open-tailwind"),document.body.style.overflow="hidden")},hideModal:function(t){const e=document.getElementById(t);e&&(e.classList.remove("kp-dt-open"),e.classList.remove("kp-dt-open-tailwind"),document.body.style.overflow="")},notification:function(t,e="success"){const a=document.querySelector(".kp-dt-notification-container")||this.createNotificationContainer(),s=document.createElement("div");s.className=`kp-dt-notification kp-dt-notification-${e} kp-dt-notification-tailwind kp-dt-notification-${e}-tailwind`,s.textContent=t,a.appendChild(s),setTimeout(()=>{s.style.opacity="0",s.style.transform="translateY(-10px)",setTimeout(()=>s.remove(),300)},3e3)},createNotificationContainer:function(){const t=document.createElement("div");return t.className="kp-dt-notification-container",t.style.cssText="position: fixed; top: 20px; right: 20px; z-index: 1040; display: flex; flex-direction: column; gap: 10px;",document.body.appendChild(t),t},confirm:function(t){return new Promise((e,a)=>{const s=document.createElement("div");s.className="kp-dt-modal kp-dt-modal-tailwind kp-dt-open kp-dt-open-tailwind",s.style.cssText="position: fixed; inset: 0; background: rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center; z-index: 1050;";const i=document.createElement("div");i.className="kp-dt-modal-dialog kp-dt-modal-dialog-tailwind",i.style.cssText="background: white; padding: 30px; border-radius: 4px; max-width: 400px; text-align: center;",i.innerHTML=`\n                <p style="margin-bottom: 20px;">${t}</p>\n                <div style="display: flex; gap: 10px; justify-content: center;">\n                    <button class="kp-dt-button kp-dt-button-tailwind kp-dt-confirm-cancel" style="padding: 8px 24px;">Cancel</button>\n                    <button class="kp-dt-button kp-dt-button-primary kp-dt-button-tailwind kp-dt-button-primary-tailwind kp-dt-confirm-ok" style="padding: 8px 24px;">Confirm</button>\n                </div>\n            `,s.appendChild(i),document.body.appendChild(s),i.querySelector(".kp-dt-confirm-ok").addEventListener("click",()=>{s.remove(),e()}),i.querySelector(".kp-dt-confirm-cancel").addEventListener("click",()=>{s.remove(),a()}),s.addEventListener("click",t=>{t.target===s&&(s.remove(),a())})})}},KPDataTablesBootstrap={notification:function(t,e="success"){let a=document.querySelector(".kp-dt-toast-container-bootstrap");a||(a=document.createElement("div"),a.className="kp-dt-toast-container-bootstrap toast-container position-fixed top-0 end-0 p-3",document.body.appendChild(a));const s="success"===e?"bg-success":"danger"===e?"bg-danger":"bg-warning",i=document.createElement("div");i.className=`toast align-items-center text-white ${s} border-0`,i.setAttribute("role","alert"),i.innerHTML=`\n            <div class="d-flex">\n                <div class="toast-body">${t}</div>\n                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>\n            </div>\n        `,a.appendChild(i),new bootstrap.Toast(i,{delay:3e3}).show(),i.addEventListener("hidden.bs.toast",()=>i.remove())},confirm:function(t){return new Promise((e,a)=>{const s="kp-dt-confirm-modal-"+Date.now(),i=`\n                <div class="modal fade" id="${s}" tabindex="-1">\n                    <div class="modal-dialog modal-dialog-centered">\n                        <div class="modal-content">\n                            <div class="modal-body text-center py-4">\n                                <p class="mb-4">${t}</p>\n                                <div class="d-flex gap-2 justify-content-center">\n                                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>\n                                    <button type="button" class="btn btn-primary kp-dt-confirm-ok">Confirm</button>\n                                </div>\n                            </div>\n                        </div>\n                    </div>\n                </div>\n            `;document.body.insertAdjacentHTML("beforeend",i);const r=document.getElementById(s),l=new bootstrap.Modal(r);r.querySelector(".kp-dt-confirm-ok").addEventListener("click",()=>{l.hide(),e()}),r.addEventListener("hidden.bs.modal",()=>{r.remove(),a()}),l.show()})}};window.KPDataTablesPlain=KPDataTablesPlain,window.KPDataTablesBootstrap=KPDataTablesBootstrap;class DataTablesJS{constructor(t={}){this.tableName=t.tableName||"",this.primaryKey=t.primaryKey||"id",this.inlineEditableColumns=t.inlineEditableColumns||[],this.perPage=t.perPage||25,this.bulkActionsEnabled=t.bulkActionsEnabled||!1,this.bulkActions=t.bulkActions||{},this.actionConfig=t.actionConfig||{},this.columns=t.columns||{},this.cssClasses=t.cssClasses||{},this.theme=t.theme||"uikit",this.footerAggregations=t.footerAggregations||{},this.spreadsheetMode=t.spreadsheetMode||!1,this.filterBuilder=t.filterBuilder||!1,this.urlState=!1!==t.urlState,this.exportEnabled=t.export||!1,this.exportChunkSize=t.exportChunkSize||500,this.virtualScroll=t.virtualScroll||!1,this.virtualHeight=t.virtualHeight||"70vh",this.virtualRowHeight=t.virtualRowHeight||41,this.virtualOverscan=t.virtualOverscan||10,this.virtualKeepPages=t.virtualKeepPages||10,this.cacheSize=t.cacheSize??20,this.cacheMaxAge=t.cacheMaxAge??6e4,this.currentPage=1,this.sortColumn=t.defaultSortColumn||"",this.sortDirection=t.defaultSortDirection||"ASC",this.search="",this.deleteId=null,this.defaultPerPage=this.perPage,this.defaultSortColumn=this.sortColumn,this.defaultSortDirection=this.sortDirection,this.urlStateMode="push",this.selectedIds=new Set,this.totalPages=1,this.selectAllMatching=!1,this.matchingTotal=0,this.matchingCriteria="",this.cursor=null,this.gridActive=!1,this.selectionAnchor=null,this.rangeIds=new Set,this.undoStack=[],this.redoStack=[],this.historyLimit=t.historyLimit||50,this.historyBulkLimit=t.historyBulkLimit||250,this.historyBusy=!1,this.filters=[],this.filterDraft=[],this.filterPreset="",this.pageData=[],this.exporting=!1,this.exportCancelled=!1,this.virtualPages=new Map,this.virtualStale=new Set,this.virtualPending=new Map,this.virtualGeneration=0,this.virtualKey="",this.virtualWindow="",this.virtualMeasured=!1,this.virtualFrame=null,this.virtualUrlTimer=null,this.virtualScroller=null,this.tableSchema=null,this.responseCache=new Map,this.cacheGeneration=0,this.loadController=null,this.init()}init(){this.urlState&&(this.readUrlState(),this.urlStateMode="replace",this.bindUrlStateEvents()),this.bindEvents(),this.bindTableEvents(),this.virtualScroll&&this.bindVirtualEvents(),this.spreadsheetMode&&this.bindSpreadsheetEvents(),this.bindHistoryEvents(),this.filterBuilder&&this.bindFilterEvents(),this.exportEnabled&&this.bindExportEvents(),this.loadData(),this.urlState&&this.syncStateControls(),window.DataTables=this}getThemeClass(t){const e={uikit:{table:{shrink:"uk-table-shrink",center:"uk-text-center",muted:"uk-text-muted"},checkbox:"uk-checkbox",input:"uk-input uk-width-1-1",select:"uk-select uk-width-1-1",textarea:"uk-textarea uk-width-1-1",range:"uk-range",button:{default:"uk-button uk-button-default",primary:"uk-button uk-button-primary",small:"uk-button-small"},icon:{link:"uk-icon-link",success:"uk-text-success",danger:"uk-text-danger"},pagination:{disabled:"uk-disabled",active:"uk-active"},flex:{right:"uk-flex uk-flex-right",between:"uk-flex-between"},margin:{smallRight:"uk-margin-small-right",smallBottom:"uk-margin-small-bottom",smallTop:"uk-margin-small-top"},border:{rounded:"uk-border-rounded"},display:{block:"uk-display-block"}},bootstrap:{table:{shrink:"",center:"text-center",muted:"text-muted"},checkbox:"form-check-input",input:"form-control",select:"form-select",textarea:"form-control",range:"form-range",button:{default:"btn btn-secondary",primary:"btn btn-primary",small:"btn-sm"},icon:{link:"",success:"text-success",danger:"text-danger"},pagination:{disabled:"disabled",active:"active"},flex:{right:"d-flex justify-content-end",between:"justify-content-between"},margin:{smallRight:"me-2",smallBottom:"mb-2",smallTop:"mt-2"},border:{rounded:"rounded"},display:{block:"d-block"}},plain:{table:{shrink:"kp-dt-table-shrink",center:"kp-dt-text-center",muted:"kp-dt-text-muted"},checkbox:"kp-dt-checkbox",input:"kp-dt-input kp-dt-width-1-1",select:"kp-dt-select kp-dt-width-1-1",textarea:"kp-dt-textarea kp-dt-width-1-1",range:"kp-dt-range",button:{default:"kp-dt-button",primary:"kp-dt-button kp-dt-button-primary",small:"kp-dt-button-small"},icon:{link:"kp-dt-icon-link",success:"kp-dt-text-success",danger:"kp-dt-text-danger"},pagination:{disabled:"kp-dt-disabled",active:"kp-dt-active"},flex:{right:"kp-dt-flex kp-dt-flex-right",between:"kp-dt-flex-between"},margin:{smallRight:"kp-dt-margin-small-right",smallBottom:"kp-dt-margin-small-bottom",smallTop:"kp-dt-margin-small-top"},border:{rounded:"kp-dt-border-rounded"},display:{block:"kp-dt-display-block"}},tailwind:{table:{shrink:"w-px whitespace-nowrap",center:"text-center",muted:"text-gray-500"},checkbox:"h-4 w-4 rounded border-gray-300",input:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",select:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",textarea:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",range:"w-full",button:{default:"inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50",primary:"inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700",small:"px-2 py-1 text-xs"},icon:{link:"text-gray-400 hover:text-gray-600",success:"text-green-500",danger:"text-red-500"},pagination:{disabled:"opacity-50 cursor-not-allowed",active:"font-bold text-blue-600"},flex:{right:"flex justify-end",between:"justify-between"},margin:{smallRight:"mr-2",smallBottom:"mb-2",smallTop:"mt-2"},border:{rounded:"rounded"},display:{block:"block"}}},a=e[this.theme]||e.uikit,s=t.split(".");let i=a;for(const t of s)i=i?.[t];return i||""}showNotification(t,e="success"){"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.notification(t,{status:e}):"bootstrap"===this.theme?KPDataTablesBootstrap.notification(t,e):void 0!==KPDataTablesPlain?KPDataTablesPlain.notification(t,e):alert(t)}showModal(t){"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.modal(`#${t}`).show():"bootstrap"===this.theme&&"undefined"!=typeof bootstrap?new bootstrap.Modal(document.getElementById(t)).show():void 0!==KPDataTablesPlain&&KPDataTablesPlain.showModal(t)}hideModal(t){if("uikit"===this.theme&&"undefined"!=typeof UIkit)UIkit.modal(`#${t}`).hide();else if("bootstrap"===this.theme&&"undefined"!=typeof bootstrap){const e=document.getElementById(t),a=bootstrap.Modal.getInstance(e);a&&a.hide()}else void 0!==KPDataTablesPlain&&KPDataTablesPlain.hideModal(t);document.querySelectorAll(".kp-select2-dropdown").forEach(t=>{t.style.display="none"})}showConfirm(t){return new Promise((e,a)=>{"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.modal.confirm(t).then(e,a):"bootstrap"===this.theme?KPDataTablesBootstrap.confirm(t).then(e,a):void 0!==KPDataTablesPlain?KPDataTablesPlain.confirm(t).then(e,a):confirm(t)?e():a()})}showPrompt(t,e=""){return new Promise((a,s)=>{if("uikit"===this.theme&&"undefined"!=typeof UIkit)UIkit.modal.prompt(t,e).then(t=>null===t?s():a(t));else{const i=prompt(t,e);null===i?s():a(i)}})}renderIcon(t,e=""){return"uikit"===this.theme?`<span uk-icon="${t}" class="${e}"></span>`:"bootstrap"===this.theme?`<i class="bi ${{check:"bi-check-lg",close:"bi-x-lg",pencil:"bi-pencil",trash:"bi-trash",plus:"bi-plus",search:"bi-search",refresh:"bi-arrow-clockwise","triangle-up":"bi-caret-up-fill","triangle-down":"bi-caret-down-fill","chevron-double-left":"bi-chevron-double-left","chevron-double-right":"bi-chevron-double-right"}[t]||"bi-link"} ${e}"></i>`:`<span class="${e}">${{check:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.1" points="4,10 8,15 17,4"></polyline></svg>',close:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" stroke-width="1.4" x1="1" y1="1" x2="19" y2="19"></line><line fill="none" stroke="currentColor" stroke-width="1.4" x1="19" y1="1" x2="1" y2="19"></line></svg>',pencil:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" d="M17.25,6.01 L7.12,16.1 L3.82,17.2 L5.02,13.9 L15.12,3.88 C15.71,3.29 16.66,3.29 17.25,3.88 C17.84,4.47 17.84,5.42 17.25,6.01"></path></svg>',trash:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" points="6.5 3 6.5 1.5 13.5 1.5 13.5 3"></polyline><polyline fill="none" stroke="currentColor" points="3.5 4 16.5 4 15.5 18.5 4.5 18.5 3.5 4"></polyline></svg>',plus:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" x1="10" y1="1" x2="10" y2="19"></line><line fill="none" stroke="currentColor" x1="1" y1="10" x2="19" y2="10"></line></svg>',search:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><circle fill="none" stroke="currentColor" stroke-width="1.1" cx="9" cy="9" r="7"></circle><path fill="none" stroke="currentColor" stroke-width="1.1" d="M14,14 L18,18 L14,14 Z"></path></svg>',refresh:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" stroke-width="1.1" d="M17.08,11.15 C17.09,11.31 17.1,11.47 17.1,11.64 C17.1,15.53 13.94,18.69 10.05,18.69 C6.16,18.68 3,15.53 3,11.63 C3,7.74 6.16,4.58 10.05,4.58 C10.9,4.58 11.71,4.73 12.46,5"></path><polyline fill="none" stroke="currentColor" points="9.9 2 12.79 4.89 9.79 7.9"></polyline></svg>',"triangle-up":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,5 15,14 5,14"></polygon></svg>',"triangle-down":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,15 15,6 5,6"></polygon></svg>',"chevron-double-left":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 6,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="14,14 10,10 14,6"></polyline></svg>',"chevron-double-right":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 14,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="6,14 10,10 6,6"></polyline></svg>'}[t]||""}</span>`}bindEvents(){document.querySelectorAll(".datatables-search").forEach(t=>{let e;t.addEventListener("input",t=>{clearTimeout(e),e=setTimeout(()=>{this.search=t.target.value,this.currentPage=1,this.loadData()},300)})}),document.querySelectorAll(".datatables-page-size").forEach(t=>{t.addEventListener("change",t=>{this.perPage=parseInt(t.target.value),this.currentPage=1,document.querySelectorAll(".datatables-page-size").forEach(e=>{e.value=t.target.value}),this.loadData()})}),this.bulkActionsEnabled&&(document.querySelectorAll(".datatables-bulk-action").forEach(t=>{t.addEventListener("change",t=>{document.querySelectorAll(".datatables-bulk-execute").forEach(e=>{e.disabled=!t.target.value||0===this.selectedIds.size})})}),document.addEventListener("click",t=>{t.target.closest(".datatables-select-matching-all")?(t.preventDefault(),this.selectMatching()):t.target.closest(".datatables-select-matching-clear")&&(t.preventDefault(),this.clearSelection())})),document.addEventListener("click",t=>{if(t.target.closest(".sortable-header")){const e=t.target.closest("th[data-sort]");if(e){const t=e.getAttribute("data-sort");this.sortColumn===t?this.sortDirection="ASC"===this.sortDirection?"DESC":"ASC":(this.sortColumn=t,this.sortDirection="ASC"),this.currentPage=1,this.loadData(),this.updateSortIcons()}}})}loadData(){this.writeUrlState(),this.selectAllMatching&&this.getMatchingCriteria()!==this.matchingCriteria&&this.clearSelection(),this.loadController&&this.loadController.abort(),this.loadController=new AbortController;const t=this.loadController.signal;this.virtualScroll?this.loadVirtualData(t):(this.setLoading(!0),this.fetchPage(this.currentPage,this.perPage,t).then(e=>{e.success?(this.totalPages=parseInt(e.total_pages)||1,this.matchingTotal=parseInt(e.total)||0,this.pageData=e.data||[],this.renderTable(e.data),this.renderPagination(e),this.renderInfo(e),this.syncMatchingSelection(),this.loadAggregations(t)):(console.error("Failed to load data:",e.message),this.showNotification(e.message||"Failed to load data","danger"))}).catch(t=>{"AbortError"!==t.name&&(console.error("Error loading data:",t),this.showNotification("Error loading data","danger"))}).finally(()=>{t.aborted||this.setLoading(!1)}))}reload(){this.invalidateCache(),this.loadData()}setLoading(t){document.querySelectorAll(".datatables-table").forEach(e=>{e.classList.toggle("datatables-loading",t),e.setAttribute("aria-busy",t?"true":"false")})}fetchPage(t,e=this.perPage,a=null){return this.fetchCached(this.getPageParams(t,e),a)}getPageParams(t,e=this.perPage){const a=new URLSearchParams({action:"fetch_data",table:this.tableName,page:t,per_page:e,search:this.search,sort_column:this.sortColumn,sort_direction:this.sortDirection});return this.filters.length>0&&a.set("filters",JSON.stringify(this.getServerFilters())),a}fetchCached(t,e=null){const a=t.toString();if(this.responseCache.has(a)){const t=this.responseCache.get(a);if(this.responseCache.delete(a),Date.now()-t.time<=this.cacheMaxAge)return this.responseCache.set(a,t),Promise.resolve(t.data)}const s=this.cacheGeneration;return fetch("?"+a,{signal:e}).then(t=>t.json()).then(t=>{if(t.success&&this.cacheSize>0&&s===this.cacheGeneration)for(this.responseCache.set(a,{data:t,time:Date.now()});this.responseCache.size>this.cacheSize;)this.responseCache.delete(this.responseCache.keys().next().value);return t})}invalidateCache(){this.responseCache.clear(),this.cacheGeneration++}loadAggregations(t=null){if(!this.footerAggregations||0===Object.keys(this.footerAggregations).length)return;const e=new URLSearchParams({action:"fetch_aggregations",table:this.tableName,search:this.search});this.filters.length>0&&e.set("filters",JSON.stringify(this.getServerFilters())),this.fetchCached(e,t).then(t=>{t.success&&t.aggregations&&this.renderAggregations(t.aggregations)}).catch(t=>{"AbortError"!==t.name&&console.error("Error loading aggregations:",t)})}renderAggregations(t){document.querySelectorAll('.datatables-agg-cell[data-agg-scope="all"]').forEach(e=>{const a=e.getAttribute("data-agg-column"),s=e.getAttribute("data-agg-type");t[a]&&void 0!==t[a][s]&&(e.textContent=this.formatAggValue(t[a][s]))})}calculatePageAggregations(t){this.footerAggregations&&0!==Object.keys(this.footerAggregations).length&&(t&&0!==t.length?document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(e=>{const a=e.getAttribute("data-agg-column"),s=e.getAttribute("data-agg-type");let i=t.map(t=>{let e=t[a];return null==e||""===e?0:parseFloat(e)||0}),r=0;if("sum"===s)r=i.reduce((t,e)=>t+e,0);else if("avg"===s){const t=i.reduce((t,e)=>t+e,0);r=i.length>0?t/i.length:0}e.textContent=this.formatAggValue(r)}):document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(t=>{t.textContent="—"}))}formatAggValue(t){return Number.isInteger(t)?t.toLocaleString():parseFloat(t.toFixed(2)).toLocaleString(void 0,{minimumFractionDigits:0,maximumFractionDigits:2})}renderTable(t){const e=document.querySelector(".datatables-tbody");if(!e)return;if(!t||0===t.length)return void(e.innerHTML=this.renderEmptyRow());const a=this.getTableSchema();e.innerHTML=t.map(t=>this.renderRow(t,a)).join(""),this.updateBulkActionButtons(),this.calculatePageAggregations(t),this.restoreCursor()}renderEmptyRow(){const t=this.getThemeClass("table.center"),e=this.getThemeClass("table.muted");return`<tr><td colspan="${this.getColumnCount()}" class="${t} ${e}">No records found</td></tr>`}getTableSchema(){if(null===this.tableSchema){const t=document.querySelector(".datatables-table");this.tableSchema=t?JSON.parse(t.dataset.columns||"{}"):{}}return this.tableSchema}renderRow(t,e){const a=this.getThemeClass("table.shrink"),s=this.getThemeClass("checkbox"),i=this.getRowId(t),r=this.getRowClass(i);let l=`<tr${r?` class="${r} row-select"`:""} data-id="${i}">`;return this.bulkActionsEnabled&&(l+=`<td class="${a} row-check">`,l+=`<label><input type="checkbox" class="${s} row-checkbox" value="${i}"${this.selectedIds.has(String(i))?" checked":""} onchange="DataTables.toggleRowSelection(this)"></label>`,l+="</td>"),"start"===this.actionConfig.position&&(l+=`<td class="${a} row-action">`,l+=this.renderActionButtons(i,t),l+="</td>"),Object.keys(this.columns).forEach(a=>{let s=this.cssClasses?.columns?.[a]||"";if(!s&&a.toLowerCase().includes(" as ")){const t=a.split(/\s+as\s+/i);if(2===t.length){const e=t[1].replace(/[`'"]/g,"");s=this.cssClasses?.columns?.[e]||""}}const r=this.inlineEditableColumns.includes(a),o=this.getDataKey(a);let n=t[o]??"";const c=r?" cell-edit":"",d=e[a]?.override_type||e[a]?.type||"text";if("boolean"===d){const t="1"==n||"true"===n||!0===n,e=t?"check":"close",s=t?this.getThemeClass("icon.success"):this.getThemeClass("icon.danger"),l=n;r?(n=`<span class="inline-editable boolean-toggle" data-field="${a}" data-id="${i}" data-type="boolean" data-value="${l}" style="cursor: pointer;">`,n+=this.renderIcon(e,s),n+="</span>"):n=`<span data-value="${l}">${this.renderIcon(e,s)}</span>`}else if("select"===d){const t=e[a]?.form_options||{},s=String(n),l=s in t?t[s]:n;n=r?`<span class="inline-editable" data-field="${a}" data-id="${i}" data-type="${d}" data-value="${n}" style="cursor: pointer;">${l}</span>`:l}else if("select2"===d){const e=t[o+"_label"]||n;n=r?`<span class="inline-editable" data-field="${a}" data-id="${i}" data-type="${d}" data-value="${n}" style="cursor: pointer;">${e}</span>`:e}else if("image"===d){const t=this.getThemeClass("border.rounded");if(n&&n.trim()){const e=n.startsWith("http")?n:`/uploads/${n}`;r?(n=`<span class="inline-editable" data-field="${a}" data-id="${i}" data-type="${d}" data-value="${n}" style="cursor: pointer;">`,n+=`<img src="${e}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${t}">`,n+="</span>"):n=`<img src="${e}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${t}">`}else n=r?`<span class="inline-editable" data-field="${a}" data-id="${i}" data-type="${d}" data-value="" style="cursor: pointer;">No image</span>`:"No image"}else r&&(n=`<span class="inline-editable" data-field="${a}" data-id="${i}" data-type="${d}" style="cursor: pointer;">${n}</span>`);const h=[s,c].filter(t=>t).join(" ");l+=`<td${h?` class="${h}"`:""} data-column="${a}">${n}</td>`}),"end"===this.actionConfig.position&&(l+=`<td class="${a} row-action">`,l+=this.renderActionButtons(i,t),l+="</td>"),l+="</tr>",l}getRowId(t){return t["s.id"]||t.id||t[this.primaryKey]||Object.values(t)[0]}getDataKey(t){if(t.toLowerCase().includes(" as ")){const e=t.split(/\s+as\s+/i);if(2===e.length)return e[1].replace(/[`'"]/g,"")}return t}renderActionButtons(t,e={}){let a="";const s=this.getThemeClass("icon.link");this.getThemeClass("margin.smallRight"),window.DataTablesRowData||(window.DataTablesRowData={}),window.DataTablesRowData[t]=e;const i=a=>{if("string"!=typeof a)return a;let s=a.replace("{id}",t);for(const[t,a]of Object.entries(e)){const e="{"+t+"}";s=s.replace(new RegExp(e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),"g"),a||"")}return s};return this.actionConfig.groups&&this.actionConfig.groups.length>0?this.actionConfig.groups.forEach(e=>{Array.isArray(e)?e.forEach(t=>{switch(t){case"edit":"uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>':a+=`<a href="#" class="${s} btn-edit" title="Edit Record">${this.renderIcon("pencil")}</a>`;break;case"delete":"uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>':a+=`<a href="#" class="${s} btn-delete" title="Delete Record">${this.renderIcon("trash")}</a>`}}):"object"==typeof e&&null!==e&&(Object.keys(e).filter(t=>t.startsWith("html")).forEach(t=>{const s=e[t];"object"==typeof s&&s.location&&s.content?"before"!==s.location&&"both"!==s.location||(a+=i(s.content)):"string"==typeof s&&(a+=i(s))}),Object.keys(e).filter(t=>!t.startsWith("html")).forEach(r=>{const l=e[r];if(l&&"object"==typeof l){if(l.html)if("object"==typeof l.html&&l.html.location&&l.html.content)"before"!==l.html.location&&"both"!==l.html.location||(a+=i(l.html.content));else if("string"==typeof l.html&&!l.hasCallback&&void 0===l.href&&void 0===l.icon)return void(a+=i(l.html));if(l.hasCallback){const e=l.icon||"link",i=l.title||"",o=l.class||"btn-custom",n=l.confirm||"";"uikit"===this.theme?a+='<a href="#" class="uk-icon-link '+o+'" uk-icon="'+e+'" title="'+i+'" uk-tooltip="'+i+'"':a+='<a href="#" class="'+s+" "+o+'" title="'+i+'"',a+=' data-action="'+r+'"',a+=' data-id="'+t+'"',a+=' data-confirm="'+n+'"',a+=" onclick=\"DataTables.executeActionCallback('"+r+"', "+t+', event)"',a+=">","uikit"!==this.theme&&(a+=this.renderIcon(e)),a+="</a>"}else if(void 0!==l.href||void 0!==l.icon){const t=i(l.icon||"link"),e=i(l.title||""),r=i(l.class||"btn-custom"),o=i(l.href||"#"),n=i(l.onclick||""),c=l.attributes||{};"uikit"===this.theme?a+='<a href="'+o+'" class="uk-icon-link '+r+'" uk-icon="'+t+'" title="'+e+'" uk-tooltip="'+e+'"':a+='<a href="'+o+'" class="'+s+" "+r+'" title="'+e+'"',n&&(a+=' onclick="'+n+'"');for(const[t,e]of Object.entries(c)){const s=i(String(e));a+=" "+t+'="'+s+'"'}a+=">","uikit"!==this.theme&&(a+=this.renderIcon(t)),a+="</a>"}l.html&&"object"==typeof l.html&&l.html.location&&l.html.content&&("after"!==l.html.location&&"both"!==l.html.location||(a+=i(l.html.content)))}}),Object.keys(e).filter(t=>t.startsWith("html")).forEach(t=>{const s=e[t];"object"==typeof s&&s.location&&s.content&&("after"!==s.location&&"both"!==s.location||(a+=i(s.content)))}))}):(!1!==this.actionConfig.show_edit&&("uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>':a+=`<a href="#" class="${s} btn-edit" title="Edit Record">${this.renderIcon("pencil")}</a>`),!1!==this.actionConfig.show_delete&&("uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>':a+=`<a href="#" class="${s} btn-delete" title="Delete Record">${this.renderIcon("trash")}</a>`)),a}renderInfo(t){const e=(t.page-1)*t.per_page+1,a=`Showing ${e} to ${Math.min(e+t.per_page-1,t.total)} of ${t.total} records`;document.querySelectorAll(".datatables-info").forEach(t=>{t.textContent=a})}renderPagination(t){if(t.total_pages<=1)return void document.querySelectorAll(".datatables-pagination").forEach(t=>{t.innerHTML=""});let e="";const a=parseInt(t.page),s=parseInt(t.total_pages),i=this.getThemeClass("pagination.disabled"),r=this.getThemeClass("pagination.active");if("bootstrap"===this.theme){e+=`<li class="page-item${1===a?" disabled":""}">`,e+=`<a class="page-link" ${1===a?"":'onclick="DataTables.goToPage(1)"'} title="First Page">&laquo;&laquo;</a></li>`,e+=`<li class="page-item${1===a?" disabled":""}">`,e+=`<a class="page-link" ${1===a?"":`onclick="DataTables.goToPage(${a-1})"`} title="Previous Page">&laquo;</a></li>`,a>2&&(e+='<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(1)">1</a></li>',a>3&&(e+='<li class="page-item disabled"><span class="page-link">...</span></li>'));const t=Math.max(1,a-1),i=Math.min(s,a+1);for(let s=t;s<=i;s++)e+=`<li class="page-item${s===a?" active":""}">`,e+=`<a class="page-link" ${s===a?"":`onclick="DataTables.goToPage(${s})"`}>${s}</a></li>`;a<s-1&&(a<s-2&&(e+='<li class="page-item disabled"><span class="page-link">...</span></li>'),e+=`<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(${s})">${s}</a></li>`),e+=`<li class="page-item${a===s?" disabled":""}">`,e+=`<a class="page-link" ${a===s?"":`onclick="DataTables.goToPage(${a+1})"`} title="Next Page">&raquo;</a></li>`,e+=`<li class="page-item${a===s?" disabled":""}">`,e+=`<a class="page-link" ${a===s?"":`onclick="DataTables.goToPage(${s})"`} title="Last Page">&raquo;&raquo;</a></li>`}else if("uikit"===this.theme){e+=`<li${1===a?' class="uk-disabled"':""}>`,e+=`<a ${1===a?"":' onclick="DataTables.goToPage(1)"'} title="First Page">`,e+='<span uk-icon="chevron-double-left"></span></a></li>',e+=`<li${1===a?' class="uk-disabled"':""}>`,e+=`<a ${1===a?"":` onclick="DataTables.goToPage(${a-1})"`} title="Previous Page">`,e+="<span uk-pagination-previous></span></a></li>",a>2&&(e+='<li><a onclick="DataTables.goToPage(1)">1</a></li>',a>3&&(e+='<li class="uk-disabled"><span>...</span></li>'));const t=Math.max(1,a-1),i=Math.min(s,a+1);for(let s=t;s<=i;s++)e+=`<li${s===a?' class="uk-active"':""}>`,e+=`<a ${s===a?"":` onclick="DataTables.goToPage(${s})"`}>${s}</a></li>`;a<s-1&&(a<s-2&&(e+='<li class="uk-disabled"><span>...</span></li>'),e+=`<li><a onclick="DataTables.goToPage(${s})">${s}</a></li>`),e+=`<li${a===s?' class="uk-disabled"':""}>`,e+=`<a ${a===s?"":` onclick="DataTables.goToPage(${a+1})"`} title="Next Page">`,e+="<span uk-pagination-next></span></a></li>",e+=`<li${a===s?' class="uk-disabled"':""}>`,e+=`<a ${a===s?"":` onclick="DataTables.goToPage(${s})"`} title="Last Page">`,e+='<span uk-icon="chevron-double-right"></span></a></li>'}else{e+=`<li${1===a?` class="${i}"`:""}>`,e+=`<a ${1===a?"":'onclick="DataTables.goToPage(1)"'} title="First Page">${this.renderIcon("chevron-double-left")}</a></li>`,e+=`<li${1===a?` class="${i}"`:""}>`,e+=`<a ${1===a?"":`onclick="DataTables.goToPage(${a-1})"`} title="Previous Page">&laquo;</a></li>`,a>2&&(e+='<li><a onclick="DataTables.goToPage(1)">1</a></li>',a>3&&(e+=`<li class="${i}"><span>...</span></li>`));const t=Math.max(1,a-1),l=Math.min(s,a+1);for(let s=t;s<=l;s++)e+=`<li${s===a?` class="${r}"`:""}>`,e+=`<a ${s===a?"":`onclick="DataTables.goToPage(${s})"`}>${s}</a></li>`;a<s-1&&(a<s-2&&(e+=`<li class="${i}"><span>...</span></li>`),e+=`<li><a onclick="DataTables.goToPage(${s})">${s}</a></li>`),e+=`<li${a===s?` class="${i}"`:""}>`,e+=`<a ${a===s?"":`onclick="DataTables.goToPage(${a+1})"`} title="Next Page">&raquo;</a></li>`,e+=`<li${a===s?` class="${i}"`:""}>`,e+=`<a ${a===s?"":`onclick="DataTables.goToPage(${s})"`} title="Last Page">${this.renderIcon("chevron-double-right")}</a></li>`}document.querySelectorAll(".datatables-pagination").forEach(t=>{t.innerHTML=e})}goToPage(t){if(this.currentPage=t,this.virtualScroll)return this.writeUrlState(),void this.scrollToVirtualPage(t);this.loadData()}updateSortIcons(){document.querySelectorAll(".sort-icon").forEach(t=>{"uikit"===this.theme?t.setAttribute("uk-icon","triangle-up"):t.innerHTML=this.renderIcon("triangle-up")}),document.querySelectorAll(`th[data-sort="${this.sortColumn}"] .sort-icon`).forEach(t=>{if(t){const e="ASC"===this.sortDirection?"triangle-up":"triangle-down";"uikit"===this.theme?t.setAttribute("uk-icon",e):t.innerHTML=this.renderIcon(e)}})}toggleSelectAll(t){document.querySelectorAll(".row-checkbox").forEach(e=>{e.checked=t.checked,this.toggleRowSelection(e)})}toggleRowSelection(t){const e=t.value;if(t.checked)this.selectedIds.add(e);else{this.selectedIds.delete(e),this.selectAllMatching=!1;const t=document.querySelector(".datatables-select-all");t&&(t.checked=!1)}this.updateBulkActionButtons()}updateBulkActionButtons(){const t=this.selectedIds.size>0||this.selectAllMatching;document.querySelectorAll(".datatables-bulk-action-btn").forEach(e=>{e.disabled=!t});const e=this.getThemeClass("pagination.disabled");document.querySelectorAll('[data-selection="page"]').forEach(t=>{e.split(" ").forEach(e=>t.classList.toggle(e,this.selectAllMatching)),t.setAttribute("aria-disabled",this.selectAllMatching?"true":"false")}),this.renderMatchingNotice()}getMatchingCriteria(){return JSON.stringify([this.search,this.filters])}selectMatching(){this.selectAllMatching=!0,this.matchingCriteria=this.getMatchingCriteria(),this.syncMatchingSelection()}clearSelection(){this.selectAllMatching=!1,this.selectedIds.clear(),document.querySelectorAll(".row-checkbox, .datatables-select-all").forEach(t=>{t.checked=!1}),this.updateBulkActionButtons()}syncMatchingSelection(){const t=Array.from(document.querySelectorAll(".row-checkbox"));this.selectAllMatching&&t.forEach(t=>{t.checked=!0,this.selectedIds.add(t.value)});const e=document.querySelector(".datatables-select-all");e&&(e.checked=t.length>0&&t.every(t=>t.checked)),this.updateBulkActionButtons()}renderMatchingNotice(){const t=document.querySelector(".datatables-select-matching");if(!t)return;const e=document.querySelector(".datatables-select-all"),a=document.querySelectorAll(".row-checkbox").length,s=this.matchingTotal.toLocaleString();if(this.selectAllMatching)t.innerHTML=`All <strong>${s}</strong> records matching the current search and filters are selected. <a href="#" class="datatables-select-matching-clear">Clear selection</a>`;else{if(!(e&&e.checked&&a>0&&this.matchingTotal>a))return t.hidden=!0,void(t.innerHTML="");t.innerHTML=`All <strong>${a.toLocaleString()}</strong> records on this page are selected. <a href="#" class="datatables-select-matching-all">Select all ${s} matching records</a>`}t.hidden=!1}getBulkConfirmMessage(t,e){const a=e?[e]:[];if(this.selectAllMatching){const e=this.bulkActions[t]?.label||t;a.push(`Apply "${this.escapeHtml(e)}" to all ${this.matchingTotal.toLocaleString()} records matching the current search and filters?`)}const s=this.getBulkUndoNote(t);return s&&a.length>0&&a.push(s),a.join("<br><br>")}getBulkUndoNote(t){return"delete"===t?"Deleted records can't be brought back with undo.":(this.selectAllMatching?this.matchingTotal:this.selectedIds.size)>this.historyBulkLimit?`Actions on more than ${this.historyBulkLimit.toLocaleString()} records can't be undone.`:""}executeBulkActionDirect(t,e){e&&e.preventDefault();const a=Array.from(this.selectedIds);if(0===a.length)return void this.showNotification("No records selected","warning");const s=document.querySelector(`[data-action="${t}"]`),i=this.getBulkConfirmMessage(t,s?s.getAttribute("data-confirm"):"");i?this.showConfirm(i).then(()=>{this.performBulkAction(t,a)},()=>{}):this.performBulkAction(t,a)}executeActionCallback(t,e,a){a&&a.preventDefault();const s=window.DataTablesRowData?window.DataTablesRowData[e]:{};let i=null;if(this.actionConfig.groups)for(const e of this.actionConfig.groups)if("object"==typeof e&&!Array.isArray(e)&&e[t]&&e[t].hasCallback){i=e[t];break}i&&(i.confirm?this.showConfirm(i.confirm).then(()=>{this.performActionCallback(t,e,s,i)},()=>{}):this.performActionCallback(t,e,s,i))}performActionCallback(t,e,a,s){const i=new FormData;i.append("action","action_callback"),i.append("action_name",t),i.append("row_id",e),i.append("row_data",JSON.stringify(a)),fetch(window.location.href,{method:"POST",body:i}).then(t=>t.json()).then(t=>{t.success?(this.reload(),this.showNotification(t.message||s.success_message||"Action completed","success")):this.showNotification(t.message||s.error_message||"Action failed","danger")}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")})}resetSearch(){document.querySelectorAll(".datatables-search").forEach(t=>{t.value=""}),this.search="",this.currentPage=1,this.reload()}executeBulkAction(){const t=document.querySelector(".datatables-bulk-action");if(!t||!t.value)return;const e=t.value,a=Array.from(this.selectedIds);if(0===a.length)return void this.showNotification("No records selected","warning");const s=this.bulkActions[e],i=this.getBulkConfirmMessage(e,s?s.confirm:"");i?this.showConfirm(i).then(()=>{this.performBulkAction(e,a)},()=>{}):this.performBulkAction(e,a)}performBulkAction(t,e){const a=new FormData;a.append("action","bulk_action"),a.append("bulk_action",t);const s=this.selectAllMatching;s?(a.append("select_all","1"),a.append("search",this.search),a.append("filters",JSON.stringify(this.getServerFilters())),a.append("expected_count",this.matchingTotal)):a.append("selected_ids",JSON.stringify(e));const i=this.getBulkUndoNote(t);i||a.append("journal","1"),fetch(window.location.href,{method:"POST",body:a}).then(t=>t.json()).then(e=>{if(e.success){this.selectedIds.clear(),this.selectAllMatching=!1,this.reload();const a=e.message||"Bulk action completed";i?this.showNotification(`${a}. ${i}`,"success"):(this.showNotification(a,"success"),this.recordChange(e.changes||[],this.bulkActions[t]?.label||t));const s=document.querySelector(".datatables-bulk-action");s&&(s.value="");const r=document.querySelector(".datatables-select-all");r&&(r.checked=!1),this.updateBulkActionButtons()}else s&&void 0!==e.matching_count?(this.matchingTotal=parseInt(e.matching_count)||0,this.renderMatchingNotice(),this.showNotification(e.message||"The matching records changed","warning")):(e.affected_count>0&&this.reload(),this.showNotification(e.message||"Bulk action failed","danger"))}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")})}showAddModal(t){t&&t.preventDefault(),this.showModal("add-modal")}showEditModal(t){this.loadRecordForEdit(t),this.showModal("edit-modal")}showDeleteModal(t){this.deleteId=t,this.showModal("delete-modal")}loadRecordForEdit(t){const e=new URLSearchParams({action:"fetch_record",id:t});fetch("?"+e.toString()).then(t=>t.json()).then(t=>{t.success&&t.data?this.populateEditForm(t.data):(console.error("Failed to fetch record:",t.message),this.showNotification(t.message||"Failed to fetch record data","danger"))}).catch(t=>{console.error("Error fetching record:",t),this.showNotification("Error fetching record data","danger")})}populateEditForm(t){let e=this.primaryKey;this.primaryKey.includes(".")&&(e=this.primaryKey.split(".")[1]);let a=t[this.primaryKey]||t[e]||t["s.id"]||t.id||"";const s=document.getElementById(`edit-${e}`);s&&(s.value=a);const i=document.getElementById("edit-form");if(!i)return;i.querySelectorAll("input, select, textarea").forEach(a=>{const s=a.name;if(!s||s===e)return;const i=t[s];null!=i?"checkbox"===a.type?a.checked="1"==i||"true"===i||!0===i:"radio"===a.type?a.checked=a.value===String(i):(a.hasAttribute("data-select2")&&(a.innerHTML=`<option value="${i}" selected>${i}</option>`),a.value=i):"checkbox"===a.type||"radio"===a.type?a.checked=!1:a.value=""});const r=i.querySelectorAll("select[data-select2]");if(r.length>0){const e=JSON.stringify(t);r.forEach(a=>{a.setAttribute("data-record-data",e);const s=a.kptSelect2Instance;s&&a.value&&(s.config.recordData=t,s.selectedValue=a.value,s.loadInitialValue())})}}submitAddForm(t){t.preventDefault();const e=t.target,a=new FormData(e);return a.append("action","add_record"),this.submitForm(a,e,"add-modal","Record added successfully"),!1}submitEditForm(t){t.preventDefault();const e=t.target,a=new FormData(e);return a.append("action","edit_record"),this.submitForm(a,null,"edit-modal","Record updated successfully"),!1}submitForm(t,e,a,s){t.append("table",this.tableName),fetch(window.location.href,{method:"POST",body:t}).then(t=>t.json()).then(t=>{t.success?(this.hideModal(a),e&&e.reset(),this.reload(),this.showNotification(s,"success")):this.showNotification(t.message||"Operation failed","danger")}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")})}confirmDelete(){if(!this.deleteId)return;const t=new FormData;t.append("action","delete_record"),t.append("id",this.deleteId),fetch(window.location.href,{method:"POST",body:t}).then(t=>t.json()).then(t=>{t.success?(this.hideModal("delete-modal"),this.reload(),this.showNotification("Record deleted successfully","success")):this.showNotification(t.message||"Failed to delete record","danger")}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")}),this.deleteId=null}bindTableEvents(){const t=document.querySelector(".datatables-tbody");t&&t.addEventListener("click",t=>{const e=t.target.closest(".btn-edit");if(e)return t.preventDefault(),void this.showEditModal(e.closest("tr").getAttribute("data-id"));const a=t.target.closest(".btn-delete");if(a)return t.preventDefault(),void this.showDeleteModal(a.closest("tr").getAttribute("data-id"));const s=t.target.closest("td .boolean-toggle");if(s)return t.preventDefault(),t.stopPropagation(),void this.toggleBoolean(s);const i=t.target.closest("td .inline-editable");if(i)return t.preventDefault(),t.stopPropagation(),void this.startInlineEdit(i);const r=t.target.closest("tr.row-select"),l=t.target.closest("td");if(r&&l&&!l.classList.contains("row-check")&&!l.classList.contains("row-action")&&!l.classList.contains("cell-edit")){const t=r.querySelector(".row-checkbox");t&&(t.checked=!t.checked,this.toggleRowSelection(t))}})}startInlineEdit(t){if(t.querySelector("input, select, textarea"))return;const e=t.getAttribute("data-field"),a=t.getAttribute("data-id"),s=t.getAttribute("data-type")||"text",i=t.getAttribute("data-value")||t.textContent;if(!this.inlineEditableColumns.includes(e))return;const r=DataTablesJS.fieldEditors[s];if(r)return void r.start({table:this,element:t,id:a,field:e,value:i,row:(window.DataTablesRowData||{})[a]||{},save:s=>{s!==i?this.saveInlineEdit(a,e,s,t,i):t.textContent=i},cancel:()=>{t.textContent=i}});const l=this.getThemeClass("input"),o=this.getThemeClass("select"),n=this.getThemeClass("textarea"),c=this.getThemeClass("button.primary"),d=this.getThemeClass("button.default"),h=this.getThemeClass("button.small"),u=this.getThemeClass("flex.right"),g=this.getThemeClass("margin.smallTop"),p=this.getThemeClass("margin.smallRight"),m=this.getThemeClass("margin.smallBottom"),f=this.getThemeClass("border.rounded"),b=this.getThemeClass("display.block"),v=document.querySelector(".datatables-table"),y=v?JSON.parse(v.dataset.columns||"{}"):{};let k;switch(s){case"select":const r=y[e]?.form_options||{};k=document.createElement("select"),k.className=o;for(const[t,e]of Object.entries(r)){const a=document.createElement("option");a.value=t,a.textContent=e,t===i&&(a.selected=!0),k.appendChild(a)}break;case"select2":const v=y[e]?.select2_query||"",w=0,S=y[e]?.select2_max_results||50;let C=i;if(!v)return console.error("No query configured for select2 field:",e),void(t.textContent=i);const x=document.createElement("select");return x.className=o,x.setAttribute("data-select2","true"),x.setAttribute("data-query",v),x.setAttribute("data-placeholder","Select..."),x.setAttribute("data-min-search-chars",w),x.setAttribute("data-max-results",S),x.setAttribute("data-theme",this.theme),x.innerHTML=`<option value="${i}" selected>Loading...</option>`,x.value=i,t.innerHTML="",t.appendChild(x),void setTimeout(()=>{if("function"==typeof window.KPTSelect2){const s={placeholder:x.getAttribute("data-placeholder")||"Select...",query:x.getAttribute("data-query")||"",minSearchChars:x.getAttribute("data-min-search-chars")||0,maxResults:x.getAttribute("data-max-results")||50,theme:x.getAttribute("data-theme")||"uikit",recordData:{}};new KPTSelect2(x,s),x.addEventListener("change",()=>{const s=x.value;s!==i?this.saveInlineEdit(a,e,s,t,i):x.kptSelect2Instance?t.textContent=x.kptSelect2Instance.selectedLabel||i:t.textContent=i});const r=x.kptSelect2Instance,l=r.close.bind(r);r.close=function(){const e=x.value!==i;l(),e||(t.textContent=C)}}else console.error("KPTSelect2 class not found!");setTimeout(()=>{x.kptSelect2Instance?(x.kptSelect2Instance.selectedValue=i,x.kptSelect2Instance.loadInitialValue(),setTimeout(()=>{C=x.kptSelect2Instance.selectedLabel||i},25),setTimeout(()=>{x.kptSelect2Instance.open()},50)):console.error("NO INSTANCE CREATED")},100)},150);case"textarea":k=document.createElement("textarea"),k.className=n,k.value=i;break;case"number":k=document.createElement("input"),k.type="number",k.className=l,k.value=i;break;case"date":k=document.createElement("input"),k.type="date",k.className=l,k.value=i;break;case"datetime-local":k=document.createElement("input"),k.type="datetime-local",k.className=l,k.value=i;break;case"image":const $=document.createElement("div");if($.style.minWidth="200px",i&&i.trim()){const t=i.startsWith("http")?i:`/uploads/${i}`,e=document.createElement("img");e.src=t,e.style.maxWidth="100px",e.style.maxHeight="100px",e.style.objectFit="cover",e.className=`${f} ${m} ${b}`,$.appendChild(e)}const P=document.createElement("input");P.type="url",P.className=`${l} ${m}`,P.placeholder="Enter image URL or upload file",P.value=i.startsWith("http")?i:"";const T=document.createElement("div");T.className=m;const A=document.createElement("input");A.type="file",A.className=l,A.accept="image/*";const E=document.createElement("div");E.className=`${u} ${g}`;const D=document.createElement("button");D.className=`${c} ${h} ${p}`,D.textContent="Save",D.type="button";const I=document.createElement("button");I.className=`${d} ${h}`,I.textContent="Cancel",I.type="button",T.appendChild(A),E.appendChild(D),E.appendChild(I),$.appendChild(P),$.appendChild(T),$.appendChild(E);const L=()=>{const s=P.value.trim(),r=A.files[0];if(r){const s=new FormData;s.append("action","upload_file"),s.append("file",r),s.append("prepend",t.getAttribute("data-prepend")||""),fetch(window.location.href,{method:"POST",body:s}).then(t=>t.json()).then(s=>{s.success?this.saveInlineEdit(a,e,s.file_name,t,i):(M(),this.showNotification(s.message||"Upload failed","danger"))}).catch(t=>{M(),this.showNotification("Upload error","danger")})}else s!==i?this.saveInlineEdit(a,e,s,t,i):M()},M=()=>{if(i&&i.trim()){const e=i.startsWith("http")?i:`/uploads/${i}`;t.innerHTML=`<img src="${e}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${f}">`}else t.innerHTML="No image"};return D.addEventListener("click",L),I.addEventListener("click",M),P.addEventListener("keydown",t=>{"Enter"===t.key?(t.preventDefault(),L()):"Escape"===t.key&&(t.preventDefault(),M())}),t.innerHTML="",t.appendChild($),void P.focus();default:k=document.createElement("input"),k.type="email"===s?"email":"text",k.className=l,k.value=i}const w=()=>{const s=k.value;s!==i?this.saveInlineEdit(a,e,s,t,i):t.textContent=i};k.addEventListener("blur",w),k.addEventListener("keydown",e=>{"Enter"===e.key?(e.preventDefault(),w()):"Escape"===e.key&&(e.preventDefault(),t.textContent=i)}),t.textContent="",t.appendChild(k),k.focus(),k.select&&k.select()}toggleBoolean(t){const e=t.getAttribute("data-field"),a=t.getAttribute("data-id"),s=t.getAttribute("data-value"),i="1"==s||"true"===s||!0===s?"0":"1";this.saveInlineEdit(a,e,i,t,s)}postInlineEdit(t,e,a){const s=new FormData;return s.append("action","inline_edit"),s.append("id",t),s.append("field",e),s.append("value",a),fetch(window.location.href,{method:"POST",body:s}).then(t=>t.json())}saveInlineEdit(t,e,a,s,i=null){const r=i??s.getAttribute("data-value")??s.textContent;s.setAttribute("data-original",r);const l=this.getDataKey(e),o=`${l}_label`,n=this.findRow(t),c="select2"===s.getAttribute("data-type"),d=c?s.querySelector("select")?.kptSelect2Instance?.selectedLabel??null:null,h=c&&n?n[o]??null:null,u=(e,a)=>{const s={[l]:e};c&&null!==a&&(s[o]=a),this.patchRow(t,s)};DataTablesJS.saveOptimistic({apply:()=>{this.renderCellValue(s,a,d),u(a,d)},revert:()=>{this.renderCellValue(s,s.getAttribute("data-original")??"",h),s.removeAttribute("data-original"),u(r,h),this.calculatePageAggregations(this.pageData)},save:()=>this.postInlineEdit(t,e,a)}).then(()=>{s.removeAttribute("data-original"),this.invalidateCache(),this.refreshRow(t),this.loadAggregations();const r=document.getElementById(`edit-${e}`);r&&("checkbox"===r.type?r.checked="1"===a||"true"===a||!0===a:r.value=a),null!==i&&this.recordChange([{id:t,field:e,oldValue:i,newValue:a}],"Field updated successfully")||this.showNotification("Field updated successfully","success")}).catch(t=>{console.error("Error:",t),this.showNotification(t.response?t.response.message||"Failed to update field":"An error occurred","danger")})}renderCellValue(t,e,a=null){const s=t.getAttribute("data-type");if("image"===s){const a=this.getThemeClass("border.rounded");if(e&&e.trim()){const s=e.startsWith("http")?e:`/uploads/${e}`;t.innerHTML=`<img src="${s}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${a}">`,t.setAttribute("data-value",e)}else t.innerHTML="No image",t.setAttribute("data-value","")}else if(t.classList.contains("boolean-toggle")){const a="1"==e||"true"===e||!0===e,s=a?this.getThemeClass("icon.success"):this.getThemeClass("icon.danger");t.innerHTML=this.renderIcon(a?"check":"close",s),t.setAttribute("data-value",e)}else if("select"===s){const a=this.getTableSchema()[t.getAttribute("data-field")]?.form_options||{},s=String(e),i=s in a?a[s]:e;t.setAttribute("data-value",e),t.textContent=i}else"select2"===s?(t.setAttribute("data-value",e),t.textContent=a??e):t.textContent=e}findRow(t){const e=e=>String(this.getRowId(e))===String(t);let a=this.pageData.find(e);if(!a&&this.virtualScroll)for(const t of this.virtualPages.values())if(a=t.find(e),a)break;return a||null}patchRow(t,e){const a=this.findRow(t);return a&&Object.assign(a,e),a}refreshRow(t){return this.fetchRecord(t).then(e=>{const a=e?this.findRow(t):null;if(!a)return;const s=this.tableName.trim().split(/\s+/),i=s[s.length-1];Object.keys(a).forEach(t=>{const s=t.indexOf("."),r=-1===s?null:t.substring(0,s),l=-1===s?t:t.substring(s+1);null!==r&&r!==i||!(l in e)||(a[t]=e[l])}),this.renderRowInPlace(a),this.calculatePageAggregations(this.pageData)})}renderRowInPlace(t){const e=String(this.getRowId(t)),a=document.querySelector(`.datatables-tbody tr[data-id="${CSS.escape(e)}"]`);if(!a||a.querySelector("input:not(.row-checkbox), select, textarea"))return;a.insertAdjacentHTML("afterend",this.renderRow(t,this.getTableSchema()));const s=a.nextElementSibling;a.remove(),this.virtualScroll&&(s.style.height=`${this.virtualRowHeight}px`),this.cursor&&this.cursor.rowId===e&&this.restoreCursor()}bindHistoryEvents(){document.addEventListener("keydown",t=>{if(!t.ctrlKey&&!t.metaKey||t.altKey)return;if(t.target.closest("input, select, textarea, [contenteditable]"))return;const e=t.key.toLowerCase();"z"!==e||t.shiftKey?("z"===e&&t.shiftKey||"y"===e)&&(t.preventDefault(),this.redo()):(t.preventDefault(),this.undo())}),document.addEventListener("click",t=>{t.target.closest(".datatables-undo")&&(t.preventDefault(),this.undo())})}recordChange(t,e="Change saved"){return 0!==(t=t.filter(t=>String(t.oldValue??"")!==String(t.newValue??""))).length&&(this.undoStack.push({label:e,changes:t}),this.undoStack.length>this.historyLimit&&this.undoStack.shift(),this.redoStack=[],this.showUndoToast(t.length>1?`${e} (${t.length} changes)`:e),!0)}async undo(){const t=this.undoStack[this.undoStack.length-1];t&&!this.historyBusy&&await this.replayChanges(t,"oldValue")&&(this.redoStack.push(this.undoStack.pop()),this.showNotification(`Undone: ${t.label}`,"success"))}async redo(){const t=this.redoStack[this.redoStack.length-1];t&&!this.historyBusy&&await this.replayChanges(t,"newValue")&&(this.undoStack.push(this.redoStack.pop()),this.showNotification(`Redone: ${t.label}`,"success"))}async replayChanges(t,e){this.historyBusy=!0;try{const a=(await this.runConcurrent(t.changes,t=>this.postInlineEdit(t.id,t.field,t[e]??"").then(t=>t.success).catch(()=>!1))).filter(t=>!t).length;return this.reload(),!(a>0&&(this.showNotification(`${a} of ${t.changes.length} change(s) could not be reverted`,"danger"),1))}finally{this.historyBusy=!1}}showUndoToast(t){"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.notification(`${t} <a href="#" class="datatables-undo">Undo</a>`,{status:"success"}):this.showNotification(`${t} - press Ctrl+Z to undo`,"success")}fetchRecord(t){const e=new URLSearchParams({action:"fetch_record",id:t});return fetch("?"+e.toString()).then(t=>t.json()).then(t=>t.success?t.data:null).catch(()=>null)}async runConcurrent(t,e,a=4){const s=new Array(t.length);let i=0;return await Promise.all(Array.from({length:Math.min(a,t.length)},async()=>{for(;i<t.length;){const a=i++;s[a]=await e(t[a])}})),s}bindSpreadsheetEvents(){document.addEventListener("mousedown",t=>{const e=t.target.closest(".datatables-tbody td[data-column]");e?(this.gridActive=!0,this.setCursor(e,!1)):t.target.closest(".datatables-tbody")||(this.gridActive=!1,this.clearCursor())}),document.addEventListener("keydown",t=>this.handleGridKey(t))}handleGridKey(t){if(!this.gridActive||!this.cursor||t.altKey||t.ctrlKey||t.metaKey)return;const e=t.target.closest("input, select, textarea, [contenteditable]");if(e){if(!e.closest(".datatables-tbody"))return;return void("Tab"===t.key?(t.preventDefault(),this.moveCursor(0,t.shiftKey?-1:1),e.blur(),this.focusCursor()):"Enter"!==t.key&&"Escape"!==t.key||setTimeout(()=>this.focusCursor(),0))}if(!t.target.closest(".datatables-tbody")&&t.target!==document.body)return;if(document.querySelector(".uk-modal.uk-open, .modal.show"))return;const a={ArrowUp:[-1,0],ArrowDown:[1,0],ArrowLeft:[0,-1],ArrowRight:[0,1]};if(t.key in a){t.preventDefault();const[e,s]=a[t.key];return void(t.shiftKey&&0!==e?this.extendSelection(e):(this.selectionAnchor=null,this.rangeIds.clear(),this.moveCursor(e,s)))}switch(t.key){case"Tab":t.preventDefault(),this.moveCursor(0,t.shiftKey?-1:1);break;case"Enter":case"F2":t.preventDefault(),this.editCursorCell();break;case" ":{const e=this.getCursorCell()?.querySelector(".boolean-toggle");e&&(t.preventDefault(),this.toggleBoolean(e));break}case"j":case"k":{const e=this.currentPage+("j"===t.key?1:-1);e>=1&&e<=this.totalPages&&(t.preventDefault(),this.goToPage(e));break}case"Escape":this.gridActive=!1,this.clearCursor()}}getGridRows(){return Array.from(document.querySelectorAll(".datatables-tbody tr[data-id]"))}getGridCells(t){return Array.from(t.querySelectorAll("td[data-column]")).filter(t=>null!==t.offsetParent)}getCursorCell(){if(!this.cursor)return null;const t=document.querySelector(`.datatables-tbody tr[data-id="${CSS.escape(this.cursor.rowId)}"]`);return t?t.querySelector(`td[data-column="${CSS.escape(this.cursor.column)}"]`):null}setCursor(t,e=!0){const a=t.closest("tr[data-id]");a&&(this.clearCursor(!1),this.cursor={rowId:a.getAttribute("data-id"),rowIndex:this.getGridRows().indexOf(a),column:t.getAttribute("data-column")},t.classList.add("datatables-cell-cursor"),t.setAttribute("tabindex","-1"),e&&this.focusCursor())}clearCursor(t=!0){document.querySelectorAll(".datatables-cell-cursor").forEach(t=>{t.classList.remove("datatables-cell-cursor"),t.removeAttribute("tabindex")}),t&&(this.cursor=null,this.selectionAnchor=null,this.rangeIds.clear())}focusCursor(){const t=this.getCursorCell();if(!t||!this.gridActive)return;const e=document.activeElement;e&&e!==document.body&&e!==t&&!t.contains(e)&&null===e.closest(".datatables-tbody")||t.querySelector("input, select, textarea")||(t.focus({preventScroll:!0}),t.scrollIntoView({block:"nearest",inline:"nearest"}))}restoreCursor(){if(!this.cursor)return;let t=this.getCursorCell();if(!t){const e=this.getGridRows();if(0===e.length)return;const a=e[Math.min(this.cursor.rowIndex,e.length-1)];if(t=a.querySelector(`td[data-column="${CSS.escape(this.cursor.column)}"]`)||this.getGridCells(a)[0],!t)return}this.setCursor(t,this.gridActive)}moveCursor(t,e){const a=this.getCursorCell();if(!a)return;const s=this.getGridRows(),i=s.indexOf(a.closest("tr")),r=s[Math.max(0,Math.min(s.length-1,i+t))],l=this.getGridCells(r),o=this.getGridCells(a.closest("tr")).indexOf(a),n=l[Math.max(0,Math.min(l.length-1,o+e))];n&&this.setCursor(n)}extendSelection(t){const e=this.getCursorCell();if(!e)return;const a=this.getGridRows();null===this.selectionAnchor&&(this.selectionAnchor=a.indexOf(e.closest("tr"))),this.moveCursor(t,0);const s=a.indexOf(this.getCursorCell().closest("tr")),i=Math.min(this.selectionAnchor,s),r=Math.max(this.selectionAnchor,s),l=new Set(a.slice(i,r+1).map(t=>t.getAttribute("data-id")));a.forEach(t=>{const e=t.querySelector(".row-checkbox"),a=t.getAttribute("data-id");e&&l.has(a)!==e.checked&&(l.has(a)||this.rangeIds.has(a))&&(e.checked=l.has(a),this.toggleRowSelection(e))}),this.rangeIds=l}editCursorCell(){const t=this.getCursorCell();if(!t)return;const e=t.querySelector(".boolean-toggle");if(e)return void this.toggleBoolean(e);const a=t.querySelector(".inline-editable");a&&this.startInlineEdit(a)}bindFilterEvents(){this.renderFilterChips(),document.addEventListener("click",t=>{if(t.target.closest(".datatables-filter-toggle"))return t.preventDefault(),void this.toggleFilterPanel();const e=t.target.closest(".datatables-filter-chip-remove");if(e)return t.preventDefault(),void this.setFilters(this.filters.filter((t,a)=>a!==parseInt(e.dataset.index,10)));const a=t.target.closest(".datatables-filter-panel [data-filter-action]");if(a)switch(t.preventDefault(),this.filterDraft=this.readFilterPanel(),a.dataset.filterAction){case"add":this.filterDraft.push(this.newFilter()),this.renderFilterPanel();break;case"remove":this.filterDraft.splice(parseInt(a.closest(".datatables-filter-row").dataset.index,10),1),this.renderFilterPanel();break;case"apply":this.setFilters(this.filterDraft);break;case"clear":this.setFilters([]);break;case"save-preset":this.saveFilterPreset();break;case"delete-preset":this.deleteFilterPreset()}}),document.addEventListener("change",t=>{if(t.target.closest(".datatables-filter-panel"))if(t.target.matches(".datatables-filter-preset")){const e=this.loadFilterPresets();this.filterPreset=t.target.value,this.filterDraft=e[this.filterPreset]?JSON.parse(JSON.stringify(e[this.filterPreset])):this.readFilterPanel(),this.renderFilterPanel()}else t.target.matches(".datatables-filter-column, .datatables-filter-operator")&&(this.filterDraft=this.readFilterPanel(),t.target.matches(".datatables-filter-column")&&(this.filterDraft[parseInt(t.target.closest(".datatables-filter-row").dataset.index,10)].value=""),this.renderFilterPanel())}),document.addEventListener("keydown",t=>{t.target.closest(".datatables-filter-panel")&&("Enter"===t.key&&t.target.matches("input.datatables-filter-value")?(t.preventDefault(),this.setFilters(this.readFilterPanel())):"Escape"===t.key&&this.hideFilterPanel())})}getFilterColumns(){const t=document.querySelector(".datatables-table"),e=t?JSON.parse(t.dataset.columns||"{}"):{};return Object.keys(this.columns).filter(t=>!/\s+as\s+/i.test(t)).map(t=>{const a=t.includes(".")?t.split(".")[1]:t,s=e[a]||{};let i=s.override_type||s.type||"text";return"checkbox"===i&&(i="boolean"),"select"!==i||s.form_options||(i="text"),DataTablesJS.filterTypeOperators[i]||(i="text"),{column:t,label:this.columns[t],type:i,options:s.form_options||{}}})}newFilter(){const t=this.getFilterColumns(),e=t.find(t=>t.column!==this.primaryKey)||t[0];return{column:e?e.column:"",operator:"",value:""}}isCompleteFilter(t){const e=DataTablesJS.filterOperators[t.operator];return!(!t.column||!e)&&(Array.isArray(t.value)?t.value.length>0:""!==String(t.value??""))}setFilters(t){this.filters=t.filter(t=>this.isCompleteFilter(t)),this.currentPage=1,this.hideFilterPanel(),this.renderFilterChips(),this.loadData()}getServerFilters(){return this.filters.map(t=>{const e=DataTablesJS.filterOperators[t.operator];let a=t.value;return e.like&&(a=e.like.replace("{value}",String(a).replace(/[\\%_]/g,"\\$&"))),{column:t.column,comparison:e.comparison,value:a}})}toggleFilterPanel(){const t=document.querySelector(".datatables-filter-panel");if(!t)return;if(!t.hidden)return void this.hideFilterPanel();this.filterDraft=JSON.parse(JSON.stringify(this.filters)),0===this.filterDraft.length&&this.filterDraft.push(this.newFilter()),this.renderFilterPanel(),t.hidden=!1;const e=t.querySelector(".datatables-filter-value");e&&e.focus()}hideFilterPanel(){document.querySelectorAll(".datatables-filter-panel").forEach(t=>{t.hidden=!0})}renderFilterPanel(){const t=document.querySelector(".datatables-filter-panel");if(!t)return;const e=this.getFilterColumns(),a=this.getThemeClass("select"),s=`${this.getThemeClass("button.default")} ${this.getThemeClass("button.small")}`,i=`${this.getThemeClass("button.primary")} ${this.getThemeClass("button.small")}`,r=Object.keys(this.loadFilterPresets()),l=this.filterDraft.map((t,s)=>{const i=e.find(e=>e.column===t.column)||e[0],r=DataTablesJS.filterTypeOperators[i.type];return t.column=i.column,r.includes(t.operator)||(t.operator=r[0]),`\n                <div class="datatables-filter-row" data-index="${s}">\n                    <select class="${a} datatables-filter-column">\n                        ${e.map(t=>`<option value="${this.escapeHtml(t.column)}"${t.column===i.column?" selected":""}>${this.escapeHtml(t.label)}</option>`).join("")}\n                    </select>\n                    <select class="${a} datatables-filter-operator">\n                        ${r.map(e=>`<option value="${e}"${e===t.operator?" selected":""}>${this.escapeHtml(DataTablesJS.filterOperators[e].label)}</option>`).join("")}\n                    </select>\n                    ${this.renderFilterValue(i,t.operator,t.value)}\n                    <a href="#" class="${this.getThemeClass("icon.link")} datatables-filter-remove" data-filter-action="remove" title="Remove Condition">${this.renderIcon("close")}</a>\n                </div>`}).join("");t.innerHTML=`\n            <div class="datatables-filter-rows">${l}</div>\n            <div class="datatables-filter-actions">\n                <button type="button" class="${s}" data-filter-action="add">Add Condition</button>\n                <button type="button" class="${i}" data-filter-action="apply">Apply</button>\n                <button type="button" class="${s}" data-filter-action="clear">Clear All</button>\n                <select class="${a} datatables-filter-preset">\n                    <option value="">Presets...</option>\n                    ${r.map(t=>`<option value="${this.escapeHtml(t)}"${t===this.filterPreset?" selected":""}>${this.escapeHtml(t)}</option>`).join("")}\n                </select>\n                <button type="button" class="${s}" data-filter-action="save-preset">Save as Preset</button>\n                <button type="button" class="${s}" data-filter-action="delete-preset"${this.filterPreset?"":" disabled"}>Delete Preset</button>\n            </div>`}renderFilterValue(t,e,a){const s=DataTablesJS.filterOperators[e].list,i=Array.isArray(a)?a.map(String):""===String(a??"")?[]:[String(a)],r=this.getThemeClass("select");if("boolean"===t.type)return`<select class="${r} datatables-filter-value">\n                <option value="1"${"0"!==i[0]?" selected":""}>Yes</option>\n                <option value="0"${"0"===i[0]?" selected":""}>No</option>\n            </select>`;if("select"===t.type)return`<select class="${r} datatables-filter-value"${s?" multiple":""}>\n                ${Object.entries(t.options).map(([t,e])=>`<option value="${this.escapeHtml(t)}"${i.includes(String(t))?" selected":""}>${this.escapeHtml(e)}</option>`).join("")}\n            </select>`;const l=!s&&["number","date","datetime-local","time"].includes(t.type)?t.type:"text",o=s?"Comma separated values":DataTablesJS.filterOperators[e].comparison.includes("REGEXP")?"e.g. ^UK":"Value";return`<input type="${l}" class="${this.getThemeClass("input")} datatables-filter-value" value="${this.escapeHtml(i.join(", "))}" placeholder="${o}">`}readFilterPanel(){const t=document.querySelector(".datatables-filter-panel");return t?Array.from(t.querySelectorAll(".datatables-filter-row")).map(t=>{const e=t.querySelector(".datatables-filter-operator").value,a=t.querySelector(".datatables-filter-value");let s;return s=a.multiple?Array.from(a.selectedOptions).map(t=>t.value):DataTablesJS.filterOperators[e]?.list?a.value.split(",").map(t=>t.trim()).filter(t=>""!==t):a.value.trim(),{column:t.querySelector(".datatables-filter-column").value,operator:e,value:s}}):[]}renderFilterChips(){const t=this.getFilterColumns();document.querySelectorAll(".datatables-filter-chips").forEach(e=>{e.innerHTML=this.filters.map((e,a)=>`\n                <span class="datatables-filter-chip">\n                    ${this.escapeHtml(this.describeFilter(e,t))}\n                    <a href="#" class="datatables-filter-chip-remove" data-index="${a}" title="Remove Filter">&times;</a>\n                </span>`).join(""),e.hidden=0===this.filters.length}),document.querySelectorAll(".datatables-filter-count").forEach(t=>{t.textContent=this.filters.length?` ${this.filters.length}`:""})}describeFilter(t,e){const a=e.find(e=>e.column===t.column)||{label:t.column,type:"text",options:{}},s=(Array.isArray(t.value)?t.value:[t.value]).map(t=>"boolean"===a.type?"1"===String(t)?"Yes":"No":"select"===a.type?a.options[t]??t:t).join(", ");return`${a.label} ${DataTablesJS.filterOperators[t.operator].label} ${s}`}loadFilterPresets(){try{return JSON.parse(localStorage.getItem(`datatables-filter-presets-${this.tableName}`)||"{}")}catch(t){return{}}}storeFilterPresets(t){try{localStorage.setItem(`datatables-filter-presets-${this.tableName}`,JSON.stringify(t))}catch(t){console.error("Error saving filter presets:",t)}}async saveFilterPreset(){const t=this.filterDraft.filter(t=>this.isCompleteFilter(t));if(0===t.length)return void this.showNotification("Add at least one complete condition to save a preset","warning");let e;try{e=(await this.showPrompt("Name this filter preset:")).trim()}catch(t){return}if(!e)return;const a=this.loadFilterPresets();a[e]=t,this.storeFilterPresets(a),this.filterPreset=e,this.renderFilterPanel(),this.showNotification(`Filter preset "${e}" saved`,"success")}deleteFilterPreset(){const t=this.filterPreset;if(!t)return void this.showNotification("Choose a preset to delete first","warning");const e=this.loadFilterPresets();delete e[t],this.storeFilterPresets(e),this.filterPreset="",this.renderFilterPanel(),this.showNotification(`Filter preset "${t}" deleted`,"success")}bindVirtualEvents(){const t=document.querySelector(".datatables-table");if(this.virtualScroller=t?t.parentElement:null,!this.virtualScroller)return void(this.virtualScroll=!1);this.virtualScroller.classList.add("datatables-virtual"),this.virtualScroller.style.maxHeight=this.virtualHeight,this.virtualScroller.style.overflowY="auto";const e=()=>{null===this.virtualFrame&&(this.virtualFrame=requestAnimationFrame(()=>{this.virtualFrame=null,this.renderVirtualWindow()}))};this.virtualScroller.addEventListener("scroll",e,{passive:!0}),window.addEventListener("resize",e),document.addEventListener("input",t=>{const e=t.target.closest(".datatables-virtual-range");e&&(this.urlStateMode="replace",this.goToPage(parseInt(e.value,10)||1))})}loadVirtualData(t=null){const e=JSON.stringify([this.search,this.filters,this.sortColumn,this.sortDirection,this.perPage]);e!==this.virtualKey&&(this.virtualKey=e,this.virtualPages.clear(),this.virtualMeasured=!1),this.virtualStale=new Set(this.virtualPages.keys()),this.virtualPending.clear(),this.virtualGeneration++;const a=this.currentPage;this.setLoading(!0),this.fetchVirtualPage(a).then(e=>{if((!t||!t.aborted)&&(this.setLoading(!1),e)){if(this.getVirtualPageAt(this.getVirtualTopIndex())!==a){const t=document.querySelector(".datatables-tbody");t&&(t.innerHTML=this.renderVirtualSpacer(this.matchingTotal*this.virtualRowHeight)),this.scrollToVirtualPage(a)}this.renderVirtualWindow(!0),this.loadAggregations(t)}})}fetchVirtualPage(t){if(this.virtualPending.has(t))return this.virtualPending.get(t);const e=this.virtualGeneration,a=()=>e===this.virtualGeneration,s=this.fetchPage(t,this.perPage,this.loadController?this.loadController.signal:null).then(e=>!!a()&&(this.virtualPending.delete(t),e.success?(this.totalPages=parseInt(e.total_pages)||1,this.matchingTotal=parseInt(e.total)||0,this.virtualPages.set(t,e.data||[]),this.virtualStale.delete(t),this.trimVirtualPages(),!0):(console.error("Failed to load data:",e.message),this.showNotification(e.message||"Failed to load data","danger"),!1))).catch(e=>(a()&&"AbortError"!==e.name&&(this.virtualPending.delete(t),console.error("Error loading data:",e),this.showNotification("Error loading data","danger")),!1));return this.virtualPending.set(t,s),s}trimVirtualPages(){this.virtualPages.forEach((t,e)=>{Math.abs(e-this.currentPage)>this.virtualKeepPages&&(this.virtualPages.delete(e),this.virtualStale.delete(e))})}getVirtualPageAt(t){return this.perPage>0?Math.floor(t/this.perPage)+1:1}getVirtualRow(t){const e=this.virtualPages.get(this.getVirtualPageAt(t));return e?e[this.perPage>0?t%this.perPage:t]:void 0}getVirtualTopIndex(){return this.virtualScroller?Math.floor(this.virtualScroller.scrollTop/this.virtualRowHeight):0}scrollToVirtualPage(t){if(!this.virtualScroller)return;const e=this.perPage>0?(t-1)*this.perPage:0;this.virtualScroller.scrollTop=e*this.virtualRowHeight}renderVirtualWindow(t=!1){const e=document.querySelector(".datatables-tbody");if(!e||!this.virtualScroller)return;const a=this.matchingTotal,s=this.virtualRowHeight,i=Math.min(this.getVirtualTopIndex(),Math.max(0,a-1)),r=Math.ceil(this.virtualScroller.clientHeight/s)||1,l=Math.max(0,i-this.virtualOverscan),o=Math.min(a,i+r+this.virtualOverscan);this.trackVirtualPage(this.getVirtualPageAt(i)),this.renderVirtualPosition(i,Math.min(a,i+r));const n=`${l}:${o}:${a}`;if(!t&&n===this.virtualWindow)return;if(this.virtualWindow=n,0===a)return e.innerHTML=this.renderEmptyRow(),this.pageData=[],this.calculatePageAggregations([]),void this.syncMatchingSelection();const c=this.getTableSchema(),d=this.getColumnCount(),h=this.getThemeClass("table.muted"),u=[],g=new Set;let p=this.renderVirtualSpacer(l*s);for(let t=l;t<o;t++){const e=this.getVirtualRow(t);e?(p+=this.renderRow(e,c),u.push(e)):p+=`<tr class="datatables-virtual-placeholder"><td colspan="${d}" class="${h}">Loading...</td></tr>`,g.add(this.getVirtualPageAt(t))}p+=this.renderVirtualSpacer((a-o)*s),e.innerHTML=p,e.querySelectorAll("tr[data-id], tr.datatables-virtual-placeholder").forEach(t=>{t.style.height=`${s}px`}),this.pageData=u,this.syncMatchingSelection(),this.calculatePageAggregations(u);const m=this.getCursorCell();if(m&&this.setCursor(m,!1),this.measureVirtualRows(e))return void this.renderVirtualWindow(!0);const f=this.getVirtualPageAt(l),b=this.getVirtualPageAt(Math.max(l,o-1));g.add(f-1),g.add(b+1),g.forEach(t=>{t<1||t>this.totalPages||this.virtualPages.has(t)&&!this.virtualStale.has(t)||this.fetchVirtualPage(t).then(t=>{t&&this.renderVirtualWindow(!0)})})}renderVirtualSpacer(t){return t<=0?"":`<tr class="datatables-virtual-spacer" aria-hidden="true"><td colspan="${this.getColumnCount()}" style="height: ${t}px; padding: 0; border: 0;"></td></tr>`}measureVirtualRows(t){if(this.virtualMeasured)return!1;const e=Array.from(t.querySelectorAll("tr[data-id]"));if(0===e.length)return!1;this.virtualMeasured=!0,e.forEach(t=>{t.style.height=""});const a=Math.ceil(Math.max(...e.map(t=>t.getBoundingClientRect().height)));if(!a||a===this.virtualRowHeight)return e.forEach(t=>{t.style.height=`${this.virtualRowHeight}px`}),!1;const s=this.getVirtualTopIndex();return this.virtualRowHeight=a,this.virtualScroller.scrollTop=s*a,!0}trackVirtualPage(t){t!==this.currentPage&&(this.currentPage=t,clearTimeout(this.virtualUrlTimer),this.virtualUrlTimer=setTimeout(()=>{this.urlStateMode="replace",this.writeUrlState()},250))}renderVirtualPosition(t,e){const a=this.matchingTotal,s=a>0?`Showing ${t+1} to ${e} of ${a} records`:"Showing 0 to 0 of 0 records";document.querySelectorAll(".datatables-info").forEach(t=>{t.textContent=s}),document.querySelectorAll(".datatables-pagination").forEach(t=>{if(this.totalPages<=1)return void(t.innerHTML="");let e=t.querySelector(".datatables-virtual-range");e||(t.innerHTML=`<li class="datatables-virtual-position"><input type="range" class="${this.getThemeClass("range")} datatables-virtual-range" min="1" step="1" title="Scroll Position" aria-label="Scroll Position"> <span class="datatables-virtual-page"></span></li>`,e=t.querySelector(".datatables-virtual-range")),e.max=this.totalPages,document.activeElement!==e&&(e.value=this.currentPage),t.querySelector(".datatables-virtual-page").textContent=`Page ${this.currentPage} of ${this.totalPages}`})}bindExportEvents(){document.addEventListener("click",t=>{if(t.target.closest(".datatables-export-toggle"))return t.preventDefault(),void this.toggleExportPanel();const e=t.target.closest(".datatables-export-panel [data-export-action]");if(e)if(t.preventDefault(),"start"===e.dataset.exportAction){const t=e.closest(".datatables-export-panel");this.exportView(t.querySelector(".datatables-export-format").value,t.querySelector(".datatables-export-scope").value)}else"cancel"===e.dataset.exportAction&&(this.exportCancelled=!0)})}toggleExportPanel(){const t=document.querySelector(".datatables-export-panel");t&&(t.hidden&&this.renderExportPanel(),t.hidden=!t.hidden)}renderExportPanel(t=""){const e=document.querySelector(".datatables-export-panel");if(!e)return;const a=this.getThemeClass("select"),s=`${this.getThemeClass("button.default")} ${this.getThemeClass("button.small")}`,i=`${this.getThemeClass("button.primary")} ${this.getThemeClass("button.small")}`,r=e.querySelector(".datatables-export-scope")?.value||"page",l=e.querySelector(".datatables-export-format")?.value||"csv",o=Object.entries(DataTablesJS.exportFormats);e.innerHTML=`\n            <div class="datatables-export-actions">\n                <select class="${a} datatables-export-scope"${this.exporting?" disabled":""}>\n                    <option value="page"${"page"===r?" selected":""}>This Page (${this.pageData.length.toLocaleString()})</option>\n                    <option value="all"${"all"===r?" selected":""}>All Matching Records (${this.matchingTotal.toLocaleString()})</option>\n                </select>\n                <select class="${a} datatables-export-format"${this.exporting?" disabled":""}>\n                    ${o.map(([t,e])=>`<option value="${this.escapeHtml(t)}"${t===l?" selected":""}>${this.escapeHtml(e.label)}</option>`).join("")}\n                </select>\n                ${this.exporting?`<button type="button" class="${s}" data-export-action="cancel">Cancel</button>`:`<button type="button" class="${i}" data-export-action="start">Export</button>`}\n                <span class="datatables-export-status">${this.escapeHtml(t)}</span>\n            </div>`}getExportColumns(){return Object.keys(this.columns).map(t=>{const e=t.split(/\s+as\s+/i);return{column:t,key:2===e.length?e[1].replace(/[`'"]/g,""):t,label:this.columns[t]}})}async exportView(t,e="page"){const a=DataTablesJS.exportFormats[t];if(!a||this.exporting)return;const s=this.getExportColumns(),i=`${this.tableName.split(" ")[0]}-${(new Date).toISOString().slice(0,10)}.${a.extension}`,r=await this.openExportWriter(i,a.mimeType,"all"===e);if(!r)return;this.exporting=!0,this.exportCancelled=!1,this.renderExportPanel("Starting export...");let l=0;const o=t=>{let e="";return t.forEach(t=>{e+=a.row(t,s,l++)}),r.write(e)};try{if(await r.write(a.header(s)),"all"===e)for(let t=1,e=1;t<=e;t++){if(this.exportCancelled)throw new Error("cancelled");const a=await this.fetchExportChunk(t);e=parseInt(a.total_pages)||1,await o(a.data||[]),this.renderExportPanel(`Exported ${l.toLocaleString()} of ${(parseInt(a.total)||0).toLocaleString()} records...`)}else await o(this.pageData);await r.write(a.footer(s)),await r.close(),this.exporting=!1,this.renderExportPanel(`Exported ${l.toLocaleString()} records`)}catch(t){await r.abort(),this.exporting=!1,this.exportCancelled?this.renderExportPanel("Export cancelled"):(console.error("Error exporting:",t),this.renderExportPanel(""),this.showNotification(t.message||"Export failed","danger"))}}fetchExportChunk(t){return fetch("?"+this.getPageParams(t,this.exportChunkSize).toString()).then(t=>t.json()).then(t=>{if(!t.success)throw new Error(t.message||"Failed to load records to export");return t})}async openExportWriter(t,e,a=!1){if(a&&"function"==typeof window.showSaveFilePicker)try{const e=await window.showSaveFilePicker({suggestedName:t}),a=await e.createWritable();return{write:t=>a.write(t),close:()=>a.close(),abort:()=>a.abort()}}catch(t){if("AbortError"===t.name)return null}let s=[];return{write:async t=>{t&&s.push(new Blob([t]))},close:async()=>{const a=URL.createObjectURL(new Blob(s,{type:e})),i=document.createElement("a");i.href=a,i.download=t,document.body.appendChild(i),i.click(),i.remove(),s=[],setTimeout(()=>URL.revokeObjectURL(a),6e4)},abort:async()=>{s=[]}}}bindUrlStateEvents(){window.addEventListener("popstate",()=>{this.readUrlState(),this.syncStateControls(),this.urlStateMode="skip",this.loadData()})}readUrlState(){const t=new URLSearchParams(window.location.search);this.currentPage=Math.max(1,parseInt(t.get("page"),10)||1);const e=parseInt(t.get("per_page"),10);this.perPage=isNaN(e)||e<0?this.defaultPerPage:e,this.sortColumn=t.get("sort")||this.defaultSortColumn,this.sortDirection="DESC"===(t.get("dir")||this.defaultSortDirection).toUpperCase()?"DESC":"ASC",this.search=t.get("search")||"";let a=[];try{a=JSON.parse(t.get("filters")||"[]")}catch(t){a=[]}this.filters=this.filterBuilder&&Array.isArray(a)?a.filter(t=>t&&this.isCompleteFilter(t)):[]}writeUrlState(){const t=this.urlStateMode;if(this.urlStateMode="push",!this.urlState||"skip"===t)return;const e=new URLSearchParams(window.location.search),a=new URLSearchParams(window.location.search),s=this.sortColumn!==this.defaultSortColumn||this.sortDirection!==this.defaultSortDirection,i=(t,e,s)=>{s?a.set(t,e):a.delete(t)};i("page",this.currentPage,this.currentPage>1),i("per_page",this.perPage,this.perPage!==this.defaultPerPage),i("sort",this.sortColumn,s&&this.sortColumn),i("dir",this.sortDirection.toLowerCase(),s),i("search",this.search,""!==this.search),i("filters",JSON.stringify(this.filters),this.filters.length>0);const r=a.toString();if(r===e.toString())return;const l=new Set([...e.keys(),...a.keys()]),o=Array.from(l).every(t=>"search"===t||e.get(t)===a.get(t)),n=window.location.pathname+(r?`?${r}`:"")+window.location.hash;"replace"===t||o?history.replaceState(history.state,"",n):history.pushState(history.state,"",n)}syncStateControls(){document.querySelectorAll(".datatables-search").forEach(t=>{t.value=this.search}),this.syncPageSizeControls(),this.updateSortIcons(),this.filterBuilder&&this.renderFilterChips()}getColumnCount(){let t=Object.keys(this.columns).length||1;return t++,this.bulkActionsEnabled&&t++,t}changePageSize(t,e){e&&e.preventDefault(),this.perPage=parseInt(t),this.currentPage=1,this.syncPageSizeControls(),this.loadData()}syncPageSizeControls(){const t=this.getThemeClass("button.primary"),e=this.getThemeClass("button.default");document.querySelectorAll(".datatables-page-size-btn").forEach(a=>{parseInt(a.getAttribute("data-size"))===this.perPage?a.className=a.className.replace(e,t):a.className=a.className.replace(t,e)}),document.querySelectorAll(".datatables-page-size").forEach(t=>{t.value=this.perPage})}escapeHtml(t){const e=document.createElement("div");return e.textContent=t??"",e.innerHTML.replace(/"/g,"&quot;")}getRowClass(t){const e=this.cssClasses?.tr||"datatables-row";return e?`${e}-${t}`:""}static registerFieldEditor(t,e){DataTablesJS.fieldEditors[t]=e}static registerExportFormat(t,e){DataTablesJS.exportFormats[t]=e}static saveOptimistic({apply:t,save:e,revert:a}){return t(),Promise.resolve().then(e).then(t=>{if(!t||!t.success){const e=new Error(t?.message||"Update failed");throw e.response=t||{},e}return t}).catch(t=>{throw a(),t})}static toCsvLine(t){return t.map(t=>{const e=String(t??"");return/[",\r\n]/.test(e)?`"${e.replace(/"/g,'""')}"`:e}).join(",")+"\r\n"}}DataTablesJS.fieldEditors={},DataTablesJS.exportFormats={csv:{label:"CSV",extension:"csv",mimeType:"text/csv;charset=utf-8",header:t=>"\ufeff"+DataTablesJS.toCsvLine(t.map(t=>t.label)),row:(t,e)=>DataTablesJS.toCsvLine(e.map(e=>t[e.key])),footer:()=>""},json:{label:"JSON",extension:"json",mimeType:"application/json",header:()=>"[\n",row:(t,e,a)=>(a>0?",\n":"")+JSON.stringify(Object.fromEntries(e.map(e=>[e.key,t[e.key]??null]))),footer:()=>"\n]\n"}},DataTablesJS.filterOperators={contains:{label:"contains",comparison:"LIKE",like:"%{value}%"},not_contains:{label:"does not contain",comparison:"NOT LIKE",like:"%{value}%"},starts:{label:"starts with",comparison:"LIKE",like:"{value}%"},ends:{label:"ends with",comparison:"LIKE",like:"%{value}"},is:{label:"is",comparison:"="},is_not:{label:"is not",comparison:"!="},gt:{label:"is more than",comparison:">"},gte:{label:"is at least",comparison:">="},lt:{label:"is less than",comparison:"<"},lte:{label:"is at most",comparison:"<="},regex:{label:"matches regex",comparison:"REGEXP"},not_regex:{label:"does not match regex",comparison:"NOT REGEXP"},any:{label:"is any of",comparison:"IN",list:!0},none:{label:"is none of",comparison:"NOT IN",list:!0}},DataTablesJS.filterTypeOperators={boolean:["is"],select:["is","is_not","any","none"],number:["is","is_not","gt","gte","lt","lte","any","none"],date:["is","gt","lt"],"datetime-local":["gt","lt"],time:["is","gt","lt"],text:["contains","not_contains","is","is_not","starts","ends","regex","not_regex","any","none"]},window.DataTablesJS=DataTablesJS;
\ No newline at end of file
@@ -382,6 +382,9 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             $search = $this->sanitizeSearchInput($_GET['search'] ?? '');
             $searchColumn = $this->sanitizeColumnName($_GET['search_column'] ?? '');
 
+            // Validate the filter builder's column predicates
+            $filters = $this->validateFilters($_GET['filters'] ?? '[]');
+
             // Sanitize and validate sort inputs
             $sortColumn = $this->sanitizeColumnName($_GET['sort_column'] ?? '');
             $sortDirection = $this->sanitizeSortDirection($_GET['sort_direction'] ?? 'ASC');
@@ -414,10 +417,10 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             }
 
             // Execute data query using fluent interface
-            $data = $this->executeDataQuery($search, $searchColumn, $sortColumn, $sortDirection, $page, $perPage);
+            $data = $this->executeDataQuery($search, $searchColumn, $sortColumn, $sortDirection, $page, $perPage, $filters);
 
             // Execute count query using fluent interface
-            $total = $this->executeCountQuery($search, $searchColumn);
+            $total = $this->executeCountQuery($search, $searchColumn, $filters);
 
             // Extract total count from result
             $totalRecords = $total ? $total->total : 0;
@@ -454,10 +457,11 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          * @param  string $sortDirection Sort direction - 'ASC' for ascending, 'DESC' for descending
          * @param  int    $page          Page number for pagination (1-based)
          * @param  int    $perPage       Number of records per page (0 for all records)
+         * @param  array  $filters       Validated filter builder conditions, ANDed with the WHERE conditions
          * @return mixed                 Query result object or false on failure
          * @since  1.0.0
          */
-        private function executeDataQuery(string $search = '', string $searchColumn = '', string $sortColumn = '', string $sortDirection = 'ASC', int $page = 1, int $perPage = 25): mixed
+        private function executeDataQuery(string $search = '', string $searchColumn = '', string $sortColumn = '', string $sortDirection = 'ASC', int $page = 1, int $perPage = 25, array $filters = []): mixed
         {
             $selectFields = $this->getSelectFields();
             $tableName = $this->dataTable->getTableName();
@@ -475,7 +479,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             $params = [];
 
             // Add WHERE conditions first
-            $whereClause = $this->buildWhereClause($this->dataTable->getWhereConditions(), $params);
+            $whereClause = $this->buildWhereClause($this->getFilteredWhereConditions($filters), $params);
             $hasWhere = !empty($whereClause);
 
             if ($hasWhere) {
@@ -558,6 +562,18 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 }
             }
 
+            // The primary key breaks ties, so LIMIT pages never repeat or skip rows with equal sort values
+            if (empty($groupBy)) {
+                $primaryKey = $this->dataTable->getPrimaryKey();
+                $keyExpr = strpos($primaryKey, '.') !== false ? $primaryKey : "`{$primaryKey}`";
+
+                if (!$isSortable) {
+                    $sql .= " ORDER BY {$keyExpr} ASC";
+                } elseif ($sortColumn !== $primaryKey) {
+                    $sql .= ", {$keyExpr} {$direction}";
+                }
+            }
+
             if ($perPage > 0) {
                 $offset = ($page - 1) * $perPage;
                 $sql .= " LIMIT {$offset}, {$perPage}";
@@ -608,27 +624,54 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          *
          * @param  string $search       Global search term to filter results
          * @param  string $searchColumn Specific column to search in (use 'all' for global search)
+         * @param  array  $filters      Validated filter builder conditions, ANDed with the WHERE conditions
          * @return mixed                Query result object containing total count or false on failure
          * @since  1.0.0
          */
-        private function executeCountQuery(string $search = '', string $searchColumn = ''): mixed
+        private function executeCountQuery(string $search = '', string $searchColumn = '', array $filters = []): mixed
+        {
+            $params = [];
+            $sql = "SELECT COUNT(*) as total" . $this->buildFilteredFromClause($search, $searchColumn, $filters, $params);
+
+            // Wrap with GROUP BY subquery if configured
+            $groupBy = $this->dataTable->getGroupBy();
+            if (!empty($groupBy)) {
+                $groupExpr = strpos($groupBy, '.') !== false ? $groupBy : "`{$groupBy}`";
+                $sql = "SELECT COUNT(*) as total FROM ({$sql} GROUP BY {$groupExpr}) AS grouped";
+            }
+
+            $query = $this->dataTable->getDatabase()->query($sql);
+            if (!empty($params)) {
+                $query->bind($params);
+            }
+            return $query->single()->fetch();
+        }
+
+        /**
+         * Build the FROM, JOIN, WHERE and search part shared by the count and matching ID queries
+         *
+         * @param  string $search       Global search term to filter results
+         * @param  string $searchColumn Specific column to search in (use 'all' for global search)
+         * @param  array  $filters      Validated filter builder conditions, ANDed with the WHERE conditions
+         * @param  array  $params       Bound parameters, appended to
+         * @return string               SQL starting at FROM
+         */
+        private function buildFilteredFromClause(string $search, string $searchColumn, array $filters, array &$params): string
         {
             $tableName = $this->dataTable->getTableName();
 
             if (strpos($tableName, ' ') !== false) {
-                $sql = "SELECT COUNT(*) as total FROM {$tableName}";
+                $sql = " FROM {$tableName}";
             } else {
-                $sql = "SELECT COUNT(*) as total FROM `{$tableName}`";
+                $sql = " FROM `{$tableName}`";
             }
 
             foreach ($this->dataTable->getJoins() as $join) {
                 $sql .= " {$join['type']} JOIN {$join['table']} ON {$join['condition']}";
             }
 
-            $params = [];
-
             // Add WHERE conditions first
-            $whereClause = $this->buildWhereClause($this->dataTable->getWhereConditions(), $params);
+            $whereClause = $this->buildWhereClause($this->getFilteredWhereConditions($filters), $params);
             $hasWhere = !empty($whereClause);
 
             if ($hasWhere) {
@@ -676,18 +719,39 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 }
             }
 
-            // Wrap with GROUP BY subquery if configured
-            $groupBy = $this->dataTable->getGroupBy();
-            if (!empty($groupBy)) {
-                $groupExpr = strpos($groupBy, '.') !== false ? $groupBy : "`{$groupBy}`";
-                $sql = "SELECT COUNT(*) as total FROM ({$sql} GROUP BY {$groupExpr}) AS grouped";
-            }
+            return $sql;
+        }
+
+        /**
+         * Get the primary keys of every record matching a search and filters
+         *
+         * Used when a bulk action targets all matching records rather than
+         * a list of selected IDs, using the same conditions as the count query.
+         *
+         * @param  string $search       Global search term to filter results
+         * @param  string $searchColumn Specific column to search in (use 'all' for global search)
+         * @param  array  $filters      Validated filter builder conditions, ANDed with the WHERE conditions
+         * @return array                Integer primary keys
+         */
+        private function executeMatchingIdQuery(string $search = '', string $searchColumn = '', array $filters = []): array
+        {
+            $primaryKey = $this->dataTable->getPrimaryKey();
+            $keyExpr = strpos($primaryKey, '.') !== false ? $primaryKey : "`{$primaryKey}`";
+
+            $params = [];
+            $sql = "SELECT DISTINCT {$keyExpr} AS `id`" . $this->buildFilteredFromClause($search, $searchColumn, $filters, $params);
 
             $query = $this->dataTable->getDatabase()->query($sql);
             if (!empty($params)) {
                 $query->bind($params);
             }
-            return $query->single()->fetch();
+            $rows = $query->fetch() ?: [];
+
+            return array_values(array_filter(array_map(function ($row) {
+                return (int) $row->id;
+            }, $rows), function ($id) {
+                return $id > 0;
+            }));
         }
 
         /**
@@ -714,6 +778,13 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                     $selectFields[] = preg_match('/\s+AS\s+/i', $column) ? $column : "{$column} AS `{$column}`";
                 }
 
+                // Fields wanted in the row data without a column of their own
+                foreach ($this->dataTable->getExtraFields() as $field) {
+                    if (!isset($columns[$field])) {
+                        $selectFields[] = "{$field} AS `{$field}`";
+                    }
+                }
+
                 // Also include any fields referenced in action configurations
                 $actionConfig = $this->dataTable->getActionConfig();
                 if (isset($actionConfig['groups'])) {
@@ -1028,6 +1099,20 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          * are valid. Supports built-in delete action and custom callback actions.
          * Respects configured WHERE conditions for security.
          *
+         * With select_all set the action covers every record matching the posted
+         * search and filters instead of selected IDs. The matching count is checked
+         * against expected_count first, so nothing runs if the data changed since
+         * the user confirmed. IDs are processed in batches of 1000.
+         *
+         * Batches are not one transaction, callbacks may run their own, so a
+         * failed batch leaves the earlier ones applied. affected_count is what
+         * was changed up to that point: rows for deletes, and for callbacks the
+         * integer they return, or the batch size when they return true.
+         *
+         * With journal set (and no more than one batch of records) the response
+         * carries the editable values the action changed, so the client can undo
+         * the whole action as one step without fetching each record.
+         *
          * @return void                         Outputs JSON response and exits
          * @throws InvalidArgumentException     If bulk action is invalid, not enabled, or no valid IDs provided
          * @since  1.0.0
@@ -1035,9 +1120,10 @@ if (! class_exists('KPT\AjaxHandler', false)) {
         private function handleBulkAction(): void
         {
             $bulkAction = $this->sanitizeInput($_POST['bulk_action'] ?? '');
-            $selectedIds = $this->validateIdArray($_POST['selected_ids'] ?? '[]');
+            $selectAll = !empty($_POST['select_all']);
+            $selectedIds = $selectAll ? [] : $this->validateIdArray($_POST['selected_ids'] ?? '[]');
 
-            if (empty($bulkAction) || empty($selectedIds)) {
+            if (empty($bulkAction) || (!$selectAll && empty($selectedIds))) {
                 throw new InvalidArgumentException('Valid bulk action and selected IDs are required');
             }
 
@@ -1050,61 +1136,207 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 throw new InvalidArgumentException("Unknown bulk action: {$bulkAction}");
             }
 
-            $result = false;
+            // Resolve "all matching records" on the server, after checking the count the user confirmed
+            if ($selectAll) {
+                $search = $this->sanitizeSearchInput($_POST['search'] ?? '');
+                $searchColumn = $this->sanitizeColumnName($_POST['search_column'] ?? '');
+                $filters = $this->validateFilters($_POST['filters'] ?? '[]');
+                $expectedCount = $this->validateInteger($_POST['expected_count'] ?? null, 0);
+
+                $total = $this->executeCountQuery($search, $searchColumn, $filters);
+                $matchingCount = $total ? (int) $total->total : 0;
+
+                if ($matchingCount !== $expectedCount) {
+                    header('Content-Type: application/json');
+                    echo json_encode([
+                        'success' => false,
+                        'message' => "The matching records changed from {$expectedCount} to {$matchingCount}, nothing was changed",
+                        'matching_count' => $matchingCount
+                    ]);
+                    exit;
+                }
+
+                $selectedIds = $this->executeMatchingIdQuery($search, $searchColumn, $filters);
+                if (empty($selectedIds)) {
+                    throw new InvalidArgumentException('No records match the current search and filters');
+                }
+            }
+
+            // Deletes have nothing left to restore from
+            $journal = !empty($_POST['journal']) && $bulkAction !== 'delete' && count($selectedIds) <= 1000;
+            $before = $journal ? $this->fetchEditableValues($selectedIds) : [];
+
+            $result = true;
+            $affectedCount = 0;
             $message = '';
 
-            switch ($bulkAction) {
-                case 'delete':
-                    $unqualifiedPK = $this->getUnqualifiedPrimaryKey();
-                    $placeholders = implode(',', array_fill(0, count($selectedIds), '?'));
-                    $sql = "DELETE FROM `{$this->dataTable->getBaseTableName()}`";
-                    $params = $selectedIds;
-
-                    // Add WHERE conditions
-                    $whereConditions = $this->dataTable->getWhereConditions();
-                    $additionalParams = [];
-                    $whereClause = $this->buildWhereClause($whereConditions, $additionalParams, true);
-
-                    if (!empty($whereClause)) {
-                        $sql .= $whereClause . " AND `{$unqualifiedPK}` IN ({$placeholders})";
-                        $params = array_merge($additionalParams, $selectedIds);
-                    } else {
-                        $sql .= " WHERE `{$unqualifiedPK}` IN ({$placeholders})";
-                    }
+            // Batches keep the IN () lists well under the placeholder limit
+            foreach (array_chunk($selectedIds, 1000) as $batchIds) {
+                $batchResult = false;
+
+                switch ($bulkAction) {
+                    case 'delete':
+                        $unqualifiedPK = $this->getUnqualifiedPrimaryKey();
+                        $placeholders = implode(',', array_fill(0, count($batchIds), '?'));
+                        $sql = "DELETE FROM `{$this->dataTable->getBaseTableName()}`";
+                        $params = $batchIds;
+
+                        // Add WHERE conditions
+                        $whereConditions = $this->dataTable->getWhereConditions();
+                        $additionalParams = [];
+                        $whereClause = $this->buildWhereClause($whereConditions, $additionalParams, true);
+
+                        if (!empty($whereClause)) {
+                            $sql .= $whereClause . " AND `{$unqualifiedPK}` IN ({$placeholders})";
+                            $params = array_merge($additionalParams, $batchIds);
+                        } else {
+                            $sql .= " WHERE `{$unqualifiedPK}` IN ({$placeholders})";
+                        }
 
-                    $result = $this->dataTable->getDatabase()
-                        ->query($sql)
-                        ->bind($params)
-                        ->execute();
-                    $message = $result !== false ? 'Selected records deleted successfully' : 'Failed to delete selected records';
-                    break;
+                        $batchResult = $this->dataTable->getDatabase()
+                            ->query($sql)
+                            ->bind($params)
+                            ->execute();
+                        break;
 
-                default:
-                    $actionConfig = $bulkActions['actions'][$bulkAction];
-                    if (isset($actionConfig['callback']) && is_callable($actionConfig['callback'])) {
-                        $result = call_user_func(
-                            $actionConfig['callback'],
-                            $selectedIds,
-                            $this->dataTable->getDatabase(),
-                            $this->dataTable->getBaseTableName()  // Pass base table name
-                        );
-                        $message = $result ?
-                            ($actionConfig['success_message'] ?? 'Bulk action completed successfully') : ($actionConfig['error_message'] ?? 'Bulk action failed');
-                    }
+                    default:
+                        $actionConfig = $bulkActions['actions'][$bulkAction];
+                        if (isset($actionConfig['callback']) && is_callable($actionConfig['callback'])) {
+                            $batchResult = call_user_func(
+                                $actionConfig['callback'],
+                                $batchIds,
+                                $this->dataTable->getDatabase(),
+                                $this->dataTable->getBaseTableName()  // Pass base table name
+                            );
+                        }
+                        break;
+                }
+
+                if ($batchResult === false) {
+                    $result = false;
                     break;
+                }
+
+                $affectedCount += is_int($batchResult) ? $batchResult : count($batchIds);
+            }
+
+            if ($bulkAction === 'delete') {
+                $message = $result ? 'Selected records deleted successfully' : 'Failed to delete selected records';
+            } else {
+                $actionConfig = $bulkActions['actions'][$bulkAction];
+                $message = $result ?
+                    ($actionConfig['success_message'] ?? 'Bulk action completed successfully') : ($actionConfig['error_message'] ?? 'Bulk action failed');
             }
 
-            $affectedCount = is_int($result) ? $result : count($selectedIds);
+            // Say how far a failed action got before it stopped
+            if (!$result && $affectedCount > 0) {
+                $message .= ", {$affectedCount} record(s) were changed before the failure";
+            }
+
+            $changes = $journal && $result ? $this->diffEditableValues($before, $this->fetchEditableValues($selectedIds)) : [];
 
             header('Content-Type: application/json');
             echo json_encode([
                 'success' => $result !== false,
                 'message' => $message,
-                'affected_count' => $affectedCount
+                'affected_count' => $affectedCount,
+                'changes' => $changes
             ]);
             exit;
         }
 
+        /**
+         * Fetch the inline editable values of a set of records
+         *
+         * Reads only base table columns and respects the configured WHERE
+         * conditions, so records outside the user's view are never returned.
+         *
+         * @param  array $ids Integer primary keys
+         * @return array      Column => value arrays keyed by record ID
+         */
+        private function fetchEditableValues(array $ids): array
+        {
+            $schema = $this->dataTable->getTableSchema();
+            $columns = array_values(array_unique(array_filter(array_map(function ($column) {
+                return $this->getUnqualifiedFieldName($column);
+            }, $this->dataTable->getInlineEditableColumns()), function ($column) use ($schema) {
+                return isset($schema[$column]);
+            })));
+
+            if (empty($ids) || empty($columns)) {
+                return [];
+            }
+
+            $unqualifiedPK = $this->getUnqualifiedPrimaryKey();
+            $placeholders = implode(',', array_fill(0, count($ids), '?'));
+            $fields = implode(', ', array_map(function ($column) {
+                return "`{$column}`";
+            }, $columns));
+
+            $sql = "SELECT `{$unqualifiedPK}` AS `__journal_id`, {$fields} FROM `{$this->dataTable->getBaseTableName()}`";
+            $params = array_values($ids);
+
+            $whereConditions = $this->dataTable->getWhereConditions();
+            $additionalParams = [];
+            $whereClause = $this->buildWhereClause($whereConditions, $additionalParams, true);
+
+            if (!empty($whereClause)) {
+                $sql .= $whereClause . " AND `{$unqualifiedPK}` IN ({$placeholders})";
+                $params = array_merge($additionalParams, $params);
+            } else {
+                $sql .= " WHERE `{$unqualifiedPK}` IN ({$placeholders})";
+            }
+
+            $rows = $this->dataTable->getDatabase()
+                ->query($sql)
+                ->bind($params)
+                ->fetch() ?: [];
+
+            $values = [];
+            foreach ($rows as $row) {
+                $row = (array) $row;
+                $values[(int) $row['__journal_id']] = $row;
+            }
+
+            return $values;
+        }
+
+        /**
+         * Compare editable values from before and after a bulk action
+         *
+         * Records that were removed or left the view can't be replayed and are skipped.
+         *
+         * @param  array $before Values from fetchEditableValues() before the action
+         * @param  array $after  Values from fetchEditableValues() after the action
+         * @return array         Changes as id, field, oldValue and newValue
+         */
+        private function diffEditableValues(array $before, array $after): array
+        {
+            $changes = [];
+
+            foreach ($before as $id => $record) {
+                if (!isset($after[$id])) {
+                    continue;
+                }
+
+                foreach ($this->dataTable->getInlineEditableColumns() as $column) {
+                    $key = $this->getUnqualifiedFieldName($column);
+                    if (!array_key_exists($key, $record) || (string) $record[$key] === (string) $after[$id][$key]) {
+                        continue;
+                    }
+
+                    $changes[] = [
+                        'id' => (string) $id,
+                        'field' => $column,
+                        'oldValue' => $record[$key] ?? '',
+                        'newValue' => $after[$id][$key] ?? ''
+                    ];
+                }
+            }
+
+            return $changes;
+        }
+
         /**
          * Handle inline field editing with enhanced validation
          *
@@ -1248,6 +1480,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
         {
             $search = $this->sanitizeSearchInput($_GET['search'] ?? '');
             $searchColumn = $this->sanitizeColumnName($_GET['search_column'] ?? '');
+            $filters = $this->validateFilters($_GET['filters'] ?? '[]');
 
             $aggregations = $this->dataTable->getFooterAggregations();
             $calculatedColumns = $this->dataTable->getCalculatedColumns();
@@ -1290,7 +1523,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             }
 
             $params = [];
-            $whereClause = $this->buildWhereClause($this->dataTable->getWhereConditions(), $params);
+            $whereClause = $this->buildWhereClause($this->getFilteredWhereConditions($filters), $params);
             $hasWhere = !empty($whereClause);
 
             if ($hasWhere) {
@@ -1342,7 +1575,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
 
                 // Re-apply WHERE and search conditions
                 $innerParams = [];
-                $innerWhere = $this->buildWhereClause($this->dataTable->getWhereConditions(), $innerParams);
+                $innerWhere = $this->buildWhereClause($this->getFilteredWhereConditions($filters), $innerParams);
                 if (!empty($innerWhere)) {
                     $innerSql .= $innerWhere;
                 }
@@ -1544,6 +1777,91 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             });
         }
 
+        /**
+         * Validate the filter builder's column predicates
+         *
+         * Each filter has to name a configured, non-aliased column and use a
+         * whitelisted comparison. IN / NOT IN take a list of values, the rest a
+         * single value. Anything else is dropped rather than rejected.
+         *
+         * @param  string $jsonFilters JSON string of [{column, comparison, value}]
+         * @return array  Conditions in the same format as the where() configuration
+         */
+        private function validateFilters(string $jsonFilters): array
+        {
+            $filters = json_decode($jsonFilters, true);
+            if (!is_array($filters)) {
+                return [];
+            }
+
+            $allowedComparisons = ['=', '!=', '>', '<', '>=', '<=', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN', 'REGEXP', 'NOT REGEXP'];
+            $columns = array_keys($this->dataTable->getColumns());
+            $conditions = [];
+
+            foreach (array_slice($filters, 0, 25) as $filter) {
+                if (!is_array($filter) || !isset($filter['column'], $filter['comparison']) || !array_key_exists('value', $filter)) {
+                    continue;
+                }
+
+                $column = (string) $filter['column'];
+                $comparison = strtoupper(trim((string) $filter['comparison']));
+
+                // Only plain configured columns, never aliased expressions
+                if (!in_array($column, $columns, true) || stripos($column, ' AS ') !== false || !in_array($comparison, $allowedComparisons, true)) {
+                    continue;
+                }
+
+                $value = $filter['value'];
+                if ($comparison === 'IN' || $comparison === 'NOT IN') {
+                    $value = array_values(array_filter(array_map(function ($item) {
+                        return is_scalar($item) ? trim((string) $item) : '';
+                    }, (array) $value), function ($item) {
+                        return $item !== '';
+                    }));
+
+                    if (empty($value)) {
+                        continue;
+                    }
+                } elseif (is_scalar($value)) {
+                    $value = (string) $value;
+                } else {
+                    continue;
+                }
+
+                $conditions[] = ['field' => $column, 'comparison' => $comparison, 'value' => $value];
+            }
+
+            return $conditions;
+        }
+
+        /**
+         * Get the configured WHERE conditions with the filter builder's conditions added
+         *
+         * @param  array $filters Validated filter conditions
+         * @return array WHERE conditions for buildWhereClause()
+         */
+        private function getFilteredWhereConditions(array $filters): array
+        {
+            $conditions = $this->dataTable->getWhereConditions();
+            if (empty($filters)) {
+                return $conditions;
+            }
+
+            // A plain list of conditions is ANDed, so the filters just join it
+            if (empty($conditions) || (isset($conditions[0]) && is_array($conditions[0]))) {
+                return array_merge($conditions, $filters);
+            }
+
+            // Operator groups get the filters added to their AND group
+            $andGroup = $conditions['AND'] ?? [];
+            if (isset($andGroup['field'])) {
+                $andGroup = [$andGroup];
+            }
+            $conditions['AND'] = array_merge($andGroup, $filters);
+
+            return $conditions;
+        }
+
         /**
          * Validate field value against database schema
          *
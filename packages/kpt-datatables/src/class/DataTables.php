@@ -485,6 +485,23 @@ if (! class_exists('KPT\DataTables', false)) {
             return $this;
         }
 
+        /**
+         * Fetch extra fields into the row data without showing them
+         *
+         * The fields are selected alongside the columns and keyed the same
+         * way, so client code such as exports and row actions can read them
+         * from the row data.
+         *
+         * @param  array $fields Array of field names, qualified or not
+         * @return self Returns self for method chaining
+         */
+        public function extraFields(array $fields): self
+        {
+            $this->extraFields = array_map([$this, 'sanitizeInput'], $fields);
+            Logger::debug("DataTables extra fields set", ['fields' => $fields]);
+            return $this;
+        }
+
         /**
          * Set the default number of records per page
          *
@@ -543,6 +560,94 @@ if (! class_exists('KPT\DataTables', false)) {
             return $this;
         }
 
+        /**
+         * Enable or disable spreadsheet mode
+         *
+         * Adds keyboard grid navigation to the table: arrow keys move a cell cursor,
+         * Enter/F2 edits, Tab commits and moves right, Space toggles booleans,
+         * Shift+Up/Down extends the row selection and j/k change pages.
+         *
+         * @param  bool $enabled Whether spreadsheet mode should be enabled
+         * @return self Returns self for method chaining
+         */
+        public function spreadsheetMode(bool $enabled = true): self
+        {
+            $this->spreadsheetMode = $enabled;
+            Logger::debug("DataTables spreadsheet mode configured", ['enabled' => $enabled]);
+            return $this;
+        }
+
+        /**
+         * Enable or disable the filter builder
+         *
+         * Adds a filter button next to the search that composes typed column
+         * predicates (is, contains, matches regex, is any of, ...) which are sent
+         * with every data request, shown as removable chips and can be saved as
+         * named presets in the browser.
+         *
+         * @param  bool $enabled Whether the filter builder should be enabled
+         * @return self Returns self for method chaining
+         */
+        public function filterBuilder(bool $enabled = true): self
+        {
+            $this->filterBuilder = $enabled;
+            Logger::debug("DataTables filter builder configured", ['enabled' => $enabled]);
+            return $this;
+        }
+
+        /**
+         * Enable or disable URL state
+         *
+         * Keeps the page, page size, sort (as sort / dir), search and filters in
+         * the query string through the History API so reloads, shared links and
+         * back / forward restore the same view. Enabled by default.
+         *
+         * @param  bool $enabled Whether the table state should be kept in the URL
+         * @return self Returns self for method chaining
+         */
+        public function urlState(bool $enabled = true): self
+        {
+            $this->urlState = $enabled;
+            Logger::debug("DataTables URL state configured", ['enabled' => $enabled]);
+            return $this;
+        }
+
+        /**
+         * Enable or disable exporting
+         *
+         * Adds an export button next to the search that downloads the current
+         * page, or every record matching the search, filters and sort fetched
+         * page by page, as CSV or JSON. More formats can be registered in the
+         * browser with DataTablesJS.registerExportFormat().
+         *
+         * @param  bool $enabled Whether exporting should be enabled
+         * @return self Returns self for method chaining
+         */
+        public function export(bool $enabled = true): self
+        {
+            $this->export = $enabled;
+            Logger::debug("DataTables export configured", ['enabled' => $enabled]);
+            return $this;
+        }
+
+        /**
+         * Enable or disable virtual scrolling
+         *
+         * Replaces the pages with one scrolling table that only renders the
+         * rows in view. The page size becomes how many rows are fetched at a
+         * time, the pages either side of the view are fetched ahead, and the
+         * pagination becomes a scroll position slider.
+         *
+         * @param  bool $enabled Whether virtual scrolling should be enabled
+         * @return self Returns self for method chaining
+         */
+        public function virtualScroll(bool $enabled = true): self
+        {
+            $this->virtualScroll = $enabled;
+            Logger::debug("DataTables virtual scroll configured", ['enabled' => $enabled]);
+            return $this;
+        }
+
         /**
          * Configure bulk actions functionality
          *
@@ -97,6 +97,13 @@ if (! class_exists('KPT\DataTablesBase', false)) {
          */
         protected array $inlineEditableColumns = [];
 
+        /**
+         * Fields fetched into the row data without being shown as columns
+         *
+         * @var array
+         */
+        protected array $extraFields = [];
+
         /**
          * Number of records to display per page
          *
@@ -125,6 +132,41 @@ if (! class_exists('KPT\DataTablesBase', false)) {
          */
         protected bool $searchEnabled = true;
 
+        /**
+         * Whether keyboard driven spreadsheet navigation is enabled
+         *
+         * @var bool
+         */
+        protected bool $spreadsheetMode = false;
+
+        /**
+         * Whether the multi-column filter builder is enabled
+         *
+         * @var bool
+         */
+        protected bool $filterBuilder = false;
+
+        /**
+         * Whether the table state is kept in the page URL
+         *
+         * @var bool
+         */
+        protected bool $urlState = true;
+
+        /**
+         * Whether the current view can be exported
+         *
+         * @var bool
+         */
+        protected bool $export = false;
+
+        /**
+         * Whether rows are rendered as a virtual scroll instead of pages
+         *
+         * @var bool
+         */
+        protected bool $virtualScroll = false;
+
         /**
          * Configuration for action buttons (edit, delete, custom)
          *
@@ -358,6 +400,16 @@ if (! class_exists('KPT\DataTablesBase', false)) {
             return $this->inlineEditableColumns;
         }
 
+        /**
+         * Get the extra fields list
+         *
+         * @return array Array of field names selected alongside the columns
+         */
+        public function getExtraFields(): array
+        {
+            return $this->extraFields;
+        }
+
         /**
          * Get the records per page setting
          *
@@ -408,6 +460,56 @@ if (! class_exists('KPT\DataTablesBase', false)) {
             return $this->searchEnabled;
         }
 
+        /**
+         * Check if spreadsheet mode is enabled
+         *
+         * @return bool Whether keyboard grid navigation is enabled
+         */
+        public function isSpreadsheetMode(): bool
+        {
+            return $this->spreadsheetMode;
+        }
+
+        /**
+         * Check if the filter builder is enabled
+         *
+         * @return bool Whether typed column filters can be composed
+         */
+        public function isFilterBuilder(): bool
+        {
+            return $this->filterBuilder;
+        }
+
+        /**
+         * Check if URL state is enabled
+         *
+         * @return bool Whether page, sort, search and filters are kept in the URL
+         */
+        public function isUrlState(): bool
+        {
+            return $this->urlState;
+        }
+
+        /**
+         * Check if exporting is enabled
+         *
+         * @return bool Whether the current page or all matching records can be downloaded
+         */
+        public function isExport(): bool
+        {
+            return $this->export;
+        }
+
+        /**
+         * Check if virtual scrolling is enabled
+         *
+         * @return bool Whether only the rows in view are rendered, fetched a page at a time as they scroll in
+         */
+        public function isVirtualScroll(): bool
+        {
+            return $this->virtualScroll;
+        }
+
         /**
          * Get the action configuration
          *
@@ -267,6 +267,46 @@ if (! class_exists('KPT\Renderer', false)) {
 
             $html .= "</button>\n</div>\n";
 
+            // Filter builder toggle, the panel and chips are filled in by JavaScript
+            if ($this->isFilterBuilder()) {
+                $html .= "<div>\n";
+                $html .= "<button class=\"{$buttonClass} datatables-filter-toggle\" type=\"button\" ";
+                $html .= ($this->theme === 'uikit' ? 'uk-tooltip="Filters"' : 'title="Filters"') . ">\n";
+
+                // Theme-specific filter icon
+                if ($this->theme === 'uikit') {
+                    $html .= "<span uk-icon=\"settings\"></span>\n";
+                } elseif ($this->theme === 'bootstrap') {
+                    $html .= "<i class=\"bi bi-funnel\"></i>\n";
+                } else {
+                    $html .= $tm->getIcon('filter');
+                }
+
+                $html .= "<span class=\"datatables-filter-count\"></span>\n";
+                $html .= "</button>\n</div>\n";
+                $html .= "<div class=\"" . $tm->getClass('width.1-1') . " datatables-filter-chips\"></div>\n";
+                $html .= "<div class=\"" . $tm->getClass('width.1-1') . " datatables-filter-panel\" hidden></div>\n";
+            }
+
+            // Export toggle, the panel is filled in by JavaScript
+            if ($this->isExport()) {
+                $html .= "<div>\n";
+                $html .= "<button class=\"{$buttonClass} datatables-export-toggle\" type=\"button\" ";
+                $html .= ($this->theme === 'uikit' ? 'uk-tooltip="Export"' : 'title="Export"') . ">\n";
+
+                // Theme-specific download icon
+                if ($this->theme === 'uikit') {
+                    $html .= "<span uk-icon=\"download\"></span>\n";
+                } elseif ($this->theme === 'bootstrap') {
+                    $html .= "<i class=\"bi bi-download\"></i>\n";
+                } else {
+                    $html .= $tm->getIcon('download');
+                }
+
+                $html .= "</button>\n</div>\n";
+                $html .= "<div class=\"" . $tm->getClass('width.1-1') . " datatables-export-panel\" hidden></div>\n";
+            }
+
             return $html;
         }
 
@@ -464,8 +504,14 @@ if (! class_exists('KPT\Renderer', false)) {
             $themeTableClass = $tm->getKpDtClass('table');
             $overflowClass = $tm->getClasses('overflow.auto');
 
+            // "Select all matching records" notice, filled in by JavaScript once a page is selected
+            $html = '';
+            if ($bulkActions['enabled']) {
+                $html .= "<div class=\"datatables-select-matching\" hidden></div>\n";
+            }
+
             // Overflow wrapper for responsive horizontal scrolling
-            $html = "<div class=\"{$overflowClass}\">\n";
+            $html .= "<div class=\"{$overflowClass}\">\n";
 
             // Table element with schema data attribute for JS field type detection
             $html .= "<table class=\"{$tableClass} {$themeTableClass} datatables-table\" data-columns='" . json_encode($tableSchema) . "'>\n";
@@ -1205,6 +1251,11 @@ if (! class_exists('KPT\Renderer', false)) {
             $html .= "        defaultSortColumn: '{$defaultSortColumn}',\n";
             $html .= "        defaultSortDirection: '{$defaultSortDirection}',\n";
             $html .= "        theme: '{$this->theme}',\n";
+            $html .= "        spreadsheetMode: " . ($this->isSpreadsheetMode() ? 'true' : 'false') . ",\n";
+            $html .= "        filterBuilder: " . ($this->isFilterBuilder() ? 'true' : 'false') . ",\n";
+            $html .= "        urlState: " . ($this->isUrlState() ? 'true' : 'false') . ",\n";
+            $html .= "        export: " . ($this->isExport() ? 'true' : 'false') . ",\n";
+            $html .= "        virtualScroll: " . ($this->isVirtualScroll() ? 'true' : 'false') . ",\n";
             $html .= "        footerAggregations: " . json_encode($this->getFooterAggregations()) . "\n";
 
             $html .= "    });\n";
@@ -269,6 +269,8 @@ if (! class_exists('KPT\ThemeManager', false)) {
                 'check' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polyline fill="none" stroke="currentColor" stroke-width="1.1" points="4,10 8,15 17,4"/></svg>',
                 'close' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><path fill="none" stroke="currentColor" stroke-width="1.06" d="M16,16 L4,4"/><path fill="none" stroke="currentColor" stroke-width="1.06" d="M16,4 L4,16"/></svg>',
                 'refresh' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><path fill="none" stroke="currentColor" stroke-width="1.1" d="M17.08,11.15 C17.09,11.31 17.1,11.47 17.1,11.64 C17.1,15.53 13.94,18.69 10.05,18.69 C6.16,18.69 3,15.53 3,11.64 C3,7.75 6.16,4.59 10.05,4.59 C10.9,4.59 11.71,4.73 12.46,5"/><polyline fill="none" stroke="currentColor" points="9.9 2 12.79 4.89 9.79 7.9"/></svg>',
+                'filter' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polygon fill="none" stroke="currentColor" stroke-width="1.1" points="2.5 3.5 17.5 3.5 11.5 10.5 11.5 16.5 8.5 15 8.5 10.5"/></svg>',
+                'download' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polyline fill="none" stroke="currentColor" points="14,10 9.5,14.5 5,10"/><rect x="3" y="17" width="13" height="1"/><line fill="none" stroke="currentColor" x1="9.5" y1="13.91" x2="9.5" y2="3"/></svg>',
                 'triangle-up' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polygon points="5 13 10 8 15 13"/></svg>',
                 'triangle-down' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polygon points="5 7 10 12 15 7"/></svg>',
                 'chevron-double-left' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polyline fill="none" stroke="currentColor" stroke-width="1.03" points="10 14 6 10 10 6"/><polyline fill="none" stroke="currentColor" stroke-width="1.03" points="14 14 10 10 14 6"/></svg>',
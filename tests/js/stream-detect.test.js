@@ -0,0 +1,181 @@
+/**
+ * Stream Type Detection tests
+ * Canned response heads for each container StreamDetector has to tell apart
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const StreamDetector = require('../../assets/js/stream-detect.js');
+
+const TS = StreamDetector.TS_PACKET_SIZE;
+
+/**
+ * Bytes of a text response
+ */
+function text(value) {
+    return new TextEncoder().encode(value);
+}
+
+/**
+ * A run of MPEG-TS packets, optionally starting `skip` bytes into the first one
+ */
+function tsPackets(count, skip = 0) {
+    const bytes = new Uint8Array(count * TS);
+    for (let packet = 0; packet < count; packet++) {
+        bytes[packet * TS] = 0x47;
+        bytes[packet * TS + 1] = 0x40;
+    }
+
+    return bytes.subarray(skip);
+}
+
+test('detects an HLS playlist, BOM and leading whitespace included', () => {
+    assert.strictEqual(StreamDetector.fromBytes(text('#EXTM3U\n#EXT-X-VERSION:3\n')), 'hls');
+    assert.strictEqual(StreamDetector.fromBytes(text('\uFEFF\r\n  #EXTM3U\n')), 'hls');
+});
+
+test('detects a DASH manifest with or without an XML declaration', () => {
+    assert.strictEqual(StreamDetector.fromBytes(text('<?xml version="1.0" encoding="UTF-8"?>\n<MPD xmlns="urn:mpeg:dash:schema:mpd:2011">')), 'dash');
+    assert.strictEqual(StreamDetector.fromBytes(text('<MPD type="dynamic">')), 'dash');
+    assert.strictEqual(StreamDetector.fromBytes(text('<?xml version="1.0"?><rss>')), null);
+});
+
+test('detects an MP4 ftyp box', () => {
+    const bytes = new Uint8Array([0x00, 0x00, 0x00, 0x20, 0x66, 0x74, 0x79, 0x70, 0x69, 0x73, 0x6F, 0x6D]);
+    assert.strictEqual(StreamDetector.fromBytes(bytes), 'mp4');
+});
+
+test('detects MPEG-TS from four consecutive sync bytes', () => {
+    assert.strictEqual(StreamDetector.fromBytes(tsPackets(6)), 'mpegts');
+});
+
+test('detects MPEG-TS that starts mid-packet', () => {
+    assert.strictEqual(StreamDetector.fromBytes(tsPackets(6, 100)), 'mpegts');
+});
+
+test('detects a short MPEG-TS response aligned from the first byte', () => {
+    assert.strictEqual(StreamDetector.fromBytes(tsPackets(2)), 'mpegts');
+});
+
+test('does not take a couple of stray 0x47 bytes for MPEG-TS', () => {
+    const bytes = new Uint8Array(1024).fill(0x20);
+    bytes[10] = 0x47;
+    bytes[10 + TS] = 0x47;
+    bytes[10 + TS * 2] = 0x47;
+
+    assert.strictEqual(StreamDetector.fromBytes(bytes), null);
+});
+
+test('reports unknown when neither bytes, header nor url say anything', () => {
+    const bytes = new Uint8Array(1024).map((_, i) => (i * 31 + 7) % 251);
+    const detection = StreamDetector.detect(bytes, 'application/octet-stream', 'http://provider.example/live/user/pass/123');
+
+    assert.deepStrictEqual(detection, { type: 'unknown', mimeType: '', source: 'none' });
+});
+
+test('content wins over a misleading header and url', () => {
+    const detection = StreamDetector.detect(tsPackets(6), 'application/vnd.apple.mpegurl', 'http://provider.example/live/1.m3u8');
+
+    assert.strictEqual(detection.type, 'mpegts');
+    assert.strictEqual(detection.source, 'content');
+});
+
+test('falls back to the header, then to the url behind the proxy', () => {
+    assert.strictEqual(StreamDetector.detect(null, 'video/mp2t; charset=binary').source, 'header');
+
+    const detection = StreamDetector.detect(null, '', '/proxy/stream?url=' + encodeURIComponent('http://provider.example/movie/1.mkv?token=abc'));
+    assert.strictEqual(detection.type, 'webm');
+    assert.strictEqual(detection.source, 'url');
+});
+
+/**
+ * Writes fields MSB first, exp-Golomb included, the way an SPS is laid out
+ */
+function bitWriter() {
+    const out = [];
+    return {
+        bits(value, count) {
+            for (let i = count - 1; i >= 0; i--) out.push((value >> i) & 1);
+        },
+        ue(value) {
+            const code = (value + 1).toString(2);
+            this.bits(0, code.length - 1);
+            this.bits(value + 1, code.length);
+        },
+        bytes() {
+            const padded = out.concat([1]);
+            while (padded.length % 8) padded.push(0);
+            return Array.from({ length: padded.length / 8 }, (_, i) => parseInt(padded.slice(i * 8, i * 8 + 8).join(''), 2));
+        }
+    };
+}
+
+/**
+ * A baseline SPS for 1920x1080, coded as 1088 lines with 8 cropped off the bottom
+ */
+function sps1080() {
+    const sps = bitWriter();
+    sps.bits(66, 8);
+    sps.bits(0, 8);
+    sps.bits(40, 8);
+    sps.ue(0);
+    sps.ue(0);
+    sps.ue(0);
+    sps.ue(0);
+    sps.ue(1);
+    sps.bits(0, 1);
+    sps.ue(119);
+    sps.ue(67);
+    sps.bits(1, 1);
+    sps.bits(1, 1);
+    sps.bits(1, 1);
+    sps.ue(0);
+    sps.ue(0);
+    sps.ue(0);
+    sps.ue(4);
+    sps.bits(0, 1);
+
+    return [0x00, 0x00, 0x00, 0x01, 0x67].concat(sps.bytes());
+}
+
+/**
+ * One TS packet carrying a payload for a PID, padded with 0xFF
+ */
+function tsPacket(pid, payload, start = true) {
+    const bytes = new Uint8Array(TS).fill(0xFF);
+    bytes.set([0x47, (start ? 0x40 : 0) | (pid >> 8), pid & 0xFF, 0x10]);
+    bytes.set(payload, 4);
+
+    return bytes;
+}
+
+test('reads codecs and the H.264 resolution from the head of a TS stream', () => {
+    const pat = [0x00, 0x00, 0xB0, 0x0D, 0x00, 0x01, 0xC1, 0x00, 0x00, 0x00, 0x01, 0xF0, 0x00, 0, 0, 0, 0];
+    const pmt = [0x00, 0x02, 0xB0, 0x17, 0x00, 0x01, 0xC1, 0x00, 0x00, 0xE1, 0x00, 0xF0, 0x00,
+        0x1B, 0xE1, 0x00, 0xF0, 0x00,
+        0x0F, 0xE1, 0x01, 0xF0, 0x00,
+        0, 0, 0, 0];
+    const pes = [0x00, 0x00, 0x01, 0xE0, 0x00, 0x00, 0x80, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x09, 0xF0].concat(sps1080());
+
+    const stream = StreamDetector.concatBytes([
+        tsPacket(0x0000, pat),
+        tsPacket(0x1000, pmt),
+        tsPacket(0x0100, pes),
+        tsPacket(0x0101, [0x00, 0x00, 0x01, 0xC0])
+    ]);
+
+    assert.deepStrictEqual(StreamDetector.mpegTsInfo(stream), { codec: 'H.264, AAC', resolution: '1920x1080' });
+});
+
+test('reads what it can when the SPS is not in the probed bytes', () => {
+    const pat = [0x00, 0x00, 0xB0, 0x0D, 0x00, 0x01, 0xC1, 0x00, 0x00, 0x00, 0x01, 0xF0, 0x00, 0, 0, 0, 0];
+    const pmt = [0x00, 0x02, 0xB0, 0x12, 0x00, 0x01, 0xC1, 0x00, 0x00, 0xE1, 0x00, 0xF0, 0x00,
+        0x24, 0xE1, 0x00, 0xF0, 0x00,
+        0, 0, 0, 0];
+
+    const stream = StreamDetector.concatBytes([tsPacket(0x0000, pat), tsPacket(0x1000, pmt)]);
+
+    assert.deepStrictEqual(StreamDetector.mpegTsInfo(stream), { codec: 'HEVC', resolution: '' });
+    assert.deepStrictEqual(StreamDetector.mpegTsInfo(tsPackets(4)), { codec: '', resolution: '' });
+});
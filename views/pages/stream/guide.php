@@ -0,0 +1,76 @@
+<?php
+
+/**
+ * EPG Guide View
+ *
+ * @since 8.4
+ * @author Kevin Pirnie <me@kpirnie.com>
+ * @package KP Library
+ */
+
+defined('KPTV_PATH') || die('Direct Access is not allowed!');
+
+// setup the user id
+$userId = KPTV_User::get_current_user()->id;
+
+// the user as used in the public playlist and epg urls
+$userForExport = KPTV::encrypt($userId);
+
+// fire up the database
+$db = new \KPT\Database(KPTV::get_setting('database'));
+
+// pull the users active live streams, the guide itself is loaded in the browser
+$streams = $db->query('SELECT
+        s.`id`,
+        s.`p_id`,
+        s.`s_channel`,
+        s.`s_name`,
+        s.`s_tvg_id`,
+        s.`s_tvg_logo`,
+        s.`s_stream_uri`,
+        p.`sp_name`
+        FROM `kptv_streams` s
+        LEFT OUTER JOIN `kptv_stream_providers` p ON p.`id` = s.`p_id`
+        WHERE s.`u_id` = ? AND s.`s_active` = 1 AND s.`s_type_id` = 0
+        ORDER BY p.`sp_priority`, s.`s_channel` + 0, s.`s_name` ASC;')
+    ->bind([$userId])
+    ->fetch() ?: [];
+
+// the providers for the filter
+$providers = [];
+foreach ($streams as $stream) {
+    $providers[$stream->p_id] = $stream->sp_name;
+}
+
+// pull in the header
+KPTV::pull_header();
+?>
+<h2 class="kptv-heading uk-heading-bullet">Guide</h2>
+<div class="uk-margin uk-grid-small uk-flex-middle" uk-grid>
+    <div class="uk-width-1-1 uk-width-auto@s">
+        <select class="uk-select uk-form-small guide-provider">
+            <option value="">All Providers</option>
+            <?php foreach ($providers as $providerId => $providerName) { ?>
+                <option value="<?php echo (int) $providerId; ?>"><?php echo htmlspecialchars($providerName ?? ''); ?></option>
+            <?php } ?>
+        </select>
+    </div>
+    <div class="uk-width-1-1 uk-width-auto@s">
+        <label><input class="uk-checkbox guide-missing-only" type="checkbox"> Only streams without guide data</label>
+    </div>
+    <div class="uk-width-1-1 uk-width-expand@s uk-text-right@s">
+        <span class="guide-status uk-text-meta uk-margin-small-right"></span>
+        <button type="button" class="uk-button uk-button-default uk-button-small guide-now">Jump to Now</button>
+    </div>
+</div>
+<div id="kptv-guide" class="kptv-guide"
+    data-epg-base="<?php echo htmlspecialchars(KPTV_URI . 'epg/' . $userForExport . '/'); ?>"
+    data-streams="<?php echo htmlspecialchars(json_encode($streams)); ?>">
+</div>
+<?php
+
+// pull in the footer
+KPTV::pull_footer();
+
+// clean up
+unset($db, $streams, $providers, $userForExport);
@@ -27,6 +27,9 @@ $active_value = $valid_active[$active_filter] ?? null;
 // setup the user id
 $userId = KPTV_User::get_current_user()->id;
 
+// the user as used in the public playlist and epg urls
+$userForExport = KPTV::encrypt($userId);
+
 // setup the form fields
 $formFieldsConfig = KPTV::view_configs('streams', userId: $userId)->form;
 
@@ -70,7 +73,7 @@ $dt->table('kptv_streams s')
         's_channel' => 'Ch',
         's_name' => 'Name',
         's_orig_name' => 'Orig. Name',
-        's_tvg_id' => 'TVG ID',
+        's_tvg_id' => ['label' => 'TVG ID', 'type' => 'tvgid'],
         'p.sp_name' => 'Provider',
         's_tvg_logo' => ['label' => 'Logo', 'type' => 'image'],
     ])
@@ -83,6 +86,12 @@ $dt->table('kptv_streams s')
     ->sortable(['s_name', 's_channel', 's_tvg_id', 'p.sp_name'])
     ->defaultSort('s_name', 'ASC')
     ->inlineEditable(['s_active', 's_channel', 's_name', 's_tvg_logo', 's_tvg_id', 's.u_id',])
+    // the group isn't a column, the M3U export still needs it
+    ->extraFields(['s_tvg_group'])
+    ->spreadsheetMode(true)
+    ->filterBuilder(true)
+    ->export(true)
+    ->virtualScroll($type_filter !== 'live')
     ->perPage(25)
     ->pageSizeOptions([25, 50, 100, 250], true)
     ->bulkActions(true, $bulkActionsConfig[$type_filter])
@@ -98,6 +107,8 @@ $dt->table('kptv_streams s')
                 'attributes' => [
                     'data-stream-url' => '{s_stream_uri}',
                     'data-stream-name' => '{s_orig_name}',
+                    'data-tvg-id' => '{s_tvg_id}',
+                    'data-epg-url' => KPTV_URI . 'epg/' . $userForExport . '/{p_id}',
                 ]
             ],
             'copystream' => [
@@ -111,6 +122,102 @@ $dt->table('kptv_streams s')
         ['edit', 'delete'],
     ]);
 
+// Channel renumbering for live streams, handled before the datatable's own actions
+$renumberAction = $_POST['action'] ?? $_GET['action'] ?? '';
+if ($type_filter === 'live' && in_array($renumberAction, ['channel_numbers', 'renumber_channels'], true)) {
+
+    // the requested channel numbers, stream id => channel
+    $channels = [];
+    foreach ((array) json_decode($_POST['channels'] ?? '[]', true) as $item) {
+        if (isset($item['id'], $item['channel']) && (int) $item['id'] > 0) {
+            $channels[(int) $item['id']] = trim((string) $item['channel']);
+        }
+    }
+
+    // list the numbers in use, or apply the new ones and return the ids that changed
+    $data = $renumberAction === 'channel_numbers' ? KPTV::getChannelNumbers($userId, 0) : KPTV::renumberChannels($userId, $channels);
+
+    header('Content-Type: application/json');
+    echo json_encode([
+        'success' => $data !== false,
+        'message' => $data !== false ? '' : 'Failed to renumber the channels',
+        'data' => $data ?: [],
+    ]);
+    exit;
+}
+
+// Bulk renaming, for every stream type
+if (($_POST['action'] ?? '') === 'rename_streams') {
+
+    // the new names, stream id => name, blank names are never saved
+    $names = [];
+    foreach ((array) json_decode($_POST['names'] ?? '[]', true) as $item) {
+        if (isset($item['id'], $item['name']) && (int) $item['id'] > 0 && trim((string) $item['name']) !== '') {
+            $names[(int) $item['id']] = trim((string) $item['name']);
+        }
+    }
+
+    // the page saves in batches, anything bigger is cut down to one
+    $names = array_slice($names, 0, 500, true);
+
+    // the ids that changed
+    $renamed = KPTV::renameStreams($userId, $names);
+
+    header('Content-Type: application/json');
+    echo json_encode([
+        'success' => $renamed !== false,
+        'message' => $renamed !== false ? '' : 'Failed to rename the streams',
+        'data' => $renamed ?: [],
+    ]);
+    exit;
+}
+
+// Importing streams from an M3U or CSV file, for every stream type
+$importAction = $_POST['action'] ?? $_GET['action'] ?? '';
+if (in_array($importAction, ['import_providers', 'import_check', 'import_streams'], true)) {
+
+    $providerId = (int) ($_POST['provider'] ?? 0);
+
+    switch ($importAction) {
+        // the providers to import into
+        case 'import_providers':
+            $data = KPTV::getProviders($userId);
+            break;
+
+        // the indexes of the sent names and urls that already exist
+        case 'import_check':
+            $data = KPTV::findExistingStreams(
+                $userId,
+                $providerId,
+                (array) json_decode($_POST['names'] ?? '[]', true),
+                (array) json_decode($_POST['uris'] ?? '[]', true)
+            );
+            break;
+
+        // add a batch, row number => fields
+        default:
+            $rows = [];
+            foreach ((array) json_decode($_POST['rows'] ?? '[]', true) as $item) {
+                if (is_array($item) && isset($item['index'])) {
+                    $rows[(int) $item['index']] = $item;
+                }
+            }
+
+            $rows = array_slice($rows, 0, 500, true);
+            $errors = KPTV::importStreams($userId, $providerId, (int) $type_value, ! empty($_POST['active']), $rows);
+            $data = ['added' => count($rows) - count($errors), 'errors' => $errors];
+            break;
+    }
+
+    header('Content-Type: application/json');
+    echo json_encode([
+        'success' => true,
+        'message' => '',
+        'data' => $data,
+    ]);
+    exit;
+}
+
 // Handle AJAX requests (before any HTML output)
 if (isset($_POST['action']) || isset($_GET['action'])) {
     $dt->handleAjax();
@@ -127,7 +234,7 @@ KPTV::pull_header();
     KPTV::include_view('common/control-panel', ['dt' => $dt]);
     ?>
 </div>
-<div class="uk-margin the-datatable">
+<div class="uk-margin the-datatable" data-epg-base="<?php echo htmlspecialchars(KPTV_URI . 'epg/' . $userForExport . '/'); ?>">
     <?php
 
     // write out the datatable component
@@ -147,4 +254,4 @@ KPTV::pull_header();
 KPTV::pull_footer();
 
 // clean up
-unset($dt, $formFields, $actionGroups, $bulkActions, $dbconf);
+unset($dt, $formFields, $actionGroups, $bulkActions, $dbconf, $userForExport, $renumberAction, $importAction);
@@ -166,6 +166,14 @@ $get_stream_routes = [
         'handler' => 'view:pages/stream/missing.php'
     ],
 
+    // epg guide
+    [
+        'method' => 'GET',
+        'path' => '/guide',
+        'middleware' => ['auth_required'],
+        'handler' => 'view:pages/stream/guide.php'
+    ],
+
     // Streams management
     [
         'method' => 'GET',
@@ -77,6 +77,7 @@ defined('KPTV_PATH') || die('Direct Access is not allowed!');
                                         </li>-->
                                     <li><a href="/streams/other">Other Streams</a></li>
                                     <li><a href="/missing">Missing Streams</a></li>
+                                    <li><a href="/guide">Guide</a></li>
                                 </ul>
                             </div>
                         </li>
@@ -79,6 +79,12 @@ if (KPTV_User::is_user_logged_in()):
             Missing Streams
         </a>
     </li>
+    <li>
+        <a href="/guide">
+            <span uk-icon="calendar" class="kptv-icon-dual"></span>
+            Guide
+        </a>
+    </li>
     <li class="uk-nav-divider"></li>
 <?php endif; ?>
 <li class="uk-nav-header">ACCOUNT MANAGER</li>